@@ -0,0 +1,71 @@
+// Primacy agency — which state's or tribe's SDWIS/STATE rows a request reads.
+//
+// One deployment can serve several primacy agencies from the same database.
+// Each /inventory request picks one (first match wins):
+//   ?primacyAgencyId=MS           query parameter
+//   X-PRIMACY-AGENCY-ID: MS       header (as in the DW-SFTIES spec)
+//   the caller's token            when its agency claim names exactly one
+//                                 configured agency (see auth.js)
+//   the default agency
+// An agency outside the allow-list responds 400; one the caller's token does
+// not list responds 403.
+//
+// The routes read the selection through currentAgency() and bind it as a
+// query parameter; outside a request (e.g. a test calling a loader directly)
+// it is the default agency, unless the code runs withAgency(). Demo data
+// belongs to every agency.
+//
+// Environment variables:
+//   SDWIS_ST_CODES   allow-list of primacy agency codes, comma-separated
+//   SDWIS_ST_CODE    default agency (default: the first of SDWIS_ST_CODES, else MS)
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { sendError } = require('./auth');
+
+const parseCode = code => String(code).trim().toUpperCase();
+
+const DEFAULT_AGENCY = parseCode(process.env.SDWIS_ST_CODE
+  || (process.env.SDWIS_ST_CODES || '').split(',').find(c => c.trim())
+  || 'MS');
+
+const AGENCIES = [...new Set([
+  DEFAULT_AGENCY,
+  ...(process.env.SDWIS_ST_CODES || '').split(',').filter(c => c.trim()).map(parseCode),
+])];
+
+const storage = new AsyncLocalStorage();
+
+function currentAgency() {
+  return storage.getStore() ?? DEFAULT_AGENCY;
+}
+
+// Middleware (after auth.authenticate): runs the rest of the request with the
+// selected agency, or responds 400 / 403
+function selectAgency(req, res, next) {
+  const granted = req.auth?.primacyAgencies;
+  const requested = req.query.primacyAgencyId ?? req.get('X-PRIMACY-AGENCY-ID');
+
+  let agency;
+  if (requested != null) {
+    agency = parseCode(requested);
+    if (!AGENCIES.includes(agency)) {
+      return sendError(res, 400, `Unknown primacy agency ${agency}; expected one of ${AGENCIES.join(', ')}`);
+    }
+  } else {
+    const claimed = granted?.filter(code => AGENCIES.includes(code)) || [];
+    agency = claimed.length === 1 ? claimed[0] : DEFAULT_AGENCY;
+  }
+
+  if (granted && !granted.includes(agency)) {
+    return sendError(res, 403, `Not authorized for primacy agency ${agency}`);
+  }
+  storage.run(agency, next);
+}
+
+// Runs fn with `agency` as the current agency, outside a request (e.g. the
+// webhook poller, see webhooks.js)
+function withAgency(agency, fn) {
+  return storage.run(agency, fn);
+}
+
+module.exports = { AGENCIES, DEFAULT_AGENCY, currentAgency, selectAgency, withAgency };
@@ -0,0 +1,234 @@
+// The Express app: CORS, Swagger docs, authentication, the primacy agency,
+// the response cache and every route. server.js starts it; the tests that
+// exercise the whole API (conformance) mount the same app.
+
+const path = require('path');
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const swaggerJsdoc = require('swagger-jsdoc');
+const db = require('./db');
+const auth = require('./auth');
+const agency = require('./agency');
+const { documentFields } = require('./fields');
+const cache = require('./cache');
+const waterSystemRoutes = require('./routes/water-system');
+const waterSystemGroupRoutes = require('./routes/water-system-group');
+const operatingPeriodRoutes = require('./routes/operating-period');
+const serviceConnectionRoutes = require('./routes/service-connection');
+const serviceLineRoutes = require('./routes/service-line');
+const fedTypeRoutes = require('./routes/fed-type');
+const serviceAreaRoutes = require('./routes/service-area');
+const geographicAreaRoutes = require('./routes/geographic-area');
+const purchaseRoutes = require('./routes/purchase');
+const pointOfContactRoutes = require('./routes/point-of-contact');
+const regulatingAgencyRoutes = require('./routes/regulating-agency');
+const attributeRoutes = require('./routes/attribute');
+const facilityRoutes = require('./routes/facility');
+const referenceRoutes = require('./routes/reference');
+const samplingPointRoutes = require('./routes/sampling-point');
+const treatmentUnitRoutes = require('./routes/treatment-unit');
+const facilityFlowRoutes = require('./routes/facility-flow');
+const webhookRoutes = require('./routes/webhook');
+const cacheRoutes = require('./routes/cache');
+
+// CORS — allow browser apps on other origins to call the API. CORS_ORIGINS
+// (comma-separated) limits them to those origins; unset allows any.
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+  : null;
+
+// Swagger docs — list operations marked x-list-fields get their filter and
+// sort parameters from the DTO's field registry (see fields.js)
+const swaggerSpec = documentFields(swaggerJsdoc({
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'SDWIS Translation API',
+      version: '0.1.0',
+      description: 'DW-SFTIES compatible read-only API backed by SDWIS/STATE data. '
+        + 'Every /inventory request reads one primacy agency, chosen by the primacyAgencyId '
+        + 'query parameter or the X-PRIMACY-AGENCY-ID header (default: the configured default agency).',
+    },
+    servers: [{ url: '/' }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+    },
+    security: [{ bearerAuth: [] }, { apiKey: [] }],
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')],
+}));
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    const origin = req.get('Origin');
+    if (!CORS_ORIGINS) {
+      res.header('Access-Control-Allow-Origin', '*');
+    } else {
+      res.vary('Origin');
+      if (origin && CORS_ORIGINS.includes(origin)) res.header('Access-Control-Allow-Origin', origin);
+    }
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-PRIMACY-AGENCY-ID');
+    // Preflight requests carry no credentials
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
+
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+  // Authentication — every /inventory route requires credentials once any are
+  // configured (see auth.js); /health and the docs stay public. Then the primacy
+  // agency the request reads (see agency.js).
+  app.use('/inventory', auth.authenticate, agency.selectAgency);
+
+  // Response cache for water systems, facilities and their child records, with
+  // ETag / Last-Modified validators (see cache.js)
+  app.use('/inventory/water-system', cache.cacheResponses);
+
+  // Routes — facility must be before water-system so "facility" doesn't match :waterSystemId
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/facility-sampling-point',
+    facilityRoutes.withFacility,
+    samplingPointRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/sample-point/:samplePointId/sampling-point-indicator',
+    facilityRoutes.withFacility,
+    samplingPointRoutes.indicators
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/treatment-unit',
+    facilityRoutes.withFacility,
+    treatmentUnitRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/related-points-of-contact',
+    facilityRoutes.withFacility,
+    pointOfContactRoutes.facility
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/facility-measure',
+    facilityRoutes.withFacility,
+    attributeRoutes.facilityMeasure
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/indicator',
+    facilityRoutes.withFacility,
+    attributeRoutes.facilityIndicator
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/flow-rate',
+    facilityRoutes.withFacility,
+    attributeRoutes.facilityFlowRate
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/pump',
+    facilityRoutes.withFacility,
+    attributeRoutes.facilityPump
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/cert',
+    facilityRoutes.withFacility,
+    attributeRoutes.facilityCertification
+  );
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+  app.use(
+    '/inventory/supplying-facility/:supplyingFacilityId/flow',
+    facilityRoutes.withSupplyingFacility,
+    facilityFlowRoutes
+  );
+  app.use('/inventory/treatment-unit/flow', facilityFlowRoutes.treatmentUnit);
+  app.use(
+    '/inventory/water-system/:waterSystemId/aop',
+    waterSystemRoutes.withWaterSystem,
+    operatingPeriodRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-connection',
+    waterSystemRoutes.withWaterSystem,
+    serviceConnectionRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-line',
+    waterSystemRoutes.withWaterSystem,
+    serviceLineRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-area',
+    waterSystemRoutes.withWaterSystem,
+    serviceAreaRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/geographic-area',
+    waterSystemRoutes.withWaterSystem,
+    geographicAreaRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/purchase-wholesale',
+    waterSystemRoutes.withWaterSystem,
+    purchaseRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/related-points-of-contact',
+    waterSystemRoutes.withWaterSystem,
+    pointOfContactRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/related-regulating-agency',
+    waterSystemRoutes.withWaterSystem,
+    regulatingAgencyRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/measure',
+    waterSystemRoutes.withWaterSystem,
+    attributeRoutes.waterSystemMeasure
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/indicator',
+    waterSystemRoutes.withWaterSystem,
+    attributeRoutes.waterSystemIndicator
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/flow-rate',
+    waterSystemRoutes.withWaterSystem,
+    attributeRoutes.waterSystemFlowRate
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/cert',
+    waterSystemRoutes.withWaterSystem,
+    attributeRoutes.waterSystemCertification
+  );
+  app.use(
+    '/inventory/water-system-fed-type-calculated/:waterSystemId',
+    waterSystemRoutes.withWaterSystem,
+    fedTypeRoutes
+  );
+  app.use('/inventory/webhook', webhookRoutes);
+  app.use('/inventory/cache', cacheRoutes);
+  app.use('/inventory/water-system-group', waterSystemGroupRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+  app.use('/inventory', referenceRoutes);
+
+  // Root → Swagger docs
+  app.get('/', (req, res) => res.redirect('/api-docs'));
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      datasource: db.mode,
+      primacyAgencies: agency.AGENCIES,
+      defaultPrimacyAgency: agency.DEFAULT_AGENCY,
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,264 @@
+// Authentication — JWT bearer tokens and static API keys, with per-agency scoping.
+//
+// Every /inventory request must carry one of the configured credentials:
+//   Authorization: Bearer <JWT>   signed with the shared secret (HS256/384/512)
+//                                 or a key in the JWKS file (RS*, PS*, ES*)
+//   X-API-Key: <key>              one of the keys in the API key file
+// With none of them configured, authentication is off and every request passes
+// (fine for demo mode; server.js warns otherwise).
+//
+// Failures respond in the spec's ErrorDTO shape: 401 for missing or invalid
+// credentials, 403 for a caller whose scope excludes the request.
+//
+// Scope: a token's agency claim lists the primacy agencies it may read
+// (agency.js refuses the others and may pick the agency from it). Its PWSID
+// prefix claim (e.g. ["MS001", "MS002"]) limits water systems and facilities
+// to those prefixes — lists leave the rest out, and direct requests for them
+// respond 403. API keys carry the same two fields. Callers without either
+// claim see everything.
+//
+// Roles: a token's role claim (and an API key's `roles`) grants operations
+// beyond reading, e.g. `admin` for the response cache (routes/cache.js). No
+// caller has a role with authentication off.
+//
+// Environment variables:
+//   AUTH_JWT_SECRET          shared secret for HS* tokens
+//   AUTH_JWKS_FILE           JSON Web Key Set (public keys) for RS*/PS*/ES* tokens
+//   AUTH_JWT_ISSUER          required iss claim (optional)
+//   AUTH_JWT_AUDIENCE        required aud claim (optional)
+//   AUTH_AGENCY_CLAIM        claim listing primacy agencies (default primacyAgencies)
+//   AUTH_PWSID_PREFIX_CLAIM  claim listing PWSID prefixes (default pwsidPrefixes)
+//   AUTH_ROLE_CLAIM          claim listing roles (default roles)
+//   AUTH_API_KEYS_FILE       JSON array of { name, keySha256, primacyAgencies, pwsidPrefixes, roles }
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Tolerance for exp / nbf against clocks that disagree a little
+const CLOCK_SKEW_SECONDS = 60;
+
+const HMAC_ALGS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const KEY_ALGS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', pss: true },
+  PS384: { hash: 'sha384', kty: 'RSA', pss: true },
+  PS512: { hash: 'sha512', kty: 'RSA', pss: true },
+  ES256: { hash: 'sha256', kty: 'EC' },
+  ES384: { hash: 'sha384', kty: 'EC' },
+  ES512: { hash: 'sha512', kty: 'EC' },
+};
+
+function authError(status, errorDesc) {
+  return Object.assign(new Error(errorDesc), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Key material — files are read once, on first use
+// ---------------------------------------------------------------------------
+
+let jwks, apiKeys;
+
+function getJwks() {
+  if (!jwks) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(process.env.AUTH_JWKS_FILE, 'utf8'));
+    jwks = keys.map(jwk => ({ kid: jwk.kid, alg: jwk.alg, kty: jwk.kty, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+  }
+  return jwks;
+}
+
+function getApiKeys() {
+  if (!apiKeys) {
+    apiKeys = JSON.parse(fs.readFileSync(process.env.AUTH_API_KEYS_FILE, 'utf8'))
+      .map(k => ({ ...k, digest: Buffer.from(k.keySha256, 'hex') }));
+  }
+  return apiKeys;
+}
+
+// ---------------------------------------------------------------------------
+// Claims → scope
+// ---------------------------------------------------------------------------
+
+// A claim given as an array or a space- / comma-separated string; null when absent
+function listClaim(value) {
+  if (value == null) return null;
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list.map(v => String(v).trim().toUpperCase()).filter(Boolean);
+}
+
+function scopeOf(method, subject, claims, agencyClaim, prefixClaim, roleClaim) {
+  const primacyAgencies = listClaim(claims[agencyClaim]);
+  const pwsidPrefixes = listClaim(claims[prefixClaim]);
+  if (pwsidPrefixes?.some(p => !/^[A-Z0-9]+$/.test(p))) {
+    throw authError(401, `Invalid ${prefixClaim} claim`);
+  }
+  const roles = listClaim(claims[roleClaim]) ?? [];
+  return { method, subject, primacyAgencies, pwsidPrefixes, roles };
+}
+
+// ---------------------------------------------------------------------------
+// JWT
+// ---------------------------------------------------------------------------
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function verifySignature(header, signingInput, signature) {
+  const hmac = HMAC_ALGS[header.alg];
+  if (hmac) {
+    // Never verify an HS* token against a public key (algorithm confusion)
+    if (!process.env.AUTH_JWT_SECRET) return false;
+    const expected = crypto.createHmac(hmac, process.env.AUTH_JWT_SECRET).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const alg = KEY_ALGS[header.alg];
+  if (!alg || !process.env.AUTH_JWKS_FILE) return false;
+  const candidates = getJwks().filter(k =>
+    k.kty === alg.kty && (!k.alg || k.alg === header.alg) && (!header.kid || k.kid === header.kid));
+  const options = alg.pss
+    ? { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+    : alg.kty === 'EC' ? { dsaEncoding: 'ieee-p1363' } : {};
+  return candidates.some(k => crypto.verify(alg.hash, Buffer.from(signingInput), { key: k.key, ...options }, signature));
+}
+
+// Verified claims of a compact JWS, or throws a 401
+function verifyJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw authError(401, 'Malformed bearer token');
+
+  let header, claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw authError(401, 'Malformed bearer token');
+  }
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(header) || !isObject(claims)) throw authError(401, 'Malformed bearer token');
+  if (!verifySignature(header, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'))) {
+    throw authError(401, 'Invalid bearer token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp != null && now > claims.exp + CLOCK_SKEW_SECONDS) throw authError(401, 'Bearer token has expired');
+  if (claims.nbf != null && now < claims.nbf - CLOCK_SKEW_SECONDS) throw authError(401, 'Bearer token is not yet valid');
+  if (process.env.AUTH_JWT_ISSUER && claims.iss !== process.env.AUTH_JWT_ISSUER) {
+    throw authError(401, 'Bearer token has the wrong issuer');
+  }
+  if (process.env.AUTH_JWT_AUDIENCE
+    && ![].concat(claims.aud ?? []).includes(process.env.AUTH_JWT_AUDIENCE)) {
+    throw authError(401, 'Bearer token has the wrong audience');
+  }
+  return claims;
+}
+
+// ---------------------------------------------------------------------------
+// Authenticators, tried in order. Each returns the caller's scope, null when
+// the request does not carry its credential, or throws a 401.
+// ---------------------------------------------------------------------------
+
+const AUTHENTICATORS = [
+  {
+    name: 'jwt',
+    scheme: 'Bearer',
+    enabled: () => !!(process.env.AUTH_JWT_SECRET || process.env.AUTH_JWKS_FILE),
+    authenticate(req) {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+      if (!match) return null;
+      const claims = verifyJwt(match[1]);
+      return scopeOf('jwt', claims.sub ?? null, claims,
+        process.env.AUTH_AGENCY_CLAIM || 'primacyAgencies',
+        process.env.AUTH_PWSID_PREFIX_CLAIM || 'pwsidPrefixes',
+        process.env.AUTH_ROLE_CLAIM || 'roles');
+    },
+  },
+  {
+    name: 'api-key',
+    scheme: 'ApiKey',
+    enabled: () => !!process.env.AUTH_API_KEYS_FILE,
+    authenticate(req) {
+      const key = req.get('X-API-Key');
+      if (!key) return null;
+      const digest = crypto.createHash('sha256').update(key).digest();
+      const found = getApiKeys().find(k => k.digest.length === digest.length && crypto.timingSafeEqual(k.digest, digest));
+      if (!found) throw authError(401, 'Invalid API key');
+      // keyId tells keys apart, named or not (webhooks.js owns subscriptions by it)
+      return { ...scopeOf('api-key', found.name ?? null, found, 'primacyAgencies', 'pwsidPrefixes', 'roles'), keyId: found.keySha256.toLowerCase() };
+    },
+  },
+];
+
+function enabledAuthenticators() {
+  return AUTHENTICATORS.filter(a => a.enabled());
+}
+
+function authEnabled() {
+  return enabledAuthenticators().length > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Middleware and helpers for the routes
+// ---------------------------------------------------------------------------
+
+function sendError(res, status, errorDesc) {
+  return res.status(status).json({ error: { errorCode: String(status), errorDesc } });
+}
+
+function forbidden(res, errorDesc) {
+  return sendError(res, 403, errorDesc);
+}
+
+// Sets req.auth to the caller's scope (null with authentication off), or
+// responds 401
+function authenticate(req, res, next) {
+  const authenticators = enabledAuthenticators();
+  req.auth = null;
+  if (!authenticators.length) return next();
+
+  try {
+    for (const authenticator of authenticators) {
+      req.auth = authenticator.authenticate(req);
+      if (req.auth) break;
+    }
+  } catch (err) {
+    if (!err.status) throw err;
+    res.set('WWW-Authenticate', authenticators.map(a => a.scheme).join(', '));
+    return sendError(res, err.status, err.message);
+  }
+
+  if (!req.auth) {
+    res.set('WWW-Authenticate', authenticators.map(a => a.scheme).join(', '));
+    return sendError(res, 401, 'Authentication required');
+  }
+  next();
+}
+
+// True when the caller may see the water system with this PWSID
+function pwsidInScope(auth, pwsid) {
+  const prefixes = auth?.pwsidPrefixes;
+  return !prefixes || prefixes.some(p => String(pwsid ?? '').toUpperCase().startsWith(p));
+}
+
+// True when the caller was granted `role` (never with authentication off)
+function hasRole(auth, role) {
+  return !!auth?.roles?.includes(role.toUpperCase());
+}
+
+// SQL condition limiting `column` (a PWSID expression) to the caller's
+// prefixes, with placeholders numbered from `paramIdx`; null when unscoped
+function pwsidScopeCondition(auth, column, paramIdx) {
+  const prefixes = auth?.pwsidPrefixes;
+  if (!prefixes) return null;
+  if (!prefixes.length) return { condition: '1 = 0', params: [] };
+  return {
+    condition: `(${prefixes.map((_, i) => `${column} LIKE $${paramIdx + i}`).join(' OR ')})`,
+    params: prefixes.map(p => `${p}%`),
+  };
+}
+
+module.exports = {
+  authenticate, authEnabled, sendError, forbidden, pwsidInScope, hasRole, pwsidScopeCondition, AUTHENTICATORS,
+};
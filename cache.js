@@ -0,0 +1,145 @@
+// Response cache — keeps the JSON responses of GET requests for a while, so a
+// list or record asked for again (a public dashboard asks for the same pages
+// thousands of times a day) is answered without querying SDWIS/STATE, and
+// gives responses validators so clients can revalidate instead of reloading.
+//
+// A response is cached under the request's primacy agency and PWSID scope,
+// its path and its query parameters in name order (?a=1&b=2 and ?b=2&a=1
+// share an entry). Entries are served for CACHE_TTL_SECONDS after they were
+// read; past CACHE_MAX_ENTRIES the least recently used one is dropped. Only
+// 200 responses sent with res.json are kept — not errors, nor the streamed
+// exports. The change feeds (.../changes) bypass the cache altogether: a
+// client polling them must see changes as they happen. Each cached route's
+// response says X-Cache: HIT or MISS.
+//
+// Cached or not, each JSON response of a route using cacheResponses carries
+//   Last-Modified   the newest change time (updateDt, else createDt) of the
+//                   records it returns
+//   ETag            that change time and a digest of the body
+// and a request whose If-None-Match (or, without it, If-Modified-Since) still
+// matches gets 304 Not Modified without a body. Responses are
+// Cache-Control: private, no-cache — browsers revalidate, shared caches keep
+// nothing.
+//
+// A cached response may be up to CACHE_TTL_SECONDS old. DELETE /inventory/cache
+// (routes/cache.js, admin role only) empties the cache, e.g. after a bulk load.
+//
+// Environment variables:
+//   CACHE_TTL_SECONDS   seconds a response is served from the cache
+//                       (unset or 0: nothing is cached)
+//   CACHE_MAX_ENTRIES   responses kept at most (default 500)
+
+const crypto = require('crypto');
+const { currentAgency } = require('./agency');
+
+const ttlSeconds = () => Math.max(0, Number(process.env.CACHE_TTL_SECONDS) || 0);
+const maxEntries = () => (Number(process.env.CACHE_MAX_ENTRIES) > 0 ? Math.floor(Number(process.env.CACHE_MAX_ENTRIES)) : 500);
+
+// Cached responses by key, least recently used first (a Map keeps insertion order)
+const entries = new Map();
+
+// Paths passed through uncached and without validators
+const UNCACHED_PATH = /\/changes$/;
+let hits = 0;
+let misses = 0;
+
+// The agency, scope, path and sorted query parameters of a request
+function cacheKey(req) {
+  const query = Object.keys(req.query).sort()
+    .flatMap(name => [].concat(req.query[name]).map(v => `${encodeURIComponent(name)}=${encodeURIComponent(v)}`))
+    .join('&');
+  const prefixes = req.auth?.pwsidPrefixes;
+  const scope = prefixes ? [...prefixes].sort().join(',') : '*';
+  return `${currentAgency()} ${scope} ${req.baseUrl}${req.path}?${query}`;
+}
+
+// The entry under `key` that has not expired, now the most recently used
+function lookup(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  entries.delete(key);
+  if (entry.expiresAt <= Date.now()) return null;
+  entries.set(key, entry);
+  return entry;
+}
+
+function store(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+  const max = maxEntries();
+  for (const oldest of entries.keys()) {
+    if (entries.size <= max) break;
+    entries.delete(oldest);
+  }
+}
+
+// Newest updateDt (else createDt) of the records a response body returns —
+// its record or the records of its collections — in ms; null without any
+function newestChange(body) {
+  let newest = null;
+  for (const value of Object.values(body ?? {})) {
+    for (const record of Array.isArray(value) ? value : [value]) {
+      if (!record || typeof record !== 'object') continue;
+      const changed = Date.parse(record.updateDt ?? record.createDt);
+      if (!Number.isNaN(changed) && (newest === null || changed > newest)) newest = changed;
+    }
+  }
+  return newest;
+}
+
+// A response body serialized, with its validators
+function toResponse(body) {
+  const json = JSON.stringify(body);
+  const changed = newestChange(body);
+  const digest = crypto.createHash('sha256').update(json).digest('base64url').slice(0, 22);
+  return {
+    json,
+    etag: `W/"${changed === null ? '' : `${changed.toString(36)}-`}${digest}"`,
+    lastModified: changed === null ? null : new Date(changed).toUTCString(),
+  };
+}
+
+// res.send answers 304 itself when the request's validators match
+function send(res, response, cacheStatus) {
+  res.set({ 'Cache-Control': 'private, no-cache', ETag: response.etag });
+  if (response.lastModified) res.set('Last-Modified', response.lastModified);
+  if (cacheStatus) res.set('X-Cache', cacheStatus);
+  return res.type('json').send(response.json);
+}
+
+// Middleware: answers GET (and HEAD) requests from the cache, or caches the
+// route's res.json response; adds the validators either way
+function cacheResponses(req, res, next) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || UNCACHED_PATH.test(req.path)) return next();
+  const ttlMs = ttlSeconds() * 1000;
+  const key = ttlMs > 0 ? cacheKey(req) : null;
+  const hit = key && lookup(key);
+  if (hit) {
+    hits++;
+    return send(res, hit, 'HIT');
+  }
+  if (key) misses++;
+
+  const json = res.json;
+  res.json = (body) => {
+    res.json = json;
+    if (res.statusCode !== 200) return res.json(body);
+    const response = toResponse(body);
+    if (key) store(key, { ...response, expiresAt: Date.now() + ttlMs });
+    return send(res, response, key && 'MISS');
+  };
+  next();
+}
+
+function cacheStats() {
+  return { entries: entries.size, maxEntries: maxEntries(), ttlSeconds: ttlSeconds(), hits, misses };
+}
+
+// Empties the cache; returns how many responses it held
+function purgeCache() {
+  const purged = entries.size;
+  entries.clear();
+  return purged;
+}
+
+module.exports = { cacheResponses, cacheStats, purgeCache };
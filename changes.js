@@ -0,0 +1,144 @@
+// Incremental change feed — the water systems and facilities changed since a
+// consumer's last sync, in update order.
+//
+// A record's change time is its SS d_last_updt_ts, or d_initial_ts when it
+// was never updated; records with neither are left out. The feed lists
+// records by change time, then by sequence number (tinwsys_is_number,
+// tinwsf_is_number), so records changed at the same instant keep one order:
+//   ?since=<date-time>      records changed at or after that time
+//   ?watermark=<token>      records after the last one a page returned
+//   (neither)               every record, oldest change first
+// Each page returns changeSummary.nextWatermark: the position after its last
+// record, or where it started when it is empty, so a consumer stores it and
+// passes it on its next sync. hasMore tells whether to ask again right away.
+// The token is opaque to clients; a malformed one, or an unreadable since,
+// responds 400.
+//
+// A record updated again reappears at its new change time. Deleted records
+// and changes to child rows (operating periods, well details, ...) that leave
+// the parent's timestamp alone do not show up.
+//
+// Watermarks keep the change time as the database reads it back as text, to
+// the microsecond on PostgreSQL and Oracle and the 100 ns on SQL Server: a
+// Date, cut to the millisecond, would fall before the last record of its page,
+// so that record would come back on every page after it.
+
+const db = require('./db');
+
+function changeError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// SQL of the change time `changed` as ISO 8601 text without a zone, at the
+// column's full precision, per dialect; and of such text bound back in
+const CHANGE_TEXT = {
+  postgresql: changed => `to_char(${changed}, 'YYYY-MM-DD"T"HH24:MI:SS.US')`,
+  mssql: changed => `CONVERT(VARCHAR(27), ${changed}, 126)`,
+  oracle: changed => `TO_CHAR(CAST(${changed} AS TIMESTAMP), 'YYYY-MM-DD"T"HH24:MI:SS.FF6')`,
+};
+const TEXT_CHANGE = {
+  oracle: placeholder => `TO_TIMESTAMP(${placeholder}, 'YYYY-MM-DD"T"HH24:MI:SS.FF6')`,
+};
+
+// SQL of the change time to select AS change_ts (see changeQuery())
+const changeText = changed => (CHANGE_TEXT[db.mode] ?? CHANGE_TEXT.postgresql)(changed);
+
+// Feed positions are { changed, id }: after the record with that change time
+// and sequence number, or — with a null id — from `changed` on, inclusive.
+// `changed` is a Date, or the text changeText() reads (kept as it is).
+function encodeWatermark({ changed, id }) {
+  const time = changed instanceof Date ? changed.toISOString() : String(changed);
+  return Buffer.from(JSON.stringify([time, id])).toString('base64url');
+}
+
+function decodeWatermark(token) {
+  let changed, id;
+  try {
+    [changed, id] = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw changeError('Malformed watermark');
+  }
+  const date = new Date(changed);
+  const validId = id === null || typeof id === 'number' || typeof id === 'string';
+  if (typeof changed !== 'string' || Number.isNaN(date.getTime()) || !validId) throw changeError('Malformed watermark');
+  // Times with a zone are Dates: demo data, or watermarks issued before they
+  // kept the database's text
+  return { changed: /(Z|[+-]\d\d:?\d\d)$/i.test(changed) ? date : changed, id };
+}
+
+// The position a request's feed starts from, or null for the start of the feed
+function feedStart(query) {
+  if (query.since !== undefined && query.watermark !== undefined) {
+    throw changeError('Pass since or watermark, not both');
+  }
+  if (query.watermark !== undefined) return decodeWatermark(query.watermark);
+  if (query.since !== undefined) {
+    const since = new Date(String(query.since));
+    if (Number.isNaN(since.getTime())) throw changeError(`since takes a date-time, not "${query.since}"`);
+    return { changed: since, id: null };
+  }
+  return null;
+}
+
+// Records per page: default 100, at most 500 (child rows are read per page)
+const pageSizeOf = query => Math.min(500, Math.max(1, parseInt(query.pageSize) || 100));
+
+// Database: one page (plus one row, to tell whether more follow) of the rows
+// of `select` (SELECT ... FROM ... WHERE, with `params` and the next free
+// placeholder number `paramIdx`) changed from `start` on. `changed` and `id`
+// are the SQL expressions of the change time and sequence number; select
+// changeText(changed) AS change_ts so changePage() can read it back.
+function changeQuery({ select, changed, id, params, paramIdx, start, pageSize }) {
+  const conditions = [`${changed} IS NOT NULL`];
+  const startParams = [];
+  if (start && start.id == null) {
+    conditions.push(`${changed} >= $${paramIdx}`);
+    startParams.push(start.changed);
+  } else if (start) {
+    const time = typeof start.changed === 'string' && TEXT_CHANGE[db.mode]
+      ? TEXT_CHANGE[db.mode](`$${paramIdx}`) : `$${paramIdx}`;
+    // The same placeholder twice: every dialect binds placeholders by name
+    conditions.push(`(${changed} > ${time} OR (${changed} = ${time} AND ${id} > $${paramIdx + 1}))`);
+    startParams.push(start.changed, start.id);
+  }
+  const limitIdx = paramIdx + startParams.length;
+  return {
+    text: `${select} AND ${conditions.join(' AND ')}
+     ORDER BY ${changed} ASC, ${id} ASC
+     LIMIT $${limitIdx} OFFSET $${limitIdx + 1}`,
+    params: [...params, ...startParams, pageSize + 1, 0],
+  };
+}
+
+// The page of `items` (read one past pageSize) and the watermark after it;
+// `keyOf` gives an item's { changed, id }
+function changePage(items, { start, pageSize, keyOf }) {
+  const page = items.slice(0, pageSize);
+  const last = page.length ? keyOf(page[page.length - 1]) : start;
+  return {
+    items: page,
+    hasMore: items.length > pageSize,
+    nextWatermark: last ? encodeWatermark(last) : null,
+  };
+}
+
+// Demo mode: the feed page of `records` from `start` on, ordered as
+// changeQuery() orders rows; `keyOf` gives a record's { changed, id }
+function demoChanges(records, { start, pageSize, keyOf }) {
+  const keyed = records.map(record => ({ record, key: keyOf(record) }))
+    .filter(({ key }) => key.changed != null)
+    .map(({ record, key }) => ({ record, changed: new Date(key.changed).getTime(), id: key.id }));
+  const from = start && new Date(start.changed).getTime();
+  const after = r => !start
+    || (start.id == null ? r.changed >= from : r.changed > from || (r.changed === from && r.id > start.id));
+  const sorted = keyed.filter(after)
+    .sort((a, b) => a.changed - b.changed || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return changePage(sorted.slice(0, pageSize + 1).map(r => r.record), { start, pageSize, keyOf });
+}
+
+// The response's changeSummary
+function changeSummary({ pageSize, hasMore, nextWatermark }) {
+  return { pageSize, hasMore, nextWatermark };
+}
+
+module.exports = { feedStart, pageSizeOf, changeText, changeQuery, changePage, demoChanges, changeSummary };
@@ -0,0 +1,145 @@
+// Keyset (cursor) pagination — an opt-in alternative to pageNumber for the
+// water system and facility lists.
+//
+// pageNumber/pageSize page with LIMIT/OFFSET (ROWNUM wrapping on Oracle): a
+// deep page reads every row before it, and rows added or removed while a
+// client pages shift the rest between pages. A cursor instead continues after
+// the last row returned:
+//   ?cursor=                first page (an empty cursor opts in)
+//   ?cursor=<nextCursor>    the page after, from resultSummary.nextCursor
+// nextCursor is null on the last page. The token is opaque to clients; a
+// malformed one, or one issued for a different sortColumns/sortOrders,
+// responds 400.
+//
+// The keys are the list's sort columns followed by the table's sequence
+// number (tinwsys_is_number, tinwsf_is_number), so every row has one position.
+// Nulls sort after values ascending and before them descending — on every
+// dialect (SQL Server's default is the opposite) and in demo mode.
+
+function cursorError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// True when the request pages by cursor
+const usesCursor = query => query.cursor !== undefined;
+
+// Keys are { name, column, dir }: name is the API field the cursor records,
+// column the SQL expression (alias.column) and dir ASC or DESC
+const signature = keys => keys.map(k => `${k.name} ${k.dir}`).join(',');
+
+// Dates survive the round trip as Dates, so drivers bind them as timestamps
+function encodeCursor(keys, values) {
+  const encoded = values.map(v => (v instanceof Date ? { $date: v.toISOString() } : v));
+  return Buffer.from(JSON.stringify([signature(keys), encoded])).toString('base64url');
+}
+
+// The key values a cursor continues after; null for the first page
+function decodeCursor(keys, token) {
+  if (!token) return null;
+  let sort, values;
+  try {
+    [sort, values] = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw cursorError('Malformed cursor');
+  }
+  if (!Array.isArray(values) || values.length !== keys.length) throw cursorError('Malformed cursor');
+  if (sort !== signature(keys)) throw cursorError('Cursor was issued for a different sort order');
+  return values.map(v => (v && typeof v === 'object' && '$date' in v ? new Date(v.$date) : v));
+}
+
+// ORDER BY placing nulls the same way on every dialect
+function keysetOrderBy(keys) {
+  return keys.map(k => `CASE WHEN ${k.column} IS NULL THEN 1 ELSE 0 END ${k.dir}, ${k.column} ${k.dir}`).join(', ');
+}
+
+// SQL condition selecting the rows after `values`, with one placeholder per
+// non-null value numbered from `paramIdx`
+function keysetCondition(keys, values, paramIdx) {
+  const params = [];
+  const terms = keys.map((k, i) => {
+    const v = values[i];
+    if (v == null) {
+      return { after: k.dir === 'DESC' ? `${k.column} IS NOT NULL` : null, equal: `${k.column} IS NULL` };
+    }
+    const p = `$${paramIdx + params.length}`;
+    params.push(v);
+    return {
+      after: k.dir === 'DESC' ? `${k.column} < ${p}` : `(${k.column} > ${p} OR ${k.column} IS NULL)`,
+      equal: `${k.column} = ${p}`,
+    };
+  });
+
+  const branches = terms
+    .map((t, i) => t.after && [...terms.slice(0, i).map(e => e.equal), t.after].join(' AND '))
+    .filter(Boolean);
+  return { condition: branches.length ? `(${branches.map(b => `(${b})`).join(' OR ')})` : '1 = 0', params };
+}
+
+// Database: one page (plus one row, to tell whether another follows) of the
+// list's `select` (SELECT ... FROM ... WHERE, with `params` and the next free
+// placeholder number `paramIdx`) after the cursor. The LIMIT/OFFSET goes
+// through db.js's dialect translation like the page-based query's.
+function keysetQuery(keys, cursor, { select, params, paramIdx, pageSize }) {
+  const after = decodeCursor(keys, cursor);
+  const keyset = after ? keysetCondition(keys, after, paramIdx) : { condition: null, params: [] };
+  const limitIdx = paramIdx + keyset.params.length;
+  return {
+    text: `${select}${keyset.condition ? ` AND ${keyset.condition}` : ''}
+     ORDER BY ${keysetOrderBy(keys)}
+     LIMIT $${limitIdx} OFFSET $${limitIdx + 1}`,
+    params: [...params, ...keyset.params, pageSize + 1, 0],
+  };
+}
+
+// Database: the page of rows a keysetQuery() read, and the cursor after it.
+// Key values are read from the row's columns (alias.column → column).
+function keysetPage(keys, rows, pageSize) {
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+  return {
+    rows: page,
+    nextCursor: rows.length > pageSize
+      ? encodeCursor(keys, keys.map(k => last[k.column.slice(k.column.indexOf('.') + 1)]))
+      : null,
+  };
+}
+
+// Demo mode: orders two key value lists as keysetOrderBy does
+function compareKeys(keys, a, b) {
+  for (let i = 0; i < keys.length; i++) {
+    const dir = keys[i].dir === 'DESC' ? -1 : 1;
+    if (a[i] == null && b[i] == null) continue;
+    if (a[i] == null) return dir;
+    if (b[i] == null) return -dir;
+    if (a[i] < b[i]) return -dir;
+    if (a[i] > b[i]) return dir;
+  }
+  return 0;
+}
+
+// Demo mode: one page of `records` after the cursor; `valuesOf` gives a
+// record's key values
+function demoPage(records, keys, valuesOf, { cursor, pageSize }) {
+  const after = decodeCursor(keys, cursor);
+  const keyed = records.map(record => ({ record, values: valuesOf(record) }))
+    .sort((a, b) => compareKeys(keys, a.values, b.values))
+    .filter(r => !after || compareKeys(keys, r.values, after) > 0);
+  const page = keyed.slice(0, pageSize);
+  return {
+    items: page.map(r => r.record),
+    nextCursor: keyed.length > pageSize ? encodeCursor(keys, page[page.length - 1].values) : null,
+  };
+}
+
+// The envelope's resultSummary; nextCursor only when paging by cursor
+function resultSummary({ totalCount, pageNumber, pageSize, nextCursor }) {
+  return {
+    totalCount,
+    pageNumber,
+    pageSize,
+    totalPages: Math.ceil(totalCount / pageSize),
+    ...(nextCursor !== undefined && { nextCursor }),
+  };
+}
+
+module.exports = { usesCursor, keysetQuery, keysetPage, demoPage, resultSummary };
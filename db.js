@@ -3,6 +3,11 @@
 // Routes write PostgreSQL-style SQL ($1 params, ILIKE, LIMIT/OFFSET).
 // This module translates to the target dialect automatically.
 //
+//   query(text, params)   → Promise of all rows
+//   stream(text, params)  → async iterable of rows, read from a database cursor
+//                           a batch at a time (for exports too large to buffer);
+//                           ending the iteration early closes the cursor
+//
 // Mode selection (first match wins):
 //   DEMO_MODE=true         → demo (bundled JSON, no database)
 //   MSSQL_SERVER is set    → mssql (SQL Server — most SDWIS/STATE installations)
@@ -18,7 +23,10 @@ const FORCE_DEMO = process.env.DEMO_MODE === 'true';
 const USE_MSSQL = !FORCE_DEMO && !!process.env.MSSQL_SERVER;
 const USE_ORACLE = !FORCE_DEMO && !USE_MSSQL && !!process.env.ORACLE_USER;
 
-let mode, query, pool;
+let mode, query, stream, pool;
+
+// Rows fetched per round trip (or buffered before pausing) by stream()
+const STREAM_BATCH_SIZE = 500;
 
 // ---------------------------------------------------------------------------
 // Helper: translate PostgreSQL SQL to target dialect
@@ -106,6 +114,7 @@ function lowercaseKeys(rows) {
 if (FORCE_DEMO) {
   mode = 'demo';
   query = async () => [];
+  stream = async function* () {};
   pool = null;
 
 // ---------------------------------------------------------------------------
@@ -155,6 +164,53 @@ if (FORCE_DEMO) {
     return lowercaseKeys(result.recordset || []);
   };
 
+  // Streaming request: rows arrive as events; the request is paused whenever a
+  // batch is waiting to be consumed
+  stream = async function* (text, params) {
+    await poolReady;
+    if (mode === 'demo') return;
+
+    const { sql: mssqlText, filteredParams } = translateToMssql(text, params ? [...params] : []);
+
+    const request = pool.request();
+    request.stream = true;
+    if (filteredParams) {
+      filteredParams.forEach((val, i) => {
+        request.input(`p${i + 1}`, val);
+      });
+    }
+
+    let rows = [], done = false, error = null, wake = null;
+    const notify = () => { if (wake) wake(); wake = null; };
+    request.on('row', row => {
+      rows.push(row);
+      if (rows.length >= STREAM_BATCH_SIZE) request.pause();
+      notify();
+    });
+    request.on('error', err => { error = err; notify(); });
+    request.on('done', () => { done = true; notify(); });
+    request.query(mssqlText);
+
+    try {
+      for (;;) {
+        if (rows.length) {
+          const batch = rows;
+          rows = [];
+          request.resume();
+          yield* lowercaseKeys(batch);
+        } else if (error) {
+          throw error;
+        } else if (done) {
+          return;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      if (!done && !error) request.cancel();
+    }
+  };
+
 // ---------------------------------------------------------------------------
 // Oracle mode
 // ---------------------------------------------------------------------------
@@ -206,6 +262,23 @@ if (FORCE_DEMO) {
     }
   };
 
+  stream = async function* (text, params) {
+    await poolReady;
+    if (mode === 'demo') return;
+
+    const { sql: oraText, binds } = translateToOracle(text, params ? [...params] : []);
+
+    const conn = await pool.getConnection();
+    try {
+      // Leaving the loop early destroys the query stream before the connection closes
+      for await (const row of conn.queryStream(oraText, binds, { fetchArraySize: STREAM_BATCH_SIZE })) {
+        yield lowercaseKeys([row])[0];
+      }
+    } finally {
+      await conn.close();
+    }
+  };
+
 // ---------------------------------------------------------------------------
 // PostgreSQL mode (local dev)
 // ---------------------------------------------------------------------------
@@ -228,10 +301,32 @@ if (FORCE_DEMO) {
     return result.rows;
   };
 
+  // Server-side cursor on a dedicated client; cursors live in a transaction
+  stream = async function* (text, params) {
+    if (mode === 'demo') return;
+
+    const client = await pool.connect();
+    let finished = false;
+    try {
+      await client.query('BEGIN');
+      await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${text}`, params);
+      let rows;
+      do {
+        ({ rows } = await client.query(`FETCH ${STREAM_BATCH_SIZE} FROM export_cursor`));
+        yield* rows;
+      } while (rows.length === STREAM_BATCH_SIZE);
+      await client.query('COMMIT');
+      finished = true;
+    } finally {
+      if (!finished) await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  };
+
   pool.query('SELECT 1').catch(() => {
     console.warn('PostgreSQL unreachable — switching to demo mode');
     mode = 'demo';
   });
 }
 
-module.exports = { get mode() { return mode; }, query, pool };
+module.exports = { get mode() { return mode; }, query, stream, pool };
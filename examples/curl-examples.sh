@@ -7,6 +7,17 @@ API=http://localhost:3000
 # --- Health check ---
 curl -s $API/health | python3 -m json.tool
 
+# --- Authentication ---
+# With AUTH_* set (see README), /inventory requests need a bearer token or an API key:
+#   curl -s -H "Authorization: Bearer $TOKEN" "$API/inventory/water-system?pageSize=5"
+#   curl -s -H "X-API-Key: $API_KEY" "$API/inventory/water-system?pageSize=5"
+# The examples below assume authentication is off (e.g. demo mode).
+
+# --- Primacy agency ---
+# With SDWIS_ST_CODES listing several agencies, pick one per request (default: SDWIS_ST_CODE)
+curl -s "$API/inventory/water-system?primacyAgencyId=MS&pageSize=5" | python3 -m json.tool
+curl -s -H "X-PRIMACY-AGENCY-ID: MS" "$API/inventory/ws-status" | python3 -m json.tool
+
 # --- Water Systems ---
 
 # List first 5 water systems
@@ -24,12 +35,78 @@ curl -s "$API/inventory/water-system?fedWSSourceCode=GW&pageSize=5" | python3 -m
 # Filter by population range
 curl -s "$API/inventory/water-system?fedPopulationFrom=1000&fedPopulationTo=10000&pageSize=5" | python3 -m json.tool
 
+# Filter by operator (-g keeps curl from reading [] as a glob): active or inactive systems updated in January, and systems without a local name
+curl -sg "$API/inventory/water-system?wsStatusCode[in]=A,I&updateDt[gte]=2026-01-01&updateDt[lt]=2026-02-01&pageSize=5" | python3 -m json.tool
+curl -sg "$API/inventory/water-system?localName[isnull]=true&pageSize=5" | python3 -m json.tool
+
+# Systems serving one county (FIPS code)
+curl -s "$API/inventory/water-system?geographicAreaCode=28049&pageSize=5" | python3 -m json.tool
+
 # Sort by population descending
 curl -s "$API/inventory/water-system?sortColumns=fedPopulation&sortOrders=DESC&pageSize=5" | python3 -m json.tool
 
+# Page by cursor: start with an empty cursor, then pass each response's resultSummary.nextCursor
+curl -s "$API/inventory/water-system?cursor=&pageSize=100" | python3 -m json.tool
+NEXT=$(curl -s "$API/inventory/water-system?cursor=&pageSize=100" | python3 -c 'import json,sys; print(json.load(sys.stdin)["resultSummary"]["nextCursor"] or "")')
+curl -s "$API/inventory/water-system?cursor=$NEXT&pageSize=100" | python3 -m json.tool
+
 # Get a single water system by PWSID
 curl -s "$API/inventory/water-system/MS0010001" | python3 -m json.tool
 
+# Export every active water system (no paging): NDJSON, or CSV to a file
+curl -s "$API/inventory/water-system/export?wsStatusCode=A" | head -3
+curl -s -o water-systems.csv "$API/inventory/water-system/export?format=csv"
+
+# Water systems changed since a date, then the next sync from the stored watermark
+curl -s "$API/inventory/water-system/changes?since=2026-01-01T00:00:00Z" | python3 -m json.tool
+WATERMARK=$(curl -s "$API/inventory/water-system/changes?since=2026-01-01T00:00:00Z" | python3 -c 'import json,sys; print(json.load(sys.stdin)["changeSummary"]["nextWatermark"] or "")')
+curl -s "$API/inventory/water-system/changes?watermark=$WATERMARK" | python3 -m json.tool
+
+# A water system's annual operating periods, and the transient population served in one
+curl -s "$API/inventory/water-system/MS0010001/aop" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/aop/8101/population-served?popTypeCode=T" | python3 -m json.tool
+
+# Metered connection counts, and the system's primary service area
+curl -s "$API/inventory/water-system/MS0010001/service-connection?wsMeterTypeCode=M" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/service-area?primaryIndicator=Y" | python3 -m json.tool
+
+# Lead service lines (LCRR): current counts by lead status, and the lead and galvanized lines
+curl -s "$API/inventory/water-system/MS0010001/service-line?wsServiceLineDataTypeCode=INV" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/service-line?leadStatus=L" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/service-line?leadStatus=GRR" | python3 -m json.tool
+
+# Counties a water system serves
+curl -s "$API/inventory/water-system/MS0010001/geographic-area?areaTypeCode=CN" | python3 -m json.tool
+
+# Who a system sells water to, limited to active buyers
+curl -s "$API/inventory/water-system/MS0010001/purchase-wholesale?buyerWSActStatusCode=A" | python3 -m json.tool
+
+# Operators of a water system, and the agencies regulating it
+curl -s "$API/inventory/water-system/MS0010001/related-points-of-contact?wsLEPOCTypeCode=OP" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/related-regulating-agency" | python3 -m json.tool
+
+# Water system measures (average daily demand), indicators and flow rates
+curl -s "$API/inventory/water-system/MS0010001/measure?measureCode=ADD" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/indicator" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/flow-rate" | python3 -m json.tool
+
+# Operator certification grades a water system requires
+curl -s "$API/inventory/water-system/MS0010001/cert" | python3 -m json.tool
+
+# Federal type implied by the system's season, populations and connections (flags a stored type that disagrees)
+curl -s "$API/inventory/water-system-fed-type-calculated/MS0010001" | python3 -m json.tool
+
+# --- Water System Groups ---
+# Group ids come from your WS_GROUP_FILE; demo mode ships groups 101, 102, 201 and 202.
+
+# All groups, then one static group's members (active only)
+curl -s "$API/inventory/water-system-group" | python3 -m json.tool
+curl -s "$API/inventory/water-system-group/101/static/members?wsStatusCode=A" | python3 -m json.tool
+
+# A dynamic group's criteria, and the systems they select today
+curl -s "$API/inventory/water-system-group/201/dynamic" | python3 -m json.tool
+curl -s "$API/inventory/water-system-group/201/dynamic/members" | python3 -m json.tool
+
 # --- Facilities ---
 
 # List first 5 facilities
@@ -47,13 +124,106 @@ curl -s "$API/inventory/water-system/facility?facilityTypeCode=TP&pageSize=5" |
 # Filter by water type (surface water facilities)
 curl -s "$API/inventory/water-system/facility?facilityWaterTypeCode=SW&pageSize=5" | python3 -m json.tool
 
+# Everything but wells and intakes
+curl -sg "$API/inventory/water-system/facility?facilityTypeCode[nin]=WL,IN&pageSize=5" | python3 -m json.tool
+
 # Sources only
 curl -s "$API/inventory/water-system/facility?srcInd=Y&pageSize=5" | python3 -m json.tool
 
 # Get a single facility by ID
 curl -s "$API/inventory/water-system/facility/37556" | python3 -m json.tool
 
+# Export all facilities of one water system as CSV
+curl -s -H "Accept: text/csv" "$API/inventory/water-system/facility/export?waterSystemId=MS0010001"
+
+# Facilities changed since a date
+curl -s "$API/inventory/water-system/facility/changes?since=2026-01-01T00:00:00Z&pageSize=500" | python3 -m json.tool
+
+# Same facility at the DW-SFTIES spec path (checks it belongs to the system)
+curl -s "$API/inventory/water-system/MS0010001/facility/37556" | python3 -m json.tool
+
+# All facilities of one water system (search records with code names)
+curl -s "$API/inventory/water-system/MS0010001/facility" | python3 -m json.tool
+
+# Well screens and casings, and treatment plant details
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/well-screen" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/well-casing" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/treatment-plant" | python3 -m json.tool
+
+# Points of contact of a facility
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/related-points-of-contact" | python3 -m json.tool
+
+# Facility measures (e.g. storage capacity), indicators, flow rates and pumps
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/facility-measure" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/indicator" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/flow-rate" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/pump" | python3 -m json.tool
+
+# Operator certification grades a treatment plant requires
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/cert" | python3 -m json.tool
+
+# Where a well's water goes, and everything upstream and downstream of it
+curl -s "$API/inventory/supplying-facility/37556/flow" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37556/flow-graph" | python3 -m json.tool
+
+# Sources feeding a treatment plant, including disconnected flows
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/flow-graph?direction=upstream&includeDisconnected=true" | python3 -m json.tool
+
+# Sampling points of a facility (active entry points only), and one point's indicators
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/facility-sampling-point?samplePointTypeCode=EP&samplePointStatusCode=A" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/sample-point/7101/sampling-point-indicator" | python3 -m json.tool
+
+# Treatment units of a plant, one unit's treatments, and their analytes
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/treatment-unit" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/treatment-unit/6101/treatment" | python3 -m json.tool
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/treatment-unit/6101/treatment/6201/tmnt-analyte" | python3 -m json.tool
+
+# A unit's design flow rates
+curl -s "$API/inventory/water-system/MS0010001/facility/37560/treatment-unit/6101/flow-rate" | python3 -m json.tool
+
+# A plant's process train (unit-to-unit flows)
+curl -s "$API/inventory/treatment-unit/flow?facilityId=37560" | python3 -m json.tool
+
 # --- Combining filters ---
 
 # Active ground water wells sorted by name
 curl -s "$API/inventory/water-system/facility?facilityTypeCode=WL&facilityWaterTypeCode=GW&facilityStatusCode=A&sortColumns=name&sortOrders=ASC&pageSize=10" | python3 -m json.tool
+
+# --- Map filters ---
+
+# Facilities inside a map viewport (bounding box)
+curl -s "$API/inventory/water-system/facility?latitudeFrom=32.0&latitudeTo=32.5&longitudeFrom=-90.5&longitudeTo=-90.0" | python3 -m json.tool
+
+# Facilities within 5 miles of a point
+curl -s "$API/inventory/water-system/facility?nearLatitude=32.30&nearLongitude=-90.18&radiusMiles=5" | python3 -m json.tool
+
+# --- Response cache ---
+
+# Revalidate a cached copy: 304 Not Modified while its ETag is current
+ETAG=$(curl -sI "$API/inventory/water-system?pageSize=10" | tr -d '\r' | sed -n 's/^[Ee][Tt]ag: //p')
+curl -s -o /dev/null -w "%{http_code}\n" -H "If-None-Match: $ETAG" "$API/inventory/water-system?pageSize=10"
+
+# Cache statistics, and a purge after a bulk load
+curl -s "$API/inventory/cache" | python3 -m json.tool
+curl -s -X DELETE "$API/inventory/cache" | python3 -m json.tool
+
+# --- Webhooks ---
+
+# Subscribe to changes of wells (keep the secret from the response)
+curl -s -X POST "$API/inventory/webhook" -H "Content-Type: application/json" \
+  -d '{"url": "https://gis.example.gov/hooks/sdwis", "entity": "facility", "filter": {"facilityTypeCode": "WL"}}' | python3 -m json.tool
+
+# List subscriptions with their delivery status, then delete one
+curl -s "$API/inventory/webhook" | python3 -m json.tool
+curl -s -X DELETE "$API/inventory/webhook/<webhookId>"
+
+# A receiver checks X-Webhook-Signature against the raw body:
+#   printf '%s.%s' "$TIMESTAMP" "$BODY" | openssl dgst -sha256 -hmac "$SECRET"
+
+# --- Reference codes ---
+
+# Facility type dropdown (WL=Well, TP=Treatment Plant, ...)
+curl -s "$API/inventory/ref-fac-type" | python3 -m json.tool
+
+# Water system status codes
+curl -s "$API/inventory/ws-status" | python3 -m json.tool
@@ -0,0 +1,119 @@
+// Bulk export — streams a list route's whole result as NDJSON or CSV.
+//
+// The list routes page at most 100 records and count them on every call, so a
+// full extract takes many calls whose totals can drift in between. The export
+// routes take the same filters, read the rows from a database cursor
+// (db.stream) and write each record as it arrives:
+//   ?format=ndjson   one JSON object per line (default)
+//   ?format=csv      RFC 4180, with a header row (also chosen by Accept: text/csv)
+//
+// Records are flattened to one level: nested objects become dot-separated
+// columns (ownerType.wsOwnerTypeCode) and child collections are left out —
+// they have their own endpoints. Each route declares its columns, so every
+// record carries the same ones, in the same order, null when absent.
+//
+// An error before the first record responds as the list routes do (400 for
+// a bad filter, else 500); one after it aborts the response, so a truncated
+// file never looks complete.
+
+const FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+};
+
+// Groups of up to `size` items from a (possibly async) iterable
+async function* batches(items, size) {
+  let batch = [];
+  for await (const item of items) {
+    batch.push(item);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+// The record's value at a dot-separated column path, or null
+function valueAt(record, column) {
+  const value = column.split('.').reduce((obj, key) => obj?.[key], record);
+  return value === undefined ? null : value;
+}
+
+function csvField(value) {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = values => `${values.map(csvField).join(',')}\r\n`;
+
+function writers(format, columns) {
+  if (format === 'csv') {
+    return {
+      header: csvLine(columns),
+      record: record => csvLine(columns.map(c => valueAt(record, c))),
+    };
+  }
+  return {
+    header: '',
+    record: record => `${JSON.stringify(Object.fromEntries(columns.map(c => [c, valueAt(record, c)])))}\n`,
+  };
+}
+
+// Resolves once the response can take more data (or has been closed)
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Send `records` (an async iterable of DTOs) in the format the request asks
+// for; `name` is the download's file name without extension
+async function sendExport(req, res, { name, columns, records, label }) {
+  const preferred = req.accepts(['application/x-ndjson', 'text/csv']) === 'text/csv' ? 'csv' : 'ndjson';
+  const format = String(req.query.format || preferred).toLowerCase();
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: { message: `Unknown export format ${format}; expected ndjson or csv` } });
+  }
+
+  const iterator = records[Symbol.asyncIterator]();
+  let next;
+  try {
+    next = await iterator.next();
+  } catch (err) {
+    // e.g. a filter the list would refuse with 400
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error(`Error exporting ${label}:`, err);
+    return res.status(500).json({ error: { message: err.message } });
+  }
+
+  const { contentType, extension } = FORMATS[format];
+  const write = writers(format, columns);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+  res.status(200);
+  if (write.header) res.write(write.header);
+
+  try {
+    for (; !next.done; next = await iterator.next()) {
+      if (res.destroyed) break;
+      if (!res.write(write.record(next.value))) await drained(res);
+    }
+    res.end();
+  } catch (err) {
+    console.error(`Error exporting ${label}:`, err);
+    res.destroy(err);
+  } finally {
+    // Closes the database cursor when the client went away mid-export
+    if (!next?.done) await iterator.return?.();
+  }
+}
+
+module.exports = { sendExport, batches };
@@ -0,0 +1,403 @@
+// Field registries — one declarative SS ↔ SF mapping per list DTO.
+//
+// A list route needs to know each of its fields several times over: how the
+// SS column maps onto the DTO (mapRow), which query params filter on it in
+// SQL and in demo mode, whether sortColumns accepts it, and how the Swagger
+// docs describe all of that. fieldRegistry() takes the list once and derives
+// each of those from it, so they cannot drift apart.
+//
+// Each field is { field, column, sql, type, name, map, sort, filter, doc, upper }:
+//   field   SF property; parent.child nests the value one level
+//           (a code type nests it as { child } or null)
+//   column  SS column the row carries, or null for SF-only fields (null)
+//   sql     SQL expression filters and sorts use (default: <alias>.<column>)
+//   type    string | trim | code | integer | number | date — coerces the
+//           column and types the query param (default: string)
+//   name    query param and sortColumns name (default: the last path segment)
+//   map     row → value instead of a column, e.g. a nested DTO
+//   sort    true when sortColumns accepts the field
+//   filter  exact | startsWith | contains | range; range filters <name>From
+//           and <name>To (inclusive). startsWith and contains ignore case.
+//   doc     Swagger description of the filter; for range the quantity
+//           ("population" → "Minimum population (inclusive)")
+//   upper   exact: compare upper-cased (e.g. Y/N indicators)
+//
+// Besides those fixed filters, every field with an SS column filters by
+// operator, as <name>[<op>]=<value>:
+//   eq, ne           equal / not equal
+//   in, nin          in / not in a comma-separated list
+//   gt, gte, lt, lte compare (number and date fields), e.g. a date window
+//                    updateDt[gte]=2026-01-01&updateDt[lt]=2026-02-01
+//   isnull           true: no value; false: any value
+// ne and nin match records without a value too. An operator filter given
+// more than once must hold every time (updateDt[gte]=…&updateDt[gte]=…). An
+// unknown field or operator, or a value of the wrong type, responds 400, and
+// so does a fixed filter given more than once. sortColumns and sortOrders
+// may be repeated instead of comma-separated (sortColumns=name&sortColumns=…).
+//
+// List operations in the @openapi docs carry x-list-fields: <DTO>; server.js
+// passes the spec through documentFields() to add the filter and sort params.
+
+// Registries by DTO name, for documentFields()
+const REGISTRIES = new Map();
+
+const num = v => (v != null ? Number(v) : null);
+
+// SS value → SF value, by field type
+const COERCE = {
+  string: v => v ?? null,
+  trim: v => v?.trim() || null,
+  code: v => v?.trim() || null,
+  integer: num,
+  number: num,
+  date: v => v ?? null,
+};
+
+// Swagger schema of a query param, by field type
+const SCHEMAS = {
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  date: { type: 'string', format: 'date-time' },
+};
+
+const TEXT_TYPES = new Set(['string', 'trim', 'code']);
+
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'isnull'];
+const COMPARISONS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function filterError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// The trimmed items of a comma-separated list param, which a client may also
+// repeat (?sortColumns=a&sortColumns=b arrives as an array); [] when absent
+function listParam(value) {
+  return [].concat(value ?? []).flatMap(v => String(v).split(',')).map(v => v.trim());
+}
+
+// The DTO's value at a field path
+const valueOf = (record, path) => path.split('.').reduce((obj, key) => obj?.[key], record);
+
+// Query params of one field's filter: [{ param, op, doc }], op is one of
+// = LIKE% %LIKE% >= <=
+function filterParams(f) {
+  switch (f.filter) {
+    case 'exact': return [{ param: f.name, op: '=', doc: f.doc }];
+    case 'startsWith': return [{ param: f.name, op: 'LIKE%', doc: f.doc }];
+    case 'contains': return [{ param: f.name, op: '%LIKE%', doc: f.doc }];
+    case 'range': return [
+      { param: `${f.name}From`, op: '>=', doc: `Minimum ${f.doc} (inclusive)` },
+      { param: `${f.name}To`, op: '<=', doc: `Maximum ${f.doc} (inclusive)` },
+    ];
+    default: throw new Error(`Unknown filter ${f.filter} on ${f.field}`);
+  }
+}
+
+// Registry of a DTO's fields (see above). `alias` is the SQL alias of the
+// table the columns belong to; `defaultSort` the sortColumns name the list
+// orders by when none is given.
+function fieldRegistry({ dto, alias, defaultSort, fields }) {
+  const defs = fields.map(spec => {
+    const f = { type: 'string', ...spec };
+    f.name = f.name || f.field.split('.').pop();
+    if (f.sql === undefined) f.sql = f.column ? `${alias}.${f.column}` : null;
+    if (!COERCE[f.type]) throw new Error(`Unknown type ${f.type} on ${dto}.${f.field}`);
+    if ((f.sort || f.filter) && !f.sql) throw new Error(`${dto}.${f.field} has no SS column to filter or sort on`);
+    return f;
+  });
+
+  const filters = defs.filter(f => f.filter)
+    .flatMap(f => filterParams(f).map(p => ({ ...p, field: f })));
+  // Fields taking operator filters, by name
+  const operable = new Map();
+  for (const f of defs.filter(d => d.sql)) {
+    if (operable.has(f.name)) throw new Error(`${dto} has two fields named ${f.name}`);
+    operable.set(f.name, f);
+  }
+  const sortable = new Map(defs.filter(f => f.sort).map(f => [f.name, f]));
+  if (!sortable.has(defaultSort)) throw new Error(`${dto} cannot sort by ${defaultSort}`);
+
+  // Column mapping: SS row → SF DTO, in field order
+  function mapRow(row) {
+    const record = {};
+    for (const f of defs) {
+      const value = f.map ? f.map(row) : f.column ? COERCE[f.type](row[f.column]) : null;
+      const [parent, child] = f.field.split('.');
+      if (!child) {
+        record[parent] = value;
+      } else if (f.type === 'code') {
+        record[parent] = value == null ? null : { ...record[parent], [child]: value };
+      } else {
+        record[parent] = { ...record[parent], [child]: value };
+      }
+    }
+    return record;
+  }
+
+  // The query's value of a fixed filter param, as its field's type
+  function queryValue({ field, op, param }, raw) {
+    if (Array.isArray(raw)) throw filterError(`${param} may be given only once`);
+    if (!TEXT_TYPES.has(field.type)) {
+      const value = Number(raw);
+      if (String(raw).trim() === '' || Number.isNaN(value)) throw filterError(`${param} takes a number, not "${raw}"`);
+      return value;
+    }
+    const value = String(raw);
+    return op === 'LIKE%' || field.upper ? value.toUpperCase() : value;
+  }
+
+  // An operator filter's value, as its field's type
+  function operand(field, text) {
+    if (field.type === 'integer' || field.type === 'number') {
+      const value = Number(text);
+      if (text.trim() === '' || Number.isNaN(value)) throw filterError(`${field.name} takes a number, not "${text}"`);
+      return value;
+    }
+    if (field.type === 'date') {
+      const value = new Date(text);
+      if (Number.isNaN(value.getTime())) throw filterError(`${field.name} takes a date, not "${text}"`);
+      return value;
+    }
+    return field.upper ? text.toUpperCase() : text;
+  }
+
+  // The query's operator filters: [{ field, op, values }]; isnull's value is
+  // a boolean, in/nin's a list
+  function operatorFilters(query) {
+    const found = [];
+    for (const [key, raw] of Object.entries(query)) {
+      const match = /^(\w+)\[(\w*)\]$/.exec(key);
+      if (!match) continue;
+      const [, name, op] = match;
+      const field = operable.get(name);
+      if (!field) throw filterError(`Unknown filter field ${name}`);
+      if (!OPERATORS.includes(op)) {
+        throw filterError(`Unknown filter operator ${op} on ${name}; expected one of ${OPERATORS.join(', ')}`);
+      }
+      if (COMPARISONS[op] && TEXT_TYPES.has(field.type)) {
+        throw filterError(`${name}[${op}] needs a number or date field`);
+      }
+      for (const text of [].concat(raw).map(String)) {
+        let values;
+        if (op === 'isnull') {
+          if (text !== 'true' && text !== 'false') throw filterError(`${name}[isnull] takes true or false`);
+          values = [text === 'true'];
+        } else if (op === 'in' || op === 'nin') {
+          values = text.split(',').map(v => v.trim()).filter(Boolean).map(v => operand(field, v));
+          if (!values.length) throw filterError(`${name}[${op}] takes a comma-separated list`);
+        } else {
+          values = [operand(field, text)];
+        }
+        found.push({ field, op, values });
+      }
+    }
+    return found;
+  }
+
+  // Database: one operator filter's condition, with placeholders from `paramIdx`
+  function operatorCondition({ field, op, values }, paramIdx) {
+    const text = TEXT_TYPES.has(field.type);
+    let column = field.type === 'trim' || field.type === 'code' ? `TRIM(${field.sql})` : field.sql;
+    // Blank text counts as no value, as it does in demo mode (CHAR codes are
+    // blank rather than null when unset; Oracle reads '' as null anyway)
+    const isNull = text ? `NULLIF(${column}, '') IS NULL` : `${column} IS NULL`;
+    if (op === 'isnull') return { condition: values[0] ? isNull : `NOT (${isNull})`, params: [] };
+
+    if (text && field.upper) column = `UPPER(${column})`;
+    const placeholders = values.map((_, i) => `$${paramIdx + i}`);
+    const condition = {
+      eq: `${column} = ${placeholders[0]}`,
+      ne: `(${column} <> ${placeholders[0]} OR ${isNull})`,
+      in: `${column} IN (${placeholders.join(', ')})`,
+      nin: `(${column} NOT IN (${placeholders.join(', ')}) OR ${isNull})`,
+    }[op] || `${column} ${COMPARISONS[op]} ${placeholders[0]}`;
+    return { condition, params: values };
+  }
+
+  // Demo: whether a record passes one operator filter, as operatorCondition() would
+  function operatorMatches(record, { field, op, values }) {
+    const key = v => (v instanceof Date ? v.getTime() : v);
+    let v = valueOf(record, field.field);
+    if (v === '') v = null;
+    if (op === 'isnull') return (v == null) === values[0];
+    if (v != null) {
+      if (field.type === 'date') v = new Date(v).getTime();
+      else if (field.upper) v = String(v).toUpperCase();
+    }
+    const wanted = values.map(key);
+    switch (op) {
+      case 'eq': return v != null && v === wanted[0];
+      case 'ne': return v == null || v !== wanted[0];
+      case 'in': return v != null && wanted.includes(v);
+      case 'nin': return v == null || !wanted.includes(v);
+      case 'gt': return v != null && v > wanted[0];
+      case 'gte': return v != null && v >= wanted[0];
+      case 'lt': return v != null && v < wanted[0];
+      default: return v != null && v <= wanted[0];
+    }
+  }
+
+  // Database: the WHERE conditions of the query's filters and their params,
+  // numbered from `paramIdx`; returns the next free placeholder number too
+  function sqlFilters(query, paramIdx) {
+    const conditions = [];
+    const params = [];
+    for (const filter of filters) {
+      if (!query[filter.param]) continue;
+      const { field, op } = filter;
+      const value = queryValue(filter, query[filter.param]);
+      // CHAR codes and identifiers compare without their padding
+      const column = field.type === 'trim' || field.type === 'code' ? `TRIM(${field.sql})` : field.sql;
+      const p = `$${paramIdx++}`;
+      if (op === 'LIKE%') {
+        conditions.push(`UPPER(${column}) LIKE ${p}`);
+        params.push(`${value}%`);
+      } else if (op === '%LIKE%') {
+        conditions.push(`${column} ILIKE ${p}`);
+        params.push(`%${value}%`);
+      } else {
+        conditions.push(`${field.upper ? `UPPER(${column})` : column} ${op} ${p}`);
+        params.push(value);
+      }
+    }
+    for (const filter of operatorFilters(query)) {
+      const compiled = operatorCondition(filter, paramIdx);
+      conditions.push(compiled.condition);
+      params.push(...compiled.params);
+      paramIdx += compiled.params.length;
+    }
+    return { conditions, params, paramIdx };
+  }
+
+  // Demo: whether a record passes one fixed filter
+  function filterMatches(record, { field, op, value }) {
+    const v = valueOf(record, field.field);
+    if (v == null) return false;
+    switch (op) {
+      case 'LIKE%': return String(v).toUpperCase().startsWith(value);
+      case '%LIKE%': return String(v).toLowerCase().includes(value.toLowerCase());
+      case '>=': return v >= value;
+      case '<=': return v <= value;
+      default: return (field.upper ? String(v).toUpperCase() : v) === value;
+    }
+  }
+
+  // Demo: the records matching the query's filters, as sqlFilters() selects rows
+  function filterDemo(records, query) {
+    const active = [
+      ...filters.filter(filter => query[filter.param])
+        .map(filter => ({ ...filter, value: queryValue(filter, query[filter.param]) }))
+        .map(filter => record => filterMatches(record, filter)),
+      ...operatorFilters(query).map(filter => record => operatorMatches(record, filter)),
+    ];
+    return records.filter(record => active.every(matches => matches(record)));
+  }
+
+  // Sort keys { name, column, dir } of sortColumns/sortOrders (default:
+  // defaultSort ascending); unknown names are ignored
+  function sortKeys(query) {
+    const keys = [];
+    if (query.sortColumns) {
+      const cols = listParam(query.sortColumns);
+      const orders = listParam(query.sortOrders);
+      for (let i = 0; i < cols.length; i++) {
+        const f = sortable.get(cols[i]);
+        if (f) {
+          const dir = (orders[i] || '').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+          keys.push({ name: f.name, column: f.sql, dir });
+        }
+      }
+    }
+    return keys.length ? keys : [{ name: defaultSort, column: sortable.get(defaultSort).sql, dir: 'ASC' }];
+  }
+
+  // Demo: a record's value of a sortColumns name
+  const sortValue = (record, name) => valueOf(record, sortable.get(name).field);
+
+  // Demo: records in sortColumns/sortOrders order, nulls last ascending and
+  // first descending; left as they are without sortColumns
+  function sortDemo(records, query) {
+    if (!query.sortColumns) return records;
+    const keys = sortKeys(query);
+    return records.sort((a, b) => {
+      for (const { name, dir } of keys) {
+        const sign = dir === 'DESC' ? -1 : 1;
+        const valA = sortValue(a, name);
+        const valB = sortValue(b, name);
+        if (valA == null && valB == null) continue;
+        if (valA == null) return sign;
+        if (valB == null) return -sign;
+        if (valA < valB) return -sign;
+        if (valA > valB) return sign;
+      }
+      return 0;
+    });
+  }
+
+  // Swagger docs: the filter query params, sortColumns and sortOrders, and a
+  // note on the operator filters
+  function parameters() {
+    const filterDocs = filters.map(({ param, field, doc }) => ({
+      in: 'query',
+      name: param,
+      schema: SCHEMAS[field.type] || { type: 'string' },
+      ...(doc && { description: doc }),
+    }));
+    return {
+      filters: filterDocs,
+      sorting: [
+        {
+          in: 'query',
+          name: 'sortColumns',
+          schema: { type: 'string' },
+          description: `Comma-separated sort fields (default ${defaultSort}): ${[...sortable.keys()].join(', ')}`,
+        },
+        {
+          in: 'query',
+          name: 'sortOrders',
+          schema: { type: 'string' },
+          description: 'Comma-separated ASC/DESC (must match sortColumns count)',
+        },
+      ],
+      operators: 'Any of these fields also filters by operator, as field[op]=value: eq, ne, in and nin '
+        + '(comma-separated list), gt, gte, lt and lte (number and date fields, e.g. '
+        + 'updateDt[gte]=2026-01-01&updateDt[lt]=2026-02-01), isnull (true or false). ne and nin '
+        + `also match records without a value. Fields: ${[...operable.keys()].join(', ')}.`,
+    };
+  }
+
+  const registry = { dto, mapRow, sqlFilters, filterDemo, sortKeys, sortValue, sortDemo, parameters };
+  REGISTRIES.set(dto, registry);
+  return registry;
+}
+
+// Add each x-list-fields operation's filter params (after its path params),
+// sort params (last) and operator filters (to its description) to the
+// swagger-jsdoc spec. A filter sharing its name with a path param is left
+// out, e.g. waterSystemId on the nested facility list.
+function documentFields(spec) {
+  for (const [path, operations] of Object.entries(spec.paths || {})) {
+    for (const [method, op] of Object.entries(operations)) {
+      const dto = op['x-list-fields'];
+      if (!dto) continue;
+      const registry = REGISTRIES.get(dto);
+      if (!registry) throw new Error(`${method.toUpperCase()} ${path}: no field registry for ${dto}`);
+
+      const { filters, sorting, operators } = registry.parameters();
+      const own = op.parameters || [];
+      const pathParams = own.filter(p => p.in === 'path');
+      const taken = new Set(own.map(p => p.name));
+      op.parameters = [
+        ...pathParams,
+        ...filters.filter(p => !taken.has(p.name)),
+        ...own.filter(p => p.in !== 'path'),
+        ...sorting.filter(p => !taken.has(p.name)),
+      ];
+      op.description = op.description ? `${op.description.trimEnd()}\n\n${operators}` : operators;
+      delete op['x-list-fields'];
+    }
+  }
+  return spec;
+}
+
+module.exports = { fieldRegistry, documentFields, listParam };
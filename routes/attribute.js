@@ -0,0 +1,903 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWaterSystemMeasureDTO:
+ *       type: object
+ *       description: "Water system measure (tinwsmsr)"
+ *       properties:
+ *         waterSystemMeasureId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         quantity: { type: number }
+ *         waterSystemMeasureTypeCodes: { type: object, properties: { wsMeasureTypeCode: { type: string }, name: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *     DWPWaterSystemIndicatorDTO:
+ *       type: object
+ *       description: "Water system indicator (tinwsind)"
+ *       properties:
+ *         waterSystemIndicatorId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         waterSystemIndicatorValue: { type: object, properties: { wsIndicatorValueId: { type: integer }, waterSystemIndicatorValue: { type: string } } }
+ *         indicatorText: { type: string }
+ *         indicatorType: { type: object, properties: { wsIndicatorCode: { type: string }, name: { type: string } } }
+ *         notes: { type: string }
+ *     DWPWaterSystemIndicatorRecDTO:
+ *       type: object
+ *       description: "DWPWaterSystemIndicatorDTO with its type code and value flattened"
+ *       properties:
+ *         waterSystemIndicatorId: { type: integer }
+ *         wsIndicatorCode: { type: string }
+ *         indicatorValue: { type: string }
+ *     DWPWaterSystemFlowRateDTO:
+ *       type: object
+ *       description: "Water system flow rate (tinwsflr)"
+ *       properties:
+ *         waterSystemFlowRateId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         quantity: { type: number }
+ *         flowRateType: { type: object, properties: { wsFlowRateTypeCode: { type: string }, name: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *     DWPFacilityMeasureDTO:
+ *       type: object
+ *       description: "Facility measure (tinfamsr), e.g. storage capacity"
+ *       properties:
+ *         facilityMeasureId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         notes: { type: string }
+ *         quantity: { type: number }
+ *         measureType: { type: object, properties: { facilityMeasureTypeCode: { type: string }, name: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *     DWPFacilityIndicatorDTO:
+ *       type: object
+ *       description: "Facility indicator (tinfaind)"
+ *       properties:
+ *         facilityIndicatorId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         facilityIndicatorValue: { type: object, properties: { facIndicatorValueId: { type: integer }, facilityIndicatorValue: { type: string } } }
+ *         indicatorText: { type: string }
+ *         indicatorType: { type: object, properties: { facilityIndicatorTypeCode: { type: string }, name: { type: string } } }
+ *     DWPFacilityFlowRateDTO:
+ *       type: object
+ *       description: "Facility flow rate (tinfaflr)"
+ *       properties:
+ *         facilityFlowRateId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         quantity: { type: number }
+ *         flowRateType: { type: object, properties: { facilityFlowRateTypeId: { type: integer }, facilityFlowRateTypeCode: { type: string }, name: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *     DWPFacilityPumpDTO:
+ *       type: object
+ *       description: "Facility pump (tinfapmp)"
+ *       properties:
+ *         facilityPumpId: { type: integer }
+ *         pumpName: { type: string }
+ *         pumpDescription: { type: string }
+ *         pumpType: { type: object, properties: { pumpTypeId: { type: integer }, pumpCd: { type: string }, name: { type: string } } }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *     DWPWaterSystemCertificationDTO:
+ *       type: object
+ *       description: "Operator certification a water system requires (tinwscrt)"
+ *       properties:
+ *         waterSystemCertificationId: { type: integer }
+ *         certificationType: { type: object, properties: { certificationType: { type: string }, name: { type: string } } }
+ *         grade: { type: object, properties: { gradeCode: { type: string }, name: { type: string } } }
+ *         certificationNotes: { type: string }
+ *         startDt: { type: string, format: date-time }
+ *         endDt: { type: string, format: date-time }
+ *     DWPFacilityCertificationDTO:
+ *       type: object
+ *       description: "Operator certification a facility requires (tinfacrt)"
+ *       properties:
+ *         facilityCertificationId: { type: integer }
+ *         certificationType: { type: object, properties: { certificationType: { type: string }, name: { type: string } } }
+ *         grade: { type: object, properties: { gradeCode: { type: string }, name: { type: string } } }
+ *         certificationNotes: { type: string }
+ *         startDt: { type: string, format: date-time }
+ *         endDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listParam } = require('../fields');
+
+// SDWIS/STATE schema — configurable per installation
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null ? Number(v) : null);
+
+function auditFields(row) {
+  return {
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Attributes hang off a water system or a facility. Each owner names its SS
+// table and state code column (attribute rows carry <table>_is_number and
+// <table>_st_code), the column holding its API id (normalized by ownerId), the
+// res.locals entries its middleware (withWaterSystem / withFacility) provides
+// and the DTO property holding the id there.
+const OWNERS = {
+  waterSystem: {
+    demoFile: 'water-system-attributes.json',
+    table: 'tinwsys',
+    stColumn: 'tinwsys_st_code',
+    keyColumn: 'number0',
+    ownerId: v => v?.trim(),
+    where: inList => `TRIM(p.number0) IN (${inList})`,
+    local: 'waterSystem',
+    info: 'waterSystemInfo',
+    idField: 'waterSystemId',
+  },
+  facility: {
+    demoFile: 'facility-attributes.json',
+    table: 'tinwsf',
+    stColumn: 'tinwsys_st_code',
+    keyColumn: 'tinwsf_is_number',
+    ownerId: v => Number(v),
+    where: inList => `p.tinwsf_is_number IN (${inList})`,
+    local: 'facility',
+    info: 'facilityInfo',
+    idField: 'facilityId',
+  },
+};
+
+// Demo data — one file per owner, keyed by waterSystemId / facilityId, each
+// entry holding the owner's attribute arrays under their DTO property names
+const _demoData = {};
+function getDemoData(owner) {
+  if (!_demoData[owner]) {
+    _demoData[owner] = require(path.join(__dirname, '..', 'demo', OWNERS[owner].demoFile));
+  }
+  return _demoData[owner];
+}
+
+// Legal value (tsylgval) lookups, selected as <alias>_id / <alias>_code / <alias>_name.
+// A code lookup resolves a type code to its name and surrogate id; an id lookup
+// (no value_type) resolves a row the attribute points at by tsylgval_is_number.
+// The query binds the primacy agency as $1.
+function lookupJoin([alias, valueType, column]) {
+  const on = valueType
+    ? `${alias}.value_type = '${valueType}' AND ${alias}.value_code = x.${column}`
+    : `${alias}.tsylgval_is_number = x.${column}`;
+  return `LEFT JOIN ${SCHEMA_PREFIX}tsylgval ${alias}
+      ON ${on}
+     AND ${alias}.tsylgval_st_code = $1`;
+}
+
+function lookupColumns([alias]) {
+  return `${alias}.tsylgval_is_number as ${alias}_id, ${alias}.value_code as ${alias}_code, ${alias}.value_desc as ${alias}_name`;
+}
+
+// { idField, codeField, name } from a code lookup, or null when the row has no code
+function typeRef(row, alias, column, codeField, idField) {
+  if (!row[column]?.trim()) return null;
+  return {
+    ...(idField && { [idField]: row[`${alias}_id`] ?? null }),
+    [codeField]: row[column].trim(),
+    name: row[`${alias}_name`] ?? null,
+  };
+}
+
+function uomRef(row) {
+  return typeRef(row, 'uom', 'uom_cd', 'uomCode', 'uomId');
+}
+
+const UOM = ['uom', 'UOM', 'uom_cd'];
+
+// Effective-date filters shared by every family (spec startDateFrom … endDateTo),
+// on the DTO's start and end date properties
+const dateFilters = (start, end) => ({
+  startDateFrom: [a => a[start], 'from'],
+  startDateTo: [a => a[start], 'to'],
+  endDateFrom: [a => a[end], 'from'],
+  endDateTo: [a => a[end], 'to'],
+});
+const DATE_FILTERS = dateFilters('startDate', 'endDate');
+
+// Certification type and grade, shared by both certification families
+const CERT_LOOKUPS = [['ct', 'CERT_TYPE', 'cert_type_cd'], ['cg', 'CERT_GRADE', 'grade_cd']];
+const certFields = row => ({
+  certificationType: typeRef(row, 'ct', 'cert_type_cd', 'certificationType'),
+  grade: typeRef(row, 'cg', 'grade_cd', 'gradeCode'),
+  certificationNotes: row.notes_text,
+  startDt: row.start_date,
+  endDt: row.end_date,
+});
+const CERT_FILTERS = {
+  certificationTypeCode: [c => c.certificationType?.certificationType],
+  gradeCode: [c => c.grade?.gradeCode],
+  ...dateFilters('startDt', 'endDt'),
+};
+
+// Attribute families. Each is one SS table of dated, typed values belonging
+// to an owner, served nested on the owner's DTO and as a list endpoint:
+//   owner       key of OWNERS
+//   table       SS table; its key column is <table>_is_number
+//   lookups     tsylgval joins, see lookupJoin()
+//   map         SS row → SF DTO
+//   nested      property of the owner DTO holding the family
+//   collection  array property of the list response (*ListResponseDTO)
+//   toRec       DTO → list item, when the list serves a record DTO
+//   filters     query param → [value getter, match] (see matches())
+const FAMILIES = {
+  // Column mapping: SS (tinwsmsr) → SF DWPWaterSystemMeasureDTO
+  waterSystemMeasure: {
+    owner: 'waterSystem',
+    table: 'tinwsmsr',
+    lookups: [['mt', 'WS_MEASURE_TYPE', 'measure_type_cd'], UOM],
+    map: row => ({
+      waterSystemMeasureId: row.tinwsmsr_is_number,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      quantity: num(row.quantity),
+      waterSystemMeasureTypeCodes: typeRef(row, 'mt', 'measure_type_cd', 'wsMeasureTypeCode'),
+      uom: uomRef(row),
+      ...auditFields(row),
+    }),
+    nested: 'measures',
+    collection: 'waterSystemMeasures',
+    filters: {
+      waterSystemMeasureId: [m => m.waterSystemMeasureId],
+      quantity: [m => m.quantity],
+      measureCode: [m => m.waterSystemMeasureTypeCodes?.wsMeasureTypeCode],
+      uomId: [m => m.uom?.uomId],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinwsind) → SF DWPWaterSystemIndicatorDTO. The value
+  // is a legal value row of its own (ind_value_is_number).
+  waterSystemIndicator: {
+    owner: 'waterSystem',
+    table: 'tinwsind',
+    lookups: [['it', 'WS_INDICATOR_TYPE', 'indicator_type_cd'], ['iv', null, 'ind_value_is_number']],
+    map: row => ({
+      waterSystemIndicatorId: row.tinwsind_is_number,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      waterSystemIndicatorValue: row.iv_id != null
+        ? { wsIndicatorValueId: row.iv_id, waterSystemIndicatorValue: row.iv_code?.trim() || null }
+        : null,
+      indicatorText: row.indicator_text,
+      indicatorType: typeRef(row, 'it', 'indicator_type_cd', 'wsIndicatorCode'),
+      ...auditFields(row),
+      notes: row.notes_text,
+    }),
+    nested: 'wsIndicators',
+    collection: 'waterSystemPAIndicators',
+    // DWPWaterSystemIndicatorRecDTO repeats the type code and value at the top level
+    toRec: ({ notes, ...i }) => ({
+      ...i,
+      wsIndicatorCode: i.indicatorType?.wsIndicatorCode ?? null,
+      indicatorValue: i.waterSystemIndicatorValue?.waterSystemIndicatorValue ?? null,
+      notes,
+    }),
+    filters: {
+      waterSystemIndicatorId: [i => i.waterSystemIndicatorId],
+      wsIndicatorValueId: [i => i.waterSystemIndicatorValue?.wsIndicatorValueId],
+      wsIndicatorTypeCode: [i => i.wsIndicatorCode],
+      indicatorText: [i => i.indicatorText, 'contains'],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinwsflr) → SF DWPWaterSystemFlowRateDTO
+  waterSystemFlowRate: {
+    owner: 'waterSystem',
+    table: 'tinwsflr',
+    lookups: [['ft', 'WS_FLOW_RATE_TYPE', 'flow_rate_type_cd'], UOM],
+    map: row => ({
+      waterSystemFlowRateId: row.tinwsflr_is_number,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      quantity: num(row.quantity),
+      flowRateType: typeRef(row, 'ft', 'flow_rate_type_cd', 'wsFlowRateTypeCode'),
+      uom: uomRef(row),
+      ...auditFields(row),
+    }),
+    nested: 'waterSystemFlowRates',
+    collection: 'waterSystemFlowRates',
+    filters: {
+      waterSystemFlowRateId: [r => r.waterSystemFlowRateId],
+      quantity: [r => r.quantity],
+      wsFlowRateTypeCode: [r => r.flowRateType?.wsFlowRateTypeCode],
+      uomId: [r => r.uom?.uomId],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinwscrt) → SF DWPWaterSystemCertificationDTO
+  waterSystemCertification: {
+    owner: 'waterSystem',
+    table: 'tinwscrt',
+    lookups: CERT_LOOKUPS,
+    map: row => ({
+      waterSystemCertificationId: row.tinwscrt_is_number,
+      ...certFields(row),
+      ...auditFields(row),
+    }),
+    nested: 'certifications',
+    collection: 'certifications',
+    filters: {
+      waterSystemCertificationId: [c => c.waterSystemCertificationId],
+      ...CERT_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinfamsr) → SF DWPFacilityMeasureDTO
+  facilityMeasure: {
+    owner: 'facility',
+    table: 'tinfamsr',
+    lookups: [['mt', 'FAC_MEASURE_TYPE', 'measure_type_cd'], UOM],
+    map: row => ({
+      facilityMeasureId: row.tinfamsr_is_number,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      notes: row.notes_text,
+      quantity: num(row.quantity),
+      measureType: typeRef(row, 'mt', 'measure_type_cd', 'facilityMeasureTypeCode'),
+      uom: uomRef(row),
+      ...auditFields(row),
+    }),
+    nested: 'facilityMeasures',
+    collection: 'facilityMeasures',
+    filters: {
+      facilityMeasureId: [m => m.facilityMeasureId],
+      measureCode: [m => m.measureType?.facilityMeasureTypeCode],
+      uomId: [m => m.uom?.uomId],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinfaind) → SF DWPFacilityIndicatorDTO
+  facilityIndicator: {
+    owner: 'facility',
+    table: 'tinfaind',
+    lookups: [['it', 'FAC_INDICATOR_TYPE', 'indicator_type_cd'], ['iv', null, 'ind_value_is_number']],
+    map: row => ({
+      facilityIndicatorId: row.tinfaind_is_number,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      facilityIndicatorValue: row.iv_id != null
+        ? { facIndicatorValueId: row.iv_id, facilityIndicatorValue: row.iv_code?.trim() || null }
+        : null,
+      indicatorText: row.indicator_text,
+      indicatorType: typeRef(row, 'it', 'indicator_type_cd', 'facilityIndicatorTypeCode'),
+      ...auditFields(row),
+    }),
+    nested: 'facilityIndicators',
+    collection: 'facilityIndicators',
+    filters: {
+      facilityIndicatorId: [i => i.facilityIndicatorId],
+      facilityIndicatorValueId: [i => i.facilityIndicatorValue?.facIndicatorValueId],
+      facilityIndicatorTypeCode: [i => i.indicatorType?.facilityIndicatorTypeCode],
+      indicatorText: [i => i.indicatorText, 'contains'],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinfaflr) → SF DWPFacilityFlowRateDTO
+  facilityFlowRate: {
+    owner: 'facility',
+    table: 'tinfaflr',
+    lookups: [['ft', 'FAC_FLOW_RATE_TYPE', 'flow_rate_type_cd'], UOM],
+    map: row => ({
+      facilityFlowRateId: row.tinfaflr_is_number,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      quantity: num(row.quantity),
+      flowRateType: typeRef(row, 'ft', 'flow_rate_type_cd', 'facilityFlowRateTypeCode', 'facilityFlowRateTypeId'),
+      uom: uomRef(row),
+      ...auditFields(row),
+    }),
+    nested: 'facilityFlowRates',
+    collection: 'facilityFlowRates',
+    filters: {
+      facilityFlowRateId: [r => r.facilityFlowRateId],
+      quantity: [r => r.quantity],
+      facilityFlowRateTypeId: [r => r.flowRateType?.facilityFlowRateTypeId],
+      uomId: [r => r.uom?.uomId],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinfapmp) → SF DWPFacilityPumpDTO
+  facilityPump: {
+    owner: 'facility',
+    table: 'tinfapmp',
+    lookups: [['pt', 'PUMP_TYPE', 'pump_type_cd']],
+    map: row => ({
+      facilityPumpId: row.tinfapmp_is_number,
+      pumpName: row.name,
+      pumpDescription: row.description_text,
+      pumpType: typeRef(row, 'pt', 'pump_type_cd', 'pumpCd', 'pumpTypeId'),
+      ...auditFields(row),
+      startDate: row.start_date,
+      endDate: row.end_date,
+    }),
+    nested: 'facilityPumps',
+    collection: 'facilityPumps',
+    filters: {
+      facilityPumpId: [p => p.facilityPumpId],
+      pumpTypeId: [p => p.pumpType?.pumpTypeId],
+      pumpName: [p => p.pumpName, 'contains'],
+      pumpDescription: [p => p.pumpDescription, 'contains'],
+      ...DATE_FILTERS,
+    },
+  },
+
+  // Column mapping: SS (tinfacrt) → SF DWPFacilityCertificationDTO
+  facilityCertification: {
+    owner: 'facility',
+    table: 'tinfacrt',
+    lookups: CERT_LOOKUPS,
+    map: row => ({
+      facilityCertificationId: row.tinfacrt_is_number,
+      ...certFields(row),
+      ...auditFields(row),
+    }),
+    nested: 'certifications',
+    collection: 'certifications',
+    filters: {
+      facilityCertificationId: [c => c.facilityCertificationId],
+      ...CERT_FILTERS,
+    },
+  },
+};
+
+// Load the attribute families of an owner (every one, or `families`) for a set
+// of owners: Map waterSystemId / facilityId (a number) → { [nested]: DTO[] }.
+// One query per family.
+async function loadAttributes(owner, ownerIds, { families = Object.values(FAMILIES).filter(f => f.owner === owner) } = {}) {
+  const { table: parent, stColumn, keyColumn, ownerId, where } = OWNERS[owner];
+  const empty = () => Object.fromEntries(families.map(f => [f.nested, []]));
+  const byOwner = new Map(ownerIds.map(id => [ownerId(id), empty()]));
+  if (!ownerIds.length) return byOwner;
+
+  if (db.mode === 'demo') {
+    for (const id of byOwner.keys()) {
+      const data = getDemoData(owner)[id] || {};
+      byOwner.set(id, Object.fromEntries(families.map(f => [f.nested, data[f.nested] || []])));
+    }
+    return byOwner;
+  }
+
+  const ids = [...byOwner.keys()];
+  const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+  const results = await Promise.all(families.map(f => db.query(
+    `SELECT x.*, p.${keyColumn},
+            ${f.lookups.map(lookupColumns).join(', ')}
+       FROM ${SCHEMA_PREFIX}${f.table} x
+       JOIN ${SCHEMA_PREFIX}${parent} p
+         ON p.${parent}_is_number = x.${parent}_is_number
+        AND p.${stColumn} = x.${parent}_st_code
+       ${f.lookups.map(lookupJoin).join('\n       ')}
+      WHERE p.${stColumn} = $1 AND ${where(inList)}
+      ORDER BY x.${f.table}_is_number`,
+    [currentAgency(), ...ids]
+  )));
+
+  families.forEach((f, i) => {
+    for (const row of results[i]) byOwner.get(ownerId(row[keyColumn]))?.[f.nested].push(f.map(row));
+  });
+  return byOwner;
+}
+
+// ---------------------------------------------------------------------------
+// In-memory filtering — a family's attributes are loaded whole for their owner
+// (familyRouter), so both modes filter, sort and page them here.
+// ---------------------------------------------------------------------------
+
+// match one of 'eq' (default; numbers compare numerically), 'contains', 'from', 'to'
+function matches(value, wanted, match) {
+  if (value == null) return false;
+  switch (match) {
+    case 'contains': return String(value).toLowerCase().includes(wanted.toLowerCase());
+    case 'from': return new Date(value) >= new Date(wanted);
+    case 'to': return new Date(value) <= new Date(wanted);
+    default: return typeof value === 'number' ? value === Number(wanted) : String(value) === wanted;
+  }
+}
+
+// The list endpoints of records loaded whole (an owner's child records): the
+// page of `records` that passes `filters` (query param → [value getter, match])
+// in sortColumns order. `sortFields` names the sortable columns (column →
+// property name or value getter); without it any scalar record property
+// sorts, and {} sorts nothing.
+function listRecords(records, query, filters = {}, { sortFields } = {}) {
+  const pageNumber = Math.max(0, parseInt(query.pageNumber) || 0);
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize) || 10));
+
+  let items = [...records];
+  for (const [param, [getValue, match = 'eq']] of Object.entries(filters)) {
+    const wanted = query[param];
+    if (wanted === undefined || wanted === '') continue;
+    items = items.filter(r => matches(getValue(r), wanted, match));
+  }
+
+  if (query.sortColumns) {
+    const cols = listParam(query.sortColumns);
+    const orders = listParam(query.sortOrders).map(s => s.toUpperCase());
+    const getters = cols.map((col) => {
+      const field = sortFields ? (Object.hasOwn(sortFields, col) ? sortFields[col] : null) : col;
+      return typeof field === 'function' ? field : field && (r => r[field]);
+    });
+    items.sort((a, b) => {
+      for (let i = 0; i < cols.length; i++) {
+        if (!getters[i]) continue;
+        const valA = getters[i](a);
+        const valB = getters[i](b);
+        if ((valA && typeof valA === 'object') || (valB && typeof valB === 'object')) continue;
+        const dir = orders[i] === 'DESC' ? -1 : 1;
+        if (valA == null && valB == null) continue;
+        if (valA == null) return dir;
+        if (valB == null) return -dir;
+        if (valA < valB) return -dir;
+        if (valA > valB) return dir;
+      }
+      return 0;
+    });
+  }
+
+  const totalCount = items.length;
+  return {
+    resultSummary: {
+      totalCount,
+      pageNumber,
+      pageSize,
+      totalPages: Math.ceil(totalCount / pageSize),
+    },
+    items: items.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize),
+  };
+}
+
+// The list endpoint of one family, mounted below its owner's path after the
+// owner's middleware: the owner summary plus the filtered, paged attributes.
+function familyRouter(family) {
+  const { local, info, idField, ownerId } = OWNERS[family.owner];
+  const router = Router({ mergeParams: true });
+  router.get('/', async (req, res) => {
+    try {
+      const id = res.locals[local][idField];
+      const attributes = (await loadAttributes(family.owner, [id], { families: [family] })).get(ownerId(id));
+      const records = attributes[family.nested].map(family.toRec || (a => a));
+      const { resultSummary, items } = listRecords(records, req.query, family.filters);
+      res.json({ error: null, resultSummary, [info]: res.locals[info], [family.collection]: items });
+    } catch (err) {
+      console.error(`Error listing ${family.collection}:`, err);
+      res.status(500).json({ error: { message: err.message } });
+    }
+  });
+  return router;
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/measure:
+ *   get:
+ *     summary: List a water system's measures
+ *     description: Returns the water system summary and its measures (WaterSystemMeasureListResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: waterSystemMeasureId, schema: { type: integer } }
+ *       - { in: query, name: quantity, schema: { type: number } }
+ *       - { in: query, name: measureCode, schema: { type: string } }
+ *       - { in: query, name: uomId, schema: { type: integer }, description: "See /inventory/ref-uom-type" }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of water system measures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 waterSystemMeasures: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemMeasureDTO' } }
+ *       404:
+ *         description: Water system not found
+ *
+ * /inventory/water-system/{waterSystemId}/indicator:
+ *   get:
+ *     summary: List a water system's indicators
+ *     description: Returns the water system summary and its indicators as records (WaterSystemIndicatorListResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: query, name: waterSystemIndicatorId, schema: { type: integer } }
+ *       - { in: query, name: wsIndicatorValueId, schema: { type: integer } }
+ *       - { in: query, name: wsIndicatorTypeCode, schema: { type: string } }
+ *       - { in: query, name: indicatorText, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of water system indicators
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 waterSystemPAIndicators: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemIndicatorRecDTO' } }
+ *       404:
+ *         description: Water system not found
+ *
+ * /inventory/water-system/{waterSystemId}/flow-rate:
+ *   get:
+ *     summary: List a water system's flow rates
+ *     description: Returns the water system summary and its flow rates (WaterSystemFlowRateListResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: query, name: waterSystemFlowRateId, schema: { type: integer } }
+ *       - { in: query, name: quantity, schema: { type: number } }
+ *       - { in: query, name: wsFlowRateTypeCode, schema: { type: string } }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of water system flow rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 waterSystemFlowRates: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemFlowRateDTO' } }
+ *       404:
+ *         description: Water system not found
+ *
+ * /inventory/water-system/{waterSystemId}/cert:
+ *   get:
+ *     summary: List a water system's operator certifications
+ *     description: Returns the water system summary and the operator certification types and grades it requires (WaterSystemCertificationListResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: query, name: waterSystemCertificationId, schema: { type: integer } }
+ *       - { in: query, name: certificationTypeCode, schema: { type: string } }
+ *       - { in: query, name: gradeCode, schema: { type: string } }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of water system certifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 certifications: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemCertificationDTO' } }
+ *       404:
+ *         description: Water system not found
+ *
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/facility-measure:
+ *   get:
+ *     summary: List a facility's measures
+ *     description: Returns the facility summary and its measures, e.g. storage capacity (FacilityMeasureListResponseDTO).
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: facilityMeasureId, schema: { type: integer } }
+ *       - { in: query, name: measureCode, schema: { type: string } }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility measures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 facilityMeasures: { type: array, items: { $ref: '#/components/schemas/DWPFacilityMeasureDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ *
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/indicator:
+ *   get:
+ *     summary: List a facility's indicators
+ *     description: Returns the facility summary and its indicators (FacilityIndicatorListResponseDTO).
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: facilityIndicatorId, schema: { type: integer } }
+ *       - { in: query, name: facilityIndicatorValueId, schema: { type: integer } }
+ *       - { in: query, name: facilityIndicatorTypeCode, schema: { type: string } }
+ *       - { in: query, name: indicatorText, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility indicators
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 facilityIndicators: { type: array, items: { $ref: '#/components/schemas/DWPFacilityIndicatorDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ *
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/flow-rate:
+ *   get:
+ *     summary: List a facility's flow rates
+ *     description: Returns the facility summary and its flow rates (FacilityFlowRateListResponseDTO).
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: facilityFlowRateId, schema: { type: integer } }
+ *       - { in: query, name: quantity, schema: { type: number } }
+ *       - { in: query, name: facilityFlowRateTypeId, schema: { type: integer } }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility flow rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 facilityFlowRates: { type: array, items: { $ref: '#/components/schemas/DWPFacilityFlowRateDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ *
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/pump:
+ *   get:
+ *     summary: List a facility's pumps
+ *     description: Returns the facility summary and its pumps (FacilityPumpListResponseDTO).
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: facilityPumpId, schema: { type: integer } }
+ *       - { in: query, name: pumpTypeId, schema: { type: integer } }
+ *       - { in: query, name: pumpName, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: pumpDescription, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility pumps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 facilityPumps: { type: array, items: { $ref: '#/components/schemas/DWPFacilityPumpDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ *
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/cert:
+ *   get:
+ *     summary: List a facility's operator certifications
+ *     description: Returns the facility summary and the operator certification types and grades it requires (FacilityCertificationListResponseDTO).
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: facilityCertificationId, schema: { type: integer } }
+ *       - { in: query, name: certificationTypeCode, schema: { type: string } }
+ *       - { in: query, name: gradeCode, schema: { type: string } }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility certifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 certifications: { type: array, items: { $ref: '#/components/schemas/DWPFacilityCertificationDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ */
+// One router per family, mounted by name (e.g. attributeRoutes.facilityPump)
+for (const [name, family] of Object.entries(FAMILIES)) {
+  module.exports[name] = familyRouter(family);
+}
+module.exports.loadAttributes = loadAttributes;
+module.exports.listRecords = listRecords;
@@ -0,0 +1,70 @@
+const { Router } = require('express');
+const { forbidden, hasRole } = require('../auth');
+const { cacheStats, purgeCache } = require('../cache');
+
+const router = Router();
+
+// Cache administration needs the admin role (see auth.js), so nobody has it
+// with authentication off: a purge affects every agency's responses
+router.use((req, res, next) => {
+  if (!hasRole(req.auth, 'admin')) return forbidden(res, 'Not authorized to manage the response cache');
+  next();
+});
+
+/**
+ * @openapi
+ * /inventory/cache:
+ *   get:
+ *     summary: Response cache statistics
+ *     description: >
+ *       Returns the size, settings and hit counts of the response cache (see
+ *       cache.js). Not in the DW-SFTIES spec; needs the admin role.
+ *     tags: [Cache]
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 cache:
+ *                   type: object
+ *                   properties:
+ *                     entries: { type: integer, description: "Responses cached now" }
+ *                     maxEntries: { type: integer, description: "CACHE_MAX_ENTRIES" }
+ *                     ttlSeconds: { type: number, description: "CACHE_TTL_SECONDS (0: caching off)" }
+ *                     hits: { type: integer, description: "Requests answered from the cache since the server started" }
+ *                     misses: { type: integer }
+ *       403:
+ *         description: Caller without the admin role (every caller with authentication off)
+ *   delete:
+ *     summary: Purge the response cache
+ *     description: >
+ *       Drops every cached response, of every agency, so the next requests
+ *       read SDWIS/STATE again — e.g. after a bulk load. Not in the DW-SFTIES
+ *       spec; needs the admin role.
+ *     tags: [Cache]
+ *     responses:
+ *       200:
+ *         description: Cache purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 purgedCount: { type: integer, description: "Responses dropped" }
+ *       403:
+ *         description: Caller without the admin role (every caller with authentication off)
+ */
+router.get('/', (req, res) => {
+  res.json({ error: null, cache: cacheStats() });
+});
+
+router.delete('/', (req, res) => {
+  res.json({ error: null, purgedCount: purgeCache() });
+});
+
+module.exports = router;
@@ -0,0 +1,609 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPFacilityFlowDTO:
+ *       type: object
+ *       description: "Water flowing from the supplying facility to a receiving facility (tinfaflw)"
+ *       properties:
+ *         facilityFlowId: { type: integer }
+ *         receivingfacility: { type: object, description: "DWPFacilityInfoDTO of the receiving facility" }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *         quantity: { type: integer }
+ *         trainId: { type: string }
+ *         sequenceId: { type: string }
+ *         connectionDt: { type: string, format: date-time }
+ *         disconnectDt: { type: string, format: date-time, nullable: true }
+ *         facilityFlowConnectType: { type: object, properties: { facilityFlowConnectTypeCode: { type: string }, name: { type: string } }, description: "See /inventory/ref-fac-flow-connect-type" }
+ *         facilityFlowProcessType: { type: object, properties: { facilityFlowProcessTypeCode: { type: string }, name: { type: string } }, description: "See /inventory/ref-fac-flow-process-type" }
+ *         notes: { type: string }
+ *     DWPTreatmentUnitFlowRecDTO:
+ *       type: object
+ *       description: "Water flowing from one treatment unit to another (tintuflw), names flattened"
+ *       properties:
+ *         treatmentUnitFlowId: { type: integer }
+ *         trainId: { type: string }
+ *         sequenceId: { type: string }
+ *         notes: { type: string }
+ *         connectionDt: { type: string, format: date-time }
+ *         disconnectDt: { type: string, format: date-time, nullable: true }
+ *         quantity: { type: number }
+ *         treatmentUnitConnectTypeCode: { type: string }
+ *         treatmentUnitConnectTypeName: { type: string }
+ *         treatmentUnitFlowProcessTypeCode: { type: string }
+ *         treatmentUnitFlowProcessTypeName: { type: string }
+ *         uomId: { type: integer }
+ *         uomCode: { type: string }
+ *         uomName: { type: string }
+ *         receivingTreatmentUnitId: { type: integer }
+ *         receivingTreatmentUnitName: { type: string }
+ *         supplyingTreatmentUnitId: { type: integer }
+ *         supplyingTreatmentUnitName: { type: string }
+ *         supplyingFacilityId: { type: integer }
+ *         receivingFacilityId: { type: integer }
+ *     FacilityFlowGraphNode:
+ *       type: object
+ *       properties:
+ *         facilityId: { type: integer }
+ *         distance: { type: integer, description: "Flow hops from the facility traced: negative upstream, positive downstream, 0 for the facility itself" }
+ *         facility: { type: object, description: "DWPFacilityInfoDTO" }
+ *     FacilityFlowGraphEdge:
+ *       type: object
+ *       properties:
+ *         facilityFlowId: { type: integer }
+ *         supplyingFacilityId: { type: integer }
+ *         receivingFacilityId: { type: integer }
+ *         facilityFlowConnectType: { type: object }
+ *         facilityFlowProcessType: { type: object }
+ *         quantity: { type: integer }
+ *         uom: { type: object }
+ *         trainId: { type: string }
+ *         sequenceId: { type: string }
+ *         connectionDt: { type: string, format: date-time }
+ *         disconnectDt: { type: string, format: date-time, nullable: true }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { pwsidInScope, pwsidScopeCondition } = require('../auth');
+const { listParam } = require('../fields');
+const { listRecords } = require('./attribute');
+
+// Demo data — facility flows keyed by supplying facilityId, treatment unit
+// flows as one list of records; loaded once on first use
+const _demoData = {};
+function getDemoData(file) {
+  if (!_demoData[file]) {
+    _demoData[file] = require(path.join(__dirname, '..', 'demo', file));
+  }
+  return _demoData[file];
+}
+
+// SDWIS/STATE schema — configurable per installation
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null ? Number(v) : null);
+const dateOnly = v => (v != null ? new Date(v).toISOString().slice(0, 10) : null);
+
+function auditFields(row) {
+  return {
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Legal value (tsylgval) join resolving a code column, selected as
+// <alias>_id / <alias>_name. The query binds the primacy agency as $1.
+function lgvalJoin(alias, valueType, codeColumn) {
+  return `LEFT JOIN ${SCHEMA_PREFIX}tsylgval ${alias}
+      ON ${alias}.value_type = '${valueType}'
+     AND ${alias}.value_code = x.${codeColumn}
+     AND ${alias}.tsylgval_st_code = $1`;
+}
+
+const lgvalColumns = alias => `${alias}.tsylgval_is_number as ${alias}_id, ${alias}.value_desc as ${alias}_name`;
+
+function typeRef(row, alias, column, codeField) {
+  if (!row[column]?.trim()) return null;
+  return { [codeField]: row[column].trim(), name: row[`${alias}_name`] ?? null };
+}
+
+// Column mapping: SS (tinfaflw) → SF DWPFacilityFlowDTO. The flow belongs to
+// its supplying facility (tinwsf_is_number) and names the receiving one
+// (rcv_tinwsf_is_number); `receivingfacility` holds only its facilityId until
+// loadFacilityFlows() replaces it with the DWPFacilityInfoDTO.
+function mapFacilityFlow(row) {
+  return {
+    facilityFlowId: row.tinfaflw_is_number,
+    receivingfacility: { facilityId: Number(row.rcv_tinwsf_is_number) },
+    uom: row.uom_cd?.trim()
+      ? { uomId: row.uom_id ?? null, uomCode: row.uom_cd.trim(), name: row.uom_name ?? null }
+      : null,
+    quantity: num(row.quantity),
+    trainId: row.train_id?.trim() || null,
+    sequenceId: row.sequence_id?.trim() || null,
+    connectionDt: row.connect_date,
+    disconnectDt: row.disconnect_date,
+    facilityFlowConnectType: typeRef(row, 'ct', 'connect_type_cd', 'facilityFlowConnectTypeCode'),
+    facilityFlowProcessType: typeRef(row, 'pt', 'process_type_cd', 'facilityFlowProcessTypeCode'),
+    notes: row.notes_text,
+    ...auditFields(row),
+  };
+}
+
+// Facility flows with one end in `facilityIds`: end is 'supplying' or
+// 'receiving'. Returns [{ supplyingFacilityId, flow }] in flow id order.
+async function findFacilityFlows(end, facilityIds) {
+  if (!facilityIds.length) return [];
+  const ids = facilityIds.map(Number);
+
+  if (db.mode === 'demo') {
+    const wanted = new Set(ids);
+    const flows = [];
+    for (const [supplier, list] of Object.entries(getDemoData('facility-flows.json'))) {
+      for (const flow of list) {
+        const id = end === 'supplying' ? Number(supplier) : flow.receivingfacility.facilityId;
+        if (wanted.has(id)) flows.push({ supplyingFacilityId: Number(supplier), flow });
+      }
+    }
+    return flows.sort((a, b) => a.flow.facilityFlowId - b.flow.facilityFlowId);
+  }
+
+  const column = end === 'supplying' ? 'x.tinwsf_is_number' : 'x.rcv_tinwsf_is_number';
+  const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+  const rows = await db.query(
+    `SELECT x.*, ${['ct', 'pt', 'uom'].map(lgvalColumns).join(', ')}
+       FROM ${SCHEMA_PREFIX}tinfaflw x
+       ${lgvalJoin('ct', 'FAC_FLOW_CONN_TYPE', 'connect_type_cd')}
+       ${lgvalJoin('pt', 'FAC_FLOW_PROC_TYPE', 'process_type_cd')}
+       ${lgvalJoin('uom', 'UOM', 'uom_cd')}
+      WHERE x.tinwsf_st_code = $1 AND ${column} IN (${inList})
+      ORDER BY x.tinfaflw_is_number`,
+    [currentAgency(), ...ids]
+  );
+  return rows.map(row => ({ supplyingFacilityId: Number(row.tinwsf_is_number), flow: mapFacilityFlow(row) }));
+}
+
+// Load the flows a set of facilities supply: Map facilityId → flows.
+// `facilityInfos(ids)` resolves the receiving facilities to DWPFacilityInfoDTOs
+// (facility.js owns that mapping); facilities it cannot find are left null.
+// Flows into a water system outside the caller's PWSID scope (`auth`) are
+// left out. Builds new objects so the cached demo rows keep their bare
+// facilityId references.
+async function loadFacilityFlows(facilityIds, facilityInfos, { auth } = {}) {
+  const bySupplier = new Map(facilityIds.map(id => [Number(id), []]));
+  const found = await findFacilityFlows('supplying', facilityIds);
+  const infos = await facilityInfos([...new Set(found.map(f => f.flow.receivingfacility.facilityId))]);
+  for (const { supplyingFacilityId, flow } of found) {
+    const receiving = infos.get(flow.receivingfacility.facilityId) ?? null;
+    if (receiving && !pwsidInScope(auth, receiving.dwpWaterSystem?.waterSystemId)) continue;
+    bySupplier.get(supplyingFacilityId)?.push({ ...flow, receivingfacility: receiving });
+  }
+  return bySupplier;
+}
+
+// ---------------------------------------------------------------------------
+// Flow graph — breadth-first from one facility along its facility flows, one
+// query per hop and direction. Flows may cross water systems (interconnects,
+// purchased water), so nodes carry their own water system in `facility`.
+// ---------------------------------------------------------------------------
+
+const GRAPH_DIRECTIONS = ['upstream', 'downstream', 'both'];
+const MAX_GRAPH_DEPTH = 50;
+
+const disconnected = flow => flow.disconnectDt != null && new Date(flow.disconnectDt) <= new Date();
+
+function toEdge(supplyingFacilityId, flow) {
+  return {
+    facilityFlowId: flow.facilityFlowId,
+    supplyingFacilityId,
+    receivingFacilityId: flow.receivingfacility.facilityId,
+    facilityFlowConnectType: flow.facilityFlowConnectType,
+    facilityFlowProcessType: flow.facilityFlowProcessType,
+    quantity: flow.quantity,
+    uom: flow.uom,
+    trainId: flow.trainId,
+    sequenceId: flow.sequenceId,
+    connectionDt: flow.connectionDt,
+    disconnectDt: flow.disconnectDt,
+  };
+}
+
+// Trace the facilities water reaches from (downstream) and comes from
+// (upstream) `facilityId`, up to `maxDepth` hops each way. Flows disconnected
+// before today are skipped unless includeDisconnected. Each facility appears
+// once, at the first distance it is reached.
+async function traceFlowGraph(facilityId, { direction, maxDepth, includeDisconnected }, facilityInfos) {
+  const root = Number(facilityId);
+  const distances = new Map([[root, 0]]);
+  const edges = new Map();
+
+  for (const [way, from, to, sign] of [
+    ['downstream', 'supplying', 'receiving', 1],
+    ['upstream', 'receiving', 'supplying', -1],
+  ]) {
+    if (direction !== 'both' && direction !== way) continue;
+    let frontier = [root];
+    for (let depth = 1; frontier.length && depth <= maxDepth; depth++) {
+      const next = [];
+      for (const { supplyingFacilityId, flow } of await findFacilityFlows(from, frontier)) {
+        if (!includeDisconnected && disconnected(flow)) continue;
+        const edge = toEdge(supplyingFacilityId, flow);
+        edges.set(edge.facilityFlowId, edge);
+        const reached = edge[`${to}FacilityId`];
+        if (!distances.has(reached)) {
+          distances.set(reached, sign * depth);
+          next.push(reached);
+        }
+      }
+      frontier = next;
+    }
+  }
+
+  const infos = await facilityInfos([...distances.keys()]);
+  return {
+    nodes: [...distances]
+      .map(([id, distance]) => ({ facilityId: id, distance, facility: infos.get(id) ?? null }))
+      .sort((a, b) => a.distance - b.distance || a.facilityId - b.facilityId),
+    edges: [...edges.values()].sort((a, b) => a.facilityFlowId - b.facilityFlowId),
+  };
+}
+
+// Parse the flow graph query: direction (default both), maxDepth (default and
+// cap MAX_GRAPH_DEPTH), includeDisconnected=true
+function graphOptions(query) {
+  const direction = GRAPH_DIRECTIONS.includes(query.direction) ? query.direction : 'both';
+  const maxDepth = Math.min(MAX_GRAPH_DEPTH, Math.max(1, parseInt(query.maxDepth) || MAX_GRAPH_DEPTH));
+  return { direction, maxDepth, includeDisconnected: query.includeDisconnected === 'true' };
+}
+
+// ---------------------------------------------------------------------------
+// List endpoints — filtered, sorted and paged in memory (see listRecords())
+// ---------------------------------------------------------------------------
+
+const FACILITY_FLOW_FILTERS = {
+  facilityFlowId: [f => f.facilityFlowId],
+  receivingFacilityId: [f => f.receivingfacility?.facilityId],
+  receivingFacilityName: [f => f.receivingfacility?.name, 'contains'],
+  facilityFlowConnectTypeCode: [f => f.facilityFlowConnectType?.facilityFlowConnectTypeCode],
+  facilityFlowProcessTypeCode: [f => f.facilityFlowProcessType?.facilityFlowProcessTypeCode],
+  uomId: [f => f.uom?.uomId],
+  quantity: [f => f.quantity],
+  trainId: [f => f.trainId, 'contains'],
+  sequenceId: [f => f.sequenceId, 'contains'],
+  notes: [f => f.notes, 'contains'],
+  connectionDt: [f => dateOnly(f.connectionDt)],
+  disconnectDt: [f => dateOnly(f.disconnectDt)],
+};
+
+// Mounted below /inventory/supplying-facility/{supplyingFacilityId}/flow after
+// facility.withSupplyingFacility, which puts the facility in res.locals.facility.
+const router = Router({ mergeParams: true });
+
+/**
+ * @openapi
+ * /inventory/supplying-facility/{supplyingFacilityId}/flow:
+ *   get:
+ *     summary: List the flows a facility supplies
+ *     description: >
+ *       Returns the facility summary and the facilities it sends water to (DWPFacilityFlowDTO),
+ *       e.g. a well feeding a treatment plant. The spec defines only PUT/DELETE on this path;
+ *       this read endpoint serves the same records. Flows into water systems outside the
+ *       caller's PWSID prefixes are left out.
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: supplyingFacilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: facilityFlowId, schema: { type: integer } }
+ *       - { in: query, name: receivingFacilityId, schema: { type: integer } }
+ *       - { in: query, name: receivingFacilityName, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: facilityFlowConnectTypeCode, schema: { type: string }, description: "See /inventory/ref-fac-flow-connect-type" }
+ *       - { in: query, name: facilityFlowProcessTypeCode, schema: { type: string }, description: "See /inventory/ref-fac-flow-process-type" }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: quantity, schema: { type: integer } }
+ *       - { in: query, name: trainId, schema: { type: string }, description: "Contains filter" }
+ *       - { in: query, name: sequenceId, schema: { type: string }, description: "Contains filter" }
+ *       - { in: query, name: notes, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: connectionDt, schema: { type: string, format: date } }
+ *       - { in: query, name: disconnectDt, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility flows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 facilityFlows: { type: array, items: { $ref: '#/components/schemas/DWPFacilityFlowDTO' } }
+ *       404:
+ *         description: Facility not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const facilityId = Number(res.locals.facility.facilityId);
+    const flows = await loadFacilityFlows([facilityId], res.locals.facilityInfos, { auth: req.auth });
+    const { resultSummary, items } = listRecords(flows.get(facilityId), req.query, FACILITY_FLOW_FILTERS);
+    res.json({ error: null, resultSummary, facilityInfo: res.locals.facilityInfo, facilityFlows: items });
+  } catch (err) {
+    console.error('Error listing facility flows:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+// Column mapping: SS (tintuflw + its supplying and receiving tintrtun) → SF
+// DWPTreatmentUnitFlowRecDTO
+function mapTreatmentUnitFlow(row) {
+  return {
+    treatmentUnitFlowId: row.tintuflw_is_number,
+    trainId: row.train_id?.trim() || null,
+    sequenceId: row.sequence_id?.trim() || null,
+    notes: row.notes_text,
+    connectionDt: row.connect_date,
+    disconnectDt: row.disconnect_date,
+    quantity: num(row.quantity),
+    treatmentUnitConnectTypeCode: row.connect_type_cd?.trim() || null,
+    treatmentUnitConnectTypeName: row.ct_name ?? null,
+    treatmentUnitFlowProcessTypeCode: row.process_type_cd?.trim() || null,
+    treatmentUnitFlowProcessTypeName: row.pt_name ?? null,
+    uomId: row.uom_id ?? null,
+    uomCode: row.uom_cd?.trim() || null,
+    uomName: row.uom_name ?? null,
+    receivingTreatmentUnitId: num(row.rcv_tintrtun_is_number),
+    receivingTreatmentUnitName: row.rcv_unit_name,
+    supplyingTreatmentUnitId: num(row.tintrtun_is_number),
+    supplyingTreatmentUnitName: row.sup_unit_name,
+    supplyingFacilityId: num(row.sup_tinwsf_is_number),
+    receivingFacilityId: num(row.rcv_tinwsf_is_number),
+    ...auditFields(row),
+  };
+}
+
+// Demo: the filters, as listRecords() applies them. facilityId matches the
+// facility of either unit.
+const TREATMENT_UNIT_FLOW_FILTERS = {
+  treatmentUnitFlowId: [r => r.treatmentUnitFlowId],
+  receivingTreatmentUnitId: [r => r.receivingTreatmentUnitId],
+  supplyingTreatmentUnitId: [r => r.supplyingTreatmentUnitId],
+  treatmentUnitConnectTypeCode: [r => r.treatmentUnitConnectTypeCode, 'contains'],
+  supplyingTreatmentUnitName: [r => r.supplyingTreatmentUnitName, 'contains'],
+  receivingTreatmentUnitName: [r => r.receivingTreatmentUnitName, 'contains'],
+  treatmentUnitFlowProcessTypeCode: [r => r.treatmentUnitFlowProcessTypeCode, 'contains'],
+  uomId: [r => r.uomId],
+  trainId: [r => r.trainId, 'contains'],
+  sequenceId: [r => r.sequenceId, 'contains'],
+  quantity: [r => r.quantity],
+  notes: [r => r.notes, 'contains'],
+  connectionDt: [r => dateOnly(r.connectionDt)],
+  disconnectDt: [r => dateOnly(r.disconnectDt)],
+};
+
+// Database: the same filters as [type, placeholders → condition]; a date
+// matches its whole (UTC) day, from the first placeholder up to the second
+const TREATMENT_UNIT_FLOW_SQL_FILTERS = {
+  treatmentUnitFlowId: ['number', p => `x.tintuflw_is_number = ${p}`],
+  receivingTreatmentUnitId: ['number', p => `x.rcv_tintrtun_is_number = ${p}`],
+  supplyingTreatmentUnitId: ['number', p => `x.tintrtun_is_number = ${p}`],
+  facilityId: ['number', p => `(su.tinwsf_is_number = ${p} OR ru.tinwsf_is_number = ${p})`],
+  treatmentUnitConnectTypeCode: ['contains', p => `TRIM(x.connect_type_cd) ILIKE ${p}`],
+  supplyingTreatmentUnitName: ['contains', p => `su.name ILIKE ${p}`],
+  receivingTreatmentUnitName: ['contains', p => `ru.name ILIKE ${p}`],
+  treatmentUnitFlowProcessTypeCode: ['contains', p => `TRIM(x.process_type_cd) ILIKE ${p}`],
+  uomId: ['number', p => `uom.tsylgval_is_number = ${p}`],
+  trainId: ['contains', p => `TRIM(x.train_id) ILIKE ${p}`],
+  sequenceId: ['contains', p => `TRIM(x.sequence_id) ILIKE ${p}`],
+  quantity: ['number', p => `x.quantity = ${p}`],
+  notes: ['contains', p => `x.notes_text ILIKE ${p}`],
+  connectionDt: ['date', (from, to) => `x.connect_date >= ${from} AND x.connect_date < ${to}`],
+  disconnectDt: ['date', (from, to) => `x.disconnect_date >= ${from} AND x.disconnect_date < ${to}`],
+};
+
+// Database: the SS column of each DTO field sortColumns accepts
+const TREATMENT_UNIT_FLOW_SORT_COLUMNS = {
+  treatmentUnitFlowId: 'x.tintuflw_is_number',
+  trainId: 'x.train_id',
+  sequenceId: 'x.sequence_id',
+  notes: 'x.notes_text',
+  connectionDt: 'x.connect_date',
+  disconnectDt: 'x.disconnect_date',
+  quantity: 'x.quantity',
+  treatmentUnitConnectTypeCode: 'x.connect_type_cd',
+  treatmentUnitConnectTypeName: 'ct.value_desc',
+  treatmentUnitFlowProcessTypeCode: 'x.process_type_cd',
+  treatmentUnitFlowProcessTypeName: 'pt.value_desc',
+  uomId: 'uom.tsylgval_is_number',
+  uomCode: 'x.uom_cd',
+  uomName: 'uom.value_desc',
+  receivingTreatmentUnitId: 'x.rcv_tintrtun_is_number',
+  receivingTreatmentUnitName: 'ru.name',
+  supplyingTreatmentUnitId: 'x.tintrtun_is_number',
+  supplyingTreatmentUnitName: 'su.name',
+  supplyingFacilityId: 'su.tinwsf_is_number',
+  receivingFacilityId: 'ru.tinwsf_is_number',
+  createId: 'x.d_initial_userid',
+  updateId: 'x.d_userid_code',
+  createDt: 'x.d_initial_ts',
+  updateDt: 'x.d_last_updt_ts',
+};
+
+function flowFilterError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// The query's value of one filter as its SQL params; a number or date that
+// does not parse responds 400 (in demo mode too)
+function flowFilterParams(param, type, raw) {
+  const text = String(raw);
+  if (type === 'number') {
+    const value = Number(text);
+    if (Array.isArray(raw) || text.trim() === '' || Number.isNaN(value)) {
+      throw flowFilterError(`${param} takes a number, not "${text}"`);
+    }
+    return [value];
+  }
+  if (type === 'date') {
+    const from = new Date(`${text}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(from.getTime())) {
+      throw flowFilterError(`${param} takes a date (YYYY-MM-DD), not "${text}"`);
+    }
+    return [from, new Date(from.getTime() + 24 * 60 * 60 * 1000)];
+  }
+  return [`%${text}%`];
+}
+
+const servesFacility = (flow, facilityId) =>
+  flow.supplyingFacilityId === Number(facilityId) || flow.receivingFacilityId === Number(facilityId);
+
+// A page of the treatment unit flows matching the query's filters, in its
+// sortColumns order: { resultSummary, items }. `auth` (req.auth) keeps the
+// flows of facilities in the caller's PWSID prefixes — a flow stays within one
+// plant, so the supplying unit's facility decides.
+async function listTreatmentUnitFlows(query, auth) {
+  // Read in demo mode too, so a bad number or date responds 400 there as well
+  const conditions = ['x.tintrtun_st_code = $1'];
+  const params = [currentAgency()];
+  for (const [param, [type, condition]] of Object.entries(TREATMENT_UNIT_FLOW_SQL_FILTERS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const values = flowFilterParams(param, type, query[param]);
+    conditions.push(condition(...values.map((_, i) => `$${params.length + i + 1}`)));
+    params.push(...values);
+  }
+
+  if (db.mode === 'demo') {
+    const pwsids = new Map(getDemoData('facilities.json').map(f => [f.facilityId, f.dwpWaterSystem?.waterSystemId]));
+    let flows = getDemoData('treatment-unit-flows.json').filter(f => pwsidInScope(auth, pwsids.get(f.supplyingFacilityId)));
+    if (query.facilityId) flows = flows.filter(f => servesFacility(f, query.facilityId));
+    return listRecords(flows, query, TREATMENT_UNIT_FLOW_FILTERS);
+  }
+
+  const pageNumber = Math.max(0, parseInt(query.pageNumber) || 0);
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize) || 10));
+  const scope = pwsidScopeCondition(auth, 'TRIM(ws.number0)', params.length + 1);
+  if (scope) {
+    params.push(...scope.params);
+    conditions.push(`su.tinwsf_is_number IN (
+      SELECT f.tinwsf_is_number FROM ${SCHEMA_PREFIX}tinwsf f
+        JOIN ${SCHEMA_PREFIX}tinwsys ws
+          ON f.tinwsys_is_number = ws.tinwsys_is_number
+         AND f.tinwsys_st_code = ws.tinwsys_st_code
+       WHERE ${scope.condition})`);
+  }
+
+  let orderBy = 'x.tintuflw_is_number ASC';
+  if (query.sortColumns) {
+    const cols = listParam(query.sortColumns);
+    const orders = listParam(query.sortOrders);
+    const parts = [];
+    for (let i = 0; i < cols.length; i++) {
+      const ssCol = Object.hasOwn(TREATMENT_UNIT_FLOW_SORT_COLUMNS, cols[i]) && TREATMENT_UNIT_FLOW_SORT_COLUMNS[cols[i]];
+      if (ssCol) {
+        const dir = (orders[i] || '').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        parts.push(`${ssCol} ${dir}`);
+      }
+    }
+    if (parts.length) orderBy = parts.join(', ');
+  }
+
+  const from = `${SCHEMA_PREFIX}tintuflw x
+       JOIN ${SCHEMA_PREFIX}tintrtun su
+         ON su.tintrtun_is_number = x.tintrtun_is_number
+        AND su.tinwsf_st_code = x.tintrtun_st_code
+       LEFT JOIN ${SCHEMA_PREFIX}tintrtun ru
+         ON ru.tintrtun_is_number = x.rcv_tintrtun_is_number
+        AND ru.tinwsf_st_code = x.rcv_tintrtun_st_code
+       ${lgvalJoin('ct', 'TMNT_UNIT_CONN_TYPE', 'connect_type_cd')}
+       ${lgvalJoin('pt', 'TMNT_UNIT_FLOW_PROC', 'process_type_cd')}
+       ${lgvalJoin('uom', 'UOM', 'uom_cd')}`;
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const countResult = await db.query(`SELECT COUNT(*) as total FROM ${from} ${where}`, params);
+  const totalCount = parseInt(countResult[0].total);
+
+  const rows = await db.query(
+    `SELECT x.*, su.name as sup_unit_name, su.tinwsf_is_number as sup_tinwsf_is_number,
+            ru.name as rcv_unit_name, ru.tinwsf_is_number as rcv_tinwsf_is_number,
+            ${['ct', 'pt', 'uom'].map(lgvalColumns).join(', ')}
+       FROM ${from} ${where}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, pageSize, pageNumber * pageSize]
+  );
+  return {
+    resultSummary: { totalCount, pageNumber, pageSize, totalPages: Math.ceil(totalCount / pageSize) },
+    items: rows.map(mapTreatmentUnitFlow),
+  };
+}
+
+// Mounted at /inventory/treatment-unit/flow
+const treatmentUnit = Router();
+
+/**
+ * @openapi
+ * /inventory/treatment-unit/flow:
+ *   get:
+ *     summary: List treatment unit flows
+ *     description: >
+ *       Returns the flows between treatment units (TreatmentUnitFlowListResponseDTO), e.g. rapid mix →
+ *       sedimentation → filters within a plant. Use facilityId to list one facility's process train.
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: query, name: treatmentUnitFlowId, schema: { type: integer } }
+ *       - { in: query, name: receivingTreatmentUnitId, schema: { type: integer } }
+ *       - { in: query, name: supplyingTreatmentUnitId, schema: { type: integer } }
+ *       - { in: query, name: facilityId, schema: { type: integer }, description: "Facility of either unit" }
+ *       - { in: query, name: treatmentUnitConnectTypeCode, schema: { type: string }, description: "Contains filter; see /inventory/ref-tmnt-unit-connect-type" }
+ *       - { in: query, name: treatmentUnitFlowProcessTypeCode, schema: { type: string }, description: "Contains filter" }
+ *       - { in: query, name: supplyingTreatmentUnitName, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: receivingTreatmentUnitName, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: trainId, schema: { type: string }, description: "Contains filter" }
+ *       - { in: query, name: sequenceId, schema: { type: string }, description: "Contains filter" }
+ *       - { in: query, name: quantity, schema: { type: number } }
+ *       - { in: query, name: notes, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: connectionDt, schema: { type: string, format: date } }
+ *       - { in: query, name: disconnectDt, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of treatment unit flows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 treatmentUnitFlowRecs: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitFlowRecDTO' } }
+ *       400:
+ *         description: A number or date filter that does not parse
+ */
+treatmentUnit.get('/', async (req, res) => {
+  try {
+    const { resultSummary, items } = await listTreatmentUnitFlows(req.query, req.auth);
+    res.json({ error: null, resultSummary, treatmentUnitFlowRecs: items });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error listing treatment unit flows:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.treatmentUnit = treatmentUnit;
+module.exports.loadFacilityFlows = loadFacilityFlows;
+module.exports.traceFlowGraph = traceFlowGraph;
+module.exports.graphOptions = graphOptions;
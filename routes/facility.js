@@ -17,6 +17,10 @@
  *         paAssignedId: { type: string, description: "PA-assigned facility identifier" }
  *         name: { type: string }
  *         localName: { type: string }
+ *         location: { $ref: '#/components/schemas/DWPFacilityLocationDTO' }
+ *         facilityWell: { $ref: '#/components/schemas/DWPFacilityWellDTO' }
+ *         facilityStorage: { $ref: '#/components/schemas/DWPFacilityStorageDTO' }
+ *         treatmentPlant: { $ref: '#/components/schemas/DWPTreatmentPlantDTO' }
  *         sellTreatmentType: { type: object, properties: { sellTreatmentTypeCode: { type: string } } }
  *         facilityType: { type: object, properties: { facilityTypeCode: { type: string } } }
  *         nonPipeType: { type: object, properties: { nonPipeTypeCode: { type: string } } }
@@ -42,11 +46,136 @@
  *         waterBodyName: { type: string }
  *         paStatusNotes: { type: string }
  *         notes: { type: string }
+ *     DWPFacilityLocationDTO:
+ *       type: object
+ *       description: "Facility coordinates (tingeolo); null when no location is recorded"
+ *       properties:
+ *         facilityLocationId: { type: integer, description: "Internal location sequence (tingeolo_is_number)" }
+ *         dataCollectionDt: { type: string, format: date-time }
+ *         latitude: { type: number, description: "Decimal degrees" }
+ *         longitude: { type: number, description: "Decimal degrees (negative west)" }
+ *         methodEnteringLocData: { type: string }
+ *         horizAccuracyMeasure: { type: number }
+ *         horizCollectMethod: { type: object, properties: { horiCollMetCode: { type: string } } }
+ *         horizRefDatum: { type: object, properties: { horiRefDatumCode: { type: string } } }
+ *         verticalMeasure: { type: number }
+ *         vertAccuracyMeasure: { type: number }
+ *         vertCollectMethod: { type: object, properties: { vertColMetCode: { type: string } } }
+ *         vertRefDatum: { type: object, properties: { vertRefDatumCode: { type: string } } }
+ *         geometricType: { type: object, properties: { geometricTypeCode: { type: string } } }
+ *         srcMapScale: { type: object, properties: { sourceMapCode: { type: string } } }
+ *         srcMapNumber: { type: string }
+ *         coordinateSrcCode: { type: object, properties: { coordinateSourceCode: { type: string } } }
+ *         verificationMethod: { type: object, properties: { veriMetCode: { type: string } } }
+ *         referencePoint: { type: object, properties: { refPointCode: { type: string } } }
+ *         meridianName: { type: string }
+ *         rangeNumber: { type: string }
+ *         townshipNumber: { type: string }
+ *         sectionNumber: { type: string }
+ *         notes: { type: string }
+ *     DWPFacilityWellDTO:
+ *       type: object
+ *       description: "Well details (tinwsfwl); populated only when facilityTypeCode is WL"
+ *       properties:
+ *         facilityWellId: { type: integer, description: "Internal well sequence (tinwsfwl_is_number)" }
+ *         wellId: { type: string }
+ *         drillMethod: { type: object, properties: { drillMethodCode: { type: string } } }
+ *         wellCap: { type: string }
+ *         wcInchesAboveGnd: { type: integer }
+ *         driller: { type: object, nullable: true, description: "Always null — SS records the driller as free text (alternateDrillerName)" }
+ *         alternateDrillerName: { type: string }
+ *         staticWaterDepth: { type: integer }
+ *         sttcWTRDpDt: { type: string, format: date-time }
+ *         staticWaterDepthUom: { type: object, properties: { uomCode: { type: string } } }
+ *         notes: { type: string }
+ *         wellScreens: { type: array, items: { $ref: '#/components/schemas/DWPWellScreenDTO' } }
+ *         wellCasings: { type: array, items: { $ref: '#/components/schemas/DWPWellCasingDTO' } }
+ *     DWPWellScreenDTO:
+ *       type: object
+ *       description: "Well screen interval (tinwlscr)"
+ *       properties:
+ *         wellScreenId: { type: integer }
+ *         screenId: { type: string }
+ *         screenType: { type: object, properties: { screenTypeCode: { type: string } } }
+ *         depthToTop: { type: number }
+ *         depthToBottom: { type: number }
+ *         aquiferType: { type: object, properties: { aquiferTypeCode: { type: string } } }
+ *         aquiferDepthToTop: { type: number }
+ *         aquiferThickness: { type: number }
+ *         confinementInd: { type: string }
+ *         notes: { type: string }
+ *     DWPWellCasingDTO:
+ *       type: object
+ *       description: "Well casing section (tinwlcas)"
+ *       properties:
+ *         wellCasingId: { type: integer }
+ *         casingId: { type: string }
+ *         casingType: { type: object, properties: { name: { type: string } } }
+ *         diameter: { type: number }
+ *         topMsrRelativity: { type: object, properties: { wellRelativityTypeCode: { type: string } } }
+ *         topMsr: { type: integer }
+ *         topMsrUom: { type: object, properties: { uomCode: { type: string } } }
+ *         bdepthMsr: { type: number }
+ *         bdpUom: { type: object, properties: { uomCode: { type: string } } }
+ *         notes: { type: string }
+ *     DWPFacilityStorageDTO:
+ *       type: object
+ *       description: "Storage details (tinwsfst); populated only when facilityTypeCode is ST"
+ *       properties:
+ *         facilityStorageId: { type: integer }
+ *         storageType: { type: object, properties: { storageTypeCode: { type: string } } }
+ *         coatingType: { type: object, properties: { coatingTypeCode: { type: string } } }
+ *         constructionType: { type: object, properties: { constructionTypeCode: { type: string } } }
+ *         notes: { type: string }
+ *     DWPTreatmentPlantDTO:
+ *       type: object
+ *       description: "Treatment plant CT/inactivation details (tinwsftp); populated only when facilityTypeCode is TP"
+ *       properties:
+ *         treatmentPlantId: { type: integer }
+ *         contactDeterminationDt: { type: string, format: date-time }
+ *         contactTime: { type: integer, description: "Contact time (minutes)" }
+ *         contactValue: { type: string }
+ *         contactNotes: { type: string }
+ *         giardiaInactivationLog: { type: number }
+ *         giardiaDt: { type: string, format: date-time }
+ *         giardiaInactivationPct: { type: number }
+ *         virusInactivationLog: { type: number }
+ *         virusDt: { type: string, format: date-time }
+ *         virusInactivationPct: { type: number }
+ *         bin: { type: integer, description: "LT2 bin classification" }
+ *         binStatusDt: { type: string, format: date-time }
+ *         schematicRcvdDt: { type: string, format: date-time }
+ *         schematicRvwDt: { type: string, format: date-time }
+ *         alternateReturnDt: { type: string, format: date-time }
+ *         correctiveDt: { type: string, format: date-time }
+ *         filterBackwashRuleComments: { type: string }
+ *         disenfectReason: { type: string }
+ *         disinfectConcentration: { type: number }
+ *         contactStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         giaStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         virStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         binStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         schematicStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         altrStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         corctvStatus: { type: object, properties: { treatmentPlantStatusCode: { type: string } } }
+ *         tpFilter: { type: object, properties: { filterCode: { type: string } } }
  */
 
 const { Router } = require('express');
 const path = require('path');
 const db = require('../db');
+const { currentAgency } = require('../agency');
+const { fieldRegistry } = require('../fields');
+const { forbidden, pwsidInScope, pwsidScopeCondition } = require('../auth');
+const { sendExport } = require('../export');
+const { usesCursor, keysetQuery, keysetPage, demoPage, resultSummary } = require('../cursor');
+const { feedStart, pageSizeOf, changeText, changeQuery, changePage, demoChanges, changeSummary } = require('../changes');
+const { codeNames } = require('./reference');
+const { loadSamplingPoints } = require('./sampling-point');
+const { loadTreatmentUnits } = require('./treatment-unit');
+const { loadFacilityPOCs } = require('./point-of-contact');
+const { loadAttributes, listRecords } = require('./attribute');
+const { loadFacilityFlows, traceFlowGraph, graphOptions } = require('./facility-flow');
 
 const router = Router();
 
@@ -59,158 +188,640 @@ function getDemoData() {
   return _demoData;
 }
 
-// In-memory filtering for demo mode
-function filterDemo(data, query) {
-  let results = [...data];
+// SDWIS/STATE schema — configurable per installation
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+// Facility location (tingeolo) — one coordinate row per facility, LEFT JOINed so
+// facilities without coordinates still list. Columns are aliased loc_* because
+// tingeolo shares audit column names with tinwsf.
+const LOCATION_JOIN = `LEFT JOIN ${SCHEMA_PREFIX}tingeolo gl
+         ON gl.tinwsf_is_number = f.tinwsf_is_number
+        AND gl.tinwsf_st_code = f.tinwsys_st_code`;
+const LOCATION_COLUMNS = [
+  'tingeolo_is_number', 'data_collection_dt', 'latitude_measure', 'longitude_measure',
+  'entry_method_txt', 'horiz_accuracy_msr', 'horiz_coll_meth_cd', 'horiz_ref_datum_cd',
+  'vertical_measure', 'vert_accuracy_msr', 'vert_coll_meth_cd', 'vert_ref_datum_cd',
+  'geometric_type_cd', 'source_map_scale_cd', 'source_map_num', 'coord_source_cd',
+  'verification_meth_cd', 'reference_point_cd', 'meridian_name', 'range_number',
+  'township_number', 'section_number', 'quarter1_section', 'quarter2_section',
+  'quarter3_section', 'quarter4_section', 'notes_text',
+  'd_initial_userid', 'd_userid_code', 'd_initial_ts', 'd_last_updt_ts',
+].map(c => `gl.${c} as loc_${c}`).join(', ');
+
+// Miles per degree of latitude; longitude degrees shrink by cos(latitude)
+const MILES_PER_DEGREE = 69.0;
+
+// Value helpers shared by the nested DTO mappers below
+const num = v => (v != null ? Number(v) : null);
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+// SS audit columns → SF audit fields; `p` is the column alias prefix, if any
+function auditFields(row, p = '') {
+  return {
+    createId: row[`${p}d_initial_userid`]?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row[`${p}d_userid_code`]?.trim() || null,
+    createDt: row[`${p}d_initial_ts`],
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row[`${p}d_last_updt_ts`],
+  };
+}
+
+// Column mapping: SS (tingeolo) → SF DWPFacilityLocationDTO
+function mapLocation(row) {
+  if (row.loc_tingeolo_is_number == null) return null;
+  return {
+    facilityLocationId: row.loc_tingeolo_is_number,
+    dataCollectionDt: row.loc_data_collection_dt,
+    latitude: num(row.loc_latitude_measure),
+    longitude: num(row.loc_longitude_measure),
+    methodEnteringLocData: row.loc_entry_method_txt?.trim() || null,
+    horizAccuracyMeasure: num(row.loc_horiz_accuracy_msr),
+    horizCollectMethod: code(row.loc_horiz_coll_meth_cd, 'horiCollMetCode'),
+    horizRefDatum: code(row.loc_horiz_ref_datum_cd, 'horiRefDatumCode'),
+    verticalMeasure: num(row.loc_vertical_measure),
+    vertAccuracyMeasure: num(row.loc_vert_accuracy_msr),
+    vertCollectMethod: code(row.loc_vert_coll_meth_cd, 'vertColMetCode'),
+    vertRefDatum: code(row.loc_vert_ref_datum_cd, 'vertRefDatumCode'),
+    geometricType: code(row.loc_geometric_type_cd, 'geometricTypeCode'),
+    srcMapScale: code(row.loc_source_map_scale_cd, 'sourceMapCode'),
+    srcMapNumber: row.loc_source_map_num?.trim() || null,
+    coordinateSrcCode: code(row.loc_coord_source_cd, 'coordinateSourceCode'),
+    verificationMethod: code(row.loc_verification_meth_cd, 'veriMetCode'),
+    referencePoint: code(row.loc_reference_point_cd, 'refPointCode'),
+    meridianName: row.loc_meridian_name?.trim() || null,
+    rangeNumber: row.loc_range_number?.trim() || null,
+    townshipNumber: row.loc_township_number?.trim() || null,
+    sectionNumber: row.loc_section_number?.trim() || null,
+    quarter1Section: row.loc_quarter1_section?.trim() || null,
+    quarter2Section: row.loc_quarter2_section?.trim() || null,
+    quarter3Section: row.loc_quarter3_section?.trim() || null,
+    quarter4Section: row.loc_quarter4_section?.trim() || null,
+    notes: row.loc_notes_text,
+    ...auditFields(row, 'loc_'),
+  };
+}
+
+// Facility subtypes — one optional detail row per facility in the table that
+// matches its type_code: tinwsfwl (WL well), tinwsfst (ST storage), tinwsftp
+// (TP treatment plant). LEFT JOINed and aliased like tingeolo; mapRow keeps only
+// the subtype matching facilityTypeCode so a stale row left behind by a type
+// change is never reported.
+const SUBTYPE_JOINS = ['wl:tinwsfwl', 'st:tinwsfst', 'tp:tinwsftp'].map(spec => {
+  const [alias, table] = spec.split(':');
+  return `LEFT JOIN ${SCHEMA_PREFIX}${table} ${alias}
+         ON ${alias}.tinwsf_is_number = f.tinwsf_is_number
+        AND ${alias}.tinwsf_st_code = f.tinwsys_st_code`;
+}).join('\n      ');
+
+const AUDIT_COLUMNS = ['d_initial_userid', 'd_userid_code', 'd_initial_ts', 'd_last_updt_ts'];
+const SUBTYPE_COLUMNS = {
+  wl: [
+    'tinwsfwl_is_number', 'well_ident_cd', 'drill_method_cd', 'well_cap_txt',
+    'cap_above_gnd_in', 'driller_name', 'static_wtr_depth', 'static_wtr_dpth_dt',
+    'static_dpth_uom_cd', 'notes_text',
+  ],
+  st: ['tinwsfst_is_number', 'storage_type_cd', 'coating_type_cd', 'construct_type_cd', 'notes_text'],
+  tp: [
+    'tinwsftp_is_number', 'contact_determ_dt', 'contact_time_min', 'contact_value_txt',
+    'contact_notes_txt', 'giardia_log_msr', 'giardia_dt', 'giardia_pct', 'virus_log_msr',
+    'virus_dt', 'virus_pct', 'bin_number', 'bin_status_dt', 'schem_rcvd_dt', 'schem_rvw_dt',
+    'altr_return_dt', 'corrective_dt', 'filter_bkwsh_cmnt', 'disinfect_rsn_txt',
+    'disinfect_conc_msr', 'contact_stat_cd', 'giardia_stat_cd', 'virus_stat_cd', 'bin_stat_cd',
+    'schem_stat_cd', 'altr_stat_cd', 'corrective_stat_cd', 'filter_type_cd',
+  ],
+};
+const SUBTYPE_SELECT = Object.entries(SUBTYPE_COLUMNS)
+  .flatMap(([alias, cols]) => [...cols, ...AUDIT_COLUMNS].map(c => `${alias}.${c} as ${alias}_${c}`))
+  .join(', ');
+
+// Column mapping: SS (tinwsfwl) → SF DWPFacilityWellDTO. Screens and casings
+// are child rows, attached afterwards by attachWellChildren().
+function mapWell(row) {
+  if (row.wl_tinwsfwl_is_number == null) return null;
+  return {
+    facilityWellId: row.wl_tinwsfwl_is_number,
+    wellId: row.wl_well_ident_cd?.trim() || null,
+    drillMethod: code(row.wl_drill_method_cd, 'drillMethodCode'),
+    wellCap: row.wl_well_cap_txt?.trim() || null,
+    wcInchesAboveGnd: num(row.wl_cap_above_gnd_in),
+    driller: null,             // SS keeps the driller as free text, not a legal entity
+    alternateDrillerName: row.wl_driller_name?.trim() || null,
+    staticWaterDepth: num(row.wl_static_wtr_depth),
+    sttcWTRDpDt: row.wl_static_wtr_dpth_dt,
+    staticWaterDepthUom: code(row.wl_static_dpth_uom_cd, 'uomCode'),
+    notes: row.wl_notes_text,
+    wellScreens: [],
+    wellCasings: [],
+    ...auditFields(row, 'wl_'),
+  };
+}
+
+// Column mapping: SS (tinwsfst) → SF DWPFacilityStorageDTO
+function mapStorage(row) {
+  if (row.st_tinwsfst_is_number == null) return null;
+  return {
+    facilityStorageId: row.st_tinwsfst_is_number,
+    storageType: code(row.st_storage_type_cd, 'storageTypeCode'),
+    coatingType: code(row.st_coating_type_cd, 'coatingTypeCode'),
+    constructionType: code(row.st_construct_type_cd, 'constructionTypeCode'),
+    notes: row.st_notes_text,
+    ...auditFields(row, 'st_'),
+  };
+}
+
+// Column mapping: SS (tinwsftp) → SF DWPTreatmentPlantDTO
+function mapTreatmentPlant(row) {
+  if (row.tp_tinwsftp_is_number == null) return null;
+  const status = v => code(v, 'treatmentPlantStatusCode');
+  return {
+    treatmentPlantId: row.tp_tinwsftp_is_number,
+    contactDeterminationDt: row.tp_contact_determ_dt,
+    contactTime: num(row.tp_contact_time_min),
+    contactValue: row.tp_contact_value_txt?.trim() || null,
+    contactNotes: row.tp_contact_notes_txt,
+    giardiaInactivationLog: num(row.tp_giardia_log_msr),
+    giardiaDt: row.tp_giardia_dt,
+    giardiaInactivationPct: num(row.tp_giardia_pct),
+    virusInactivationLog: num(row.tp_virus_log_msr),
+    virusDt: row.tp_virus_dt,
+    virusInactivationPct: num(row.tp_virus_pct),
+    bin: num(row.tp_bin_number),
+    binStatusDt: row.tp_bin_status_dt,
+    schematicRcvdDt: row.tp_schem_rcvd_dt,
+    schematicRvwDt: row.tp_schem_rvw_dt,
+    alternateReturnDt: row.tp_altr_return_dt,
+    correctiveDt: row.tp_corrective_dt,
+    filterBackwashRuleComments: row.tp_filter_bkwsh_cmnt,
+    disenfectReason: row.tp_disinfect_rsn_txt,
+    disinfectConcentration: num(row.tp_disinfect_conc_msr),
+    contactStatus: status(row.tp_contact_stat_cd),
+    giaStatus: status(row.tp_giardia_stat_cd),
+    virStatus: status(row.tp_virus_stat_cd),
+    binStatus: status(row.tp_bin_stat_cd),
+    schematicStatus: status(row.tp_schem_stat_cd),
+    altrStatus: status(row.tp_altr_stat_cd),
+    corctvStatus: status(row.tp_corrective_stat_cd),
+    tpFilter: code(row.tp_filter_type_cd, 'filterCode'),
+    ...auditFields(row, 'tp_'),
+  };
+}
+
+// Column mapping: SS (tinwlscr) → SF DWPWellScreenDTO
+function mapWellScreen(row) {
+  return {
+    wellScreenId: row.tinwlscr_is_number,
+    screenId: row.screen_ident_cd?.trim() || null,
+    paAquifer: null,           // SF-only, no SS equivalent
+    screenType: code(row.screen_type_cd, 'screenTypeCode'),
+    depthToTop: num(row.top_depth_msr),
+    depthToBottom: num(row.bottom_depth_msr),
+    aquiferType: code(row.aquifer_type_cd, 'aquiferTypeCode'),
+    aquiferDepthToTop: num(row.aqfr_top_depth_msr),
+    aquiferThickness: num(row.aqfr_thickness_msr),
+    notes: row.notes_text,
+    confinementInd: row.confinement_ind?.trim() || null,
+    lithology: null,           // SF-only, no SS equivalent
+    usgsAquifer: null,         // SF-only, no SS equivalent
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tinwlcas) → SF DWPWellCasingDTO
+function mapWellCasing(row) {
+  return {
+    wellCasingId: row.tinwlcas_is_number,
+    casingId: row.casing_ident_cd?.trim() || null,
+    casingType: row.casing_material_txt?.trim() ? { name: row.casing_material_txt.trim() } : null,
+    diameter: num(row.diameter_msr),
+    topMsrRelativity: code(row.top_relativity_cd, 'wellRelativityTypeCode'),
+    topMsr: num(row.top_msr),
+    topMsrUom: code(row.top_msr_uom_cd, 'uomCode'),
+    bdepthMsr: num(row.bottom_depth_msr),
+    bdpUom: code(row.bottom_uom_cd, 'uomCode'),
+    notes: row.notes_text,
+    ...auditFields(row),
+  };
+}
+
+// Load screens and casings for the wells among `facilities` (one query per
+// child table for the whole page) and attach them to facilityWell.
+async function attachWellChildren(facilities) {
+  const wells = facilities.filter(f => f.facilityWell);
+  if (!wells.length) return;
+
+  const ids = wells.map(f => f.facilityId);
+  const placeholders = ids.map((_, i) => `$${i + 2}`).join(', ');
+  const children = table => db.query(
+    `SELECT * FROM ${SCHEMA_PREFIX}${table}
+     WHERE tinwsf_st_code = $1 AND tinwsf_is_number IN (${placeholders})
+     ORDER BY ${table}_is_number`,
+    [currentAgency(), ...ids]
+  );
+  const [screenRows, casingRows] = await Promise.all([children('tinwlscr'), children('tinwlcas')]);
+
+  for (const f of wells) {
+    f.facilityWell.wellScreens = screenRows
+      .filter(r => Number(r.tinwsf_is_number) === Number(f.facilityId))
+      .map(mapWellScreen);
+    f.facilityWell.wellCasings = casingRows
+      .filter(r => Number(r.tinwsf_is_number) === Number(f.facilityId))
+      .map(mapWellCasing);
+  }
+}
+
+// Attach the child collections other route modules load for a page of
+// facilities (DWPFacilityDTO.facilitySamplingPoints, .treatmentUnits, .pocs,
+// .facilityFlows and the facilityMeasures, facilityIndicators, facilityFlowRates,
+// facilityPumps and certifications attribute families). Flows and related
+// facilities of water systems outside the caller's PWSID scope (`auth`) are
+// left out. Returns new objects so the cached demo rows are never mutated.
+async function withChildRecords(facilities, { auth } = {}) {
+  const ids = facilities.map(f => f.facilityId);
+  const [points, units, pocs, attributes, flows] = await Promise.all([
+    loadSamplingPoints(ids, findFacilityInfos, { auth }),
+    loadTreatmentUnits(ids),
+    loadFacilityPOCs(ids),
+    loadAttributes('facility', ids),
+    loadFacilityFlows(ids, findFacilityInfos, { auth }),
+  ]);
+  return facilities.map(f => ({
+    ...f,
+    facilitySamplingPoints: points.get(Number(f.facilityId)) || [],
+    treatmentUnits: units.get(Number(f.facilityId)) || [],
+    pocs: pocs.get(Number(f.facilityId)) || [],
+    facilityFlows: flows.get(Number(f.facilityId)) || [],
+    ...attributes.get(Number(f.facilityId)),
+  }));
+}
+
+// Parse the map-viewport filters. The radius test uses an equirectangular
+// approximation (plain arithmetic, so it runs unchanged on every dialect);
+// it is accurate to well under 1% for radii of a few hundred miles.
+function geoFilter(query) {
+  const num = v => (v !== undefined && v !== '' && !isNaN(Number(v)) ? Number(v) : null);
+  const box = {
+    latitudeFrom: num(query.latitudeFrom),
+    latitudeTo: num(query.latitudeTo),
+    longitudeFrom: num(query.longitudeFrom),
+    longitudeTo: num(query.longitudeTo),
+  };
+  const near = {
+    latitude: num(query.nearLatitude),
+    longitude: num(query.nearLongitude),
+    radiusMiles: num(query.radiusMiles),
+  };
+  const hasRadius = near.latitude != null && near.longitude != null && near.radiusMiles != null;
+  const lonScale = hasRadius ? Math.cos(near.latitude * Math.PI / 180) : null;
+  return { box, near: hasRadius ? { ...near, lonScale } : null };
+}
 
-  if (query.waterSystemId) {
-    const prefix = query.waterSystemId.toUpperCase();
-    results = results.filter(f => f.dwpWaterSystem?.waterSystemId?.startsWith(prefix));
+function withinGeoFilter(location, { box, near }) {
+  const lat = location?.latitude;
+  const lon = location?.longitude;
+  const active = near || Object.values(box).some(v => v != null);
+  if (!active) return true;
+  if (lat == null || lon == null) return false;
+  if (box.latitudeFrom != null && lat < box.latitudeFrom) return false;
+  if (box.latitudeTo != null && lat > box.latitudeTo) return false;
+  if (box.longitudeFrom != null && lon < box.longitudeFrom) return false;
+  if (box.longitudeTo != null && lon > box.longitudeTo) return false;
+  if (near) {
+    const dy = (lat - near.latitude) * MILES_PER_DEGREE;
+    const dx = (lon - near.longitude) * MILES_PER_DEGREE * near.lonScale;
+    if (dy * dy + dx * dx > near.radiusMiles * near.radiusMiles) return false;
   }
-  if (query.facilityId) {
-    const id = Number(query.facilityId);
-    results = results.filter(f => f.facilityId === id);
+  return true;
+}
+
+// Column mapping: SS (tinwsf f + tinwsys ws) → SF DWPFacilityDTO, with the
+// list's filters and sort fields (see fields.js)
+// Source: mapper.py analysis of DWP_FACILITY (38/43 matched)
+// Join to tinwsys for dwpWaterSystem (DWPWaterSystemInfoDTO)
+const subtype = (code, map) => row => (row.type_code?.trim() === code ? map(row) : null);
+
+const FIELDS = fieldRegistry({
+  dto: 'DWPFacilityDTO',
+  alias: 'f',
+  defaultSort: 'name',
+  fields: [
+    { field: 'facilityId', column: 'tinwsf_is_number', type: 'integer', sort: true, filter: 'exact', doc: 'Exact facility ID filter' },
+    { field: 'fedFacilityId', column: 'external_sys_num', type: 'integer', sort: true, filter: 'exact', doc: 'Exact federal facility ID filter' },
+    { field: 'dwpWaterSystem.waterSystemId', column: 'ws_pwsid', sql: 'ws.number0', type: 'trim', filter: 'startsWith',
+      doc: 'PWS ID starts-with filter (e.g., MS035)' },
+    { field: 'dwpWaterSystem.name', column: 'ws_name', sql: 'ws.name', name: 'waterSystemName' },
+    { field: 'constructedDt', column: 'constructed_date', type: 'date' },
+    { field: 'paAssignedId', column: 'st_asgn_ident_cd', type: 'trim', sort: true, filter: 'startsWith', doc: 'PA-assigned ID starts-with filter' },
+    { field: 'name', column: 'name', sort: true, filter: 'contains', doc: 'Facility name contains filter (case-insensitive)' },
+    { field: 'localName', column: 'local_name' },
+    { field: 'location', map: mapLocation },
+    { field: 'facilityWell', map: subtype('WL', mapWell) },
+    { field: 'facilityStorage', map: subtype('ST', mapStorage) },
+    { field: 'treatmentPlant', map: subtype('TP', mapTreatmentPlant) },
+    { field: 'sellTreatmentType.sellTreatmentTypeCode', column: 'sell_treat_ind_cd', type: 'code' },
+    { field: 'facilityType.facilityTypeCode', column: 'type_code', type: 'code', sort: true, filter: 'exact',
+      doc: 'Facility type (WL=Well, TP=Treatment Plant, IN=Intake, ST=Storage, DS=Distribution; full list at /inventory/ref-fac-type)' },
+    { field: 'nonPipeType.nonPipeTypeCode', column: 'non_pipe_fac_tp_cd', type: 'code' },
+    { field: 'waterType.facilityWaterTypeCode', column: 'water_type_code', type: 'code', sort: true, filter: 'exact',
+      doc: 'Water type (GW, SW; full list at /inventory/ref-fac-water-type)' },
+    { field: 'waterTypeDt', column: 'water_type_code_dt', type: 'date' },
+    { field: 'facilityFiltration.facilityFiltrationCode', column: 'filtration_status', type: 'code' },
+    { field: 'filtrationDt', column: 'filtration_stat_dt', type: 'date' },
+    { field: 'facilityAvailability.facilityAvailabilityCode', column: 'availability_code', type: 'code', sort: true, filter: 'exact',
+      doc: 'Facility availability code (full list at /inventory/ref-fac-availability)' },
+    { field: 'facilityStatus.facilityStatusCode', column: 'activity_status_cd', type: 'code', sort: true, filter: 'exact',
+      doc: 'Facility status code (A=Active, I=Inactive; full list at /inventory/ref-fac-status)' },
+    { field: 'facilityStatusDt', column: 'activity_date', type: 'date' },
+    { field: 'fedStatusCode', column: 'activity_status_cd', type: 'trim' },
+    { field: 'facilityStatusReason.facStatusReasonCode', column: 'activity_reason_cd', type: 'code' },
+    { field: 'treatmentStatus.treatmentStatusCode', column: 'treatment_stat_cd', type: 'code', sort: true, filter: 'exact',
+      doc: 'Treatment status code (full list at /inventory/ref-tmnt-status)' },
+    { field: 'srcInd', column: 'd_source_flag', type: 'trim', sort: true, filter: 'exact', upper: true, doc: 'Source indicator (Y/N)' },
+    { field: 'avgWaterQuantityPCT', column: 'avg_pct_water_qty', type: 'number', sort: true },
+    { field: 'maintenanceDt', column: 'physical_modif_dt', type: 'date' },
+    { field: 'swapStatus.swapStatusCode', column: 'swap_report_status', type: 'code' },
+    { field: 'swapStatusDt', column: 'swap_rpt_status_dt', type: 'date' },
+    { field: 'usgsHUC', column: 'usgs_hydro_unit_cd', type: 'trim' },
+    { field: 'storetCode', column: 'storet_ext_hydro_u', type: 'trim' },
+    { field: 'riverReachInd', column: 'on_rvr_rch_ind_cd', type: 'trim' },
+    { field: 'riverReachMiles', column: 'rvr_rch_miles_qty', type: 'number' },
+    { field: 'waterBodyName', column: 'wtr_body_nm_txt' },
+    { field: 'paStatusNotes', column: 'activity_rsn_txt' },
+    { field: 'notes', column: 'directions_text' },
+    { field: 'lastReportedToFedDt', column: null },  // SF-only, no SS equivalent
+    { field: 'createId', column: 'd_initial_userid', type: 'trim' },
+    { field: 'removeId', column: null },             // SF-only, no SS equivalent
+    { field: 'updateId', column: 'd_userid_code', type: 'trim' },
+    { field: 'createDt', column: 'd_initial_ts', type: 'date' },
+    { field: 'removeDt', column: null },             // SF-only, no SS equivalent
+    { field: 'updateDt', column: 'd_last_updt_ts', type: 'date' },
+  ],
+});
+
+const mapRow = FIELDS.mapRow;
+
+// Demo: the facilities matching the list filters, sorted
+function filterDemoList(query, { pwsid, auth }) {
+  const geo = geoFilter(query);
+  let filtered = FIELDS.filterDemo(getDemoData(), query).filter(f => withinGeoFilter(f.location, geo));
+  if (pwsid) filtered = filtered.filter(f => f.dwpWaterSystem?.waterSystemId === pwsid);
+  filtered = filtered.filter(f => pwsidInScope(auth, f.dwpWaterSystem?.waterSystemId));
+  return FIELDS.sortDemo(filtered, query);
+}
+
+// Database: FROM clause, WHERE clause, its parameters, the next free
+// placeholder number and the ORDER BY of the list filters
+function listQuery(query, { pwsid, auth }) {
+  // Join tinwsf → tinwsys to get waterSystemId (PWSID), tingeolo for location,
+  // and the well/storage/treatment plant subtype tables
+  const from = `${SCHEMA_PREFIX}tinwsf f
+    JOIN ${SCHEMA_PREFIX}tinwsys ws
+      ON f.tinwsys_is_number = ws.tinwsys_is_number
+     AND f.tinwsys_st_code = ws.tinwsys_st_code
+    ${LOCATION_JOIN}
+    ${SUBTYPE_JOINS}`;
+
+  const filters = FIELDS.sqlFilters(query, 2);
+  const conditions = ['f.tinwsys_st_code = $1', ...filters.conditions];
+  const params = [currentAgency(), ...filters.params];
+  let { paramIdx } = filters;
+
+  if (pwsid) {
+    conditions.push(`TRIM(ws.number0) = $${paramIdx++}`);
+    params.push(pwsid);
   }
-  if (query.name) {
-    const term = query.name.toLowerCase();
-    results = results.filter(f => f.name?.toLowerCase().includes(term));
+  const scope = pwsidScopeCondition(auth, 'TRIM(ws.number0)', paramIdx);
+  if (scope) {
+    conditions.push(scope.condition);
+    params.push(...scope.params);
+    paramIdx += scope.params.length;
   }
-  if (query.facilityTypeCode) {
-    results = results.filter(f => f.facilityType?.facilityTypeCode === query.facilityTypeCode);
+
+  const { box, near } = geoFilter(query);
+  if (box.latitudeFrom != null) {
+    conditions.push(`gl.latitude_measure >= $${paramIdx++}`);
+    params.push(box.latitudeFrom);
   }
-  if (query.facilityStatusCode) {
-    results = results.filter(f => f.facilityStatus?.facilityStatusCode === query.facilityStatusCode);
+  if (box.latitudeTo != null) {
+    conditions.push(`gl.latitude_measure <= $${paramIdx++}`);
+    params.push(box.latitudeTo);
   }
-  if (query.facilityAvailabilityCode) {
-    results = results.filter(f => f.facilityAvailability?.facilityAvailabilityCode === query.facilityAvailabilityCode);
+  if (box.longitudeFrom != null) {
+    conditions.push(`gl.longitude_measure >= $${paramIdx++}`);
+    params.push(box.longitudeFrom);
   }
-  if (query.srcInd) {
-    results = results.filter(f => f.srcInd?.toUpperCase() === query.srcInd.toUpperCase());
+  if (box.longitudeTo != null) {
+    conditions.push(`gl.longitude_measure <= $${paramIdx++}`);
+    params.push(box.longitudeTo);
   }
-  if (query.facilityWaterTypeCode) {
-    results = results.filter(f => f.waterType?.facilityWaterTypeCode === query.facilityWaterTypeCode);
+  if (near) {
+    const dy = `(gl.latitude_measure - $${paramIdx++}) * ${MILES_PER_DEGREE}`;
+    const dx = `(gl.longitude_measure - $${paramIdx++}) * ${MILES_PER_DEGREE} * $${paramIdx++}`;
+    conditions.push(`(${dy}) * (${dy}) + (${dx}) * (${dx}) <= $${paramIdx++}`);
+    params.push(near.latitude, near.longitude, near.lonScale, near.radiusMiles * near.radiusMiles);
   }
-  if (query.treatmentStatusCode) {
-    results = results.filter(f => f.treatmentStatus?.treatmentStatusCode === query.treatmentStatusCode);
+
+  const orderBy = FIELDS.sortKeys(query).map(k => `${k.column} ${k.dir}`).join(', ');
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return { from, where, params, paramIdx, orderBy };
+}
+
+// Cursor pagination keys: the sort keys, then the facility's sequence number
+const cursorKeys = query => [...FIELDS.sortKeys(query), { name: 'id', column: 'f.tinwsf_is_number', dir: 'ASC' }];
+
+const demoKeyValue = (f, name) => (name === 'id' ? f.facilityId : FIELDS.sortValue(f, name));
+
+// Facility columns selected by the list and export queries
+const FACILITY_SELECT = `f.*, TRIM(ws.number0) as ws_pwsid, ws.name as ws_name, ${LOCATION_COLUMNS}, ${SUBTYPE_SELECT}`;
+
+// Filter, sort and page facilities — shared by the flat and per-system listings.
+// `pwsid` restricts to one water system by exact PWSID (the nested spec path);
+// `auth` (req.auth) to the caller's PWSID prefixes;
+// `detail: false` skips the child rows the search records do not carry.
+// A `cursor` in the query pages by keyset instead of pageNumber (see cursor.js).
+async function listFacilities(query, { pwsid, auth, detail = true } = {}) {
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize) || 10));
+  // Paging by cursor: pageNumber is null and nextCursor continues the list
+  const keys = usesCursor(query) ? cursorKeys(query) : null;
+  const pageNumber = keys ? null : Math.max(0, parseInt(query.pageNumber) || 0);
+
+  let totalCount, facilities, nextCursor;
+
+  if (db.mode === 'demo') {
+    const filtered = filterDemoList(query, { pwsid, auth });
+    totalCount = filtered.length;
+    if (keys) {
+      ({ items: facilities, nextCursor } = demoPage(filtered, keys, f => keys.map(k => demoKeyValue(f, k.name)),
+        { cursor: query.cursor, pageSize }));
+    } else {
+      facilities = filtered.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize);
+    }
+  } else {
+    const { from, where, params, paramIdx, orderBy } = listQuery(query, { pwsid, auth });
+    const select = `SELECT ${FACILITY_SELECT}
+       FROM ${from} ${where}`;
+    const keyset = keys && keysetQuery(keys, query.cursor, { select, params, paramIdx, pageSize });
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM ${from} ${where}`,
+      params
+    );
+    totalCount = parseInt(countResult[0].total);
+
+    let rows;
+    if (keyset) {
+      ({ rows, nextCursor } = keysetPage(keys, await db.query(keyset.text, keyset.params), pageSize));
+    } else {
+      rows = await db.query(
+        `${select}
+       ORDER BY ${orderBy}
+       LIMIT $${paramIdx} OFFSET $${paramIdx + 1}`,
+        [...params, pageSize, pageNumber * pageSize]
+      );
+    }
+    facilities = rows.map(mapRow);
+    if (detail) await attachWellChildren(facilities);
   }
-  if (query.paAssignedId) {
-    const prefix = query.paAssignedId.toUpperCase();
-    results = results.filter(f => f.paAssignedId?.toUpperCase().startsWith(prefix));
+
+  if (detail) facilities = await withChildRecords(facilities, { auth });
+  return { totalCount, pageNumber, pageSize, nextCursor, facilities };
+}
+
+// Change feed: a facility's change time (SQL) — last update, else insert.
+// Location and subtype rows have timestamps of their own, not counted here.
+const CHANGED = 'COALESCE(f.d_last_updt_ts, f.d_initial_ts)';
+
+// One page of the facilities changed from the query's since or watermark on
+// (see changes.js), in update order, with child records
+async function listChanges(query, { auth } = {}) {
+  const start = feedStart(query);
+  const pageSize = pageSizeOf(query);
+  let page, facilities;
+
+  if (db.mode === 'demo') {
+    ({ items: facilities, ...page } = demoChanges(filterDemoList({}, { auth }), {
+      start, pageSize, keyOf: f => ({ changed: f.updateDt ?? f.createDt, id: f.facilityId }),
+    }));
+  } else {
+    // No list filters: the feed covers every facility the caller may read
+    const { from, where, params, paramIdx } = listQuery({}, { auth });
+    const { text, params: feedParams } = changeQuery({
+      select: `SELECT ${FACILITY_SELECT}, ${changeText(CHANGED)} AS change_ts FROM ${from} ${where}`,
+      changed: CHANGED, id: 'f.tinwsf_is_number', params, paramIdx, start, pageSize,
+    });
+    let rows;
+    ({ items: rows, ...page } = changePage(await db.query(text, feedParams), {
+      start, pageSize, keyOf: row => ({ changed: row.change_ts, id: row.tinwsf_is_number }),
+    }));
+    facilities = rows.map(mapRow);
+    await attachWellChildren(facilities);
   }
-  if (query.fedFacilityId) {
-    const id = Number(query.fedFacilityId);
-    results = results.filter(f => f.fedFacilityId === id);
+
+  return { pageSize, ...page, facilities: await withChildRecords(facilities, { auth }) };
+}
+
+// Export: columns of the flattened DWPFacilityDTO — the facility, its water
+// system, location and subtype details (child collections have their own endpoints)
+const EXPORT_COLUMNS = [
+  'facilityId', 'fedFacilityId', 'dwpWaterSystem.waterSystemId', 'dwpWaterSystem.name',
+  'paAssignedId', 'name', 'localName', 'constructedDt',
+  'facilityType.facilityTypeCode', 'nonPipeType.nonPipeTypeCode', 'sellTreatmentType.sellTreatmentTypeCode',
+  'waterType.facilityWaterTypeCode', 'waterTypeDt', 'facilityFiltration.facilityFiltrationCode', 'filtrationDt',
+  'facilityAvailability.facilityAvailabilityCode', 'facilityStatus.facilityStatusCode', 'facilityStatusDt',
+  'fedStatusCode', 'facilityStatusReason.facStatusReasonCode', 'treatmentStatus.treatmentStatusCode',
+  'srcInd', 'avgWaterQuantityPCT', 'maintenanceDt', 'swapStatus.swapStatusCode', 'swapStatusDt',
+  'usgsHUC', 'storetCode', 'riverReachInd', 'riverReachMiles', 'waterBodyName', 'paStatusNotes', 'notes',
+  'location.latitude', 'location.longitude', 'location.horizAccuracyMeasure',
+  'location.horizCollectMethod.horiCollMetCode', 'location.horizRefDatum.horiRefDatumCode',
+  'location.dataCollectionDt',
+  'facilityWell.wellId', 'facilityWell.drillMethod.drillMethodCode', 'facilityWell.staticWaterDepth',
+  'facilityWell.staticWaterDepthUom.uomCode',
+  'facilityStorage.storageType.storageTypeCode', 'facilityStorage.constructionType.constructionTypeCode',
+  'treatmentPlant.bin', 'treatmentPlant.tpFilter.filterCode',
+  'createId', 'updateId', 'createDt', 'updateDt',
+];
+
+// Every facility matching the list filters, in list order — rows are read
+// from a database cursor, not paged
+async function* exportFacilities(query, { auth } = {}) {
+  if (db.mode === 'demo') {
+    yield* filterDemoList(query, { auth });
+    return;
   }
 
-  return results;
+  const { from, where, params, orderBy } = listQuery(query, { auth });
+  for await (const row of db.stream(`SELECT ${FACILITY_SELECT} FROM ${from} ${where} ORDER BY ${orderBy}`, params)) {
+    yield mapRow(row);
+  }
 }
 
-// In-memory sorting for demo mode
-const DEMO_SORT_FIELDS = {
-  facilityId: 'facilityId',
-  name: 'name',
-  fedFacilityId: 'fedFacilityId',
-  paAssignedId: 'paAssignedId',
-  srcInd: 'srcInd',
-  facilityWaterTypeCode: f => f.waterType?.facilityWaterTypeCode,
-  facilityStatusCode: f => f.facilityStatus?.facilityStatusCode,
-  facilityAvailabilityCode: f => f.facilityAvailability?.facilityAvailabilityCode,
-  treatmentStatusCode: f => f.treatmentStatus?.treatmentStatusCode,
-  avgWaterQuantityPCT: 'avgWaterQuantityPCT',
-  facilityTypeCode: f => f.facilityType?.facilityTypeCode,
-};
+// Single facility by tinwsf_is_number, or null; its child records as the
+// caller (`auth`) may see them
+async function findFacility(facilityId, { auth } = {}) {
+  const facility = await findFacilityRecord(facilityId);
+  return facility && (await withChildRecords([facility], { auth }))[0];
+}
 
-function sortDemo(data, sortColumns, sortOrders) {
-  if (!sortColumns) return data;
-  const cols = sortColumns.split(',').map(s => s.trim());
-  const orders = (sortOrders || '').split(',').map(s => s.trim().toUpperCase());
-
-  return data.sort((a, b) => {
-    for (let i = 0; i < cols.length; i++) {
-      const field = DEMO_SORT_FIELDS[cols[i]];
-      if (!field) continue;
-      const dir = orders[i] === 'DESC' ? -1 : 1;
-      const valA = typeof field === 'function' ? field(a) : a[field];
-      const valB = typeof field === 'function' ? field(b) : b[field];
-      if (valA == null && valB == null) continue;
-      if (valA == null) return dir;
-      if (valB == null) return -dir;
-      if (valA < valB) return -dir;
-      if (valA > valB) return dir;
-    }
-    return 0;
-  });
+// Single facility by tinwsf_is_number, or null, without child records (a
+// well's screens and casings belong to its facilityWell). An id that is not
+// an integer names no facility, so it never reaches the query.
+async function findFacilityRecord(facilityId) {
+  const id = /^\d+$/.test(facilityId) ? Number(facilityId) : NaN;
+  if (!Number.isSafeInteger(id)) return null;
+  if (db.mode === 'demo') return getDemoData().find(f => f.facilityId === id) || null;
+
+  const rows = await db.query(
+    `SELECT f.*, TRIM(ws.number0) as ws_pwsid, ws.name as ws_name, ${LOCATION_COLUMNS}, ${SUBTYPE_SELECT}
+     FROM ${SCHEMA_PREFIX}tinwsf f
+     JOIN ${SCHEMA_PREFIX}tinwsys ws
+       ON f.tinwsys_is_number = ws.tinwsys_is_number
+      AND f.tinwsys_st_code = ws.tinwsys_st_code
+     ${LOCATION_JOIN}
+     ${SUBTYPE_JOINS}
+     WHERE f.tinwsf_is_number = $2 AND f.tinwsys_st_code = $1`,
+    [currentAgency(), id]
+  );
+  if (!rows.length) return null;
+  const facility = mapRow(rows[0]);
+  await attachWellChildren([facility]);
+  return facility;
 }
 
-// SDWIS/STATE schema — configurable per installation
-const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
-const ST_CODE = process.env.SDWIS_ST_CODE || 'MS';
+// DWPFacilityDTOs by facility ID (Map), without child rows — for records that
+// point at other facilities, e.g. a purchase's seller and buyer facilities
+async function findFacilities(facilityIds) {
+  const facilities = new Map();
+  if (!facilityIds.length) return facilities;
 
-// Column mapping: SS (tinwsf + tinwsys) → SF API field names
-// Source: mapper.py analysis of DWP_FACILITY (38/43 matched)
-// Join to tinwsys for dwpWaterSystem (DWPWaterSystemInfoDTO)
-function mapRow(row) {
-  return {
-    facilityId: row.tinwsf_is_number,
-    fedFacilityId: row.external_sys_num,
-    dwpWaterSystem: {
-      waterSystemId: row.ws_pwsid?.trim() || null,
-      name: row.ws_name || null,
-    },
-    constructedDt: row.constructed_date,
-    paAssignedId: row.st_asgn_ident_cd?.trim() || null,
-    name: row.name,
-    localName: row.local_name,
-    sellTreatmentType: row.sell_treat_ind_cd ? { sellTreatmentTypeCode: row.sell_treat_ind_cd.trim() } : null,
-    facilityType: row.type_code ? { facilityTypeCode: row.type_code.trim() } : null,
-    nonPipeType: row.non_pipe_fac_tp_cd ? { nonPipeTypeCode: row.non_pipe_fac_tp_cd.trim() } : null,
-    waterType: row.water_type_code ? { facilityWaterTypeCode: row.water_type_code.trim() } : null,
-    waterTypeDt: row.water_type_code_dt,
-    facilityFiltration: row.filtration_status ? { facilityFiltrationCode: row.filtration_status.trim() } : null,
-    filtrationDt: row.filtration_stat_dt,
-    facilityAvailability: row.availability_code ? { facilityAvailabilityCode: row.availability_code.trim() } : null,
-    facilityStatus: row.activity_status_cd ? { facilityStatusCode: row.activity_status_cd.trim() } : null,
-    facilityStatusDt: row.activity_date,
-    fedStatusCode: row.activity_status_cd?.trim() || null,
-    facilityStatusReason: row.activity_reason_cd ? { facStatusReasonCode: row.activity_reason_cd.trim() } : null,
-    treatmentStatus: row.treatment_stat_cd ? { treatmentStatusCode: row.treatment_stat_cd.trim() } : null,
-    srcInd: row.d_source_flag?.trim() || null,
-    avgWaterQuantityPCT: row.avg_pct_water_qty != null ? Number(row.avg_pct_water_qty) : null,
-    maintenanceDt: row.physical_modif_dt,
-    swapStatus: row.swap_report_status ? { swapStatusCode: row.swap_report_status.trim() } : null,
-    swapStatusDt: row.swap_rpt_status_dt,
-    usgsHUC: row.usgs_hydro_unit_cd?.trim() || null,
-    storetCode: row.storet_ext_hydro_u?.trim() || null,
-    riverReachInd: row.on_rvr_rch_ind_cd?.trim() || null,
-    riverReachMiles: row.rvr_rch_miles_qty != null ? Number(row.rvr_rch_miles_qty) : null,
-    waterBodyName: row.wtr_body_nm_txt,
-    paStatusNotes: row.activity_rsn_txt,
-    notes: row.directions_text,
-    lastReportedToFedDt: null, // SF-only, no SS equivalent
-    createId: row.d_initial_userid?.trim() || null,
-    removeId: null,            // SF-only, no SS equivalent
-    updateId: row.d_userid_code?.trim() || null,
-    createDt: row.d_initial_ts,
-    removeDt: null,            // SF-only, no SS equivalent
-    updateDt: row.d_last_updt_ts,
-  };
+  if (db.mode === 'demo') {
+    const ids = new Set(facilityIds.map(Number));
+    for (const f of getDemoData()) {
+      if (ids.has(f.facilityId)) facilities.set(f.facilityId, f);
+    }
+    return facilities;
+  }
+
+  const placeholders = facilityIds.map((_, i) => `$${i + 2}`).join(', ');
+  const rows = await db.query(
+    `SELECT f.*, TRIM(ws.number0) as ws_pwsid, ws.name as ws_name, ${LOCATION_COLUMNS}, ${SUBTYPE_SELECT}
+     FROM ${SCHEMA_PREFIX}tinwsf f
+     JOIN ${SCHEMA_PREFIX}tinwsys ws
+       ON f.tinwsys_is_number = ws.tinwsys_is_number
+      AND f.tinwsys_st_code = ws.tinwsys_st_code
+     ${LOCATION_JOIN}
+     ${SUBTYPE_JOINS}
+     WHERE f.tinwsf_is_number IN (${placeholders}) AND f.tinwsys_st_code = $1`,
+    [currentAgency(), ...facilityIds.map(Number)]
+  );
+  for (const row of rows) facilities.set(Number(row.tinwsf_is_number), mapRow(row));
+  return facilities;
 }
 
-// Valid sort columns: API field name → SS column expression
-// Used for ORDER BY clause construction
-const SORT_COLUMNS = {
-  facilityId: 'f.tinwsf_is_number',
-  name: 'f.name',
-  fedFacilityId: 'f.external_sys_num',
-  paAssignedId: 'f.st_asgn_ident_cd',
-  srcInd: 'f.d_source_flag',
-  facilityWaterTypeCode: 'f.water_type_code',
-  facilityStatusCode: 'f.activity_status_cd',
-  facilityAvailabilityCode: 'f.availability_code',
-  treatmentStatusCode: 'f.treatment_stat_cd',
-  avgWaterQuantityPCT: 'f.avg_pct_water_qty',
-  facilityTypeCode: 'f.type_code',
-};
+// DWPFacilityInfoDTOs by facility ID (Map), e.g. for a sampling point's related facilities
+async function findFacilityInfos(facilityIds) {
+  const facilities = await findFacilities(facilityIds);
+  return new Map([...facilities].map(([id, f]) => [id, toFacilityInfo(f)]));
+}
 
 /**
  * @openapi
@@ -219,51 +830,36 @@ const SORT_COLUMNS = {
  *     summary: List facilities
  *     description: Returns a paginated list of facilities with optional filters and sorting.
  *     tags: [Facility]
+ *     x-list-fields: DWPFacilityDTO
  *     parameters:
  *       - in: query
- *         name: waterSystemId
- *         schema: { type: string }
- *         description: PWS ID starts-with filter (e.g., MS035)
- *       - in: query
- *         name: facilityId
- *         schema: { type: integer }
- *         description: Exact facility ID filter
- *       - in: query
- *         name: name
- *         schema: { type: string }
- *         description: Facility name contains filter (case-insensitive)
- *       - in: query
- *         name: facilityTypeCode
- *         schema: { type: string }
- *         description: "Facility type (WL=Well, TP=Treatment Plant, IN=Intake, ST=Storage, DS=Distribution)"
+ *         name: latitudeFrom
+ *         schema: { type: number }
+ *         description: Bounding box south edge (decimal degrees, inclusive)
  *       - in: query
- *         name: facilityStatusCode
- *         schema: { type: string }
- *         description: "Facility status code (A=Active, I=Inactive)"
- *       - in: query
- *         name: facilityAvailabilityCode
- *         schema: { type: string }
- *         description: "Facility availability code (I=In Use, O=Not In Use)"
+ *         name: latitudeTo
+ *         schema: { type: number }
+ *         description: Bounding box north edge (decimal degrees, inclusive)
  *       - in: query
- *         name: srcInd
- *         schema: { type: string }
- *         description: "Source indicator (Y/N)"
+ *         name: longitudeFrom
+ *         schema: { type: number }
+ *         description: Bounding box west edge (decimal degrees, inclusive)
  *       - in: query
- *         name: facilityWaterTypeCode
- *         schema: { type: string }
- *         description: "Water type (GW, SW, GWP, SWP)"
+ *         name: longitudeTo
+ *         schema: { type: number }
+ *         description: Bounding box east edge (decimal degrees, inclusive)
  *       - in: query
- *         name: treatmentStatusCode
- *         schema: { type: string }
- *         description: "Treatment status code"
+ *         name: nearLatitude
+ *         schema: { type: number }
+ *         description: Radius search center latitude (requires nearLongitude and radiusMiles)
  *       - in: query
- *         name: paAssignedId
- *         schema: { type: string }
- *         description: PA-assigned ID starts-with filter
+ *         name: nearLongitude
+ *         schema: { type: number }
+ *         description: Radius search center longitude
  *       - in: query
- *         name: fedFacilityId
- *         schema: { type: integer }
- *         description: Exact federal facility ID filter
+ *         name: radiusMiles
+ *         schema: { type: number }
+ *         description: Radius search distance in miles
  *       - in: query
  *         name: pageNumber
  *         schema: { type: integer, default: 0 }
@@ -273,13 +869,9 @@ const SORT_COLUMNS = {
  *         schema: { type: integer, default: 10, maximum: 100 }
  *         description: Results per page
  *       - in: query
- *         name: sortColumns
+ *         name: cursor
  *         schema: { type: string }
- *         description: "Comma-separated sort fields: facilityId, name, fedFacilityId, paAssignedId, srcInd, facilityWaterTypeCode, facilityStatusCode, facilityAvailabilityCode, treatmentStatusCode, avgWaterQuantityPCT, facilityTypeCode"
- *       - in: query
- *         name: sortOrders
- *         schema: { type: string }
- *         description: "Comma-separated ASC/DESC (must match sortColumns count)"
+ *         description: "Page by cursor instead of pageNumber: empty for the first page, then resultSummary.nextCursor of the previous one (same filters and sort)"
  *     responses:
  *       200:
  *         description: Paginated list of facilities
@@ -293,126 +885,126 @@ const SORT_COLUMNS = {
  *                   type: object
  *                   properties:
  *                     totalCount: { type: integer }
- *                     pageNumber: { type: integer }
+ *                     pageNumber: { type: integer, nullable: true, description: "null when paging by cursor" }
  *                     pageSize: { type: integer }
  *                     totalPages: { type: integer }
+ *                     nextCursor: { type: string, nullable: true, description: "Only when paging by cursor; null on the last page" }
  *                 facilities:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/DWPFacilityDTO'
+ *       400:
+ *         description: Malformed cursor, or one issued for a different sort
  */
 router.get('/', async (req, res) => {
   try {
-    const pageNumber = Math.max(0, parseInt(req.query.pageNumber) || 0);
-    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 10));
+    const { facilities, ...page } = await listFacilities(req.query, { auth: req.auth });
 
-    let totalCount, facilities;
+    res.json({ error: null, resultSummary: resultSummary(page), facilities });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error listing facilities:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
 
-    if (db.mode === 'demo') {
-      let filtered = filterDemo(getDemoData(), req.query);
-      filtered = sortDemo(filtered, req.query.sortColumns, req.query.sortOrders);
-      totalCount = filtered.length;
-      facilities = filtered.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize);
-    } else {
-      // Join tinwsf → tinwsys to get waterSystemId (PWSID)
-      const from = `${SCHEMA_PREFIX}tinwsf f
-        JOIN ${SCHEMA_PREFIX}tinwsys ws
-          ON f.tinwsys_is_number = ws.tinwsys_is_number
-         AND f.tinwsys_st_code = ws.tinwsys_st_code`;
-
-      const conditions = [`f.tinwsys_st_code = '${ST_CODE}'`];
-      const params = [];
-      let paramIdx = 1;
-
-      if (req.query.waterSystemId) {
-        conditions.push(`TRIM(ws.number0) LIKE $${paramIdx++}`);
-        params.push(`${req.query.waterSystemId}%`);
-      }
-      if (req.query.facilityId) {
-        conditions.push(`f.tinwsf_is_number = $${paramIdx++}`);
-        params.push(Number(req.query.facilityId));
-      }
-      if (req.query.name) {
-        conditions.push(`f.name ILIKE $${paramIdx++}`);
-        params.push(`%${req.query.name}%`);
-      }
-      if (req.query.facilityTypeCode) {
-        conditions.push(`TRIM(f.type_code) = $${paramIdx++}`);
-        params.push(req.query.facilityTypeCode);
-      }
-      if (req.query.facilityStatusCode) {
-        conditions.push(`TRIM(f.activity_status_cd) = $${paramIdx++}`);
-        params.push(req.query.facilityStatusCode);
-      }
-      if (req.query.facilityAvailabilityCode) {
-        conditions.push(`TRIM(f.availability_code) = $${paramIdx++}`);
-        params.push(req.query.facilityAvailabilityCode);
-      }
-      if (req.query.srcInd) {
-        conditions.push(`TRIM(f.d_source_flag) = $${paramIdx++}`);
-        params.push(req.query.srcInd.toUpperCase());
-      }
-      if (req.query.facilityWaterTypeCode) {
-        conditions.push(`TRIM(f.water_type_code) = $${paramIdx++}`);
-        params.push(req.query.facilityWaterTypeCode);
-      }
-      if (req.query.treatmentStatusCode) {
-        conditions.push(`TRIM(f.treatment_stat_cd) = $${paramIdx++}`);
-        params.push(req.query.treatmentStatusCode);
-      }
-      if (req.query.paAssignedId) {
-        conditions.push(`TRIM(f.st_asgn_ident_cd) LIKE $${paramIdx++}`);
-        params.push(`${req.query.paAssignedId}%`);
-      }
-      if (req.query.fedFacilityId) {
-        conditions.push(`f.external_sys_num = $${paramIdx++}`);
-        params.push(Number(req.query.fedFacilityId));
-      }
-
-      let orderBy = 'f.name ASC';
-      if (req.query.sortColumns) {
-        const cols = req.query.sortColumns.split(',');
-        const orders = (req.query.sortOrders || '').split(',');
-        const parts = [];
-        for (let i = 0; i < cols.length; i++) {
-          const ssCol = SORT_COLUMNS[cols[i].trim()];
-          if (ssCol) {
-            const dir = (orders[i] || '').trim().toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-            parts.push(`${ssCol} ${dir}`);
-          }
-        }
-        if (parts.length) orderBy = parts.join(', ');
-      }
-
-      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-
-      const countResult = await db.query(
-        `SELECT COUNT(*) as total FROM ${from} ${where}`,
-        params
-      );
-      totalCount = parseInt(countResult[0].total);
+/**
+ * @openapi
+ * /inventory/water-system/facility/export:
+ *   get:
+ *     summary: Export facilities
+ *     description: >
+ *       Streams every facility matching the list filters (the same parameters,
+ *       map filters and sorting as the list, without paging) as NDJSON or CSV.
+ *       Each record is a flattened DWPFacilityDTO — the facility, its water
+ *       system, location and subtype details as dot-separated columns such as
+ *       facilityType.facilityTypeCode; child collections are left out. Rows
+ *       are read from a database cursor in one consistent pass.
+ *     tags: [Facility]
+ *     x-list-fields: DWPFacilityDTO
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [ndjson, csv] }
+ *         description: "Output format (default ndjson, or csv when the Accept header prefers text/csv)"
+ *       - in: query
+ *         name: latitudeFrom
+ *         schema: { type: number }
+ *         description: The list's map filters (latitudeFrom … radiusMiles) apply too
+ *     responses:
+ *       200:
+ *         description: One record per line (NDJSON) or per row after a header row (CSV)
+ *         content:
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *           text/csv:
+ *             schema: { type: string }
+ *       400:
+ *         description: Unknown format
+ */
+router.get('/export', (req, res) => sendExport(req, res, {
+  name: 'facilities',
+  columns: EXPORT_COLUMNS,
+  records: exportFacilities(req.query, { auth: req.auth }),
+  label: 'facilities',
+}));
 
-      const rows = await db.query(
-        `SELECT f.*, TRIM(ws.number0) as ws_pwsid, ws.name as ws_name FROM ${from} ${where}
-         ORDER BY ${orderBy}
-         LIMIT $${paramIdx++} OFFSET $${paramIdx++}`,
-        [...params, pageSize, pageNumber * pageSize]
-      );
-      facilities = rows.map(mapRow);
-    }
+/**
+ * @openapi
+ * /inventory/water-system/facility/changes:
+ *   get:
+ *     summary: Facilities changed since a sync
+ *     description: >
+ *       Incremental change feed: the facilities changed (their tinwsf
+ *       d_last_updt_ts, or d_initial_ts when never updated) at or after
+ *       `since`, or after a previous page's `watermark`, oldest change first.
+ *       Store changeSummary.nextWatermark and pass it on the next sync; while
+ *       hasMore is true, more changes are waiting. Without since or watermark
+ *       the feed starts at the oldest change. Deletions are not reported.
+ *     tags: [Facility]
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema: { type: string, format: date-time }
+ *         description: "Facilities changed at or after this time (e.g., 2026-01-01T00:00:00Z)"
+ *       - in: query
+ *         name: watermark
+ *         schema: { type: string }
+ *         description: changeSummary.nextWatermark of a previous response (instead of since)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Changed facilities in update order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 changeSummary:
+ *                   type: object
+ *                   properties:
+ *                     pageSize: { type: integer }
+ *                     hasMore: { type: boolean, description: "More changes follow this page" }
+ *                     nextWatermark: { type: string, nullable: true, description: "Where the next sync continues; null only when the feed is empty" }
+ *                 facilities:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DWPFacilityDTO'
+ *       400:
+ *         description: Malformed watermark or since, or both given
+ */
+router.get('/changes', async (req, res) => {
+  try {
+    const { facilities, ...page } = await listChanges(req.query, { auth: req.auth });
 
-    res.json({
-      error: null,
-      resultSummary: {
-        totalCount,
-        pageNumber,
-        pageSize,
-        totalPages: Math.ceil(totalCount / pageSize),
-      },
-      facilities,
-    });
+    res.json({ error: null, changeSummary: changeSummary(page), facilities });
   } catch (err) {
-    console.error('Error listing facilities:', err);
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error listing facility changes:', err);
     res.status(500).json({ error: { message: err.message } });
   }
 });
@@ -446,29 +1038,14 @@ router.get('/', async (req, res) => {
  */
 router.get('/:facilityId', async (req, res) => {
   try {
-    let facility;
-
-    if (db.mode === 'demo') {
-      const id = Number(req.params.facilityId);
-      facility = getDemoData().find(f => f.facilityId === id) || null;
-    } else {
-      const rows = await db.query(
-        `SELECT f.*, TRIM(ws.number0) as ws_pwsid, ws.name as ws_name
-         FROM ${SCHEMA_PREFIX}tinwsf f
-         JOIN ${SCHEMA_PREFIX}tinwsys ws
-           ON f.tinwsys_is_number = ws.tinwsys_is_number
-          AND f.tinwsys_st_code = ws.tinwsys_st_code
-         WHERE f.tinwsf_is_number = $1 AND f.tinwsys_st_code = '${ST_CODE}'`,
-        [Number(req.params.facilityId)]
-      );
-      facility = rows.length ? mapRow(rows[0]) : null;
-    }
+    const facility = await findFacility(req.params.facilityId, { auth: req.auth });
 
     if (!facility) {
       return res.status(404).json({
         error: { message: `Facility ${req.params.facilityId} not found` },
       });
     }
+    if (!pwsidInScope(req.auth, facility.dwpWaterSystem?.waterSystemId)) return outOfScope(res, facility);
 
     res.json({ error: null, facility });
   } catch (err) {
@@ -477,4 +1054,591 @@ router.get('/:facilityId', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Spec-shaped nested routes: /inventory/water-system/{waterSystemId}/facility
+// Mounted with mergeParams so req.params.waterSystemId is visible here.
+// ---------------------------------------------------------------------------
+
+const nested = Router({ mergeParams: true });
+
+nested.use((req, res, next) => {
+  if (!pwsidInScope(req.auth, req.params.waterSystemId)) {
+    return forbidden(res, `Not authorized for water system ${req.params.waterSystemId}`);
+  }
+  next();
+});
+
+// Search record (DWPFacilitySearchRecDTO) — flat codes plus reference names
+function toSearchRec(f, names) {
+  const typeCode = f.facilityType?.facilityTypeCode || null;
+  const statusCode = f.facilityStatus?.facilityStatusCode || null;
+  const availabilityCode = f.facilityAvailability?.facilityAvailabilityCode || null;
+  const waterTypeCode = f.waterType?.facilityWaterTypeCode || null;
+  const treatmentStatusCode = f.treatmentStatus?.treatmentStatusCode || null;
+  return {
+    facilityId: f.facilityId,
+    paAssignedId: f.paAssignedId,
+    fedFacilityId: f.fedFacilityId,
+    name: f.name,
+    facilityTypeCode: typeCode,
+    facilityTypeName: names.type.get(typeCode) ?? null,
+    facilityStatusCode: statusCode,
+    facilityStatusName: names.status.get(statusCode) ?? null,
+    facilityAvailabilityCode: availabilityCode,
+    facilityAvailabilityName: names.availability.get(availabilityCode) ?? null,
+    srcInd: f.srcInd,
+    facilityWaterTypeCode: waterTypeCode,
+    facilityWaterTypeName: names.waterType.get(waterTypeCode) ?? null,
+    treatmentStatusCode,
+    treatmentStatusName: names.treatmentStatus.get(treatmentStatusCode) ?? null,
+    avgWaterQuantityPCT: f.avgWaterQuantityPCT,
+    createId: f.createId,
+    removeId: f.removeId,
+    updateId: f.updateId,
+    createDt: f.createDt,
+    removeDt: f.removeDt,
+    updateDt: f.updateDt,
+    lastReportedToFedDt: f.lastReportedToFedDt,
+  };
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPFacilitySearchRecDTO:
+ *       type: object
+ *       properties:
+ *         facilityId: { type: integer }
+ *         paAssignedId: { type: string }
+ *         fedFacilityId: { type: integer }
+ *         name: { type: string }
+ *         facilityTypeCode: { type: string }
+ *         facilityTypeName: { type: string }
+ *         facilityStatusCode: { type: string }
+ *         facilityStatusName: { type: string }
+ *         facilityAvailabilityCode: { type: string }
+ *         facilityAvailabilityName: { type: string }
+ *         srcInd: { type: string }
+ *         facilityWaterTypeCode: { type: string }
+ *         facilityWaterTypeName: { type: string }
+ *         treatmentStatusCode: { type: string }
+ *         treatmentStatusName: { type: string }
+ *         avgWaterQuantityPCT: { type: number }
+ *         createId: { type: string }
+ *         updateId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateDt: { type: string, format: date-time }
+ * /inventory/water-system/{waterSystemId}/facility:
+ *   get:
+ *     summary: List facilities of a water system
+ *     description: >
+ *       Returns a paginated list of the water system's facilities as search records
+ *       (WaterSystemFacilityListResponseDTO). Accepts the same filters and sort
+ *       fields as /inventory/water-system/facility.
+ *     tags: [Facility]
+ *     x-list-fields: DWPFacilityDTO
+ *     parameters:
+ *       - in: path
+ *         name: waterSystemId
+ *         required: true
+ *         schema: { type: string }
+ *         description: PWS ID (e.g., MS0250008)
+ *       - in: query
+ *         name: pageNumber
+ *         schema: { type: integer, default: 0 }
+ *         description: Page number (0-indexed)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 10, maximum: 100 }
+ *         description: Results per page
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: "Page by cursor instead of pageNumber: empty for the first page, then resultSummary.nextCursor of the previous one (same filters and sort)"
+ *     responses:
+ *       200:
+ *         description: Paginated list of facility search records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary:
+ *                   type: object
+ *                   properties:
+ *                     totalCount: { type: integer }
+ *                     pageNumber: { type: integer, nullable: true, description: "null when paging by cursor" }
+ *                     pageSize: { type: integer }
+ *                     totalPages: { type: integer }
+ *                     nextCursor: { type: string, nullable: true, description: "Only when paging by cursor; null on the last page" }
+ *                 facilities:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DWPFacilitySearchRecDTO'
+ *       400:
+ *         description: Malformed cursor, or one issued for a different sort
+ */
+nested.get('/', async (req, res) => {
+  try {
+    const [{ facilities, ...page }, type, status, availability, waterType, treatmentStatus] =
+      await Promise.all([
+        listFacilities(req.query, { pwsid: req.params.waterSystemId, detail: false }),
+        codeNames('ref-fac-type'),
+        codeNames('ref-fac-status'),
+        codeNames('ref-fac-availability'),
+        codeNames('ref-fac-water-type'),
+        codeNames('ref-tmnt-status'),
+      ]);
+    const names = { type, status, availability, waterType, treatmentStatus };
+
+    res.json({
+      error: null,
+      resultSummary: resultSummary(page),
+      facilities: facilities.map(f => toSearchRec(f, names)),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error listing water system facilities:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}:
+ *   get:
+ *     summary: Get a facility of a water system
+ *     description: >
+ *       Returns a single facility by its internal ID (tinwsf_is_number). Responds 404 if
+ *       the facility does not exist or belongs to a different water system.
+ *     tags: [Facility]
+ *     parameters:
+ *       - in: path
+ *         name: waterSystemId
+ *         required: true
+ *         schema: { type: string }
+ *         description: PWS ID (e.g., MS0250008)
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Facility ID (internal sequence number)
+ *     responses:
+ *       200:
+ *         description: Facility found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 facility:
+ *                   $ref: '#/components/schemas/DWPFacilityDTO'
+ *       404:
+ *         description: Facility not found in this water system
+ */
+nested.get('/:facilityId', async (req, res) => {
+  try {
+    const facility = await findSystemFacility(req.params);
+    if (!facility) return notFoundInSystem(res, req.params);
+
+    res.json({ error: null, facility: (await withChildRecords([facility], { auth: req.auth }))[0] });
+  } catch (err) {
+    console.error('Error getting facility:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+// Facility by ID without child records, or null when it does not exist or
+// belongs to another system
+async function findSystemFacility({ waterSystemId, facilityId }) {
+  const facility = await findFacilityRecord(facilityId);
+  return facility?.dwpWaterSystem?.waterSystemId === waterSystemId ? facility : null;
+}
+
+function outOfScope(res, facility) {
+  return forbidden(res, `Not authorized for facility ${facility.facilityId}`);
+}
+
+function notFoundInSystem(res, { waterSystemId, facilityId }) {
+  return res.status(404).json({
+    error: { message: `Facility ${facilityId} not found in water system ${waterSystemId}` },
+  });
+}
+
+// DWPFacilityInfoDTO — the facility summary returned beside subtype and child records
+const FACILITY_INFO_FIELDS = [
+  'facilityId', 'fedFacilityId', 'constructedDt', 'dwpWaterSystem', 'paAssignedId', 'name',
+  'localName', 'location', 'facilityWell', 'facilityStorage', 'sellTreatmentType',
+  'facilityType', 'nonPipeType', 'waterType', 'waterTypeDt', 'facilityFiltration',
+  'filtrationDt', 'facilityAvailability', 'facilityStatus', 'facilityStatusDt', 'fedStatusCode',
+  'facilityStatusReason', 'treatmentStatus', 'srcInd', 'avgWaterQuantityPCT', 'maintenanceDt',
+  'swapStatus', 'swapStatusDt', 'usgsHUC', 'storetCode', 'riverReachInd', 'riverReachMiles',
+  'waterBodyName', 'paStatusNotes', 'notes', 'lastReportedToFedDt',
+  'createId', 'removeId', 'updateId', 'createDt', 'removeDt', 'updateDt',
+];
+
+function toFacilityInfo(facility) {
+  return Object.fromEntries(FACILITY_INFO_FIELDS.map(k => [k, facility[k]]));
+}
+
+// Middleware for routers mounted below /{waterSystemId}/facility/{facilityId}:
+// puts the facility (without child records — each router loads its own), its
+// DWPFacilityInfoDTO and findFacilityInfos, for the routers' loaders to
+// resolve related facilities with, in res.locals; or responds 404 when the
+// facility is not in the water system (403 outside the caller's PWSID
+// prefixes).
+async function withFacility(req, res, next) {
+  if (!pwsidInScope(req.auth, req.params.waterSystemId)) {
+    return forbidden(res, `Not authorized for water system ${req.params.waterSystemId}`);
+  }
+  try {
+    const facility = await findSystemFacility(req.params);
+    if (!facility) return notFoundInSystem(res, req.params);
+
+    res.locals.facility = facility;
+    res.locals.facilityInfo = toFacilityInfo(facility);
+    res.locals.facilityInfos = findFacilityInfos;
+    next();
+  } catch (err) {
+    console.error('Error getting facility:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+}
+
+// Middleware for routers mounted below /inventory/supplying-facility/{supplyingFacilityId}:
+// like withFacility, but the path names no water system — a facility can supply
+// one in another system.
+async function withSupplyingFacility(req, res, next) {
+  try {
+    const facility = await findFacilityRecord(req.params.supplyingFacilityId);
+    if (!facility) {
+      return res.status(404).json({
+        error: { message: `Facility ${req.params.supplyingFacilityId} not found` },
+      });
+    }
+    if (!pwsidInScope(req.auth, facility.dwpWaterSystem?.waterSystemId)) return outOfScope(res, facility);
+
+    res.locals.facility = facility;
+    res.locals.facilityInfo = toFacilityInfo(facility);
+    res.locals.facilityInfos = findFacilityInfos;
+    next();
+  } catch (err) {
+    console.error('Error getting facility:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+}
+
+// Query filters for the well child lists: query param → [DTO value getter]
+// (see listRecords()). Screens and casings arrive with the facility
+// (findFacilityRecord), so both modes filter the handful of rows in memory.
+const WELL_SCREEN_FILTERS = {
+  wellScreenId: [s => s.wellScreenId],
+  screenId: [s => s.screenId],
+  screenTypeCode: [s => s.screenType?.screenTypeCode],
+  aquiferTypeCode: [s => s.aquiferType?.aquiferTypeCode],
+  depthToTop: [s => s.depthToTop],
+  depthToBottom: [s => s.depthToBottom],
+  aquiferDepthToTop: [s => s.aquiferDepthToTop],
+  aquiferThickness: [s => s.aquiferThickness],
+  confinementInd: [s => s.confinementInd],
+};
+
+const WELL_CASING_FILTERS = {
+  wellCasingId: [c => c.wellCasingId],
+  casingId: [c => c.casingId],
+  diameter: [c => c.diameter],
+  topMsr: [c => c.topMsr],
+  bdepthMsr: [c => c.bdepthMsr],
+};
+
+// Handler for a well's screen or casing list (WellScreenListResponseDTO /
+// WellCasingListResponseDTO). Non-well facilities return an empty list.
+function wellChildList(collection, filters, label) {
+  return async (req, res) => {
+    try {
+      const facility = await findSystemFacility(req.params);
+      if (!facility) return notFoundInSystem(res, req.params);
+
+      const { resultSummary, items } = listRecords(
+        facility.facilityWell?.[collection] || [], req.query, filters, { sortFields: {} }
+      );
+      res.json({ error: null, resultSummary, [collection]: items });
+    } catch (err) {
+      console.error(`Error listing ${label}:`, err);
+      res.status(500).json({ error: { message: err.message } });
+    }
+  };
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/well-screen:
+ *   get:
+ *     summary: List a well's screens
+ *     description: >
+ *       Returns the screen intervals of a well facility (WellScreenListResponseDTO).
+ *       Facilities that are not wells return an empty list.
+ *     tags: [Facility]
+ *     parameters:
+ *       - in: path
+ *         name: waterSystemId
+ *         required: true
+ *         schema: { type: string }
+ *         description: PWS ID (e.g., MS0250008)
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Facility ID (internal sequence number)
+ *       - in: query
+ *         name: wellScreenId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: screenId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: screenTypeCode
+ *         schema: { type: string }
+ *         description: "Screen type (full list at /inventory/ref-screen-type)"
+ *       - in: query
+ *         name: aquiferTypeCode
+ *         schema: { type: string }
+ *         description: "Aquifer type (full list at /inventory/ref-aquifer-type)"
+ *       - in: query
+ *         name: depthToTop
+ *         schema: { type: number }
+ *       - in: query
+ *         name: depthToBottom
+ *         schema: { type: number }
+ *       - in: query
+ *         name: aquiferDepthToTop
+ *         schema: { type: number }
+ *       - in: query
+ *         name: aquiferThickness
+ *         schema: { type: number }
+ *       - in: query
+ *         name: confinementInd
+ *         schema: { type: string }
+ *         description: "Confined aquifer indicator (Y/N)"
+ *       - in: query
+ *         name: pageNumber
+ *         schema: { type: integer, default: 0 }
+ *         description: Page number (0-indexed)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 10, maximum: 100 }
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of well screens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 wellScreens:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DWPWellScreenDTO'
+ *       404:
+ *         description: Facility not found in this water system
+ */
+nested.get('/:facilityId/well-screen', wellChildList('wellScreens', WELL_SCREEN_FILTERS, 'well screens'));
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/well-casing:
+ *   get:
+ *     summary: List a well's casings
+ *     description: >
+ *       Returns the casing sections of a well facility (WellCasingListResponseDTO).
+ *       Facilities that are not wells return an empty list.
+ *     tags: [Facility]
+ *     parameters:
+ *       - in: path
+ *         name: waterSystemId
+ *         required: true
+ *         schema: { type: string }
+ *         description: PWS ID (e.g., MS0250008)
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Facility ID (internal sequence number)
+ *       - in: query
+ *         name: wellCasingId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: casingId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: diameter
+ *         schema: { type: number }
+ *         description: Casing diameter (inches)
+ *       - in: query
+ *         name: topMsr
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: bdepthMsr
+ *         schema: { type: number }
+ *       - in: query
+ *         name: pageNumber
+ *         schema: { type: integer, default: 0 }
+ *         description: Page number (0-indexed)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 10, maximum: 100 }
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of well casings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 wellCasings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DWPWellCasingDTO'
+ *       404:
+ *         description: Facility not found in this water system
+ */
+nested.get('/:facilityId/well-casing', wellChildList('wellCasings', WELL_CASING_FILTERS, 'well casings'));
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-plant:
+ *   get:
+ *     summary: Get a facility's treatment plant details
+ *     description: >
+ *       Returns the treatment plant record of a TP facility together with a facility
+ *       summary (FacilityTreatmentPlantResponseDTO). Responds 404 if the facility is not
+ *       in the water system or has no treatment plant record.
+ *     tags: [Facility]
+ *     parameters:
+ *       - in: path
+ *         name: waterSystemId
+ *         required: true
+ *         schema: { type: string }
+ *         description: PWS ID (e.g., MS0250008)
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Facility ID (internal sequence number)
+ *     responses:
+ *       200:
+ *         description: Treatment plant found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 dwpTreatmentPlantDTO:
+ *                   $ref: '#/components/schemas/DWPTreatmentPlantDTO'
+ *       404:
+ *         description: Facility or treatment plant not found
+ */
+nested.get('/:facilityId/treatment-plant', async (req, res) => {
+  try {
+    const facility = await findSystemFacility(req.params);
+    if (!facility) return notFoundInSystem(res, req.params);
+
+    if (!facility.treatmentPlant) {
+      return res.status(404).json({
+        error: { message: `Treatment plant not found for facility ${req.params.facilityId}` },
+      });
+    }
+
+    res.json({ error: null, facilityInfo: toFacilityInfo(facility), dwpTreatmentPlantDTO: facility.treatmentPlant });
+  } catch (err) {
+    console.error('Error getting treatment plant:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/flow-graph:
+ *   get:
+ *     summary: Trace the facility flow graph
+ *     description: >
+ *       Follows facility flows from the facility upstream (the facilities supplying it, back to
+ *       its sources) and/or downstream (the facilities it supplies, on to entry points), e.g. well →
+ *       treatment plant → storage → distribution. Returns each facility reached once as a node,
+ *       with its distance in flow hops (negative upstream), and every flow traversed as an edge.
+ *       Flows may cross into other water systems. Flows disconnected before today are skipped
+ *       unless includeDisconnected=true.
+ *     tags: [Facility]
+ *     parameters:
+ *       - in: path
+ *         name: waterSystemId
+ *         required: true
+ *         schema: { type: string }
+ *         description: PWS ID (e.g., MS0250008)
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Facility ID (internal sequence number)
+ *       - in: query
+ *         name: direction
+ *         schema: { type: string, enum: [both, upstream, downstream], default: both }
+ *       - in: query
+ *         name: maxDepth
+ *         schema: { type: integer, default: 50, maximum: 50 }
+ *         description: Most flow hops to follow in each direction
+ *       - in: query
+ *         name: includeDisconnected
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Flow graph
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 direction: { type: string }
+ *                 nodes: { type: array, items: { $ref: '#/components/schemas/FacilityFlowGraphNode' } }
+ *                 edges: { type: array, items: { $ref: '#/components/schemas/FacilityFlowGraphEdge' } }
+ *       404:
+ *         description: Facility not found in this water system
+ */
+nested.get('/:facilityId/flow-graph', async (req, res) => {
+  try {
+    const facility = await findSystemFacility(req.params);
+    if (!facility) return notFoundInSystem(res, req.params);
+
+    const options = graphOptions(req.query);
+    const graph = await traceFlowGraph(facility.facilityId, options, findFacilityInfos);
+    // Leave out facilities of water systems outside the caller's PWSID prefixes
+    const nodes = graph.nodes.filter(n => pwsidInScope(req.auth, n.facility?.dwpWaterSystem?.waterSystemId));
+    const ids = new Set(nodes.map(n => n.facilityId));
+    const edges = graph.edges.filter(e => ids.has(e.supplyingFacilityId) && ids.has(e.receivingFacilityId));
+    res.json({ error: null, facilityInfo: toFacilityInfo(facility), direction: options.direction, nodes, edges });
+  } catch (err) {
+    console.error('Error tracing facility flow graph:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
 module.exports = router;
+module.exports.nested = nested;
+module.exports.withFacility = withFacility;
+module.exports.withSupplyingFacility = withSupplyingFacility;
+module.exports.findFacilities = findFacilities;
+module.exports.listChanges = listChanges;
+module.exports.FIELDS = FIELDS;
@@ -0,0 +1,209 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DMSWSFedTypeRec:
+ *       type: object
+ *       description: "Federal water system type calculated from a system's operating period, populations and service connections"
+ *       properties:
+ *         id: { type: string, description: "PWS ID" }
+ *         decisionFedWsTypeCodeDefaultOption: { type: string, description: "Calculated type, or the most likely option when the data is not conclusive" }
+ *         decisionFedWsTypeCode: { type: string, nullable: true, description: "Calculated type; null when the data is not conclusive" }
+ *         decisionFedWsTypeCodeOptions: { type: array, items: { type: string }, description: "Types the data allows (one when conclusive)" }
+ *         waterSystemTypeCodeChange: { type: boolean, description: "True when the stored federal type (d_pws_fed_type_cd) disagrees with the calculation" }
+ *     FedTypeCalculationBasis:
+ *       type: object
+ *       description: "The figures the calculation used"
+ *       properties:
+ *         storedFedWsTypeCode: { type: string, nullable: true }
+ *         waterSystemIdAnnualOperatingPeriodId: { type: integer, nullable: true, description: "Operating period in effect today, or else the most recent one" }
+ *         daysOfService: { type: integer, nullable: true, description: "Days per year the period's season covers" }
+ *         residentialPopulation: { type: integer, nullable: true }
+ *         nonTransientPopulation: { type: integer, nullable: true }
+ *         transientPopulation: { type: integer, nullable: true }
+ *         totalPopulation: { type: integer, description: "Sum of the period's populations, or fedPopulation without a period" }
+ *         residentialConnections: { type: integer }
+ *         totalConnections: { type: integer }
+ */
+
+const { Router } = require('express');
+const { loadOperatingPeriods, currentOperatingPeriod } = require('./operating-period');
+const { loadServiceConnections } = require('./service-connection');
+
+// Mounted below /inventory/water-system-fed-type-calculated/{waterSystemId} after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// 40 CFR 141.2 thresholds
+const MIN_PEOPLE = 25;
+const MIN_CONNECTIONS = 15;
+const MIN_PUBLIC_DAYS = 60;
+const SIX_MONTHS_DAYS = 183;
+const YEAR_DAYS = 365;
+
+const PUBLIC_TYPES = ['C', 'NTNC', 'NC'];
+
+// Days the season covers, start and end inclusive, counted on a non-leap year;
+// a season ending before it starts runs over the new year.
+function seasonDays(period) {
+  const { startMonth, startDay, endMonth, endDay } = period;
+  if (!startMonth || !startDay || !endMonth || !endDay) return null;
+  const dayOfYear = (month, day) => (Date.UTC(2001, month - 1, day) - Date.UTC(2001, 0, 1)) / 86400000;
+  const days = dayOfYear(endMonth, endDay) - dayOfYear(startMonth, startDay) + 1;
+  return days > 0 ? days : days + YEAR_DAYS;
+}
+
+// Federal type of a water system (DWPWaterSystemDTO with its child records)
+// under the 40 CFR 141.2 definitions:
+//   C     serves ≥ 15 connections used by, or ≥ 25, year-round residents
+//   NTNC  otherwise serves ≥ 25 of the same people over six months a year
+//   NC    otherwise ≥ 15 connections, or ≥ 25 people daily at least 60 days a year
+//   NP    none of the above (not a public water system)
+// The operating period in effect today (or else the most recent one) supplies
+// the season and the residential / non-transient / transient populations;
+// residential connections come from tinscc. Without a period the season and the
+// population types are unknown, so only the public / non-public split is
+// conclusive and the public types are returned as options.
+function calculateFedType(ws) {
+  const stored = ws.fedWaterSystemType?.wsTypeCode ?? null;
+  const connections = ws.waterSystemServiceConnections || [];
+  const sumCounts = rows => rows.reduce((sum, c) => sum + (c.connectionCount || 0), 0);
+  const residentialConnections = sumCounts(connections.filter(c => c.serviceConnectionType?.wsSrvcConnTypeCode === 'RS'));
+  const totalConnections = sumCounts(connections);
+
+  const current = currentOperatingPeriod(ws.dwpWaterSystemAnnualOperatingPeriods || []);
+  const warnings = [];
+  let decision = null;
+  let options;
+  let basis;
+
+  if (current) {
+    const { period } = current;
+    const population = type => period.populationsServed
+      .filter(p => p.populationType?.popTypeCode === type)
+      .reduce((sum, p) => sum + (p.populationCount || 0), 0);
+    const residential = population('R');
+    const nonTransient = population('NT');
+    const transient = population('T');
+    const season = seasonDays(period);
+    const days = season ?? YEAR_DAYS;
+    if (season == null) {
+      warnings.push(`Operating period ${period.waterSystemIdAnnualOperatingPeriodId} has no season; counted as year-round`);
+    }
+    if (!current.inEffect) {
+      warnings.push(`No operating period in effect; calculated from period ${period.waterSystemIdAnnualOperatingPeriodId}`);
+    }
+
+    if (days >= YEAR_DAYS && (residential >= MIN_PEOPLE || residentialConnections >= MIN_CONNECTIONS)) {
+      decision = 'C';
+    } else if (days >= SIX_MONTHS_DAYS && residential + nonTransient >= MIN_PEOPLE) {
+      decision = 'NTNC';
+    } else if ((residential + nonTransient + transient >= MIN_PEOPLE && days >= MIN_PUBLIC_DAYS)
+      || totalConnections >= MIN_CONNECTIONS) {
+      decision = 'NC';
+    } else {
+      decision = 'NP';
+    }
+    options = [decision];
+    basis = {
+      waterSystemIdAnnualOperatingPeriodId: period.waterSystemIdAnnualOperatingPeriodId,
+      daysOfService: days,
+      residentialPopulation: residential,
+      nonTransientPopulation: nonTransient,
+      transientPopulation: transient,
+      totalPopulation: residential + nonTransient + transient,
+    };
+  } else {
+    const total = ws.fedPopulation || 0;
+    if (total < MIN_PEOPLE && totalConnections < MIN_CONNECTIONS) {
+      decision = 'NP';
+      options = [decision];
+    } else {
+      options = PUBLIC_TYPES;
+      warnings.push('No operating period on record; season and population types are unknown');
+    }
+    basis = {
+      waterSystemIdAnnualOperatingPeriodId: null,
+      daysOfService: null,
+      residentialPopulation: null,
+      nonTransientPopulation: null,
+      transientPopulation: null,
+      totalPopulation: total,
+    };
+  }
+
+  // Residential connections point to year-round residents; otherwise keep
+  // the stored type when the data allows it
+  const defaultOption = decision
+    ?? (residentialConnections >= MIN_CONNECTIONS || !options.includes(stored) ? 'C' : stored);
+  const change = decision ? decision !== stored : !options.includes(stored);
+  if (change) {
+    warnings.push(`Stored federal type ${stored ?? '(none)'} does not match the calculated ${decision ?? options.join('/')}`);
+  }
+
+  return {
+    fedType: {
+      id: ws.waterSystemId,
+      decisionFedWsTypeCodeDefaultOption: defaultOption,
+      decisionFedWsTypeCode: decision,
+      decisionFedWsTypeCodeOptions: options,
+      waterSystemTypeCodeChange: change,
+    },
+    basis: {
+      storedFedWsTypeCode: stored,
+      ...basis,
+      residentialConnections,
+      totalConnections,
+    },
+    warnings,
+  };
+}
+
+/**
+ * @openapi
+ * /inventory/water-system-fed-type-calculated/{waterSystemId}:
+ *   get:
+ *     summary: Calculate a water system's federal type
+ *     description: >
+ *       Calculates the federal water system type (C, NTNC, NC or NP) from the system's
+ *       operating period, populations served and service connections, and flags a stored
+ *       type (d_pws_fed_type_cd) that disagrees (InvDMSWSFedTypeResponse). The figures used
+ *       are returned in calculationBasis; warnings explain an inconclusive result or a mismatch.
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *     responses:
+ *       200:
+ *         description: Calculated federal type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 warnings: { type: array, items: { type: string } }
+ *                 calculationBasis: { $ref: '#/components/schemas/FedTypeCalculationBasis' }
+ *                 waterSystem: { $ref: '#/components/schemas/DMSWSFedTypeRec' }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const [periods, connections] = await Promise.all([
+      loadOperatingPeriods([waterSystemId]),
+      loadServiceConnections([waterSystemId]),
+    ]);
+    const { fedType, basis, warnings } = calculateFedType({
+      ...res.locals.waterSystem,
+      dwpWaterSystemAnnualOperatingPeriods: periods.get(waterSystemId),
+      waterSystemServiceConnections: connections.get(waterSystemId),
+    });
+    res.json({ error: null, warnings, calculationBasis: basis, waterSystem: fedType });
+  } catch (err) {
+    console.error('Error calculating federal water system type:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
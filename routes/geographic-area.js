@@ -0,0 +1,260 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWSGeographicAreaDTO:
+ *       type: object
+ *       description: "County, city, tribal land or zip code a water system serves (tinwsgar → tingeoar)"
+ *       properties:
+ *         wsGeoAreaId: { type: integer, description: "Internal association sequence (tinwsgar_is_number)" }
+ *         areaType: { type: object, properties: { geoAreaTypeCode: { type: string }, name: { type: string } }, description: "See /inventory/geographic-area-type" }
+ *         tribalSeqId: { type: integer, nullable: true }
+ *         primaryIndicator: { type: string, description: "Y for the system's primary area of this type" }
+ *         principleIndicator: { type: string, description: "Y for the area the system principally serves" }
+ *         latitude: { type: number }
+ *         longitude: { type: number }
+ *         notes: { type: string }
+ *         primacyAgency: { type: object, nullable: true }
+ *         geographicAreaTypeValue:
+ *           type: object
+ *           description: "The area itself (tingeoar)"
+ *           properties:
+ *             areaTypeValueId: { type: integer }
+ *             areaType: { type: object, properties: { geoAreaTypeCode: { type: string }, name: { type: string } } }
+ *             areaName: { type: string, description: "e.g. HINDS" }
+ *             relatedCode: { type: string, description: "FIPS / ANSI code of the area, e.g. 28049 for a county" }
+ *             state: { type: object, properties: { stateCode: { type: string } } }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listRecords } = require('./attribute');
+const { codeNames } = require('./reference');
+
+// Mounted below /inventory/water-system/{waterSystemId}/geographic-area after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — keyed by waterSystemId, loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'geographic-areas.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+const num = v => (v != null ? Number(v) : null);
+
+// Column mapping: SS (tinwsgar, joined to its tingeoar area) → SF DWPWSGeographicAreaDTO.
+// Area type names are filled by loadGeographicAreas().
+function mapGeographicArea(row) {
+  const areaType = code(row.area_type_cd, 'geoAreaTypeCode');
+  return {
+    wsGeoAreaId: row.tinwsgar_is_number,
+    areaType,
+    tribalSeqId: row.tribal_seq_id ?? null,
+    primaryIndicator: row.primary_ind_cd?.trim() || null,
+    principleIndicator: row.principle_ind_cd?.trim() || null,
+    latitude: num(row.latitude_measure),
+    longitude: num(row.longitude_measure),
+    notes: row.memo_text,
+    primacyAgency: null,       // SF-only, no SS equivalent
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: row.d_initial_userid?.trim() || null,
+    createDt: row.d_initial_ts,
+    updateId: row.d_userid_code?.trim() || null,
+    updateDt: row.d_last_updt_ts,
+    geographicAreaTypeValue: row.tingeoar_is_number != null
+      ? {
+          areaTypeValueId: row.tingeoar_is_number,
+          areaType,
+          areaName: row.area_name?.trim() || null,
+          relatedCode: row.ansi_entity_code?.trim() || null,
+          state: code(row.state_code, 'stateCode'),
+        }
+      : null,
+  };
+}
+
+// Load the geographic areas of a set of water systems: Map waterSystemId → areas,
+// primary areas first, with area type names resolved from tsylgval.
+async function loadGeographicAreas(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (db.mode === 'demo') {
+    for (const id of bySystem.keys()) bySystem.set(id, getDemoData()[id] || []);
+  } else {
+    const ids = [...bySystem.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT wg.*, ga.area_type_cd, ga.name as area_name, ga.ansi_entity_code, ga.state_code, ws.number0
+         FROM ${SCHEMA_PREFIX}tinwsgar wg
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = wg.tinwsys_is_number
+          AND ws.tinwsys_st_code = wg.tinwsys_st_code
+         LEFT JOIN ${SCHEMA_PREFIX}tingeoar ga
+           ON ga.tingeoar_is_number = wg.tingeoar_is_number
+          AND ga.tingeoar_st_code = wg.tingeoar_st_code
+        WHERE ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})
+        ORDER BY wg.primary_ind_cd DESC, wg.tinwsgar_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) bySystem.get(row.number0?.trim())?.push(mapGeographicArea(row));
+  }
+
+  // Builds new objects so the cached demo rows keep their bare codes
+  const names = await codeNames('geographic-area-type');
+  const named = t => (t ? { ...t, name: names.get(t.geoAreaTypeCode) ?? null } : null);
+  for (const [id, areas] of bySystem) {
+    bySystem.set(id, areas.map(a => ({
+      ...a,
+      areaType: named(a.areaType),
+      geographicAreaTypeValue: a.geographicAreaTypeValue
+        ? { ...a.geographicAreaTypeValue, areaType: named(a.geographicAreaTypeValue.areaType) }
+        : null,
+    })));
+  }
+
+  return bySystem;
+}
+
+// The water system list's geographicAreaCode filter: does a system serve the
+// area with this related (FIPS / ANSI) code? servesArea() checks loaded areas
+// (demo mode), servesAreaCondition() is the SQL predicate on tinwsys alias ws,
+// matching any of the codes bound to `placeholders` (the primacy agency is $1).
+function servesArea(areas, areaCode) {
+  return (areas || []).some(a => a.geographicAreaTypeValue?.relatedCode === areaCode);
+}
+
+function servesAreaCondition(placeholders) {
+  return `ws.tinwsys_is_number IN (
+      SELECT wg.tinwsys_is_number
+        FROM ${SCHEMA_PREFIX}tinwsgar wg
+        JOIN ${SCHEMA_PREFIX}tingeoar ga
+          ON ga.tingeoar_is_number = wg.tingeoar_is_number
+         AND ga.tingeoar_st_code = wg.tingeoar_st_code
+       WHERE wg.tinwsys_st_code = $1 AND TRIM(ga.ansi_entity_code) IN (${placeholders.join(', ')}))`;
+}
+
+// A system's geographic areas are loaded whole (loadGeographicAreas), so both
+// modes filter them in memory: exact codes and ids, contains on the
+// area name, inclusive ranges on the coordinates.
+function filterGeographicAreas(areas, query) {
+  let results = [...areas];
+
+  if (query.wsGeoAreaId) {
+    const id = Number(query.wsGeoAreaId);
+    results = results.filter(a => a.wsGeoAreaId === id);
+  }
+  if (query.tribalSeqId) {
+    const id = Number(query.tribalSeqId);
+    results = results.filter(a => a.tribalSeqId === id);
+  }
+  if (query.primaryIndicator) {
+    const wanted = query.primaryIndicator.toUpperCase();
+    results = results.filter(a => a.primaryIndicator === wanted);
+  }
+  if (query.principleIndicator) {
+    const wanted = query.principleIndicator.toUpperCase();
+    results = results.filter(a => a.principleIndicator === wanted);
+  }
+  for (const [param, field, bound] of [
+    ['latitudeFrom', 'latitude', 'min'],
+    ['latitudeTo', 'latitude', 'max'],
+    ['longitudeFrom', 'longitude', 'min'],
+    ['longitudeTo', 'longitude', 'max'],
+  ]) {
+    if (!query[param]) continue;
+    const limit = Number(query[param]);
+    results = results.filter(a => a[field] != null && (bound === 'min' ? a[field] >= limit : a[field] <= limit));
+  }
+  if (query.areaTypeCode) {
+    results = results.filter(a => a.areaType?.geoAreaTypeCode === query.areaTypeCode);
+  }
+  if (query.areaName) {
+    const term = query.areaName.toLowerCase();
+    results = results.filter(a => a.geographicAreaTypeValue?.areaName?.toLowerCase().includes(term));
+  }
+  if (query.relatedCode) {
+    results = results.filter(a => a.geographicAreaTypeValue?.relatedCode === query.relatedCode);
+  }
+  if (query.state) {
+    const wanted = query.state.toUpperCase();
+    results = results.filter(a => a.geographicAreaTypeValue?.state?.stateCode === wanted);
+  }
+
+  return results;
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/geographic-area:
+ *   get:
+ *     summary: List a water system's geographic areas
+ *     description: >
+ *       Returns the counties, cities, tribal lands and zip codes the water system serves,
+ *       primary areas first, together with a water system summary (WaterSystemGeoAreaResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: wsGeoAreaId, schema: { type: integer } }
+ *       - { in: query, name: tribalSeqId, schema: { type: integer } }
+ *       - { in: query, name: primaryIndicator, schema: { type: string, enum: [Y, N] } }
+ *       - { in: query, name: principleIndicator, schema: { type: string, enum: [Y, N] } }
+ *       - { in: query, name: latitudeFrom, schema: { type: number } }
+ *       - { in: query, name: latitudeTo, schema: { type: number } }
+ *       - { in: query, name: longitudeFrom, schema: { type: number } }
+ *       - { in: query, name: longitudeTo, schema: { type: number } }
+ *       - { in: query, name: areaTypeCode, schema: { type: string }, description: "Exact area type code; see /inventory/geographic-area-type" }
+ *       - { in: query, name: areaName, schema: { type: string }, description: "Area name contains filter (case-insensitive)" }
+ *       - { in: query, name: relatedCode, schema: { type: string }, description: "Exact FIPS / ANSI code of the area" }
+ *       - { in: query, name: state, schema: { type: string }, description: "State code of the area" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of geographic areas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 relatedGeographicAreas: { type: array, items: { $ref: '#/components/schemas/DWPWSGeographicAreaDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const areas = (await loadGeographicAreas([waterSystemId])).get(waterSystemId);
+    const { resultSummary, items } = listRecords(
+      filterGeographicAreas(areas, req.query), req.query, {}, { sortFields: {} }
+    );
+    res.json({ error: null, resultSummary, waterSystemInfo: res.locals.waterSystemInfo, relatedGeographicAreas: items });
+  } catch (err) {
+    console.error('Error listing geographic areas:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.loadGeographicAreas = loadGeographicAreas;
+module.exports.servesArea = servesArea;
+module.exports.servesAreaCondition = servesAreaCondition;
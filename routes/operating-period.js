@@ -0,0 +1,320 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWaterSystemAnnualOperatingPeriodDTO:
+ *       type: object
+ *       description: "Annual operating period of a water system (tinwsaop) with the populations served during it"
+ *       properties:
+ *         waterSystemIdAnnualOperatingPeriodId: { type: integer, description: "Internal operating period sequence (tinwsaop_is_number)" }
+ *         effectiveStartDate: { type: string, format: date-time, description: "First day this operating period applies" }
+ *         effectiveEndDate: { type: string, format: date-time, nullable: true, description: "Last day this operating period applies (null = still in effect)" }
+ *         startDay: { type: integer, description: "Day of month the season starts" }
+ *         startMonth: { type: integer, description: "Month the season starts" }
+ *         endDay: { type: integer, description: "Day of month the season ends" }
+ *         endMonth: { type: integer, description: "Month the season ends" }
+ *         notes: { type: string }
+ *         populationsServed: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemPopulationServedDTO' } }
+ *         createId: { type: string }
+ *         updateLanId: { type: string }
+ *         removeId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         removeDt: { type: string, format: date-time }
+ *         updateDt: { type: string, format: date-time }
+ *     DWPWaterSystemPopulationServedDTO:
+ *       type: object
+ *       description: "Population of one type served during an operating period (tinpopsv)"
+ *       properties:
+ *         populationServedId: { type: integer, description: "Internal population sequence (tinpopsv_is_number)" }
+ *         populationType: { type: object, properties: { popTypeCode: { type: string } }, description: "R=Residential, NT=Non-transient, T=Transient; see /inventory/population-type" }
+ *         populationCount: { type: integer }
+ *         notes: { type: string }
+ *         createId: { type: string }
+ *         removeId: { type: string }
+ *         updateId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         removeDt: { type: string, format: date-time }
+ *         updateDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listRecords } = require('./attribute');
+
+// Mounted below /inventory/water-system/{waterSystemId}/aop after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — keyed by waterSystemId, loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'operating-periods.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null ? Number(v) : null);
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+// Column mapping: SS (tinwsaop) → SF DWPWaterSystemAnnualOperatingPeriodDTO.
+// Populations are filled by loadOperatingPeriods().
+function mapOperatingPeriod(row) {
+  return {
+    waterSystemIdAnnualOperatingPeriodId: row.tinwsaop_is_number,
+    effectiveStartDate: row.eff_begin_dt,
+    effectiveEndDate: row.eff_end_dt,
+    startDay: num(row.start_day),
+    startMonth: num(row.start_month),
+    endDay: num(row.end_day),
+    endMonth: num(row.end_month),
+    notes: row.memo_text,
+    populationsServed: [],
+    createId: row.d_initial_userid?.trim() || null,
+    updateLanId: row.d_userid_code?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Column mapping: SS (tinpopsv) → SF DWPWaterSystemPopulationServedDTO
+function mapPopulationServed(row) {
+  return {
+    populationServedId: row.tinpopsv_is_number,
+    populationType: code(row.type_code, 'popTypeCode'),
+    populationCount: num(row.population_count),
+    notes: row.memo_text,
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Load the operating periods of a set of water systems: Map waterSystemId → periods,
+// oldest first.
+async function loadOperatingPeriods(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (db.mode === 'demo') {
+    for (const id of bySystem.keys()) bySystem.set(id, getDemoData()[id] || []);
+    return bySystem;
+  }
+
+  const ids = [...bySystem.keys()];
+  const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+  const systemFilter = `ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})`;
+
+  const [periodRows, populationRows] = await Promise.all([
+    db.query(
+      `SELECT aop.*, ws.number0
+         FROM ${SCHEMA_PREFIX}tinwsaop aop
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = aop.tinwsys_is_number
+          AND ws.tinwsys_st_code = aop.tinwsys_st_code
+        WHERE ${systemFilter}
+        ORDER BY aop.eff_begin_dt, aop.tinwsaop_is_number`,
+      [currentAgency(), ...ids]
+    ),
+    db.query(
+      `SELECT ps.*
+         FROM ${SCHEMA_PREFIX}tinpopsv ps
+         JOIN ${SCHEMA_PREFIX}tinwsaop aop
+           ON aop.tinwsaop_is_number = ps.tinwsaop_is_number
+          AND aop.tinwsaop_st_code = ps.tinwsaop_st_code
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = aop.tinwsys_is_number
+          AND ws.tinwsys_st_code = aop.tinwsys_st_code
+        WHERE ${systemFilter}
+        ORDER BY ps.tinpopsv_is_number`,
+      [currentAgency(), ...ids]
+    ),
+  ]);
+
+  const periods = new Map();
+  for (const row of periodRows) {
+    const period = mapOperatingPeriod(row);
+    periods.set(Number(row.tinwsaop_is_number), period);
+    bySystem.get(row.number0?.trim())?.push(period);
+  }
+  for (const row of populationRows) {
+    periods.get(Number(row.tinwsaop_is_number))?.populationsServed.push(mapPopulationServed(row));
+  }
+
+  return bySystem;
+}
+
+// The operating period that describes a water system today: the one in effect
+// (latest start wins if periods overlap), else the most recent one. `inEffect`
+// tells the two apart; null when the system has no periods at all.
+function currentOperatingPeriod(periods, asOf = new Date()) {
+  const byStart = [...periods].sort((a, b) => new Date(b.effectiveStartDate) - new Date(a.effectiveStartDate));
+  const inEffect = byStart.find(p =>
+    new Date(p.effectiveStartDate) <= asOf && (p.effectiveEndDate == null || new Date(p.effectiveEndDate) >= asOf));
+  if (inEffect) return { period: inEffect, inEffect: true };
+  return byStart.length ? { period: byStart[0], inEffect: false } : null;
+}
+
+// DWPWaterSystemAnnualOperatingPeriodInfoDTO — the period without its populations
+function toOperatingPeriodInfo(period, waterSystemInfo) {
+  const { populationsServed, ...info } = period;
+  return { ...info, dwpWaterSystem: waterSystemInfo };
+}
+
+// ---------------------------------------------------------------------------
+// Filtering — a system's operating periods are loaded whole (below), so both
+// modes filter them in memory.
+// ---------------------------------------------------------------------------
+
+function filterOperatingPeriods(periods, query) {
+  let results = [...periods];
+
+  if (query.waterSystemIdAnnualOperatingPeriodId) {
+    const id = Number(query.waterSystemIdAnnualOperatingPeriodId);
+    results = results.filter(p => p.waterSystemIdAnnualOperatingPeriodId === id);
+  }
+  const dateRanges = {
+    effectiveStartDateFrom: ['effectiveStartDate', 1],
+    effectiveStartDateTo: ['effectiveStartDate', -1],
+    effectiveEndDateFrom: ['effectiveEndDate', 1],
+    effectiveEndDateTo: ['effectiveEndDate', -1],
+  };
+  for (const [param, [field, dir]] of Object.entries(dateRanges)) {
+    if (!query[param]) continue;
+    const bound = new Date(query[param]);
+    results = results.filter(p => p[field] != null && (new Date(p[field]) - bound) * dir >= 0);
+  }
+
+  return results;
+}
+
+function filterPopulations(populations, query) {
+  let results = [...populations];
+
+  if (query.populationServedId) {
+    const id = Number(query.populationServedId);
+    results = results.filter(p => p.populationServedId === id);
+  }
+  if (query.popTypeCode) {
+    results = results.filter(p => p.populationType?.popTypeCode === query.popTypeCode);
+  }
+
+  return results;
+}
+
+// Every route below reads the system's operating periods: res.locals.operatingPeriods
+router.use(async (req, res, next) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    res.locals.operatingPeriods = (await loadOperatingPeriods([waterSystemId])).get(waterSystemId);
+    next();
+  } catch (err) {
+    console.error('Error loading annual operating periods:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/aop:
+ *   get:
+ *     summary: List a water system's annual operating periods
+ *     description: >
+ *       Returns the water system's annual operating periods with the populations served
+ *       during each, together with a water system summary (WaterSystemAnnualOperatingPeriodsResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: waterSystemIdAnnualOperatingPeriodId, schema: { type: integer } }
+ *       - { in: query, name: effectiveStartDateFrom, schema: { type: string, format: date }, description: "Effective start on or after" }
+ *       - { in: query, name: effectiveStartDateTo, schema: { type: string, format: date }, description: "Effective start on or before" }
+ *       - { in: query, name: effectiveEndDateFrom, schema: { type: string, format: date }, description: "Effective end on or after" }
+ *       - { in: query, name: effectiveEndDateTo, schema: { type: string, format: date }, description: "Effective end on or before" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of annual operating periods, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 annualOperatingPeriods: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemAnnualOperatingPeriodDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', (req, res) => {
+  const { resultSummary, items } = listRecords(
+    filterOperatingPeriods(res.locals.operatingPeriods, req.query), req.query, {}, { sortFields: {} }
+  );
+  res.json({ error: null, resultSummary, waterSystemInfo: res.locals.waterSystemInfo, annualOperatingPeriods: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/aop/{waterSystemIdAnnualOperatingPeriodId}/population-served:
+ *   get:
+ *     summary: List the populations served during an operating period
+ *     description: >
+ *       Returns the populations served during one of the water system's annual operating
+ *       periods, with a summary of the period (WaterSystemPopulationServedResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: waterSystemIdAnnualOperatingPeriodId, required: true, schema: { type: integer } }
+ *       - { in: query, name: populationServedId, schema: { type: integer } }
+ *       - { in: query, name: popTypeCode, schema: { type: string }, description: "See /inventory/population-type" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of populations served
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 annualOperatingPeriod: { type: object, description: "DWPWaterSystemAnnualOperatingPeriodInfoDTO" }
+ *                 populationsServed: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemPopulationServedDTO' } }
+ *       404:
+ *         description: Water system or operating period not found
+ */
+router.get('/:waterSystemIdAnnualOperatingPeriodId/population-served', (req, res) => {
+  const { waterSystemId, waterSystemIdAnnualOperatingPeriodId: periodId } = req.params;
+  const period = res.locals.operatingPeriods
+    .find(p => p.waterSystemIdAnnualOperatingPeriodId === Number(periodId));
+  if (!period) {
+    return res.status(404).json({
+      error: { message: `Annual operating period ${periodId} not found in water system ${waterSystemId}` },
+    });
+  }
+
+  const { resultSummary, items } = listRecords(
+    filterPopulations(period.populationsServed, req.query), req.query, {}, { sortFields: {} }
+  );
+  res.json({
+    error: null,
+    resultSummary,
+    annualOperatingPeriod: toOperatingPeriodInfo(period, res.locals.waterSystemInfo),
+    populationsServed: items,
+  });
+});
+
+module.exports = router;
+module.exports.loadOperatingPeriods = loadOperatingPeriods;
+module.exports.currentOperatingPeriod = currentOperatingPeriod;
@@ -0,0 +1,664 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPLegalEntityContactAddressDTO:
+ *       type: object
+ *       description: "Address of a legal entity (tinleadr); the address lines are served by the Legal Entity API"
+ *       properties:
+ *         legalEntityContactAddressId: { type: integer, description: "tinleadr_is_number" }
+ *         legalEntityAddressId: { type: integer, description: "tinleadr_is_number (SS keeps one row per entity address)" }
+ *         typeCode: { type: string, description: "Address type code, e.g. M=Mailing, P=Physical" }
+ *         legalEntityId: { type: integer }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date }
+ *     DWPLegalEntityPhoneDTO:
+ *       type: object
+ *       description: "Phone number of a legal entity (tinlecom rows without an electronic address)"
+ *       properties:
+ *         legalEntityPhoneId: { type: integer, description: "tinlecom_is_number" }
+ *         phoneType: { type: object, properties: { typeCode: { type: string } } }
+ *         number: { type: string }
+ *         extension: { type: string }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *     DWPLegalEntityEmailAddressDTO:
+ *       type: object
+ *       description: "Email address of a legal entity (tinlecom rows with an electronic address)"
+ *       properties:
+ *         legalEntityEmailId: { type: integer, description: "tinlecom_is_number" }
+ *         emailType: { type: object, properties: { typeCode: { type: string } } }
+ *         emailAddress: { type: string }
+ *         notes: { type: string }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *     DWPLegalEntityDTO:
+ *       type: object
+ *       description: "Person, organization or agency (tinlgent) with its addresses, phones, emails and organizations"
+ *       properties:
+ *         legalEntityId: { type: integer, description: "tinlgent_is_number" }
+ *         fedLegacyIsNum: { type: string, nullable: true }
+ *         leType: { type: object, properties: { leType: { type: string } }, description: "IN=Individual, OR=Organization, AG=Agency" }
+ *         statusCode: { type: object, properties: { statusCode: { type: string } } }
+ *         statusDt: { type: string, format: date-time }
+ *         statusReason: { type: object, properties: { reasonCode: { type: string } } }
+ *         laboratoryInd: { type: string }
+ *         aliasName: { type: string }
+ *         organizations: { type: array, items: { type: object }, description: "DWPRelatedLegalEntityDTO — organizations the entity belongs to (tinlerel)" }
+ *         webSiteUrl: { type: string }
+ *         alternateWebSiteUrl: { type: string }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *         legalEntityName: { type: string }
+ *         comments: { type: string }
+ *         contactAddresses: { type: array, items: { $ref: '#/components/schemas/DWPLegalEntityContactAddressDTO' } }
+ *         emailAddresses: { type: array, items: { $ref: '#/components/schemas/DWPLegalEntityEmailAddressDTO' } }
+ *         phoneNumbers: { type: array, items: { $ref: '#/components/schemas/DWPLegalEntityPhoneDTO' } }
+ *     DWPLegalEntityWSPOCDTO:
+ *       type: object
+ *       description: "Point of contact of a water system, as returned on DWPWaterSystemDTO.pocs (tinlews)"
+ *       properties:
+ *         leWSPOCId: { type: integer, description: "tinlews_is_number" }
+ *         contact: { $ref: '#/components/schemas/DWPLegalEntityContactAddressDTO' }
+ *         pocType: { type: object, properties: { wsLEPOCTypeCode: { type: string }, name: { type: string } } }
+ *         startDt: { type: string, format: date }
+ *         endDt: { type: string, format: date, nullable: true }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *     DWPLegalEntityFacPOCDTO:
+ *       type: object
+ *       description: "Point of contact of a facility, as returned on DWPFacilityDTO.pocs (tinlewsf)"
+ *       properties:
+ *         leFacPOCId: { type: integer, description: "tinlewsf_is_number" }
+ *         contact: { $ref: '#/components/schemas/DWPLegalEntityContactAddressDTO' }
+ *         pocType: { type: object, properties: { wsLEPOCTypeCode: { type: string }, name: { type: string } } }
+ *         startDt: { type: string, format: date }
+ *         endDt: { type: string, format: date, nullable: true }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *     InvWaterSystemLEPOCRecDTO:
+ *       type: object
+ *       description: "Point of contact of a water system with its legal entity"
+ *       properties:
+ *         leWSPOCId: { type: integer }
+ *         name: { type: string, description: "Legal entity name" }
+ *         pocType: { type: object, properties: { wsLEPOCTypeCode: { type: string }, name: { type: string } } }
+ *         wsLEPOCTypeCode: { type: string, description: "e.g. OW=Owner, OP=Operator, AC=Administrative contact" }
+ *         status: { type: object, properties: { statusCode: { type: string } } }
+ *         statusCode: { type: string, description: "Legal entity status code" }
+ *         startDt: { type: string, format: date-time }
+ *         endDt: { type: string, format: date-time, nullable: true }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *         entity: { $ref: '#/components/schemas/DWPLegalEntityDTO' }
+ *         legalEntityId: { type: integer }
+ *         contact: { $ref: '#/components/schemas/DWPLegalEntityContactAddressDTO' }
+ *     InvFacilityLEPOCRecDTO:
+ *       type: object
+ *       description: "Point of contact of a facility with its legal entity"
+ *       properties:
+ *         leFacPOCId: { type: integer }
+ *         name: { type: string, description: "Legal entity name" }
+ *         pocType: { type: object, properties: { wsLEPOCTypeCode: { type: string }, name: { type: string } } }
+ *         wsLEPOCTypeCode: { type: string }
+ *         status: { type: object, properties: { statusCode: { type: string } } }
+ *         statusCode: { type: string }
+ *         startDt: { type: string, format: date-time }
+ *         endDt: { type: string, format: date-time, nullable: true }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *         entity: { $ref: '#/components/schemas/DWPLegalEntityDTO' }
+ *         contact: { $ref: '#/components/schemas/DWPLegalEntityContactAddressDTO' }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listRecords } = require('./attribute');
+
+// Mounted below /inventory/water-system/{waterSystemId}/related-points-of-contact
+// after waterSystem.withWaterSystem (res.locals.waterSystem); `facility` below
+// .../facility/{facilityId}/related-points-of-contact after facility.withFacility.
+const router = Router({ mergeParams: true });
+const facilityRouter = Router({ mergeParams: true });
+
+// Demo data — legal entities, and POCs keyed by water system / facility ID,
+// each loaded once on first use
+const _demoData = {};
+function getDemoData(name) {
+  if (!_demoData[name]) {
+    _demoData[name] = require(path.join(__dirname, '..', 'demo', `${name}.json`));
+  }
+  return _demoData[name];
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+const dateOnly = v => (v != null ? new Date(v).toISOString().slice(0, 10) : null);
+
+// SS audit columns → SF audit fields; `p` is the column alias prefix, if any
+function auditFields(row, p = '') {
+  return {
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: row[`${p}d_initial_userid`]?.trim() || null,
+    createDt: row[`${p}d_initial_ts`],
+    updateId: row[`${p}d_userid_code`]?.trim() || null,
+    updateDt: row[`${p}d_last_updt_ts`],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Legal entities — SS tinlgent with its addresses (tinleadr), phones and
+// emails (tinlecom) and organization memberships (tinlerel)
+// ---------------------------------------------------------------------------
+
+// Column mapping: SS (tinleadr) → SF DWPLegalEntityContactAddressDTO. SS keeps
+// one row per entity address, so both IDs are tinleadr_is_number.
+function mapContactAddress(row, p = '') {
+  if (row[`${p}tinleadr_is_number`] == null) return null;
+  return {
+    legalEntityContactAddressId: row[`${p}tinleadr_is_number`],
+    legalEntityAddressId: row[`${p}tinleadr_is_number`],
+    typeCode: row[`${p}type_code`]?.trim() || null,
+    legalEntityId: Number(row[`${p}tinlgent_is_number`]),
+    ...auditFields(row, p),
+  };
+}
+
+// Column mapping: SS (tinlecom) → SF DWPLegalEntityPhoneDTO / DWPLegalEntityEmailAddressDTO.
+// A communication row with an electronic address is an email, otherwise a phone.
+function mapPhone(row) {
+  return {
+    legalEntityPhoneId: row.tinlecom_is_number,
+    phoneType: code(row.type_code, 'typeCode'),
+    number: row.phone_number?.trim() || null,
+    extension: row.phone_extension?.trim() || null,
+    ...auditFields(row),
+  };
+}
+
+function mapEmail(row) {
+  return {
+    legalEntityEmailId: row.tinlecom_is_number,
+    emailType: code(row.type_code, 'typeCode'),
+    emailAddress: row.electronic_address.trim(),
+    notes: row.memo_text,
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tinlerel) → SF DWPRelatedLegalEntityDTO. The organization
+// holds only its ID until loadLegalEntities() resolves it.
+function mapOrganization(row) {
+  return {
+    referencedLegalEntity: { legalEntityId: Number(row.rel_tinlgent_is_number) },
+    leRelatedType: code(row.type_code, 'leRelatedType'),
+    relatedLegalEntityId: row.tinlerel_is_number,
+    startDt: row.eff_begin_dt,
+    endDt: row.eff_end_dt,
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tinlgent) → SF DWPLegalEntityDTO. Child arrays are
+// filled by findLegalEntities().
+function mapLegalEntity(row) {
+  return {
+    legalEntityId: Number(row.tinlgent_is_number),
+    fedLegacyIsNum: null,      // SF-only, no SS equivalent
+    leType: code(row.type_code, 'leType'),
+    statusCode: code(row.status_code, 'statusCode'),
+    statusDt: row.status_date,
+    statusReason: code(row.status_rsn_code, 'reasonCode'),
+    laboratoryInd: row.lab_ind?.trim() || null,
+    aliasName: row.alias_name?.trim() || null,
+    organizations: [],
+    webSiteUrl: row.web_site_url?.trim() || null,
+    alternateWebSiteUrl: row.alt_web_site_url?.trim() || null,
+    ...auditFields(row),
+    legalEntityName: row.name?.trim() || null,
+    comments: row.memo_text,
+    contactAddresses: [],
+    emailAddresses: [],
+    phoneNumbers: [],
+  };
+}
+
+// DWPLegalEntityDTOs by ID (Map) with their organizations as bare IDs — also
+// used by regulating-agency.js for an agency's primary address, email and phone
+async function findLegalEntities(entityIds) {
+  const entities = new Map();
+  const ids = [...new Set(entityIds.map(Number))];
+  if (!ids.length) return entities;
+
+  if (db.mode === 'demo') {
+    for (const le of getDemoData('legal-entities')) {
+      if (ids.includes(le.legalEntityId)) entities.set(le.legalEntityId, le);
+    }
+    return entities;
+  }
+
+  const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+  const byEntity = table => db.query(
+    `SELECT * FROM ${SCHEMA_PREFIX}${table}
+     WHERE tinlgent_st_code = $1 AND tinlgent_is_number IN (${inList})
+     ORDER BY ${table}_is_number`,
+    [currentAgency(), ...ids]
+  );
+  const [entityRows, addressRows, communicationRows, relationRows] = await Promise.all([
+    byEntity('tinlgent'), byEntity('tinleadr'), byEntity('tinlecom'), byEntity('tinlerel'),
+  ]);
+
+  for (const row of entityRows) entities.set(Number(row.tinlgent_is_number), mapLegalEntity(row));
+  const owner = row => entities.get(Number(row.tinlgent_is_number));
+  for (const row of addressRows) owner(row)?.contactAddresses.push(mapContactAddress(row));
+  for (const row of communicationRows) {
+    if (row.electronic_address?.trim()) owner(row)?.emailAddresses.push(mapEmail(row));
+    else owner(row)?.phoneNumbers.push(mapPhone(row));
+  }
+  for (const row of relationRows) owner(row)?.organizations.push(mapOrganization(row));
+
+  return entities;
+}
+
+// DWPLegalEntityMasterDTO — a related legal entity without its own relations
+function toMasterEntity(le) {
+  return {
+    legalEntityId: le.legalEntityId,
+    fedLegacyIsNum: le.fedLegacyIsNum,
+    leType: le.leType,
+    statusCode: le.statusCode,
+    statusDt: le.statusDt,
+    statusReason: le.statusReason,
+    laboratoryInd: le.laboratoryInd,
+    name: le.legalEntityName,
+    aliasName: le.aliasName,
+    webSiteUrl: le.webSiteUrl,
+    alternateWebSiteUrl: le.alternateWebSiteUrl,
+    removeId: le.removeId,
+    removeDt: le.removeDt,
+    createId: le.createId,
+    createDt: le.createDt,
+    updateId: le.updateId,
+    updateDt: le.updateDt,
+    comments: le.comments,
+    contactAddresses: le.contactAddresses,
+    emailAddresses: le.emailAddresses,
+    phoneNumbers: le.phoneNumbers,
+  };
+}
+
+// DWPLegalEntityDTOs by ID (Map) with their organizations resolved.
+// Builds new objects so the cached demo rows keep their bare organization IDs.
+async function loadLegalEntities(entityIds) {
+  const entities = await findLegalEntities(entityIds);
+  const organizations = await findLegalEntities(
+    [...entities.values()].flatMap(le => le.organizations.map(o => o.referencedLegalEntity.legalEntityId))
+  );
+
+  return new Map([...entities].map(([id, le]) => [id, {
+    ...le,
+    organizations: le.organizations.map(o => {
+      const org = organizations.get(o.referencedLegalEntity.legalEntityId);
+      return { ...o, referencedLegalEntity: org ? toMasterEntity(org) : null };
+    }),
+  }]));
+}
+
+// ---------------------------------------------------------------------------
+// Points of contact — SS tinlews (water system) and tinlewsf (facility) link a
+// legal entity and one of its addresses to the system or facility by POC type
+// ---------------------------------------------------------------------------
+
+// POC query columns shared by both tables: the contact address (ad_ prefix)
+// and the POC type name from the legal value table
+const POC_COLUMNS = `p.*, pt.value_desc as poc_type_name,
+       ad.tinleadr_is_number as ad_tinleadr_is_number, ad.tinlgent_is_number as ad_tinlgent_is_number,
+       ad.type_code as ad_type_code, ad.d_initial_userid as ad_d_initial_userid,
+       ad.d_userid_code as ad_d_userid_code, ad.d_initial_ts as ad_d_initial_ts,
+       ad.d_last_updt_ts as ad_d_last_updt_ts`;
+const POC_JOINS = `LEFT JOIN ${SCHEMA_PREFIX}tinleadr ad
+        ON ad.tinleadr_is_number = p.tinleadr_is_number
+       AND ad.tinlgent_st_code = p.tinlgent_st_code
+      LEFT JOIN ${SCHEMA_PREFIX}tsylgval pt
+        ON pt.value_type = 'LE_POC_TYPE'
+       AND pt.value_code = p.type_code
+       AND pt.tsylgval_st_code = p.tinlgent_st_code`;
+
+// Column mapping: SS (tinlews / tinlewsf) → SF InvWaterSystemLEPOCRecDTO /
+// InvFacilityLEPOCRecDTO. The entity holds only its ID, and name and status
+// are empty, until withLegalEntities() resolves them.
+function mapPOC(row, idField, table) {
+  return {
+    [idField]: row[`${table}_is_number`],
+    pocType: row.type_code?.trim()
+      ? { wsLEPOCTypeCode: row.type_code.trim(), name: row.poc_type_name ?? null }
+      : null,
+    wsLEPOCTypeCode: row.type_code?.trim() || null,
+    startDt: row.eff_begin_dt,
+    endDt: row.eff_end_dt,
+    ...auditFields(row),
+    entity: { legalEntityId: Number(row.tinlgent_is_number) },
+    contact: mapContactAddress(row, 'ad_'),
+  };
+}
+
+// POC records of a set of water systems: Map waterSystemId → records
+async function loadWaterSystemPOCRecords(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (db.mode === 'demo') {
+    for (const id of bySystem.keys()) bySystem.set(id, getDemoData('water-system-pocs')[id] || []);
+  } else {
+    const ids = [...bySystem.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT ${POC_COLUMNS}, ws.number0
+         FROM ${SCHEMA_PREFIX}tinlews p
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = p.tinwsys_is_number
+          AND ws.tinwsys_st_code = p.tinwsys_st_code
+         ${POC_JOINS}
+        WHERE ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})
+        ORDER BY p.tinlews_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) bySystem.get(row.number0?.trim())?.push(mapPOC(row, 'leWSPOCId', 'tinlews'));
+  }
+
+  return bySystem;
+}
+
+// POC records of a set of facilities: Map facilityId → records
+async function loadFacilityPOCRecords(facilityIds) {
+  const byFacility = new Map(facilityIds.map(id => [Number(id), []]));
+  if (!facilityIds.length) return byFacility;
+
+  if (db.mode === 'demo') {
+    for (const id of byFacility.keys()) byFacility.set(id, getDemoData('facility-pocs')[id] || []);
+  } else {
+    const ids = [...byFacility.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT ${POC_COLUMNS}
+         FROM ${SCHEMA_PREFIX}tinlewsf p
+         ${POC_JOINS}
+        WHERE p.tinwsf_st_code = $1 AND p.tinwsf_is_number IN (${inList})
+        ORDER BY p.tinlewsf_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) byFacility.get(Number(row.tinwsf_is_number))?.push(mapPOC(row, 'leFacPOCId', 'tinlewsf'));
+  }
+
+  return byFacility;
+}
+
+// Resolve each record's legal entity, name and status. Facility records carry
+// no legalEntityId of their own (InvFacilityLEPOCRecDTO), so it is opt-in.
+async function withLegalEntities(records, { legalEntityId = false } = {}) {
+  const entities = await loadLegalEntities(records.map(r => r.entity.legalEntityId));
+  return records.map(r => {
+    const entity = entities.get(r.entity.legalEntityId) || null;
+    return {
+      ...r,
+      name: entity?.legalEntityName ?? null,
+      status: entity?.statusCode ?? null,
+      statusCode: entity?.statusCode?.statusCode ?? null,
+      entity,
+      ...(legalEntityId && { legalEntityId: r.entity.legalEntityId }),
+    };
+  });
+}
+
+// DWPLegalEntityWSPOCDTO / DWPLegalEntityFacPOCDTO — a POC as it appears in
+// its water system's or facility's pocs array
+function toPOC(record, idField) {
+  return {
+    [idField]: record[idField],
+    contact: record.contact,
+    pocType: record.pocType,
+    startDt: dateOnly(record.startDt),
+    endDt: dateOnly(record.endDt),
+    removeId: record.removeId,
+    removeDt: record.removeDt,
+    createId: record.createId,
+    createDt: record.createDt,
+    updateId: record.updateId,
+    updateDt: record.updateDt,
+  };
+}
+
+// Load the POCs of a set of water systems for DWPWaterSystemDTO.pocs:
+// Map waterSystemId → DWPLegalEntityWSPOCDTO[]
+async function loadWaterSystemPOCs(waterSystemIds) {
+  const records = await loadWaterSystemPOCRecords(waterSystemIds);
+  return new Map([...records].map(([id, pocs]) => [id, pocs.map(p => toPOC(p, 'leWSPOCId'))]));
+}
+
+// Load the POCs of a set of facilities for DWPFacilityDTO.pocs:
+// Map facilityId → DWPLegalEntityFacPOCDTO[]
+async function loadFacilityPOCs(facilityIds) {
+  const records = await loadFacilityPOCRecords(facilityIds);
+  return new Map([...records].map(([id, pocs]) => [id, pocs.map(p => toPOC(p, 'leFacPOCId'))]));
+}
+
+// ---------------------------------------------------------------------------
+// Filtering and sorting — POC lists are short, so both modes work in memory.
+// name and organizationName and phoneNumber are starts-with filters (case-
+// insensitive), emailAddress is exact (case-insensitive), codes and IDs exact.
+// ---------------------------------------------------------------------------
+
+const startsWith = (value, prefix) => value != null && value.toLowerCase().startsWith(prefix.toLowerCase());
+
+function filterPOCs(records, query, idField) {
+  let results = [...records];
+
+  if (query[idField]) {
+    const id = Number(query[idField]);
+    results = results.filter(r => r[idField] === id);
+  }
+  if (query.legalEntityId) {
+    const id = Number(query.legalEntityId);
+    results = results.filter(r => r.entity?.legalEntityId === id);
+  }
+  if (query.name) {
+    results = results.filter(r => startsWith(r.name, query.name));
+  }
+  if (query.wsLEPOCTypeCode) {
+    results = results.filter(r => r.wsLEPOCTypeCode === query.wsLEPOCTypeCode);
+  }
+  if (query.statusCode) {
+    results = results.filter(r => r.statusCode === query.statusCode);
+  }
+  if (query.organizationName) {
+    results = results.filter(r => r.entity?.organizations.some(o =>
+      startsWith(o.referencedLegalEntity?.name, query.organizationName)));
+  }
+  if (query.phoneNumber) {
+    results = results.filter(r => r.entity?.phoneNumbers.some(p => startsWith(p.number, query.phoneNumber)));
+  }
+  if (query.emailAddress) {
+    const wanted = query.emailAddress.toLowerCase();
+    results = results.filter(r => r.entity?.emailAddresses.some(e => e.emailAddress.toLowerCase() === wanted));
+  }
+  const dateRanges = {
+    startFromDate: ['startDt', 1],
+    startToDate: ['startDt', -1],
+    endFromDate: ['endDt', 1],
+    endToDate: ['endDt', -1],
+  };
+  for (const [param, [field, dir]] of Object.entries(dateRanges)) {
+    if (!query[param]) continue;
+    const bound = new Date(query[param]);
+    results = results.filter(r => r[field] != null && (new Date(r[field]) - bound) * dir >= 0);
+  }
+
+  return results;
+}
+
+// Sortable columns from the spec; waterSystemId is accepted but every record
+// of one list shares it
+const SORT_FIELDS = {
+  statusCode: r => r.statusCode,
+  wsLEPOCTypeCode: r => r.wsLEPOCTypeCode,
+  name: r => r.name,
+  legalEntityId: r => r.entity?.legalEntityId,
+  createDt: r => (r.createDt != null ? new Date(r.createDt).getTime() : null),
+};
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/related-points-of-contact:
+ *   get:
+ *     summary: List a water system's points of contact
+ *     description: >
+ *       Returns the water system's points of contact (owners, operators, administrative
+ *       contacts, ...) with their legal entities, addresses, phones and emails, together with
+ *       a water system summary (WaterSystemPOCListResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: leWSPOCId, schema: { type: integer } }
+ *       - { in: query, name: legalEntityId, schema: { type: integer } }
+ *       - { in: query, name: name, schema: { type: string }, description: "Legal entity name starts with (case-insensitive)" }
+ *       - { in: query, name: wsLEPOCTypeCode, schema: { type: string }, description: "Exact POC type code, e.g. OW, OP, AC" }
+ *       - { in: query, name: statusCode, schema: { type: string }, description: "Exact legal entity status code" }
+ *       - { in: query, name: organizationName, schema: { type: string }, description: "Related organization name starts with" }
+ *       - { in: query, name: phoneNumber, schema: { type: string }, description: "Phone number starts with" }
+ *       - { in: query, name: emailAddress, schema: { type: string }, description: "Exact email address (case-insensitive)" }
+ *       - { in: query, name: startFromDate, schema: { type: string }, description: "Start date on or after" }
+ *       - { in: query, name: startToDate, schema: { type: string }, description: "Start date on or before" }
+ *       - { in: query, name: endFromDate, schema: { type: string }, description: "End date on or after" }
+ *       - { in: query, name: endToDate, schema: { type: string }, description: "End date on or before" }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated: statusCode, wsLEPOCTypeCode, name, legalEntityId, createDt" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC (must match sortColumns count)" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of points of contact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 pocs: { type: array, items: { $ref: '#/components/schemas/InvWaterSystemLEPOCRecDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const records = (await loadWaterSystemPOCRecords([waterSystemId])).get(waterSystemId);
+    const pocs = await withLegalEntities(records, { legalEntityId: true });
+    const { resultSummary, items } = listRecords(
+      filterPOCs(pocs, req.query, 'leWSPOCId'), req.query, {}, { sortFields: SORT_FIELDS }
+    );
+    res.json({ error: null, resultSummary, waterSystemInfo: res.locals.waterSystemInfo, pocs: items });
+  } catch (err) {
+    console.error('Error listing water system points of contact:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/related-points-of-contact:
+ *   get:
+ *     summary: List a facility's points of contact
+ *     description: >
+ *       Returns the facility's points of contact with their legal entities, addresses, phones
+ *       and emails, together with a facility summary (FacilityPOCListResponseDTO).
+ *     tags: [Facility]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: query, name: leFacPOCId, schema: { type: integer } }
+ *       - { in: query, name: name, schema: { type: string }, description: "Legal entity name starts with (case-insensitive)" }
+ *       - { in: query, name: wsLEPOCTypeCode, schema: { type: string }, description: "Exact POC type code, e.g. OW, OP, AC" }
+ *       - { in: query, name: statusCode, schema: { type: string }, description: "Exact legal entity status code" }
+ *       - { in: query, name: organizationName, schema: { type: string }, description: "Related organization name starts with" }
+ *       - { in: query, name: phoneNumber, schema: { type: string }, description: "Phone number starts with" }
+ *       - { in: query, name: emailAddress, schema: { type: string }, description: "Exact email address (case-insensitive)" }
+ *       - { in: query, name: startFromDate, schema: { type: string }, description: "Start date on or after" }
+ *       - { in: query, name: startToDate, schema: { type: string }, description: "Start date on or before" }
+ *       - { in: query, name: endFromDate, schema: { type: string }, description: "End date on or after" }
+ *       - { in: query, name: endToDate, schema: { type: string }, description: "End date on or before" }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated: statusCode, wsLEPOCTypeCode, name, legalEntityId, createDt" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC (must match sortColumns count)" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of points of contact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 pocs: { type: array, items: { $ref: '#/components/schemas/InvFacilityLEPOCRecDTO' } }
+ *       404:
+ *         description: Facility not found in the water system
+ */
+facilityRouter.get('/', async (req, res) => {
+  try {
+    const facilityId = Number(res.locals.facility.facilityId);
+    const records = (await loadFacilityPOCRecords([facilityId])).get(facilityId);
+    const pocs = await withLegalEntities(records);
+    const { resultSummary, items } = listRecords(
+      filterPOCs(pocs, req.query, 'leFacPOCId'), req.query, {}, { sortFields: SORT_FIELDS }
+    );
+    res.json({ error: null, resultSummary, facilityInfo: res.locals.facilityInfo, pocs: items });
+  } catch (err) {
+    console.error('Error listing facility points of contact:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.facility = facilityRouter;
+module.exports.loadWaterSystemPOCs = loadWaterSystemPOCs;
+module.exports.loadFacilityPOCs = loadFacilityPOCs;
+module.exports.findLegalEntities = findLegalEntities;
@@ -0,0 +1,241 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWaterSystemPurchaseDTO:
+ *       type: object
+ *       description: "Water one system buys from another, through the seller's facility (tinwspur)"
+ *       properties:
+ *         waterSystemPurchaseId: { type: integer, description: "Internal purchase sequence (tinwspur_is_number)" }
+ *         sellerWaterSystem: { $ref: '#/components/schemas/DWPWaterSystemDTO' }
+ *         sellerFacility: { type: object, nullable: true, description: "DWPFacilityDTO the water leaves the seller through" }
+ *         buyerWaterSystem: { $ref: '#/components/schemas/DWPWaterSystemDTO' }
+ *         buyerFacility: { type: object, nullable: true, description: "DWPFacilityDTO (consecutive connection) the water enters the buyer through" }
+ *         createId: { type: string }
+ *         removeId: { type: string }
+ *         updateId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         removeDt: { type: string, format: date-time }
+ *         updateDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { pwsidInScope } = require('../auth');
+const { listRecords } = require('./attribute');
+const { findWaterSystems } = require('./water-system');
+const { findFacilities } = require('./facility');
+
+// Mounted below /inventory/water-system/{waterSystemId}/purchase-wholesale after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'purchases.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+// Column mapping: SS (tinwspur) → SF DWPWaterSystemPurchaseDTO. The water
+// systems and facilities hold only their IDs until loadPurchaseWholesale()
+// replaces them with the full DTOs.
+function mapPurchase(row) {
+  return {
+    waterSystemPurchaseId: row.tinwspur_is_number,
+    sellerWaterSystem: { waterSystemId: row.seller_pwsid },
+    sellerFacility: row.seller_tinwsf_is_number != null ? { facilityId: row.seller_tinwsf_is_number } : null,
+    buyerWaterSystem: { waterSystemId: row.buyer_pwsid },
+    buyerFacility: row.buyer_tinwsf_is_number != null ? { facilityId: row.buyer_tinwsf_is_number } : null,
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// A water system's purchases (it is the buyer) and wholesales (it is the
+// seller), with both sides resolved to DWPWaterSystemDTO / DWPFacilityDTO.
+// Systems and facilities that cannot be found are left null. Records with a
+// water system outside the caller's PWSID scope (`auth`) are left out, and so
+// are facilities of such systems.
+async function loadPurchaseWholesale(waterSystemId, { auth } = {}) {
+  let records;
+
+  if (db.mode === 'demo') {
+    records = getDemoData().filter(p =>
+      p.sellerWaterSystem.waterSystemId === waterSystemId || p.buyerWaterSystem.waterSystemId === waterSystemId);
+  } else {
+    const rows = await db.query(
+      `SELECT pu.*, TRIM(sws.number0) as seller_pwsid, TRIM(bws.number0) as buyer_pwsid
+         FROM ${SCHEMA_PREFIX}tinwspur pu
+         JOIN ${SCHEMA_PREFIX}tinwsys sws
+           ON sws.tinwsys_is_number = pu.seller_tinwsys_is_number
+          AND sws.tinwsys_st_code = pu.seller_tinwsys_st_code
+         JOIN ${SCHEMA_PREFIX}tinwsys bws
+           ON bws.tinwsys_is_number = pu.buyer_tinwsys_is_number
+          AND bws.tinwsys_st_code = pu.buyer_tinwsys_st_code
+        WHERE pu.tinwspur_st_code = $1
+          AND (TRIM(sws.number0) = $2 OR TRIM(bws.number0) = $2)
+        ORDER BY pu.tinwspur_is_number`,
+      [currentAgency(), waterSystemId]
+    );
+    records = rows.map(mapPurchase);
+  }
+  records = records.filter(p =>
+    pwsidInScope(auth, p.sellerWaterSystem.waterSystemId) && pwsidInScope(auth, p.buyerWaterSystem.waterSystemId));
+
+  const systemIds = new Set();
+  const facilityIds = new Set();
+  for (const p of records) {
+    systemIds.add(p.sellerWaterSystem.waterSystemId).add(p.buyerWaterSystem.waterSystemId);
+    if (p.sellerFacility) facilityIds.add(Number(p.sellerFacility.facilityId));
+    if (p.buyerFacility) facilityIds.add(Number(p.buyerFacility.facilityId));
+  }
+  const [systems, facilities] = await Promise.all([
+    findWaterSystems([...systemIds]),
+    findFacilities([...facilityIds]),
+  ]);
+
+  const facility = (ref) => {
+    const found = ref && facilities.get(Number(ref.facilityId));
+    return found && pwsidInScope(auth, found.dwpWaterSystem?.waterSystemId) ? found : null;
+  };
+
+  // Builds new objects so the cached demo rows keep their bare ID references
+  const resolved = records.map(p => ({
+    ...p,
+    sellerWaterSystem: systems.get(p.sellerWaterSystem.waterSystemId) || null,
+    sellerFacility: facility(p.sellerFacility),
+    buyerWaterSystem: systems.get(p.buyerWaterSystem.waterSystemId) || null,
+    buyerFacility: facility(p.buyerFacility),
+  }));
+
+  return {
+    purchases: resolved.filter(p => p.buyerWaterSystem?.waterSystemId === waterSystemId),
+    wholesales: resolved.filter(p => p.sellerWaterSystem?.waterSystemId === waterSystemId),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filtering — seller filters apply to the purchase list (where the seller
+// varies), buyer filters to the wholesale list. Codes, IDs and names are
+// contains filters as in the spec; facility IDs and buyerPctWaterUse are exact
+// (see listRecords()).
+// ---------------------------------------------------------------------------
+
+const PURCHASE_FILTERS = {
+  sellerWaterSystemId: [p => p.sellerWaterSystem?.waterSystemId, 'contains'],
+  sellerWaterSystemName: [p => p.sellerWaterSystem?.name, 'contains'],
+  sellerWSAcctStatusCode: [p => p.sellerWaterSystem?.waterSystemStatus?.wsStatusCode, 'contains'],
+  sellerFacilityId: [p => p.sellerFacility?.facilityId, 'eq'],
+  sellerFacilityName: [p => p.sellerFacility?.name, 'contains'],
+  sellerWSFStateAssignedId: [p => p.sellerFacility?.paAssignedId, 'contains'],
+  sellerWSFAcctStatusCode: [p => p.sellerFacility?.facilityStatus?.facilityStatusCode, 'contains'],
+  sellerWSFAvlCode: [p => p.sellerFacility?.facilityAvailability?.facilityAvailabilityCode, 'contains'],
+};
+
+const WHOLESALE_FILTERS = {
+  buyerWaterSystemId: [p => p.buyerWaterSystem?.waterSystemId, 'contains'],
+  buyerWaterSystemName: [p => p.buyerWaterSystem?.name, 'contains'],
+  buyerWSActStatusCode: [p => p.buyerWaterSystem?.waterSystemStatus?.wsStatusCode, 'contains'],
+  buyerFacilityId: [p => p.buyerFacility?.facilityId, 'eq'],
+  buyerFacilityName: [p => p.buyerFacility?.name, 'contains'],
+  buyerWSFStateAssignedId: [p => p.buyerFacility?.paAssignedId, 'contains'],
+  buyerWSFAcctStatusCode: [p => p.buyerFacility?.facilityStatus?.facilityStatusCode, 'contains'],
+  buyerWSFAvlCode: [p => p.buyerFacility?.facilityAvailability?.facilityAvailabilityCode, 'contains'],
+  buyerWSFWaterTypeCode: [p => p.buyerFacility?.waterType?.facilityWaterTypeCode, 'contains'],
+  buyerPctWaterUse: [p => p.buyerFacility?.avgWaterQuantityPCT, 'eq'],
+};
+
+// Both lists are paged alike; resultSummary counts them together and has as
+// many pages as the longer one
+function combinedSummary(purchases, wholesales) {
+  return {
+    ...purchases,
+    totalCount: purchases.totalCount + wholesales.totalCount,
+    totalPages: Math.max(purchases.totalPages, wholesales.totalPages),
+  };
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/purchase-wholesale:
+ *   get:
+ *     summary: List the water a system buys and sells
+ *     description: >
+ *       Returns the water system's purchases (it is the buyer) and wholesales (it is the
+ *       seller), each paged on its own, together with a water system summary
+ *       (WaterSystemPurchaseWholesaleDataListResponseDTO). resultSummary counts both lists.
+ *       Records with a water system outside the caller's PWSID prefixes are left out.
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: sellerWaterSystemId, schema: { type: string }, description: "Purchases: seller PWS ID contains" }
+ *       - { in: query, name: sellerWaterSystemName, schema: { type: string }, description: "Purchases: seller name contains" }
+ *       - { in: query, name: sellerWSAcctStatusCode, schema: { type: string }, description: "Purchases: seller status code" }
+ *       - { in: query, name: sellerFacilityId, schema: { type: integer }, description: "Purchases: exact seller facility ID" }
+ *       - { in: query, name: sellerFacilityName, schema: { type: string }, description: "Purchases: seller facility name contains" }
+ *       - { in: query, name: sellerWSFStateAssignedId, schema: { type: string }, description: "Purchases: seller facility state-assigned ID contains" }
+ *       - { in: query, name: sellerWSFAcctStatusCode, schema: { type: string }, description: "Purchases: seller facility status code" }
+ *       - { in: query, name: sellerWSFAvlCode, schema: { type: string }, description: "Purchases: seller facility availability code" }
+ *       - { in: query, name: buyerWaterSystemId, schema: { type: string }, description: "Wholesales: buyer PWS ID contains" }
+ *       - { in: query, name: buyerWaterSystemName, schema: { type: string }, description: "Wholesales: buyer name contains" }
+ *       - { in: query, name: buyerWSActStatusCode, schema: { type: string }, description: "Wholesales: buyer status code" }
+ *       - { in: query, name: buyerFacilityId, schema: { type: integer }, description: "Wholesales: exact buyer facility ID" }
+ *       - { in: query, name: buyerFacilityName, schema: { type: string }, description: "Wholesales: buyer facility name contains" }
+ *       - { in: query, name: buyerWSFStateAssignedId, schema: { type: string }, description: "Wholesales: buyer facility state-assigned ID contains" }
+ *       - { in: query, name: buyerWSFAcctStatusCode, schema: { type: string }, description: "Wholesales: buyer facility status code" }
+ *       - { in: query, name: buyerWSFAvlCode, schema: { type: string }, description: "Wholesales: buyer facility availability code" }
+ *       - { in: query, name: buyerWSFWaterTypeCode, schema: { type: string }, description: "Wholesales: buyer facility water type code" }
+ *       - { in: query, name: buyerPctWaterUse, schema: { type: number }, description: "Wholesales: exact buyer facility avgWaterQuantityPCT" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed), applied to both lists" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page, applied to both lists" }
+ *     responses:
+ *       200:
+ *         description: The system's purchases and wholesales
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 purchases: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemPurchaseDTO' } }
+ *                 wholesales: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemPurchaseDTO' } }
+ *                 purchaseResultSummary: { type: object }
+ *                 wholesaleResultSummary: { type: object }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { purchases, wholesales } = await loadPurchaseWholesale(res.locals.waterSystem.waterSystemId, { auth: req.auth });
+    const purchasePage = listRecords(purchases, req.query, PURCHASE_FILTERS, { sortFields: {} });
+    const wholesalePage = listRecords(wholesales, req.query, WHOLESALE_FILTERS, { sortFields: {} });
+
+    res.json({
+      error: null,
+      resultSummary: combinedSummary(purchasePage.resultSummary, wholesalePage.resultSummary),
+      waterSystemInfo: res.locals.waterSystemInfo,
+      purchases: purchasePage.items,
+      wholesales: wholesalePage.items,
+      purchaseResultSummary: purchasePage.resultSummary,
+      wholesaleResultSummary: wholesalePage.resultSummary,
+    });
+  } catch (err) {
+    console.error('Error listing purchases and wholesales:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,620 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     RefPrimacyAgencyDTO:
+ *       type: object
+ *       properties:
+ *         paCD: { type: string, description: "Primacy agency code (the agency the request selected)" }
+ *     RefCodeListItemDTO:
+ *       type: object
+ *       description: >
+ *         Reference code row. The code property is named per list (e.g. facilityTypeCode,
+ *         wsStatusCode, reasonCode) and some lists carry extra federal crosswalk fields.
+ *       properties:
+ *         name: { type: string }
+ *         primacyAgency: { $ref: '#/components/schemas/RefPrimacyAgencyDTO' }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *         removeId: { type: string, nullable: true }
+ *         removeDt: { type: string, format: date-time, nullable: true }
+ *         archiveId: { type: string, nullable: true }
+ *         archiveDt: { type: string, format: date-time, nullable: true }
+ *     RefTreatmentDTO:
+ *       type: object
+ *       properties:
+ *         treatmentId: { type: integer }
+ *         treatmentObjective: { type: object, properties: { treatmentObjectiveCode: { type: string }, name: { type: string } } }
+ *         treatmentProcess: { type: object, properties: { treatmentProcessCode: { type: string }, name: { type: string } } }
+ *         beginDt: { type: string, format: date }
+ *         endDt: { type: string, format: date }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listParam } = require('../fields');
+
+const router = Router();
+
+// Demo data — one array per list, keyed by route path
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'reference-codes.json'));
+  }
+  return _demoData;
+}
+
+// SDWIS/STATE schema — configurable per installation
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+// Reference lists served from the SS legal value table (tsylgval).
+// Each entry maps one DW-SFTIES lookup route onto a value_type in that table.
+//   path        route under /inventory (matches the SF spec path)
+//   collection  response array property from the Ref*ListResponseDTO
+//   ssType      tsylgval.value_type holding the codes
+//   codeField   SF code property (tsylgval.value_code)
+//   idField     SF surrogate id property, if the DTO has one (tsylgval_is_number)
+//   extra       additional SF properties → tsylgval columns
+//   noPrimacyAgency  DTO has no primacyAgency property
+const REFERENCE_LISTS = [
+  { path: 'ws-status', collection: 'waterSystemStatuses', ssType: 'WS_STATUS', codeField: 'wsStatusCode',
+    extra: { fedWsStatusCode: 'fed_value_code', fedStatusName: 'fed_value_desc' } },
+  { path: 'ws-status-reason', collection: 'statusReasons', ssType: 'WS_STATUS_REASON', codeField: 'reasonCode' },
+  { path: 'ws-type', collection: 'waterSystemTypes', ssType: 'WS_TYPE', codeField: 'wsTypeCode' },
+  { path: 'ws-source', collection: 'waterSystemSources', ssType: 'WS_SOURCE', codeField: 'wsSourceCode' },
+  { path: 'ws-owner-type', collection: 'waterSystemOwnerTypes', ssType: 'WS_OWNER_TYPE', codeField: 'wsOwnerTypeCode',
+    extra: { fedOwnerType: 'fed_value_code' } },
+  { path: 'ws-meter-type', collection: 'waterSystemMeterTypes', ssType: 'WS_METER_TYPE', codeField: 'wsMeterTypeCode' },
+  { path: 'ws-svc-conn-type', collection: 'waterSystemServiceConnectionTypes', ssType: 'WS_SVC_CONN_TYPE', codeField: 'wsSrvcConnTypeCode' },
+  { path: 'ws-svc-area-type', collection: 'waterSystemServiceAreaTypes', ssType: 'WS_SVC_AREA_TYPE', codeField: 'srvcAreaCd',
+    idField: 'wsSrvcAreaSeqPk' },
+  { path: 'ref-fac-type', collection: 'facilityTypes', ssType: 'FAC_TYPE', codeField: 'facilityTypeCode',
+    extra: { srcInd: 'source_ind', facilityFedTypeCode: 'fed_value_code' } },
+  { path: 'ref-fac-water-type', collection: 'facilityWaterTypes', ssType: 'FAC_WATER_TYPE', codeField: 'facilityWaterTypeCode',
+    extra: { facilityFedWsTypeCode: 'fed_value_code' } },
+  { path: 'ref-fac-availability', collection: 'facilityAvailabilities', ssType: 'FAC_AVAILABILITY', codeField: 'facilityAvailabilityCode' },
+  { path: 'ref-fac-status', collection: 'facilityStatuses', ssType: 'FAC_STATUS', codeField: 'facilityStatusCode',
+    extra: { fedStatusCode: 'fed_value_code', fedStatusName: 'fed_value_desc' } },
+  { path: 'fac-status-reason', collection: 'statusReasons', ssType: 'FAC_STATUS_REASON', codeField: 'reasonCode' },
+  { path: 'ref-fac-filtration', collection: 'facilityFiltrations', ssType: 'FAC_FILTRATION', codeField: 'facilityFiltrationCode' },
+  { path: 'ref-fac-sell-tmnt-type', collection: 'facilitySellTreatmentTypes', ssType: 'FAC_SELL_TMNT', codeField: 'facilitySellTreatmentCode',
+    idField: 'facilitySellTreatmentId', noPrimacyAgency: true },
+  { path: 'ref-non-pipe-type', collection: 'nonPipeTypes', ssType: 'NON_PIPE_TYPE', codeField: 'nonPipeTypeCode',
+    idField: 'nonPipeTypeId', noPrimacyAgency: true },
+  { path: 'ref-fac-flow-connect-type', collection: 'facilityFlowConnectTypes', ssType: 'FAC_FLOW_CONN_TYPE', codeField: 'facilityFlowConnectTypeCode' },
+  { path: 'ref-fac-flow-process-type', collection: 'facilityFlowProcessTypes', ssType: 'FAC_FLOW_PROC_TYPE', codeField: 'facilityFlowProcessTypeCode' },
+  { path: 'ref-tmnt-status', collection: 'treatmentStatuses', ssType: 'TMNT_STATUS', codeField: 'treatmentStatusCode',
+    extra: { fedTreatmentStatusCode: 'fed_value_code' } },
+  { path: 'ref-swap-status', collection: 'swapStatuses', ssType: 'SWAP_STATUS', codeField: 'swapStatusCode', idField: 'swapStatusId' },
+  { path: 'ref-sample-pt-status', collection: 'samplePointStatuses', ssType: 'SMPPT_STATUS', codeField: 'samplePointStatusCode' },
+  { path: 'ref-sample-pt-source-type', collection: 'samplePointSourceTypes', ssType: 'SMPPT_SOURCE_TYPE', codeField: 'samplePointSourceTypeCode' },
+  { path: 'ref-sample-pt-purpose', collection: 'samplePointPurposes', ssType: 'SMPPT_PURPOSE', codeField: 'samplePointPurposeCode',
+    idField: 'samplePointPurposeId', noPrimacyAgency: true },
+  { path: 'ref-tmnt-objective', collection: 'treatmentObjectives', ssType: 'TMNT_OBJECTIVE', codeField: 'treatmentObjectiveCode' },
+  { path: 'ref-tmnt-process', collection: 'treatmentProcesses', ssType: 'TMNT_PROCESS', codeField: 'treatmentProcessCode' },
+  { path: 'ref-tmnt-unit-type', collection: 'treatmentUnitTypes', ssType: 'TMNT_UNIT_TYPE', codeField: 'treatmentUnitTypeCode' },
+  { path: 'ref-tmnt-unit-sub-type', collection: 'treatmentUnitSubTypes', ssType: 'TMNT_UNIT_SUB_TYPE', codeField: 'treatmentUnitSubTypeCode' },
+  { path: 'ref-tmnt-unit-removal', collection: 'treatmentUnitRemovals', ssType: 'TMNT_UNIT_REMOVAL', codeField: 'treatmentUnitRemovalCode' },
+  { path: 'ref-tmnt-unit-media', collection: 'treatmentUnitMedias', ssType: 'TMNT_UNIT_MEDIA', codeField: 'treatmentUnitMediaCode' },
+  { path: 'ref-tmnt-unit-indicator-type', collection: 'treatmentUnitIndicatorTypes', ssType: 'TMNT_UNIT_IND_TYPE', codeField: 'treatmentUnitIndicatorTypeCode' },
+  { path: 'ref-tmnt-unit-flow-rate-type', collection: 'treatmentUnitFlowRateTypes', ssType: 'TMNT_UNIT_FLOW_TYPE', codeField: 'treatmentUnitFlowRateTypeCode' },
+  { path: 'ref-tmnt-unit-aerator', collection: 'treatmentUnitAeratorTypes', ssType: 'TMNT_UNIT_AERATOR', codeField: 'treatmentUnitAeratorTypeCode' },
+  { path: 'ref-tmnt-unit-connect-type', collection: 'treatmentUnitConnectTypes', ssType: 'TMNT_UNIT_CONN_TYPE', codeField: 'treatmentUnitConnectTypeCode' },
+  { path: 'ref-aquifer-type', collection: 'aquiferTypes', ssType: 'AQUIFER_TYPE', codeField: 'aquiferTypeCode' },
+  { path: 'ref-storage-type', collection: 'storageTypes', ssType: 'STORAGE_TYPE', codeField: 'storageTypeCode' },
+  { path: 'ref-screen-type', collection: 'screenTypes', ssType: 'SCREEN_TYPE', codeField: 'screenTypeCode' },
+  { path: 'ref-uom-type', collection: 'refUomTypeDTO', ssType: 'UOM', codeField: 'uomCode', idField: 'uomId' },
+  { path: 'geographic-area-type', collection: 'geoAreTypes', ssType: 'GEO_AREA_TYPE', codeField: 'geoAreaTypeCode' },
+  { path: 'population-type', collection: 'populationTypes', ssType: 'POPULATION_TYPE', codeField: 'popTypeCode' },
+  { path: 'svc-area-pop-type', collection: 'serviceAreaPopulationTypes', ssType: 'SVC_AREA_POP_TYPE', codeField: 'srvcAreaPopTypeCode' },
+  { path: 'ws-lc-data-type', collection: 'waterSystemLeadServiceLineDataTypes', ssType: 'WS_LC_DATA_TYPE', codeField: 'wsLcDataCode',
+    idField: 'wsLcDataId' },
+  { path: 'lc-service-type', collection: 'leadServiceLineServiceTypes', ssType: 'LC_SERVICE_TYPE', codeField: 'lcServiceCode',
+    idField: 'lcServiceTypeId' },
+];
+
+// Shape one list entry into its Ref*DTO: code fields + primacy agency + audit columns.
+// Demo rows carry only the code fields; SS rows carry audit columns too.
+function toDTO(def, fields, audit = {}) {
+  const dto = {};
+  if (def.idField) dto[def.idField] = fields[def.idField] ?? null;
+  dto[def.codeField] = fields[def.codeField];
+  dto.name = fields.name ?? null;
+  for (const field of Object.keys(def.extra || {})) {
+    dto[field] = fields[field] ?? null;
+  }
+  if (!def.noPrimacyAgency) dto.primacyAgency = { paCD: currentAgency() };
+  return {
+    ...dto,
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: audit.createId ?? null,
+    createDt: audit.createDt ?? null,
+    updateId: audit.updateId ?? null,
+    updateDt: audit.updateDt ?? null,
+    archiveId: null,           // SF-only, no SS equivalent
+    archiveDt: null,           // SF-only, no SS equivalent
+  };
+}
+
+// Column mapping: SS (tsylgval) → SF Ref*DTO
+function mapRow(def, row) {
+  const fields = {
+    [def.codeField]: row.value_code?.trim() || null,
+    name: row.value_desc,
+  };
+  if (def.idField) fields[def.idField] = row.tsylgval_is_number;
+  for (const [field, column] of Object.entries(def.extra || {})) {
+    fields[field] = row[column]?.trim() || null;
+  }
+  return toDTO(def, fields, {
+    createId: row.d_initial_userid?.trim() || null,
+    createDt: row.d_initial_ts,
+    updateId: row.d_userid_code?.trim() || null,
+    updateDt: row.d_last_updt_ts,
+  });
+}
+
+// Filterable/sortable SF fields for a list → SS column
+function columnsFor(def) {
+  return {
+    [def.codeField]: 'value_code',
+    name: 'value_desc',
+    ...(def.extra || {}),
+  };
+}
+
+// In-memory filtering for demo mode: exact match on codes, contains on name
+function filterDemo(def, data, query) {
+  let results = [...data];
+
+  for (const field of Object.keys(columnsFor(def))) {
+    if (!query[field]) continue;
+    if (field === 'name') {
+      const term = query.name.toLowerCase();
+      results = results.filter(r => r.name?.toLowerCase().includes(term));
+    } else {
+      results = results.filter(r => r[field] === query[field]);
+    }
+  }
+
+  return results;
+}
+
+function sortDemo(def, data, sortColumns, sortOrders) {
+  const cols = listParam(sortColumns || def.codeField);
+  const orders = listParam(sortOrders).map(s => s.toUpperCase());
+  const valid = columnsFor(def);
+
+  return data.sort((a, b) => {
+    for (let i = 0; i < cols.length; i++) {
+      if (!(cols[i] in valid)) continue;
+      const dir = orders[i] === 'DESC' ? -1 : 1;
+      const valA = a[cols[i]];
+      const valB = b[cols[i]];
+      if (valA == null && valB == null) continue;
+      if (valA == null) return dir;
+      if (valB == null) return -dir;
+      if (valA < valB) return -dir;
+      if (valA > valB) return dir;
+    }
+    return 0;
+  });
+}
+
+// Code lists are short — default to a full page so a dropdown needs one call
+function paging(query) {
+  const pageNumber = Math.max(0, parseInt(query.pageNumber) || 0);
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize) || 100));
+  return { pageNumber, pageSize };
+}
+
+function listHandler(def) {
+  return async (req, res) => {
+    try {
+      const { pageNumber, pageSize } = paging(req.query);
+
+      let totalCount, items;
+
+      if (db.mode === 'demo') {
+        let filtered = filterDemo(def, getDemoData()[def.path] || [], req.query);
+        filtered = sortDemo(def, filtered, req.query.sortColumns, req.query.sortOrders);
+        totalCount = filtered.length;
+        items = filtered
+          .slice(pageNumber * pageSize, (pageNumber + 1) * pageSize)
+          .map(r => toDTO(def, r));
+      } else {
+        const columns = columnsFor(def);
+        const conditions = ['lv.tsylgval_st_code = $1', 'lv.value_type = $2'];
+        const params = [currentAgency(), def.ssType];
+        let paramIdx = 3;
+
+        for (const [field, column] of Object.entries(columns)) {
+          if (!req.query[field]) continue;
+          if (field === 'name') {
+            conditions.push(`lv.${column} ILIKE $${paramIdx++}`);
+            params.push(`%${req.query.name}%`);
+          } else {
+            conditions.push(`TRIM(lv.${column}) = $${paramIdx++}`);
+            params.push(req.query[field]);
+          }
+        }
+
+        let orderBy = 'lv.value_code ASC';
+        if (req.query.sortColumns) {
+          const cols = listParam(req.query.sortColumns);
+          const orders = listParam(req.query.sortOrders);
+          const parts = [];
+          for (let i = 0; i < cols.length; i++) {
+            const ssCol = columns[cols[i]];
+            if (ssCol) {
+              const dir = (orders[i] || '').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+              parts.push(`lv.${ssCol} ${dir}`);
+            }
+          }
+          if (parts.length) orderBy = parts.join(', ');
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+
+        const countResult = await db.query(
+          `SELECT COUNT(*) as total FROM ${SCHEMA_PREFIX}tsylgval lv ${where}`,
+          params
+        );
+        totalCount = parseInt(countResult[0].total);
+
+        const rows = await db.query(
+          `SELECT * FROM ${SCHEMA_PREFIX}tsylgval lv ${where}
+           ORDER BY ${orderBy}
+           LIMIT $${paramIdx++} OFFSET $${paramIdx++}`,
+          [...params, pageSize, pageNumber * pageSize]
+        );
+        items = rows.map(row => mapRow(def, row));
+      }
+
+      res.json({
+        error: null,
+        resultSummary: {
+          totalCount,
+          pageNumber,
+          pageSize,
+          totalPages: Math.ceil(totalCount / pageSize),
+        },
+        [def.collection]: items,
+      });
+    } catch (err) {
+      console.error(`Error listing ${def.path}:`, err);
+      res.status(500).json({ error: { message: err.message } });
+    }
+  };
+}
+
+/**
+ * @openapi
+ * /inventory/{referenceList}:
+ *   get:
+ *     summary: List reference codes
+ *     description: >
+ *       Returns a DW-SFTIES lookup list from the SDWIS/STATE legal value table. Each list
+ *       responds with its Ref*ListResponseDTO collection property (e.g. ref-fac-type →
+ *       facilityTypes, ws-status → waterSystemStatuses) and accepts its code property,
+ *       and any federal crosswalk property, as exact-match filters.
+ *     tags: [Reference]
+ *     parameters:
+ *       - in: path
+ *         name: referenceList
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [ws-status, ws-status-reason, ws-type, ws-source, ws-owner-type, ws-meter-type,
+ *                  ws-svc-conn-type, ws-svc-area-type, ref-fac-type, ref-fac-water-type, ref-fac-availability,
+ *                  ref-fac-status, fac-status-reason, ref-fac-filtration, ref-fac-sell-tmnt-type,
+ *                  ref-non-pipe-type, ref-tmnt-status, ref-swap-status, ref-sample-pt-status,
+ *                  ref-sample-pt-source-type, ref-sample-pt-purpose, ref-tmnt-objective,
+ *                  ref-tmnt-process, ref-tmnt-unit-type, ref-tmnt-unit-sub-type,
+ *                  ref-tmnt-unit-removal, ref-tmnt-unit-media, ref-tmnt-unit-indicator-type,
+ *                  ref-tmnt-unit-flow-rate-type, ref-tmnt-unit-aerator,
+ *                  ref-aquifer-type, ref-storage-type, ref-screen-type,
+ *                  ref-uom-type, geographic-area-type, population-type, svc-area-pop-type,
+ *                  ws-lc-data-type, lc-service-type]
+ *       - in: query
+ *         name: name
+ *         schema: { type: string }
+ *         description: Name contains filter (case-insensitive)
+ *       - in: query
+ *         name: pageNumber
+ *         schema: { type: integer, default: 0 }
+ *         description: Page number (0-indexed)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 100, maximum: 100 }
+ *         description: Results per page
+ *       - in: query
+ *         name: sortColumns
+ *         schema: { type: string }
+ *         description: "Comma-separated sort fields: the list's code property, name, or a crosswalk property (default: code)"
+ *       - in: query
+ *         name: sortOrders
+ *         schema: { type: string }
+ *         description: "Comma-separated ASC/DESC (must match sortColumns count)"
+ *     responses:
+ *       200:
+ *         description: Paginated reference code list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary:
+ *                   type: object
+ *                   properties:
+ *                     totalCount: { type: integer }
+ *                     pageNumber: { type: integer }
+ *                     pageSize: { type: integer }
+ *                     totalPages: { type: integer }
+ */
+for (const def of REFERENCE_LISTS) {
+  router.get(`/${def.path}`, listHandler(def));
+}
+
+// ---------------------------------------------------------------------------
+// Treatment catalog — objective/process pairs (tsytrtmt)
+// ---------------------------------------------------------------------------
+
+const TREATMENT_SORT_COLUMNS = {
+  treatmentId: 't.tsytrtmt_is_number',
+  treatmentObjectiveCode: 't.treatment_obj_cd',
+  treatmentProcessCode: 't.treatment_proc_cd',
+  beginDt: 't.begin_date',
+  endDt: 't.end_date',
+};
+
+function treatmentDTO(fields, audit = {}) {
+  return {
+    treatmentId: fields.treatmentId,
+    treatmentObjective: fields.treatmentObjectiveCode
+      ? { treatmentObjectiveCode: fields.treatmentObjectiveCode, name: fields.objectiveName ?? null }
+      : null,
+    treatmentProcess: fields.treatmentProcessCode
+      ? { treatmentProcessCode: fields.treatmentProcessCode, name: fields.processName ?? null }
+      : null,
+    beginDt: fields.beginDt ?? null,
+    endDt: fields.endDt ?? null,
+    primacyAgency: { paCD: currentAgency() },
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: audit.createId ?? null,
+    createDt: audit.createDt ?? null,
+    updateId: audit.updateId ?? null,
+    updateDt: audit.updateDt ?? null,
+    archiveId: null,           // SF-only, no SS equivalent
+    archiveDt: null,           // SF-only, no SS equivalent
+  };
+}
+
+// Demo rows hold codes only — names come from the objective/process lists
+function demoTreatment(row) {
+  const data = getDemoData();
+  const objective = data['ref-tmnt-objective'].find(o => o.treatmentObjectiveCode === row.treatmentObjectiveCode);
+  const proc = data['ref-tmnt-process'].find(p => p.treatmentProcessCode === row.treatmentProcessCode);
+  return treatmentDTO({
+    ...row,
+    objectiveName: objective?.name,
+    processName: proc?.name,
+  });
+}
+
+/**
+ * @openapi
+ * /inventory/ref-treatment:
+ *   get:
+ *     summary: List treatment objective/process combinations
+ *     description: Returns the treatment catalog (tsytrtmt) with objective and process names resolved.
+ *     tags: [Reference]
+ *     parameters:
+ *       - in: query
+ *         name: treatmentObjectiveCode
+ *         schema: { type: string }
+ *         description: Exact treatment objective code (see /inventory/ref-tmnt-objective)
+ *       - in: query
+ *         name: treatmentProcessCode
+ *         schema: { type: string }
+ *         description: Exact treatment process code (see /inventory/ref-tmnt-process)
+ *       - in: query
+ *         name: pageNumber
+ *         schema: { type: integer, default: 0 }
+ *         description: Page number (0-indexed)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 100, maximum: 100 }
+ *         description: Results per page
+ *       - in: query
+ *         name: sortColumns
+ *         schema: { type: string }
+ *         description: "Comma-separated sort fields: treatmentId, treatmentObjectiveCode, treatmentProcessCode, beginDt, endDt"
+ *       - in: query
+ *         name: sortOrders
+ *         schema: { type: string }
+ *         description: "Comma-separated ASC/DESC (must match sortColumns count)"
+ *     responses:
+ *       200:
+ *         description: Paginated treatment catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary:
+ *                   type: object
+ *                   properties:
+ *                     totalCount: { type: integer }
+ *                     pageNumber: { type: integer }
+ *                     pageSize: { type: integer }
+ *                     totalPages: { type: integer }
+ *                 treatments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RefTreatmentDTO'
+ */
+router.get('/ref-treatment', async (req, res) => {
+  try {
+    const { pageNumber, pageSize } = paging(req.query);
+
+    let totalCount, treatments;
+
+    if (db.mode === 'demo') {
+      let filtered = [...getDemoData()['ref-treatment']];
+      if (req.query.treatmentObjectiveCode) {
+        filtered = filtered.filter(t => t.treatmentObjectiveCode === req.query.treatmentObjectiveCode);
+      }
+      if (req.query.treatmentProcessCode) {
+        filtered = filtered.filter(t => t.treatmentProcessCode === req.query.treatmentProcessCode);
+      }
+      const cols = listParam(req.query.sortColumns || 'treatmentId');
+      const orders = listParam(req.query.sortOrders).map(s => s.toUpperCase());
+      filtered.sort((a, b) => {
+        for (let i = 0; i < cols.length; i++) {
+          if (!(cols[i] in TREATMENT_SORT_COLUMNS)) continue;
+          const dir = orders[i] === 'DESC' ? -1 : 1;
+          const valA = a[cols[i]];
+          const valB = b[cols[i]];
+          if (valA == null && valB == null) continue;
+          if (valA == null) return dir;
+          if (valB == null) return -dir;
+          if (valA < valB) return -dir;
+          if (valA > valB) return dir;
+        }
+        return 0;
+      });
+      totalCount = filtered.length;
+      treatments = filtered
+        .slice(pageNumber * pageSize, (pageNumber + 1) * pageSize)
+        .map(demoTreatment);
+    } else {
+      // Objective and process names live in the legal value table
+      const from = `${SCHEMA_PREFIX}tsytrtmt t
+        LEFT JOIN ${SCHEMA_PREFIX}tsylgval obj
+          ON obj.value_type = 'TMNT_OBJECTIVE'
+         AND obj.value_code = t.treatment_obj_cd
+         AND obj.tsylgval_st_code = t.tsytrtmt_st_code
+        LEFT JOIN ${SCHEMA_PREFIX}tsylgval proc
+          ON proc.value_type = 'TMNT_PROCESS'
+         AND proc.value_code = t.treatment_proc_cd
+         AND proc.tsylgval_st_code = t.tsytrtmt_st_code`;
+
+      const conditions = ['t.tsytrtmt_st_code = $1'];
+      const params = [currentAgency()];
+      let paramIdx = 2;
+
+      if (req.query.treatmentObjectiveCode) {
+        conditions.push(`TRIM(t.treatment_obj_cd) = $${paramIdx++}`);
+        params.push(req.query.treatmentObjectiveCode);
+      }
+      if (req.query.treatmentProcessCode) {
+        conditions.push(`TRIM(t.treatment_proc_cd) = $${paramIdx++}`);
+        params.push(req.query.treatmentProcessCode);
+      }
+
+      let orderBy = 't.tsytrtmt_is_number ASC';
+      if (req.query.sortColumns) {
+        const cols = listParam(req.query.sortColumns);
+        const orders = listParam(req.query.sortOrders);
+        const parts = [];
+        for (let i = 0; i < cols.length; i++) {
+          const ssCol = TREATMENT_SORT_COLUMNS[cols[i]];
+          if (ssCol) {
+            const dir = (orders[i] || '').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+            parts.push(`${ssCol} ${dir}`);
+          }
+        }
+        if (parts.length) orderBy = parts.join(', ');
+      }
+
+      const where = `WHERE ${conditions.join(' AND ')}`;
+
+      const countResult = await db.query(
+        `SELECT COUNT(*) as total FROM ${SCHEMA_PREFIX}tsytrtmt t ${where}`,
+        params
+      );
+      totalCount = parseInt(countResult[0].total);
+
+      const rows = await db.query(
+        `SELECT t.*, obj.value_desc as objective_name, proc.value_desc as process_name
+         FROM ${from} ${where}
+         ORDER BY ${orderBy}
+         LIMIT $${paramIdx++} OFFSET $${paramIdx++}`,
+        [...params, pageSize, pageNumber * pageSize]
+      );
+      treatments = rows.map(row => treatmentDTO({
+        treatmentId: row.tsytrtmt_is_number,
+        treatmentObjectiveCode: row.treatment_obj_cd?.trim() || null,
+        treatmentProcessCode: row.treatment_proc_cd?.trim() || null,
+        objectiveName: row.objective_name,
+        processName: row.process_name,
+        beginDt: row.begin_date,
+        endDt: row.end_date,
+      }, {
+        createId: row.d_initial_userid?.trim() || null,
+        createDt: row.d_initial_ts,
+        updateId: row.d_userid_code?.trim() || null,
+        updateDt: row.d_last_updt_ts,
+      }));
+    }
+
+    res.json({
+      error: null,
+      resultSummary: {
+        totalCount,
+        pageNumber,
+        pageSize,
+        totalPages: Math.ceil(totalCount / pageSize),
+      },
+      treatments,
+    });
+  } catch (err) {
+    console.error('Error listing treatments:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+// Code → { id, name } map for one registered list, used by other routes whose
+// nested Ref DTOs carry the surrogate id as well as the name.
+async function codeRefs(listPath) {
+  const def = REFERENCE_LISTS.find(d => d.path === listPath);
+  const refs = new Map();
+
+  if (db.mode === 'demo') {
+    for (const r of getDemoData()[def.path] || []) {
+      refs.set(r[def.codeField], { id: def.idField ? r[def.idField] ?? null : null, name: r.name });
+    }
+  } else {
+    const rows = await db.query(
+      `SELECT tsylgval_is_number, value_code, value_desc FROM ${SCHEMA_PREFIX}tsylgval
+       WHERE value_type = $2 AND tsylgval_st_code = $1`,
+      [currentAgency(), def.ssType]
+    );
+    for (const r of rows) refs.set(r.value_code?.trim(), { id: r.tsylgval_is_number, name: r.value_desc });
+  }
+
+  return refs;
+}
+
+// Code → name map for one registered list, used by other routes to fill
+// the *Name fields of search records (e.g. facilityTypeName).
+async function codeNames(listPath) {
+  const refs = await codeRefs(listPath);
+  return new Map([...refs].map(([code, ref]) => [code, ref.name]));
+}
+
+module.exports = router;
+module.exports.REFERENCE_LISTS = REFERENCE_LISTS;
+module.exports.codeNames = codeNames;
+module.exports.codeRefs = codeRefs;
+module.exports.treatmentDTO = treatmentDTO;
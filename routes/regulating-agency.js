@@ -0,0 +1,304 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPAgencySummaryDTO:
+ *       type: object
+ *       description: "Agency legal entity (tinlgent) with its primary address, email and phone"
+ *       properties:
+ *         legalEntityId: { type: integer, description: "tinlgent_is_number" }
+ *         fedLegacyIsNum: { type: string, nullable: true }
+ *         leType: { type: object, properties: { leType: { type: string } } }
+ *         statusCode: { type: object, properties: { statusCode: { type: string } } }
+ *         statusDt: { type: string, format: date-time }
+ *         statusReason: { type: object, properties: { reasonCode: { type: string } } }
+ *         regulatoryIndicator: { type: string }
+ *         agencyType: { type: object, properties: { agencyTypeCode: { type: string } }, description: "e.g. ST=State, LO=Local, FE=Federal" }
+ *         primacyIndicator: { type: string }
+ *         agencyName: { type: string }
+ *         paAdminNumber: { type: string }
+ *         paRegion: { type: object, properties: { regionKey: { type: string } } }
+ *         primaryAddress: { $ref: '#/components/schemas/DWPLegalEntityContactAddressDTO' }
+ *         primaryEmail: { $ref: '#/components/schemas/DWPLegalEntityEmailAddressDTO' }
+ *         primaryPhone: { $ref: '#/components/schemas/DWPLegalEntityPhoneDTO' }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *     DWPINVRAWSAssocRecDTO:
+ *       type: object
+ *       description: "Agency that regulates a water system (tinrawsa), with the agency summary"
+ *       properties:
+ *         raWSAssocId: { type: integer, description: "tinrawsa_is_number" }
+ *         regulatingAgency: { $ref: '#/components/schemas/DWPAgencySummaryDTO' }
+ *         paEstablishNum: { type: string }
+ *         purpose: { type: string }
+ *         activeInd: { type: string }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *     DWPRAWSAssocDTO:
+ *       type: object
+ *       description: "Regulating agency association as returned on DWPWaterSystemDTO.regulatingAgencies"
+ *       properties:
+ *         raWSAssocId: { type: integer }
+ *         raLegalEntityId: { type: integer }
+ *         paEstablishNum: { type: string }
+ *         purpose: { type: string }
+ *         activeInd: { type: string }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { findLegalEntities } = require('./point-of-contact');
+const { listRecords } = require('./attribute');
+
+// Mounted below /inventory/water-system/{waterSystemId}/related-regulating-agency after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — keyed by waterSystemId, loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'regulating-agencies.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+// SS audit columns → SF audit fields; `p` is the column alias prefix, if any
+function auditFields(row, p = '') {
+  return {
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: row[`${p}d_initial_userid`]?.trim() || null,
+    createDt: row[`${p}d_initial_ts`],
+    updateId: row[`${p}d_userid_code`]?.trim() || null,
+    updateDt: row[`${p}d_last_updt_ts`],
+  };
+}
+
+// Column mapping: SS (tinrawsa joined to the agency's tinlgent row, ag_ prefix)
+// → SF DWPINVRAWSAssocRecDTO. The agency's primary address, email and phone
+// are filled by loadRegulatingAgencies().
+function mapAssociation(row) {
+  return {
+    raWSAssocId: row.tinrawsa_is_number,
+    regulatingAgency: {
+      legalEntityId: Number(row.tinlgent_is_number),
+      fedLegacyIsNum: null,    // SF-only, no SS equivalent
+      leType: code(row.ag_type_code, 'leType'),
+      statusCode: code(row.ag_status_code, 'statusCode'),
+      statusDt: row.ag_status_date,
+      statusReason: code(row.ag_status_rsn_code, 'reasonCode'),
+      regulatoryIndicator: row.ag_regulatory_ind?.trim() || null,
+      agencyType: code(row.ag_agency_type_code, 'agencyTypeCode'),
+      primacyIndicator: row.ag_primacy_ind?.trim() || null,
+      agencyName: row.ag_name?.trim() || null,
+      paAdminNumber: row.ag_pa_admin_number?.trim() || null,
+      paRegion: code(row.ag_region_code, 'regionKey'),
+      primaryAddress: null,
+      primaryEmail: null,
+      primaryPhone: null,
+      ...auditFields(row, 'ag_'),
+    },
+    paEstablishNum: row.pa_establish_num?.trim() || null,
+    purpose: row.purpose_text,
+    activeInd: row.active_ind?.trim() || null,
+    ...auditFields(row),
+  };
+}
+
+// Load the regulating agencies of a set of water systems: Map waterSystemId →
+// DWPINVRAWSAssocRecDTO[]. An agency's primary address, email and phone are
+// the first of each its legal entity has.
+async function loadRegulatingAgencies(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (db.mode === 'demo') {
+    for (const id of bySystem.keys()) bySystem.set(id, getDemoData()[id] || []);
+  } else {
+    const ids = [...bySystem.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT ra.*, ws.number0,
+              ag.name as ag_name, ag.type_code as ag_type_code, ag.status_code as ag_status_code,
+              ag.status_date as ag_status_date, ag.status_rsn_code as ag_status_rsn_code,
+              ag.regulatory_ind as ag_regulatory_ind, ag.agency_type_code as ag_agency_type_code,
+              ag.primacy_ind as ag_primacy_ind, ag.pa_admin_number as ag_pa_admin_number,
+              ag.region_code as ag_region_code, ag.d_initial_userid as ag_d_initial_userid,
+              ag.d_userid_code as ag_d_userid_code, ag.d_initial_ts as ag_d_initial_ts,
+              ag.d_last_updt_ts as ag_d_last_updt_ts
+         FROM ${SCHEMA_PREFIX}tinrawsa ra
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = ra.tinwsys_is_number
+          AND ws.tinwsys_st_code = ra.tinwsys_st_code
+         JOIN ${SCHEMA_PREFIX}tinlgent ag
+           ON ag.tinlgent_is_number = ra.tinlgent_is_number
+          AND ag.tinlgent_st_code = ra.tinlgent_st_code
+        WHERE ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})
+        ORDER BY ra.tinrawsa_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) bySystem.get(row.number0?.trim())?.push(mapAssociation(row));
+  }
+
+  // Builds new objects so the cached demo rows keep their empty primary contacts
+  const agencies = await findLegalEntities(
+    [...bySystem.values()].flat().map(a => a.regulatingAgency.legalEntityId)
+  );
+  for (const [id, associations] of bySystem) {
+    bySystem.set(id, associations.map(a => {
+      const le = agencies.get(a.regulatingAgency.legalEntityId);
+      return {
+        ...a,
+        regulatingAgency: {
+          ...a.regulatingAgency,
+          primaryAddress: le?.contactAddresses[0] ?? null,
+          primaryEmail: le?.emailAddresses[0] ?? null,
+          primaryPhone: le?.phoneNumbers[0] ?? null,
+        },
+      };
+    }));
+  }
+
+  return bySystem;
+}
+
+// DWPRAWSAssocDTO — an association as it appears in DWPWaterSystemDTO.regulatingAgencies
+function toRAWSAssoc({ regulatingAgency, ...association }) {
+  return {
+    raWSAssocId: association.raWSAssocId,
+    raLegalEntityId: regulatingAgency.legalEntityId,
+    paEstablishNum: association.paEstablishNum,
+    purpose: association.purpose,
+    activeInd: association.activeInd,
+    removeId: association.removeId,
+    removeDt: association.removeDt,
+    createId: association.createId,
+    createDt: association.createDt,
+    updateId: association.updateId,
+    updateDt: association.updateDt,
+  };
+}
+
+// Agencies arrive in one query per system, so both modes filter in memory:
+// exact IDs and agency type, starts-with on agency name and establish number.
+function filterAssociations(associations, query) {
+  let results = [...associations];
+
+  if (query.raWSAssocId) {
+    const id = Number(query.raWSAssocId);
+    results = results.filter(a => a.raWSAssocId === id);
+  }
+  if (query.raLegalEntityId) {
+    const id = Number(query.raLegalEntityId);
+    results = results.filter(a => a.regulatingAgency.legalEntityId === id);
+  }
+  if (query.agencyName) {
+    const prefix = query.agencyName.toLowerCase();
+    results = results.filter(a => a.regulatingAgency.agencyName?.toLowerCase().startsWith(prefix));
+  }
+  if (query.agencyTypeCode) {
+    results = results.filter(a => a.regulatingAgency.agencyType?.agencyTypeCode === query.agencyTypeCode);
+  }
+  if (query.paEstablishNum) {
+    const prefix = query.paEstablishNum.toUpperCase();
+    results = results.filter(a => a.paEstablishNum?.toUpperCase().startsWith(prefix));
+  }
+  const dateRanges = { createDateFrom: 1, createDateTo: -1 };
+  for (const [param, dir] of Object.entries(dateRanges)) {
+    if (!query[param]) continue;
+    const bound = new Date(query[param]);
+    results = results.filter(a => a.createDt != null && (new Date(a.createDt) - bound) * dir >= 0);
+  }
+
+  return results;
+}
+
+// Sortable columns from the spec; waterSystemId is accepted but every record
+// of one list shares it
+const SORT_FIELDS = {
+  agencyName: a => a.regulatingAgency.agencyName,
+  agencyTypeCode: a => a.regulatingAgency.agencyType?.agencyTypeCode,
+  createDt: a => (a.createDt != null ? new Date(a.createDt).getTime() : null),
+};
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/related-regulating-agency:
+ *   get:
+ *     summary: List the agencies that regulate a water system
+ *     description: >
+ *       Returns the water system's regulating agency associations with an agency summary
+ *       (primary address, email and phone), together with a water system summary
+ *       (WaterSystemRAAssocListResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: raWSAssocId, schema: { type: integer } }
+ *       - { in: query, name: raLegalEntityId, schema: { type: integer }, description: "Agency legal entity ID" }
+ *       - { in: query, name: agencyName, schema: { type: string }, description: "Agency name starts with (case-insensitive)" }
+ *       - { in: query, name: agencyTypeCode, schema: { type: string }, description: "Exact agency type code" }
+ *       - { in: query, name: paEstablishNum, schema: { type: string }, description: "PA establish number starts with" }
+ *       - { in: query, name: createDateFrom, schema: { type: string }, description: "Created on or after" }
+ *       - { in: query, name: createDateTo, schema: { type: string }, description: "Created on or before" }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated: agencyName, agencyTypeCode, createDt" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC (must match sortColumns count)" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of regulating agency associations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 relatedRegulatingAgencies: { type: array, items: { $ref: '#/components/schemas/DWPINVRAWSAssocRecDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const associations = (await loadRegulatingAgencies([waterSystemId])).get(waterSystemId);
+    const { resultSummary, items } = listRecords(
+      filterAssociations(associations, req.query), req.query, {}, { sortFields: SORT_FIELDS }
+    );
+    res.json({
+      error: null,
+      resultSummary,
+      waterSystemInfo: res.locals.waterSystemInfo,
+      relatedRegulatingAgencies: items,
+    });
+  } catch (err) {
+    console.error('Error listing regulating agencies:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.loadRegulatingAgencies = loadRegulatingAgencies;
+module.exports.toRAWSAssoc = toRAWSAssoc;
@@ -0,0 +1,457 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPFacilitySamplingPointDTO:
+ *       type: object
+ *       description: "Sampling point of a facility (tsasmppt) with its indicators and related facilities"
+ *       properties:
+ *         facilitySamplingPointId: { type: integer, description: "Internal sampling point sequence (tsasmppt_is_number)" }
+ *         paSamplePointId: { type: string, description: "State-assigned sampling point ID" }
+ *         description: { type: string }
+ *         samplePointSourceType: { type: object, properties: { samplePointSourceTypeCode: { type: string } } }
+ *         samplePointType: { type: object, properties: { facilitySamplingPointTypeCode: { type: string } } }
+ *         samplePointStatus: { type: object, properties: { samplePointStatusCode: { type: string } } }
+ *         samplePointStatusReason: { type: object, properties: { samplePointStatusReasonCode: { type: string } } }
+ *         statusDt: { type: string, format: date-time }
+ *         reasonComment: { type: string }
+ *         primarySiteNote: { type: string }
+ *         secondarySiteNote: { type: string }
+ *         altSiteNote: { type: string }
+ *         latitude: { type: number }
+ *         longitude: { type: number }
+ *         samplePointIndicators: { type: array, items: { $ref: '#/components/schemas/DWPSamplePointIndicatorDTO' } }
+ *         relatedFacilities: { type: array, items: { $ref: '#/components/schemas/DWPRelatedSamplingPointFacilityDTO' } }
+ *     DWPSamplePointIndicatorDTO:
+ *       type: object
+ *       description: "Sampling point indicator (tsasmpin → tsasmpiv)"
+ *       properties:
+ *         samplePtIndicatorId: { type: integer }
+ *         startDt: { type: string, format: date-time }
+ *         endDt: { type: string, format: date-time }
+ *         indicatorType: { type: object, properties: { samplingPointIndicatorTypeCode: { type: string } } }
+ *         indicatorValue:
+ *           type: object
+ *           properties:
+ *             samplingPointIndicatorValueId: { type: integer }
+ *             samplingPointIndicatorType: { type: object, properties: { samplingPointIndicatorTypeCode: { type: string } } }
+ *             samplingPointIndicatorValue: { type: string }
+ *         indicatorText: { type: string }
+ *         notes: { type: string }
+ *     DWPRelatedSamplingPointFacilityDTO:
+ *       type: object
+ *       description: "Facility whose water a sampling point represents (tsasprfa)"
+ *       properties:
+ *         relatedSamplePointFacilityAssocId: { type: integer }
+ *         purpose: { type: object, properties: { samplePointPurposeCode: { type: string } } }
+ *         samplingPoint: { type: object, description: "DWPFacilitySamplingPointInfoDTO" }
+ *         facility: { type: object, description: "DWPFacilityInfoDTO of the related facility" }
+ *         beginDt: { type: string, format: date-time }
+ *         endDt: { type: string, format: date-time }
+ *         notes: { type: string }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { pwsidInScope } = require('../auth');
+const { listRecords } = require('./attribute');
+
+// Mounted below /inventory/water-system/{waterSystemId}/facility/{facilityId}
+// after facility.withFacility, which puts the facility in res.locals.facility.
+const router = Router({ mergeParams: true });
+const indicators = Router({ mergeParams: true });
+
+// Demo data — sampling points per facility, keyed by facilityId. Related
+// facilities hold only their facilityId; the rest is filled in on load.
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'sampling-points.json'));
+  }
+  return _demoData;
+}
+
+// SDWIS/STATE schema — configurable per installation
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null ? Number(v) : null);
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+function auditFields(row) {
+  return {
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Column mapping: SS (tsasmppt) → SF DWPFacilitySamplingPointDTO. Indicators
+// and related facilities are filled by loadSamplingPoints().
+function mapSamplingPoint(row) {
+  return {
+    facilitySamplingPointId: row.tsasmppt_is_number,
+    paSamplePointId: row.identification_cd?.trim() || null,
+    description: row.description_text,
+    samplePointSourceType: code(row.source_type_code, 'samplePointSourceTypeCode'),
+    samplePointType: code(row.type_code, 'facilitySamplingPointTypeCode'),
+    samplePointStatus: code(row.activity_status_cd, 'samplePointStatusCode'),
+    samplePointStatusReason: code(row.status_reason_cd, 'samplePointStatusReasonCode'),
+    statusDt: row.activity_status_dt,
+    reasonComment: row.status_reason_txt,
+    primarySiteNote: row.primary_loc_txt,
+    secondarySiteNote: row.secondary_loc_txt,
+    altSiteNote: row.alt_loc_txt,
+    latitude: num(row.latitude_measure),
+    longitude: num(row.longitude_measure),
+    samplePointIndicators: [],
+    relatedFacilities: [],
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tsasmpin + tsasmpiv) → SF DWPSamplePointIndicatorDTO
+function mapIndicator(row) {
+  const indicatorType = code(row.indicator_type_cd, 'samplingPointIndicatorTypeCode');
+  return {
+    samplePtIndicatorId: row.tsasmpin_is_number,
+    startDt: row.start_date,
+    endDt: row.end_date,
+    indicatorType,
+    indicatorValue: row.tsasmpiv_is_number != null
+      ? {
+          samplingPointIndicatorValueId: row.tsasmpiv_is_number,
+          samplingPointIndicatorType: indicatorType,
+          samplingPointIndicatorValue: row.value_text?.trim() || null,
+        }
+      : null,
+    indicatorText: row.indicator_text,
+    notes: row.notes_text,
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tsasprfa) → SF DWPRelatedSamplingPointFacilityDTO.
+// `facility` holds only the related facilityId until loadSamplingPoints()
+// replaces it with the full DWPFacilityInfoDTO.
+function mapRelatedFacility(row) {
+  return {
+    relatedSamplePointFacilityAssocId: row.tsasprfa_is_number,
+    purpose: code(row.purpose_cd, 'samplePointPurposeCode'),
+    samplingPoint: null,
+    facility: { facilityId: row.tinwsf_is_number },
+    beginDt: row.begin_date,
+    endDt: row.end_date,
+    notes: row.notes_text,
+    ...auditFields(row),
+  };
+}
+
+// DWPFacilitySamplingPointInfoDTO — the sampling point without its child arrays
+function toSamplingPointInfo(point) {
+  const { samplePointIndicators, relatedFacilities, ...info } = point;
+  return info;
+}
+
+// Load the sampling points of a set of facilities: Map facilityId → points.
+// `facilityInfos(ids)` resolves related facility IDs to DWPFacilityInfoDTOs
+// (facility.js owns that mapping); facilities it cannot find are left null,
+// those of water systems outside the caller's PWSID scope (`auth`) left out.
+async function loadSamplingPoints(facilityIds, facilityInfos, { auth } = {}) {
+  const byFacility = new Map(facilityIds.map(id => [Number(id), []]));
+  if (!facilityIds.length) return byFacility;
+
+  if (db.mode === 'demo') {
+    for (const id of byFacility.keys()) byFacility.set(id, getDemoData()[id] || []);
+  } else {
+    const ids = [...byFacility.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const params = [currentAgency(), ...ids];
+    const pointFilter = `sp.tinwsf_st_code = $1 AND sp.tinwsf_is_number IN (${inList})`;
+    const childOf = (table, alias) => `${SCHEMA_PREFIX}${table} ${alias}
+      JOIN ${SCHEMA_PREFIX}tsasmppt sp
+        ON sp.tsasmppt_is_number = ${alias}.tsasmppt_is_number
+       AND sp.tsasmppt_st_code = ${alias}.tsasmppt_st_code`;
+
+    const [pointRows, indicatorRows, relatedRows] = await Promise.all([
+      db.query(
+        `SELECT sp.* FROM ${SCHEMA_PREFIX}tsasmppt sp WHERE ${pointFilter} ORDER BY sp.identification_cd`,
+        params
+      ),
+      db.query(
+        `SELECT x.*, iv.value_text
+           FROM ${childOf('tsasmpin', 'x')}
+           LEFT JOIN ${SCHEMA_PREFIX}tsasmpiv iv
+             ON iv.tsasmpiv_is_number = x.tsasmpiv_is_number
+            AND iv.tsasmpiv_st_code = x.tsasmppt_st_code
+          WHERE ${pointFilter}
+          ORDER BY x.tsasmpin_is_number`,
+        params
+      ),
+      db.query(
+        `SELECT x.* FROM ${childOf('tsasprfa', 'x')} WHERE ${pointFilter} ORDER BY x.tsasprfa_is_number`,
+        params
+      ),
+    ]);
+
+    const points = new Map();
+    for (const row of pointRows) {
+      const point = mapSamplingPoint(row);
+      points.set(Number(row.tsasmppt_is_number), point);
+      byFacility.get(Number(row.tinwsf_is_number))?.push(point);
+    }
+    for (const row of indicatorRows) {
+      points.get(Number(row.tsasmppt_is_number))?.samplePointIndicators.push(mapIndicator(row));
+    }
+    for (const row of relatedRows) {
+      points.get(Number(row.tsasmppt_is_number))?.relatedFacilities.push(mapRelatedFacility(row));
+    }
+  }
+
+  // Fill in the related facilities. Builds new objects so the cached demo
+  // rows keep their bare facilityId references.
+  const relatedIds = new Set();
+  for (const points of byFacility.values()) {
+    for (const p of points) p.relatedFacilities.forEach(r => relatedIds.add(Number(r.facility.facilityId)));
+  }
+  const infos = await facilityInfos([...relatedIds]);
+  for (const [id, points] of byFacility) {
+    byFacility.set(id, points.map(p => ({
+      ...p,
+      relatedFacilities: p.relatedFacilities
+        .map(r => ({
+          ...r,
+          samplingPoint: toSamplingPointInfo(p),
+          facility: infos.get(Number(r.facility.facilityId)) || null,
+        }))
+        .filter(r => !r.facility || pwsidInScope(auth, r.facility.dwpWaterSystem?.waterSystemId)),
+    })));
+  }
+
+  return byFacility;
+}
+
+// ---------------------------------------------------------------------------
+// Filtering — a facility's sampling points are loaded whole (below), so both
+// modes filter and sort them in memory with the same
+// rules as the facility list: exact codes, prefix IDs, contains on text.
+// ---------------------------------------------------------------------------
+
+const sameDay = (value, wanted) => value != null && String(value).slice(0, 10) === wanted.slice(0, 10);
+const contains = (value, wanted) => value?.toLowerCase().includes(wanted.toLowerCase());
+
+function filterSamplingPoints(points, query) {
+  let results = [...points];
+
+  if (query.facilitySamplingPointId) {
+    const id = Number(query.facilitySamplingPointId);
+    results = results.filter(p => p.facilitySamplingPointId === id);
+  }
+  if (query.paSamplingPointId) {
+    const prefix = query.paSamplingPointId.toUpperCase();
+    results = results.filter(p => p.paSamplePointId?.toUpperCase().startsWith(prefix));
+  }
+  if (query.description) {
+    results = results.filter(p => contains(p.description, query.description));
+  }
+  if (query.samplePointSourceTypeCode) {
+    results = results.filter(p => p.samplePointSourceType?.samplePointSourceTypeCode === query.samplePointSourceTypeCode);
+  }
+  if (query.samplePointTypeCode) {
+    results = results.filter(p => p.samplePointType?.facilitySamplingPointTypeCode === query.samplePointTypeCode);
+  }
+  if (query.samplePointStatusCode) {
+    results = results.filter(p => p.samplePointStatus?.samplePointStatusCode === query.samplePointStatusCode);
+  }
+  if (query.samplePointStatusReasonCode) {
+    results = results.filter(p => p.samplePointStatusReason?.samplePointStatusReasonCode === query.samplePointStatusReasonCode);
+  }
+  if (query.statusDt) {
+    results = results.filter(p => sameDay(p.statusDt, query.statusDt));
+  }
+  for (const field of ['primarySiteNote', 'secondarySiteNote', 'altSiteNote']) {
+    if (query[field]) results = results.filter(p => contains(p[field], query[field]));
+  }
+  if (query.latitude) {
+    results = results.filter(p => p.latitude === Number(query.latitude));
+  }
+  if (query.longitude) {
+    results = results.filter(p => p.longitude === Number(query.longitude));
+  }
+
+  return results;
+}
+
+function filterIndicators(items, query) {
+  let results = [...items];
+
+  if (query.samplingPointIndicatorId) {
+    const id = Number(query.samplingPointIndicatorId);
+    results = results.filter(i => i.samplePtIndicatorId === id);
+  }
+  if (query.samplingPointIndicatorValueId) {
+    const id = Number(query.samplingPointIndicatorValueId);
+    results = results.filter(i => i.indicatorValue?.samplingPointIndicatorValueId === id);
+  }
+  if (query.samplingPointIndicatorTypeCode) {
+    results = results.filter(i => i.indicatorType?.samplingPointIndicatorTypeCode === query.samplingPointIndicatorTypeCode);
+  }
+  if (query.indicatorText) {
+    results = results.filter(i => contains(i.indicatorText, query.indicatorText));
+  }
+  if (query.notes) {
+    results = results.filter(i => contains(i.notes, query.notes));
+  }
+  const dateRanges = { startDateFrom: ['startDt', 1], startDateTo: ['startDt', -1], endDateFrom: ['endDt', 1], endDateTo: ['endDt', -1] };
+  for (const [param, [field, dir]] of Object.entries(dateRanges)) {
+    if (!query[param]) continue;
+    const bound = new Date(query[param]);
+    results = results.filter(i => i[field] != null && (new Date(i[field]) - bound) * dir >= 0);
+  }
+
+  return results;
+}
+
+const SORT_FIELDS = {
+  facilitySamplingPointId: 'facilitySamplingPointId',
+  paSamplingPointId: 'paSamplePointId',
+  description: 'description',
+  samplePointTypeCode: p => p.samplePointType?.facilitySamplingPointTypeCode,
+  samplePointSourceTypeCode: p => p.samplePointSourceType?.samplePointSourceTypeCode,
+  samplePointStatusCode: p => p.samplePointStatus?.samplePointStatusCode,
+  statusDt: 'statusDt',
+};
+
+// Every route below reads the facility's sampling points: res.locals.samplingPoints
+async function withSamplingPoints(req, res, next) {
+  try {
+    const facilityId = Number(res.locals.facility.facilityId);
+    const points = await loadSamplingPoints([facilityId], res.locals.facilityInfos, { auth: req.auth });
+    res.locals.samplingPoints = points.get(facilityId);
+    next();
+  } catch (err) {
+    console.error('Error loading sampling points:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+}
+
+router.use(withSamplingPoints);
+indicators.use(withSamplingPoints);
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/facility-sampling-point:
+ *   get:
+ *     summary: List a facility's sampling points
+ *     description: >
+ *       Returns the facility's sampling points with their indicators and related facilities,
+ *       together with a facility summary (FacilitySamplingPointListResponseDTO).
+ *     tags: [Sampling Point]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer }, description: "Facility ID (internal sequence number)" }
+ *       - { in: query, name: facilitySamplingPointId, schema: { type: integer } }
+ *       - { in: query, name: paSamplingPointId, schema: { type: string }, description: "State-assigned ID prefix" }
+ *       - { in: query, name: description, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: samplePointSourceTypeCode, schema: { type: string }, description: "See /inventory/ref-sample-pt-source-type" }
+ *       - { in: query, name: samplePointTypeCode, schema: { type: string }, description: "e.g. EP=Entry point, DS=Distribution, RW=Raw water" }
+ *       - { in: query, name: samplePointStatusCode, schema: { type: string }, description: "See /inventory/ref-sample-pt-status" }
+ *       - { in: query, name: samplePointStatusReasonCode, schema: { type: string } }
+ *       - { in: query, name: statusDt, schema: { type: string, format: date }, description: "Status date (same day)" }
+ *       - { in: query, name: primarySiteNote, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: secondarySiteNote, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: altSiteNote, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: latitude, schema: { type: number } }
+ *       - { in: query, name: longitude, schema: { type: number } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated column names" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of sampling points
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 samplingPoints: { type: array, items: { $ref: '#/components/schemas/DWPFacilitySamplingPointDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ */
+router.get('/', (req, res) => {
+  const filtered = filterSamplingPoints(res.locals.samplingPoints, req.query);
+  const { resultSummary, items } = listRecords(filtered, req.query, {}, { sortFields: SORT_FIELDS });
+  res.json({ error: null, resultSummary, facilityInfo: res.locals.facilityInfo, samplingPoints: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/sample-point/{samplePointId}/sampling-point-indicator:
+ *   get:
+ *     summary: List a sampling point's indicators
+ *     description: >
+ *       Returns the indicators of one of the facility's sampling points, with a sampling
+ *       point summary (SamplingPointIndicatorListResponseDTO).
+ *     tags: [Sampling Point]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: samplePointId, required: true, schema: { type: integer }, description: "facilitySamplingPointId" }
+ *       - { in: query, name: samplingPointIndicatorId, schema: { type: integer } }
+ *       - { in: query, name: samplingPointIndicatorValueId, schema: { type: integer } }
+ *       - { in: query, name: samplingPointIndicatorTypeCode, schema: { type: string } }
+ *       - { in: query, name: indicatorText, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: notes, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of sampling point indicators
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 samplingPointInfo: { type: object, description: "DWPFacilitySamplingPointInfoDTO" }
+ *                 samplingPointIndicators: { type: array, items: { $ref: '#/components/schemas/DWPSamplePointIndicatorDTO' } }
+ *       404:
+ *         description: Facility or sampling point not found
+ */
+indicators.get('/', (req, res) => {
+  const { facilityId, samplePointId } = req.params;
+  const point = res.locals.samplingPoints
+    .find(p => p.facilitySamplingPointId === Number(samplePointId));
+  if (!point) {
+    return res.status(404).json({
+      error: { message: `Sampling point ${samplePointId} not found in facility ${facilityId}` },
+    });
+  }
+
+  const { resultSummary, items } = listRecords(
+    filterIndicators(point.samplePointIndicators, req.query), req.query, {}, { sortFields: {} }
+  );
+  res.json({
+    error: null,
+    resultSummary,
+    samplingPointInfo: toSamplingPointInfo(point),
+    samplingPointIndicators: items,
+  });
+});
+
+module.exports = router;
+module.exports.indicators = indicators;
+module.exports.loadSamplingPoints = loadSamplingPoints;
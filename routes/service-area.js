@@ -0,0 +1,173 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWSServiceAreaDTO:
+ *       type: object
+ *       description: "Type of area a water system serves (tinwssaa)"
+ *       properties:
+ *         wsServiceAreaId: { type: integer, description: "Internal service area sequence (tinwssaa_is_number)" }
+ *         serviceAreaType: { type: object, properties: { srvcAreaCd: { type: string }, name: { type: string } }, description: "See /inventory/ws-svc-area-type" }
+ *         stateLevel: { type: object, nullable: true }
+ *         primaryIndicator: { type: string, description: "Y for the system's primary service area" }
+ *         notes: { type: string }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listRecords } = require('./attribute');
+const { codeNames } = require('./reference');
+
+// Mounted below /inventory/water-system/{waterSystemId}/service-area after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — keyed by waterSystemId, loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'service-areas.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+// Column mapping: SS (tinwssaa) → SF DWPWSServiceAreaDTO.
+// Area type names are filled by loadServiceAreas().
+function mapServiceArea(row) {
+  return {
+    wsServiceAreaId: row.tinwssaa_is_number,
+    serviceAreaType: code(row.service_area_cd, 'srvcAreaCd'),
+    stateLevel: null,          // SF-only, no SS equivalent
+    primaryIndicator: row.primary_srvc_ind?.trim() || null,
+    notes: row.memo_text,
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: row.d_initial_userid?.trim() || null,
+    createDt: row.d_initial_ts,
+    updateId: row.d_userid_code?.trim() || null,
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Load the service areas of a set of water systems: Map waterSystemId → areas,
+// primary area first, with area type names resolved from tsylgval.
+async function loadServiceAreas(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (db.mode === 'demo') {
+    for (const id of bySystem.keys()) bySystem.set(id, getDemoData()[id] || []);
+  } else {
+    const ids = [...bySystem.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT sa.*, ws.number0
+         FROM ${SCHEMA_PREFIX}tinwssaa sa
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = sa.tinwsys_is_number
+          AND ws.tinwsys_st_code = sa.tinwsys_st_code
+        WHERE ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})
+        ORDER BY sa.primary_srvc_ind DESC, sa.tinwssaa_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) bySystem.get(row.number0?.trim())?.push(mapServiceArea(row));
+  }
+
+  // Builds new objects so the cached demo rows keep their bare codes
+  const names = await codeNames('ws-svc-area-type');
+  for (const [id, areas] of bySystem) {
+    bySystem.set(id, areas.map(a => ({
+      ...a,
+      serviceAreaType: a.serviceAreaType
+        ? { ...a.serviceAreaType, name: names.get(a.serviceAreaType.srvcAreaCd) ?? null }
+        : null,
+    })));
+  }
+
+  return bySystem;
+}
+
+// A system's service areas are loaded whole (loadServiceAreas), so both modes
+// filter them in memory: exact codes, contains on the type name.
+function filterServiceAreas(areas, query) {
+  let results = [...areas];
+
+  if (query.wsServiceAreaId) {
+    const id = Number(query.wsServiceAreaId);
+    results = results.filter(a => a.wsServiceAreaId === id);
+  }
+  if (query.primaryIndicator) {
+    const wanted = query.primaryIndicator.toUpperCase();
+    results = results.filter(a => a.primaryIndicator === wanted);
+  }
+  if (query.srvcAreaCd) {
+    results = results.filter(a => a.serviceAreaType?.srvcAreaCd === query.srvcAreaCd);
+  }
+  if (query.areaTypeName) {
+    const term = query.areaTypeName.toLowerCase();
+    results = results.filter(a => a.serviceAreaType?.name?.toLowerCase().includes(term));
+  }
+
+  return results;
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/service-area:
+ *   get:
+ *     summary: List a water system's service areas
+ *     description: >
+ *       Returns the types of area the water system serves, primary area first, together
+ *       with a water system summary (WaterSystemServiceAreaResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: wsServiceAreaId, schema: { type: integer } }
+ *       - { in: query, name: primaryIndicator, schema: { type: string, enum: [Y, N] } }
+ *       - { in: query, name: srvcAreaCd, schema: { type: string }, description: "Exact area type code; see /inventory/ws-svc-area-type" }
+ *       - { in: query, name: areaTypeName, schema: { type: string }, description: "Area type name contains filter (case-insensitive)" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of service areas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 relatedServiceAreas: { type: array, items: { $ref: '#/components/schemas/DWPWSServiceAreaDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const areas = (await loadServiceAreas([waterSystemId])).get(waterSystemId);
+    const { resultSummary, items } = listRecords(
+      filterServiceAreas(areas, req.query), req.query, {}, { sortFields: {} }
+    );
+    res.json({ error: null, resultSummary, waterSystemInfo: res.locals.waterSystemInfo, relatedServiceAreas: items });
+  } catch (err) {
+    console.error('Error listing service areas:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.loadServiceAreas = loadServiceAreas;
@@ -0,0 +1,170 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWaterSystemServiceConnectionDTO:
+ *       type: object
+ *       description: "Service connection count of a water system by connection and meter type (tinscc)"
+ *       properties:
+ *         waterSystemServiceConnectionId: { type: integer, description: "Internal service connection sequence (tinscc_is_number)" }
+ *         connectionCount: { type: integer }
+ *         meterMeasure: { type: number, description: "Meter size" }
+ *         notes: { type: string }
+ *         meterType: { type: object, properties: { wsMeterTypeCode: { type: string }, name: { type: string } }, description: "See /inventory/ws-meter-type" }
+ *         serviceConnectionType: { type: object, properties: { wsSrvcConnTypeCode: { type: string }, name: { type: string } }, description: "See /inventory/ws-svc-conn-type" }
+ *         removeId: { type: string }
+ *         removeDt: { type: string, format: date-time }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { listRecords } = require('./attribute');
+const { codeNames } = require('./reference');
+
+// Mounted below /inventory/water-system/{waterSystemId}/service-connection after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — keyed by waterSystemId, loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'service-connections.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null ? Number(v) : null);
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+// Column mapping: SS (tinscc) → SF DWPWaterSystemServiceConnectionDTO.
+// Type names are filled by loadServiceConnections().
+function mapServiceConnection(row) {
+  return {
+    waterSystemServiceConnectionId: row.tinscc_is_number,
+    connectionCount: num(row.connection_count),
+    meterMeasure: num(row.meter_size_measure),
+    notes: row.memo_text,
+    meterType: code(row.meter_type_code, 'wsMeterTypeCode'),
+    serviceConnectionType: code(row.type_code, 'wsSrvcConnTypeCode'),
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+    createId: row.d_initial_userid?.trim() || null,
+    createDt: row.d_initial_ts,
+    updateId: row.d_userid_code?.trim() || null,
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Load the service connections of a set of water systems: Map waterSystemId →
+// connections, with meter and connection type names resolved from tsylgval.
+async function loadServiceConnections(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (db.mode === 'demo') {
+    for (const id of bySystem.keys()) bySystem.set(id, getDemoData()[id] || []);
+  } else {
+    const ids = [...bySystem.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT sc.*, ws.number0
+         FROM ${SCHEMA_PREFIX}tinscc sc
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = sc.tinwsys_is_number
+          AND ws.tinwsys_st_code = sc.tinwsys_st_code
+        WHERE ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})
+        ORDER BY sc.tinscc_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) bySystem.get(row.number0?.trim())?.push(mapServiceConnection(row));
+  }
+
+  // Builds new objects so the cached demo rows keep their bare codes
+  const [meterNames, typeNames] = await Promise.all([codeNames('ws-meter-type'), codeNames('ws-svc-conn-type')]);
+  const named = (ref, field, names) => (ref ? { ...ref, name: names.get(ref[field]) ?? null } : null);
+  for (const [id, connections] of bySystem) {
+    bySystem.set(id, connections.map(c => ({
+      ...c,
+      meterType: named(c.meterType, 'wsMeterTypeCode', meterNames),
+      serviceConnectionType: named(c.serviceConnectionType, 'wsSrvcConnTypeCode', typeNames),
+    })));
+  }
+
+  return bySystem;
+}
+
+// A system's connections are loaded whole (loadServiceConnections), so both
+// modes filter them in memory.
+function filterServiceConnections(connections, query) {
+  let results = [...connections];
+
+  if (query.waterSystemServiceConnectionId) {
+    const id = Number(query.waterSystemServiceConnectionId);
+    results = results.filter(c => c.waterSystemServiceConnectionId === id);
+  }
+  if (query.wsMeterTypeCode) {
+    results = results.filter(c => c.meterType?.wsMeterTypeCode === query.wsMeterTypeCode);
+  }
+  if (query.wsSrvcConnTypeCode) {
+    results = results.filter(c => c.serviceConnectionType?.wsSrvcConnTypeCode === query.wsSrvcConnTypeCode);
+  }
+
+  return results;
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/service-connection:
+ *   get:
+ *     summary: List a water system's service connections
+ *     description: >
+ *       Returns the water system's connection counts by connection and meter type, together
+ *       with a water system summary (WaterSystemServiceConnectionsResponseDTO).
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: waterSystemServiceConnectionId, schema: { type: integer } }
+ *       - { in: query, name: wsMeterTypeCode, schema: { type: string }, description: "M=Metered, P=Partially metered, U=Unmetered; see /inventory/ws-meter-type" }
+ *       - { in: query, name: wsSrvcConnTypeCode, schema: { type: string }, description: "e.g. RS=Residential, CM=Commercial; see /inventory/ws-svc-conn-type" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of service connections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 serviceConnections: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemServiceConnectionDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const connections = (await loadServiceConnections([waterSystemId])).get(waterSystemId);
+    const { resultSummary, items } = listRecords(
+      filterServiceConnections(connections, req.query), req.query, {}, { sortFields: {} }
+    );
+    res.json({ error: null, resultSummary, waterSystemInfo: res.locals.waterSystemInfo, serviceConnections: items });
+  } catch (err) {
+    console.error('Error listing service connections:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.loadServiceConnections = loadServiceConnections;
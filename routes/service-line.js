@@ -0,0 +1,366 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWaterSystemServiceLineDTO:
+ *       type: object
+ *       description: >
+ *         Service line count of a water system for one LCRR data type (inventory or
+ *         replacement) and service line material / lead status, over a reporting period
+ *         (tinwssl, or the WS_SERVICE_LINE_FILE import)
+ *       properties:
+ *         waterSystemServiceLineId: { type: integer, description: "Internal service line sequence (tinwssl_is_number)" }
+ *         waterSystemServiceLineDataType:
+ *           type: object
+ *           description: "See /inventory/ws-lc-data-type"
+ *           properties:
+ *             wsServiceLineDataTypeId: { type: integer }
+ *             wsServiceLineDataTypeCode: { type: string, description: "INV=Inventory, FRP=Full replacement, PRP=Partial replacement" }
+ *             wsServiceLineName: { type: string }
+ *         waterSystemServiceLineType:
+ *           type: object
+ *           description: "See /inventory/lc-service-type"
+ *           properties:
+ *             wsServiceLineTypeId: { type: integer }
+ *             wsServiceLineTypeCode: { type: string, description: "L=Lead, GRR=Galvanized requiring replacement, LSU=Lead status unknown, NL*=Non-lead by material" }
+ *             wsServiceLineName: { type: string }
+ *         beginDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time, nullable: true }
+ *         numOfLines: { type: integer }
+ *         createId: { type: string }
+ *         removeId: { type: string }
+ *         updateId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         removeDt: { type: string, format: date-time }
+ *         updateDt: { type: string, format: date-time }
+ *     ServiceLineSummary:
+ *       type: object
+ *       description: >
+ *         A water system's current inventory by lead status (the inventory period in effect
+ *         today, or the latest one begun) and its replacements to date
+ *       properties:
+ *         inventoryDate: { type: string, format: date-time, nullable: true, description: "Begin date of the inventory counted" }
+ *         lead: { type: integer }
+ *         galvanizedRequiringReplacement: { type: integer }
+ *         leadStatusUnknown: { type: integer }
+ *         nonLead: { type: integer }
+ *         totalLines: { type: integer }
+ *         fullReplacements: { type: integer }
+ *         partialReplacements: { type: integer }
+ */
+
+const { Router } = require('express');
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { codeRefs } = require('./reference');
+const { listRecords } = require('./attribute');
+
+// Mounted below /inventory/water-system/{waterSystemId}/service-line after
+// waterSystem.withWaterSystem, which puts the water system in res.locals.waterSystem.
+const router = Router({ mergeParams: true });
+
+// Demo data — keyed by waterSystemId, loaded once on first use
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'service-lines.json'));
+  }
+  return _demoData;
+}
+
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null && v !== '' ? Number(v) : null);
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+const isoDate = v => (v ? new Date(v).toISOString() : null);
+
+// Column mapping: SS (tinwssl) → SF DWPWaterSystemServiceLineDTO.
+// Type ids and names are filled by loadServiceLines().
+function mapServiceLine(row) {
+  return {
+    waterSystemServiceLineId: row.tinwssl_is_number,
+    waterSystemServiceLineDataType: code(row.data_type_code, 'wsServiceLineDataTypeCode'),
+    waterSystemServiceLineType: code(row.service_type_code, 'wsServiceLineTypeCode'),
+    beginDate: row.begin_date,
+    endDate: row.end_date,
+    numOfLines: num(row.line_count),
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV import — for installations whose SDWIS/STATE does not hold the LCRR
+// service line inventory. WS_SERVICE_LINE_FILE names a CSV with a header row:
+//   waterSystemId, waterSystemServiceLineId, wsServiceLineDataTypeCode,
+//   wsServiceLineTypeCode, beginDate, endDate, numOfLines
+// and optionally createId, createDt, updateId, updateDt. When it is set it
+// replaces the tinwssl table (and the demo data). Read once, at startup.
+// ---------------------------------------------------------------------------
+
+// RFC 4180: comma separated, fields may be double-quoted ("" escapes a quote)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+// The CSV's required columns; the others are optional
+const IMPORT_COLUMNS = [
+  'waterSystemId', 'waterSystemServiceLineId', 'wsServiceLineDataTypeCode',
+  'wsServiceLineTypeCode', 'beginDate', 'endDate', 'numOfLines',
+];
+
+// Read and check a service line CSV: { waterSystemId: lines }. Throws, naming
+// the file, when it cannot be read, lacks a required column, or has a row
+// without a water system or with a number or date that does not parse.
+function readServiceLineFile(file) {
+  const fail = message => { throw new Error(`WS_SERVICE_LINE_FILE ${file}: ${message}`); };
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    fail(`cannot be read (${err.message})`);
+  }
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(h => h.trim());
+  const missing = IMPORT_COLUMNS.filter(c => !columns.includes(c));
+  if (missing.length) fail(`missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+
+  const lines = {};
+  rows.forEach((values, i) => {
+    const r = Object.fromEntries(columns.map((c, j) => [c, values[j]?.trim() ?? '']));
+    const row = `row ${i + 1}`;
+    if (!r.waterSystemId) fail(`${row} has no waterSystemId`);
+    for (const c of ['waterSystemServiceLineId', 'numOfLines']) {
+      if (Number.isNaN(Number(r[c]))) fail(`${row} ${c} is not a number: "${r[c]}"`);
+    }
+    for (const c of ['beginDate', 'endDate', 'createDt', 'updateDt']) {
+      if (r[c] && Number.isNaN(new Date(r[c]).getTime())) fail(`${row} ${c} is not a date: "${r[c]}"`);
+    }
+    (lines[r.waterSystemId] ||= []).push({
+      waterSystemServiceLineId: num(r.waterSystemServiceLineId) ?? i + 1,
+      waterSystemServiceLineDataType: code(r.wsServiceLineDataTypeCode, 'wsServiceLineDataTypeCode'),
+      waterSystemServiceLineType: code(r.wsServiceLineTypeCode, 'wsServiceLineTypeCode'),
+      beginDate: isoDate(r.beginDate),
+      endDate: isoDate(r.endDate),
+      numOfLines: num(r.numOfLines),
+      createId: r.createId || null,
+      removeId: null,        // SF-only, no SS equivalent
+      updateId: r.updateId || null,
+      createDt: isoDate(r.createDt),
+      removeDt: null,        // SF-only, no SS equivalent
+      updateDt: isoDate(r.updateDt),
+    });
+  });
+  return lines;
+}
+
+// WS_SERVICE_LINE_FILE's lines, read once per file; server.js reads them at
+// startup (importServiceLines) so a bad file stops it rather than failing requests
+let _imported = null; // { file, lines }
+function getImportedLines() {
+  const file = process.env.WS_SERVICE_LINE_FILE;
+  if (_imported?.file !== file) _imported = { file, lines: readServiceLineFile(file) };
+  return _imported.lines;
+}
+
+// Startup: read WS_SERVICE_LINE_FILE, when set, throwing if it is unusable
+function importServiceLines() {
+  if (process.env.WS_SERVICE_LINE_FILE) getImportedLines();
+}
+
+// Load the service lines of a set of water systems: Map waterSystemId → lines,
+// with data and service type ids and names resolved from tsylgval.
+async function loadServiceLines(waterSystemIds) {
+  const bySystem = new Map(waterSystemIds.map(id => [id, []]));
+  if (!waterSystemIds.length) return bySystem;
+
+  if (process.env.WS_SERVICE_LINE_FILE || db.mode === 'demo') {
+    const source = process.env.WS_SERVICE_LINE_FILE ? getImportedLines() : getDemoData();
+    for (const id of bySystem.keys()) bySystem.set(id, source[id] || []);
+  } else {
+    const ids = [...bySystem.keys()];
+    const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+    const rows = await db.query(
+      `SELECT sl.*, ws.number0
+         FROM ${SCHEMA_PREFIX}tinwssl sl
+         JOIN ${SCHEMA_PREFIX}tinwsys ws
+           ON ws.tinwsys_is_number = sl.tinwsys_is_number
+          AND ws.tinwsys_st_code = sl.tinwsys_st_code
+        WHERE ws.tinwsys_st_code = $1 AND TRIM(ws.number0) IN (${inList})
+        ORDER BY sl.tinwssl_is_number`,
+      [currentAgency(), ...ids]
+    );
+    for (const row of rows) bySystem.get(row.number0?.trim())?.push(mapServiceLine(row));
+  }
+
+  // Builds new objects so the cached demo and imported rows keep their bare codes
+  const [dataTypes, serviceTypes] = await Promise.all([codeRefs('ws-lc-data-type'), codeRefs('lc-service-type')]);
+  const resolved = (ref, idField, codeField, refs) => (ref
+    ? {
+      [idField]: refs.get(ref[codeField])?.id ?? null,
+      [codeField]: ref[codeField],
+      wsServiceLineName: refs.get(ref[codeField])?.name ?? null,
+    }
+    : null);
+  for (const [id, lines] of bySystem) {
+    bySystem.set(id, lines.map(l => ({
+      ...l,
+      waterSystemServiceLineDataType: resolved(
+        l.waterSystemServiceLineDataType, 'wsServiceLineDataTypeId', 'wsServiceLineDataTypeCode', dataTypes
+      ),
+      waterSystemServiceLineType: resolved(
+        l.waterSystemServiceLineType, 'wsServiceLineTypeId', 'wsServiceLineTypeCode', serviceTypes
+      ),
+    })));
+  }
+
+  return bySystem;
+}
+
+// LCRR lead status of a service type: the non-lead codes (NLC, NLP, NLO, ...)
+// name the material, so they all roll up to NL.
+function leadStatus(line) {
+  const typeCode = line.waterSystemServiceLineType?.wsServiceLineTypeCode;
+  if (!typeCode) return null;
+  return ['L', 'GRR', 'LSU'].includes(typeCode) ? typeCode : 'NL';
+}
+
+const dataTypeCode = line => line.waterSystemServiceLineDataType?.wsServiceLineDataTypeCode;
+
+// Counts for ServiceLineSummary. The inventory is re-reported each period, so
+// only the one in effect today (or else the latest one begun) is counted;
+// replacements accumulate across periods.
+function summarizeServiceLines(lines, now = Date.now()) {
+  const time = v => new Date(v).getTime();
+  const begun = lines.filter(l => dataTypeCode(l) === 'INV' && (!l.beginDate || time(l.beginDate) <= now));
+  const inEffect = begun.filter(l => !l.endDate || time(l.endDate) >= now);
+  const candidates = inEffect.length ? inEffect : begun;
+  const latest = candidates.reduce((t, l) => Math.max(t, l.beginDate ? time(l.beginDate) : -Infinity), -Infinity);
+  const inventory = candidates.filter(l => (l.beginDate ? time(l.beginDate) : -Infinity) === latest);
+
+  const sum = rows => rows.reduce((total, l) => total + (l.numOfLines || 0), 0);
+  const byStatus = status => sum(inventory.filter(l => leadStatus(l) === status));
+  return {
+    inventoryDate: inventory[0]?.beginDate ?? null,
+    lead: byStatus('L'),
+    galvanizedRequiringReplacement: byStatus('GRR'),
+    leadStatusUnknown: byStatus('LSU'),
+    nonLead: byStatus('NL'),
+    totalLines: sum(inventory),
+    fullReplacements: sum(lines.filter(l => dataTypeCode(l) === 'FRP')),
+    partialReplacements: sum(lines.filter(l => dataTypeCode(l) === 'PRP')),
+  };
+}
+
+// A system's lines are loaded whole (loadServiceLines), so both modes filter
+// them in memory.
+const SERVICE_LINE_FILTERS = {
+  waterSystemServiceLineId: [l => l.waterSystemServiceLineId],
+  wsServiceLineDataTypeId: [l => l.waterSystemServiceLineDataType?.wsServiceLineDataTypeId],
+  wsServiceLineDataTypeCode: [l => l.waterSystemServiceLineDataType?.wsServiceLineDataTypeCode],
+  wsServiceLineTypeId: [l => l.waterSystemServiceLineType?.wsServiceLineTypeId],
+  wsServiceLineTypeCode: [l => l.waterSystemServiceLineType?.wsServiceLineTypeCode],
+  leadStatus: [leadStatus],
+  numOfLines: [l => l.numOfLines],
+  beginDateFrom: [l => l.beginDate, 'from'],
+  beginDateTo: [l => l.beginDate, 'to'],
+  endDateFrom: [l => l.endDate, 'from'],
+  endDateTo: [l => l.endDate, 'to'],
+};
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/service-line:
+ *   get:
+ *     summary: List a water system's service lines (LCRR inventory)
+ *     description: >
+ *       Returns the water system's service line counts by data type (inventory or
+ *       replacement) and material / lead status, together with a water system summary
+ *       (WaterSystemServiceLineListResponseDTO) and the system's current counts by lead
+ *       status. The summary covers all of the system's lines, whatever the filters.
+ *     tags: [Water System]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: query, name: waterSystemServiceLineId, schema: { type: integer } }
+ *       - { in: query, name: wsServiceLineDataTypeId, schema: { type: integer }, description: "See /inventory/ws-lc-data-type" }
+ *       - { in: query, name: wsServiceLineDataTypeCode, schema: { type: string }, description: "INV=Inventory, FRP=Full replacement, PRP=Partial replacement" }
+ *       - { in: query, name: wsServiceLineTypeId, schema: { type: integer }, description: "See /inventory/lc-service-type" }
+ *       - { in: query, name: wsServiceLineTypeCode, schema: { type: string }, description: "Material / lead status, e.g. L=Lead, GRR, NLC=Non-lead copper" }
+ *       - { in: query, name: leadStatus, schema: { type: string, enum: [L, GRR, LSU, NL] }, description: "Lead status; NL matches every non-lead material" }
+ *       - { in: query, name: numOfLines, schema: { type: integer } }
+ *       - { in: query, name: beginDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: beginDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated sort fields: any scalar service line property" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC (must match sortColumns count)" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of service lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemInfo: { type: object, description: "DWPWaterSystemInfoDTO" }
+ *                 serviceLineSummary: { $ref: '#/components/schemas/ServiceLineSummary' }
+ *                 waterSystemServiceLine: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemServiceLineDTO' } }
+ *       404:
+ *         description: Water system not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { waterSystemId } = res.locals.waterSystem;
+    const lines = (await loadServiceLines([waterSystemId])).get(waterSystemId);
+    const { resultSummary, items } = listRecords(lines, req.query, SERVICE_LINE_FILTERS);
+    res.json({
+      error: null,
+      resultSummary,
+      waterSystemInfo: res.locals.waterSystemInfo,
+      serviceLineSummary: summarizeServiceLines(lines),
+      waterSystemServiceLine: items,
+    });
+  } catch (err) {
+    console.error('Error listing service lines:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+module.exports = router;
+module.exports.loadServiceLines = loadServiceLines;
+module.exports.importServiceLines = importServiceLines;
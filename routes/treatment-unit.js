@@ -0,0 +1,921 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPTreatmentUnitDTO:
+ *       type: object
+ *       description: "Treatment unit (tintrtun) with its treatments, flow rates, indicators and measures"
+ *       properties:
+ *         treatmentUnitId: { type: integer, description: "Internal unit sequence (tintrtun_is_number)" }
+ *         name: { type: string }
+ *         basinCount: { type: number }
+ *         subUnitCount: { type: number }
+ *         notes: { type: string }
+ *         contDisinfectMon: { type: string, description: "Continuous disinfectant monitoring (Y/N)" }
+ *         procType: { type: object, properties: { treatmentUnitTypeCode: { type: string } } }
+ *         subType: { type: object, properties: { treatmentUnitSubTypeCode: { type: string } } }
+ *         aeratorType: { type: object, properties: { treatmentUnitAeratorTypeCode: { type: string } } }
+ *         sludgeRemoval: { type: object, properties: { treatmentUnitRemovalCode: { type: string } } }
+ *         filterMedia: { type: object, properties: { treatmentUnitMediaCode: { type: string } } }
+ *         treatmentUnitTreatments: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitTreatmentDTO' } }
+ *         treatmentUnitFlowRates: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitFlowRateDTO' } }
+ *         treatmentUnitIndicators: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitIndicatorDTO' } }
+ *         treatmentUnitMeasures: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitMeasureDTO' } }
+ *     DWPTreatmentUnitTreatmentDTO:
+ *       type: object
+ *       description: "Treatment applied by a unit (tintuntr → tsytrtmt)"
+ *       properties:
+ *         treatmentUnitTreatmentId: { type: integer }
+ *         primaryInd: { type: string }
+ *         notes: { type: string }
+ *         beginDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         treatment: { $ref: '#/components/schemas/RefTreatmentDTO' }
+ *         treatmentUnitsTreatmentAnalytes: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitTreatmentAnalyteDTO' } }
+ *     DWPTreatmentUnitTreatmentAnalyteDTO:
+ *       type: object
+ *       description: "Analyte removed or added by a treatment (tintutan)"
+ *       properties:
+ *         treatmentUnitTreatmentAnalyteId: { type: integer }
+ *         removalAddInd: { type: string, description: "R=removed, A=added" }
+ *         notes: { type: string }
+ *         measureQuantity: { type: number }
+ *         analyte: { type: object, properties: { analyteEntityId: { type: integer }, srsAnalyteCode: { type: string }, srsEpaName: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *     DWPTreatmentUnitMeasureDTO:
+ *       type: object
+ *       description: "Unit measure (tintumsr)"
+ *       properties:
+ *         treatmentUnitMeasureId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         quantity: { type: number }
+ *         measureType: { type: object, properties: { treatmentUnitMeasureTypeCode: { type: string }, name: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *     DWPTreatmentUnitIndicatorDTO:
+ *       type: object
+ *       description: "Unit indicator (tintuind)"
+ *       properties:
+ *         treatmentUnitIndicatorId: { type: integer }
+ *         startDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         treatmentUnitIndicatorValue: { type: object, properties: { treatmentUnitIndicatorValue: { type: string } } }
+ *         indicatorText: { type: string }
+ *         indicatorType: { type: object, properties: { treatmentUnitIndicatorTypeCode: { type: string } } }
+ *         notes: { type: string }
+ *     DWPTreatmentUnitFlowRateDTO:
+ *       type: object
+ *       description: "Unit flow rate (tintuflr)"
+ *       properties:
+ *         treatmentUnitFlowRateId: { type: integer }
+ *         quantity: { type: number }
+ *         flowRateType: { type: object, properties: { treatmentUnitFlowRateTypeCode: { type: string }, name: { type: string } } }
+ *         uom: { type: object, properties: { uomId: { type: integer }, uomCode: { type: string }, name: { type: string } } }
+ *         beginDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *     DWPTreatmentUnitTreatmentRecDTO:
+ *       type: object
+ *       properties:
+ *         treatmentUnitTreatmentId: { type: integer }
+ *         primaryInd: { type: string }
+ *         beginDate: { type: string, format: date-time }
+ *         endDate: { type: string, format: date-time }
+ *         treatmentId: { type: integer }
+ *         treatmentObjectiveCode: { type: string }
+ *         treatmentObjectiveName: { type: string }
+ *         treatmentProcessCode: { type: string }
+ *         treatmentProcessName: { type: string }
+ */
+
+const { Router } = require('express');
+const path = require('path');
+const db = require('../db');
+const { currentAgency } = require('../agency');
+const { treatmentDTO } = require('./reference');
+const { listRecords } = require('./attribute');
+
+// Mounted below /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit
+// after facility.withFacility, which puts the facility in res.locals.facility.
+const router = Router({ mergeParams: true });
+
+// Demo data — units per facility, keyed by facilityId
+let _demoData = null;
+function getDemoData() {
+  if (!_demoData) {
+    _demoData = require(path.join(__dirname, '..', 'demo', 'treatment-units.json'));
+  }
+  return _demoData;
+}
+
+// SDWIS/STATE schema — configurable per installation
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+const num = v => (v != null ? Number(v) : null);
+const code = (v, field) => (v?.trim() ? { [field]: v.trim() } : null);
+
+function auditFields(row) {
+  return {
+    createId: row.d_initial_userid?.trim() || null,
+    removeId: null,            // SF-only, no SS equivalent
+    updateId: row.d_userid_code?.trim() || null,
+    createDt: row.d_initial_ts,
+    removeDt: null,            // SF-only, no SS equivalent
+    updateDt: row.d_last_updt_ts,
+  };
+}
+
+// Legal value (tsylgval) join used to resolve code names and UOM ids
+function lgvalJoin(alias, valueType, codeColumn, stColumn) {
+  return `LEFT JOIN ${SCHEMA_PREFIX}tsylgval ${alias}
+      ON ${alias}.value_type = '${valueType}'
+     AND ${alias}.value_code = ${codeColumn}
+     AND ${alias}.tsylgval_st_code = ${stColumn}`;
+}
+
+function mapUom(row) {
+  if (!row.uom_cd?.trim()) return null;
+  return { uomId: row.uom_id ?? null, uomCode: row.uom_cd.trim(), name: row.uom_name ?? null };
+}
+
+// Column mapping: SS (tintrtun) → SF DWPTreatmentUnitDTO. Child arrays are
+// filled by loadTreatmentUnits().
+function mapUnit(row) {
+  return {
+    treatmentUnitId: row.tintrtun_is_number,
+    name: row.name,
+    basinCount: num(row.basin_count),
+    subUnitCount: num(row.sub_unit_count),
+    notes: row.notes_text,
+    contDisinfectMon: row.cont_dis_mon_ind?.trim() || null,
+    procType: code(row.proc_type_cd, 'treatmentUnitTypeCode'),
+    subType: code(row.sub_type_cd, 'treatmentUnitSubTypeCode'),
+    aeratorType: code(row.aerator_type_cd, 'treatmentUnitAeratorTypeCode'),
+    sludgeRemoval: code(row.sludge_rmvl_cd, 'treatmentUnitRemovalCode'),
+    filterMedia: code(row.filter_media_cd, 'treatmentUnitMediaCode'),
+    treatmentUnitTreatments: [],
+    treatmentUnitFlowRates: [],
+    treatmentUnitIndicators: [],
+    treatmentUnitMeasures: [],
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tintuntr + tsytrtmt) → SF DWPTreatmentUnitTreatmentDTO
+function mapUnitTreatment(row) {
+  return {
+    treatmentUnitTreatmentId: row.tintuntr_is_number,
+    primaryInd: row.primary_ind?.trim() || null,
+    notes: row.notes_text,
+    beginDate: row.begin_date,
+    endDate: row.end_date,
+    treatment: treatmentDTO({
+      treatmentId: row.tsytrtmt_is_number,
+      treatmentObjectiveCode: row.treatment_obj_cd?.trim() || null,
+      treatmentProcessCode: row.treatment_proc_cd?.trim() || null,
+      objectiveName: row.objective_name,
+      processName: row.process_name,
+      beginDt: row.trt_begin_date,
+      endDt: row.trt_end_date,
+    }),
+    treatmentUnitsTreatmentAnalytes: [],
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tintutan + tsaanlyt) → SF DWPTreatmentUnitTreatmentAnalyteDTO
+function mapTreatmentAnalyte(row) {
+  return {
+    treatmentUnitTreatmentAnalyteId: row.tintutan_is_number,
+    removalAddInd: row.removal_add_ind?.trim() || null,
+    notes: row.notes_text,
+    measureQuantity: num(row.measure_qty),
+    analyte: row.tsaanlyt_is_number != null
+      ? { analyteEntityId: row.tsaanlyt_is_number, srsAnalyteCode: row.analyte_code?.trim() || null, srsEpaName: row.analyte_name }
+      : null,
+    uom: mapUom(row),
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tintumsr) → SF DWPTreatmentUnitMeasureDTO
+function mapMeasure(row) {
+  return {
+    treatmentUnitMeasureId: row.tintumsr_is_number,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    quantity: num(row.quantity),
+    measureType: row.measure_type_cd?.trim()
+      ? { treatmentUnitMeasureTypeCode: row.measure_type_cd.trim(), name: row.type_name ?? null }
+      : null,
+    uom: mapUom(row),
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tintuind) → SF DWPTreatmentUnitIndicatorDTO
+function mapIndicator(row) {
+  return {
+    treatmentUnitIndicatorId: row.tintuind_is_number,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    treatmentUnitIndicatorValue: code(row.indicator_value, 'treatmentUnitIndicatorValue'),
+    indicatorText: row.indicator_text,
+    indicatorType: code(row.indicator_type_cd, 'treatmentUnitIndicatorTypeCode'),
+    notes: row.notes_text,
+    ...auditFields(row),
+  };
+}
+
+// Column mapping: SS (tintuflr) → SF DWPTreatmentUnitFlowRateDTO
+function mapFlowRate(row) {
+  return {
+    treatmentUnitFlowRateId: row.tintuflr_is_number,
+    quantity: num(row.quantity),
+    flowRateType: row.flow_rate_type_cd?.trim()
+      ? { treatmentUnitFlowRateTypeCode: row.flow_rate_type_cd.trim(), name: row.type_name ?? null }
+      : null,
+    uom: mapUom(row),
+    beginDate: row.begin_date,
+    endDate: row.end_date,
+    ...auditFields(row),
+  };
+}
+
+// Load the full unit tree for a set of facilities: Map facilityId → units.
+// One query per table; every child query joins back to tintrtun so the IN
+// list stays at the size of the facility page.
+async function loadTreatmentUnits(facilityIds) {
+  const byFacility = new Map(facilityIds.map(id => [Number(id), []]));
+  if (!facilityIds.length) return byFacility;
+
+  if (db.mode === 'demo') {
+    for (const id of byFacility.keys()) byFacility.set(id, getDemoData()[id] || []);
+    return byFacility;
+  }
+
+  const ids = [...byFacility.keys()];
+  const inList = ids.map((_, i) => `$${i + 2}`).join(', ');
+  const params = [currentAgency(), ...ids];
+  const unitFilter = `u.tinwsf_st_code = $1 AND u.tinwsf_is_number IN (${inList})`;
+  const childOf = (table, alias) => `${SCHEMA_PREFIX}${table} ${alias}
+    JOIN ${SCHEMA_PREFIX}tintrtun u
+      ON u.tintrtun_is_number = ${alias}.tintrtun_is_number
+     AND u.tinwsf_st_code = ${alias}.tintrtun_st_code`;
+
+  const [unitRows, treatmentRows, analyteRows, measureRows, indicatorRows, flowRateRows] = await Promise.all([
+    db.query(
+      `SELECT u.* FROM ${SCHEMA_PREFIX}tintrtun u WHERE ${unitFilter} ORDER BY u.name`,
+      params
+    ),
+    db.query(
+      `SELECT x.*, t.treatment_obj_cd, t.treatment_proc_cd,
+              t.begin_date as trt_begin_date, t.end_date as trt_end_date,
+              obj.value_desc as objective_name, proc.value_desc as process_name
+         FROM ${childOf('tintuntr', 'x')}
+         JOIN ${SCHEMA_PREFIX}tsytrtmt t
+           ON t.tsytrtmt_is_number = x.tsytrtmt_is_number
+          AND t.tsytrtmt_st_code = x.tintrtun_st_code
+         ${lgvalJoin('obj', 'TMNT_OBJECTIVE', 't.treatment_obj_cd', 't.tsytrtmt_st_code')}
+         ${lgvalJoin('proc', 'TMNT_PROCESS', 't.treatment_proc_cd', 't.tsytrtmt_st_code')}
+        WHERE ${unitFilter}
+        ORDER BY x.tintuntr_is_number`,
+      params
+    ),
+    db.query(
+      `SELECT ua.*, x.tintrtun_is_number, a.code as analyte_code, a.name as analyte_name,
+              uom.tsylgval_is_number as uom_id, uom.value_desc as uom_name
+         FROM ${SCHEMA_PREFIX}tintutan ua
+         JOIN ${SCHEMA_PREFIX}tintuntr x
+           ON x.tintuntr_is_number = ua.tintuntr_is_number
+          AND x.tintrtun_st_code = ua.tintuntr_st_code
+         JOIN ${SCHEMA_PREFIX}tintrtun u
+           ON u.tintrtun_is_number = x.tintrtun_is_number
+          AND u.tinwsf_st_code = x.tintrtun_st_code
+         LEFT JOIN ${SCHEMA_PREFIX}tsaanlyt a
+           ON a.tsaanlyt_is_number = ua.tsaanlyt_is_number
+          AND a.tsaanlyt_st_code = ua.tintuntr_st_code
+         ${lgvalJoin('uom', 'UOM', 'ua.uom_cd', 'ua.tintuntr_st_code')}
+        WHERE ${unitFilter}
+        ORDER BY ua.tintutan_is_number`,
+      params
+    ),
+    db.query(
+      `SELECT x.*, mt.value_desc as type_name,
+              uom.tsylgval_is_number as uom_id, uom.value_desc as uom_name
+         FROM ${childOf('tintumsr', 'x')}
+         ${lgvalJoin('mt', 'TMNT_UNIT_MEASURE', 'x.measure_type_cd', 'x.tintrtun_st_code')}
+         ${lgvalJoin('uom', 'UOM', 'x.uom_cd', 'x.tintrtun_st_code')}
+        WHERE ${unitFilter}
+        ORDER BY x.tintumsr_is_number`,
+      params
+    ),
+    db.query(
+      `SELECT x.* FROM ${childOf('tintuind', 'x')} WHERE ${unitFilter} ORDER BY x.tintuind_is_number`,
+      params
+    ),
+    db.query(
+      `SELECT x.*, ft.value_desc as type_name,
+              uom.tsylgval_is_number as uom_id, uom.value_desc as uom_name
+         FROM ${childOf('tintuflr', 'x')}
+         ${lgvalJoin('ft', 'TMNT_UNIT_FLOW_TYPE', 'x.flow_rate_type_cd', 'x.tintrtun_st_code')}
+         ${lgvalJoin('uom', 'UOM', 'x.uom_cd', 'x.tintrtun_st_code')}
+        WHERE ${unitFilter}
+        ORDER BY x.tintuflr_is_number`,
+      params
+    ),
+  ]);
+
+  const units = new Map();
+  for (const row of unitRows) {
+    const unit = mapUnit(row);
+    units.set(Number(row.tintrtun_is_number), unit);
+    byFacility.get(Number(row.tinwsf_is_number))?.push(unit);
+  }
+  const treatments = new Map();
+  for (const row of treatmentRows) {
+    const treatment = mapUnitTreatment(row);
+    treatments.set(Number(row.tintuntr_is_number), treatment);
+    units.get(Number(row.tintrtun_is_number))?.treatmentUnitTreatments.push(treatment);
+  }
+  for (const row of analyteRows) {
+    treatments.get(Number(row.tintuntr_is_number))?.treatmentUnitsTreatmentAnalytes.push(mapTreatmentAnalyte(row));
+  }
+  for (const row of measureRows) {
+    units.get(Number(row.tintrtun_is_number))?.treatmentUnitMeasures.push(mapMeasure(row));
+  }
+  for (const row of indicatorRows) {
+    units.get(Number(row.tintrtun_is_number))?.treatmentUnitIndicators.push(mapIndicator(row));
+  }
+  for (const row of flowRateRows) {
+    units.get(Number(row.tintrtun_is_number))?.treatmentUnitFlowRates.push(mapFlowRate(row));
+  }
+
+  return byFacility;
+}
+
+// ---------------------------------------------------------------------------
+// Record DTOs — the flat *RecDTO shapes returned by the list endpoints
+// ---------------------------------------------------------------------------
+
+function recAudit(r) {
+  return {
+    createId: r.createId,
+    createDt: r.createDt,
+    updateId: r.updateId,
+    updateDt: r.updateDt,
+    removeId: r.removeId,
+    removeDt: r.removeDt,
+  };
+}
+
+function toTreatmentRec(t) {
+  return {
+    treatmentUnitTreatmentId: t.treatmentUnitTreatmentId,
+    primaryInd: t.primaryInd,
+    beginDate: t.beginDate,
+    endDate: t.endDate,
+    treatmentId: t.treatment?.treatmentId ?? null,
+    treatmentObjectiveCode: t.treatment?.treatmentObjective?.treatmentObjectiveCode ?? null,
+    treatmentObjectiveName: t.treatment?.treatmentObjective?.name ?? null,
+    treatmentProcessCode: t.treatment?.treatmentProcess?.treatmentProcessCode ?? null,
+    treatmentProcessName: t.treatment?.treatmentProcess?.name ?? null,
+    ...recAudit(t),
+  };
+}
+
+function toAnalyteRec(a) {
+  return {
+    treatmentUnitTreatmentAnalyteId: a.treatmentUnitTreatmentAnalyteId,
+    removalAddInd: a.removalAddInd,
+    measureQuantity: a.measureQuantity,
+    notes: a.notes,
+    analyteId: a.analyte?.analyteEntityId ?? null,
+    analyteCode: a.analyte?.srsAnalyteCode ?? null,
+    analyteName: a.analyte?.srsEpaName ?? null,
+    uomId: a.uom?.uomId ?? null,
+    uomCode: a.uom?.uomCode ?? null,
+    uomName: a.uom?.name ?? null,
+    ...recAudit(a),
+  };
+}
+
+function toMeasureRec(m) {
+  return {
+    treatmentUnitMeasureId: m.treatmentUnitMeasureId,
+    treatmentUnitMeasureTypeCode: m.measureType?.treatmentUnitMeasureTypeCode ?? null,
+    treatmentUnitMeasureTypeName: m.measureType?.name ?? null,
+    uomId: m.uom?.uomId ?? null,
+    uomCode: m.uom?.uomCode ?? null,
+    uomName: m.uom?.name ?? null,
+    quantity: m.quantity,
+    startDate: m.startDate,
+    endDate: m.endDate,
+    ...recAudit(m),
+  };
+}
+
+function toFlowRateRec(r) {
+  return {
+    treatmentUnitFlowRateId: r.treatmentUnitFlowRateId,
+    quantity: r.quantity,
+    treatmentUnitFlowRateTypeCode: r.flowRateType?.treatmentUnitFlowRateTypeCode ?? null,
+    treatmentUnitFlowRateTypeName: r.flowRateType?.name ?? null,
+    uomId: r.uom?.uomId ?? null,
+    uomCode: r.uom?.uomCode ?? null,
+    uomName: r.uom?.name ?? null,
+    beginDate: r.beginDate,
+    endDate: r.endDate,
+    ...recAudit(r),
+  };
+}
+
+// DWPTreatmentUnitInfoDTO — the unit without its child arrays
+function toUnitInfo(u) {
+  const {
+    contDisinfectMon, treatmentUnitTreatments, treatmentUnitFlowRates,
+    treatmentUnitIndicators, treatmentUnitMeasures, ...info
+  } = u;
+  return info;
+}
+
+// ---------------------------------------------------------------------------
+// In-memory filtering — a facility's unit tree is loaded whole (it is a few
+// dozen rows at most), so both modes filter, sort and page it here, with
+// listRecords() (routes/attribute.js).
+// ---------------------------------------------------------------------------
+
+const UNIT_FILTERS = {
+  treatmentUnitId: [u => u.treatmentUnitId],
+  name: [u => u.name, 'contains'],
+  procTypeCode: [u => u.procType?.treatmentUnitTypeCode],
+  treatmentUnitSubTypeCode: [u => u.subType?.treatmentUnitSubTypeCode],
+  treatmentUnitAeratorTypeCode: [u => u.aeratorType?.treatmentUnitAeratorTypeCode],
+  treatmentUnitRemovalCode: [u => u.sludgeRemoval?.treatmentUnitRemovalCode],
+  treatmentUnitMediaCode: [u => u.filterMedia?.treatmentUnitMediaCode],
+  contDisinfectMon: [u => u.contDisinfectMon],
+  basinCount: [u => u.basinCount],
+  subUnitCount: [u => u.subUnitCount],
+};
+
+const TREATMENT_FILTERS = {
+  treatmentUnitTreatmentId: [t => t.treatmentUnitTreatmentId],
+  primaryInd: [t => t.primaryInd],
+  treatmentObjectiveCode: [t => t.treatmentObjectiveCode],
+  treatmentObjectiveName: [t => t.treatmentObjectiveName, 'contains'],
+  treatmentProcessCode: [t => t.treatmentProcessCode],
+  treatmentProcessName: [t => t.treatmentProcessName, 'contains'],
+  beginDate: [t => t.beginDate, 'from'],
+  endDate: [t => t.endDate, 'to'],
+};
+
+const ANALYTE_FILTERS = {
+  treatmentUnitTreatmentAnalyteId: [a => a.treatmentUnitTreatmentAnalyteId],
+  removalAddInd: [a => a.removalAddInd],
+  measureQuantity: [a => a.measureQuantity],
+  notes: [a => a.notes, 'contains'],
+  uomId: [a => a.uomId],
+  uomCode: [a => a.uomCode],
+  uomName: [a => a.uomName, 'contains'],
+  analyteId: [a => a.analyteId],
+  analyteCode: [a => a.analyteCode],
+  analyteName: [a => a.analyteName, 'contains'],
+};
+
+const MEASURE_FILTERS = {
+  treatmentUnitMeasureId: [m => m.treatmentUnitMeasureId],
+  measureCode: [m => m.treatmentUnitMeasureTypeCode],
+  uomId: [m => m.uomId],
+  quantity: [m => m.quantity],
+  startDateFrom: [m => m.startDate, 'from'],
+  startDateTo: [m => m.startDate, 'to'],
+  endDateFrom: [m => m.endDate, 'from'],
+  endDateTo: [m => m.endDate, 'to'],
+};
+
+const INDICATOR_FILTERS = {
+  treatmentUnitIndicatorId: [i => i.treatmentUnitIndicatorId],
+  treatmentUnitIndicatorTypeCode: [i => i.indicatorType?.treatmentUnitIndicatorTypeCode],
+  indicatorText: [i => i.indicatorText, 'contains'],
+  startDateFrom: [i => i.startDate, 'from'],
+  startDateTo: [i => i.startDate, 'to'],
+  endDateFrom: [i => i.endDate, 'from'],
+  endDateTo: [i => i.endDate, 'to'],
+};
+
+const FLOW_RATE_FILTERS = {
+  treatmentUnitFlowRateId: [r => r.treatmentUnitFlowRateId],
+  quantity: [r => r.quantity],
+  uomId: [r => r.uomId],
+  uomCode: [r => r.uomCode],
+  uomName: [r => r.uomName, 'contains'],
+  treatmentUnitFlowRateTypeCode: [r => r.treatmentUnitFlowRateTypeCode],
+  treatmentUnitFlowRateTypeName: [r => r.treatmentUnitFlowRateTypeName, 'contains'],
+  beginDateFrom: [r => r.beginDate, 'from'],
+  beginDateTo: [r => r.beginDate, 'to'],
+  endDateFrom: [r => r.endDate, 'from'],
+  endDateTo: [r => r.endDate, 'to'],
+};
+
+function notFound(res, message) {
+  return res.status(404).json({ error: { message } });
+}
+
+// Every route below reads the facility's units: res.locals.treatmentUnits
+router.use(async (req, res, next) => {
+  try {
+    const facilityId = Number(res.locals.facility.facilityId);
+    res.locals.treatmentUnits = (await loadTreatmentUnits([facilityId])).get(facilityId);
+    next();
+  } catch (err) {
+    console.error('Error loading treatment units:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+// Resolve {treatmentUnitId} against the facility's units
+router.param('treatmentUnitId', (req, res, next, id) => {
+  const unit = res.locals.treatmentUnits.find(u => u.treatmentUnitId === Number(id));
+  if (!unit) return notFound(res, `Treatment unit ${id} not found in facility ${req.params.facilityId}`);
+  res.locals.treatmentUnit = unit;
+  next();
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit:
+ *   get:
+ *     summary: List a facility's treatment units
+ *     description: >
+ *       Returns the facility's treatment units with their treatments, flow rates,
+ *       indicators and measures (TreatmentUnitListResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string }, description: "PWS ID (e.g., MS0250008)" }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer }, description: "Facility ID (internal sequence number)" }
+ *       - { in: query, name: treatmentUnitId, schema: { type: integer } }
+ *       - { in: query, name: name, schema: { type: string }, description: "Unit name contains filter (case-insensitive)" }
+ *       - { in: query, name: procTypeCode, schema: { type: string }, description: "Unit type (full list at /inventory/ref-tmnt-unit-type)" }
+ *       - { in: query, name: treatmentUnitSubTypeCode, schema: { type: string }, description: "See /inventory/ref-tmnt-unit-sub-type" }
+ *       - { in: query, name: treatmentUnitAeratorTypeCode, schema: { type: string }, description: "See /inventory/ref-tmnt-unit-aerator" }
+ *       - { in: query, name: treatmentUnitRemovalCode, schema: { type: string }, description: "See /inventory/ref-tmnt-unit-removal" }
+ *       - { in: query, name: treatmentUnitMediaCode, schema: { type: string }, description: "See /inventory/ref-tmnt-unit-media" }
+ *       - { in: query, name: contDisinfectMon, schema: { type: string }, description: "Continuous disinfectant monitoring (Y/N)" }
+ *       - { in: query, name: basinCount, schema: { type: number } }
+ *       - { in: query, name: subUnitCount, schema: { type: number } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 }, description: "Page number (0-indexed)" }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 }, description: "Results per page" }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated unit fields (e.g. name)" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of treatment units
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 treatmentUnits: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitDTO' } }
+ *       404:
+ *         description: Facility not found in this water system
+ */
+router.get('/', (req, res) => {
+  const { resultSummary, items } = listRecords(res.locals.treatmentUnits, req.query, UNIT_FILTERS);
+  res.json({ error: null, resultSummary, treatmentUnits: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}:
+ *   get:
+ *     summary: Get a treatment unit
+ *     description: Returns one treatment unit with a facility summary (FacilityTreatmentUnitResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Treatment unit found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 facilityInfo: { type: object, description: "DWPFacilityInfoDTO" }
+ *                 dwpTreatmentUnitDTO: { $ref: '#/components/schemas/DWPTreatmentUnitDTO' }
+ *       404:
+ *         description: Facility or treatment unit not found
+ */
+router.get('/:treatmentUnitId', (req, res) => {
+  res.json({
+    error: null,
+    facilityInfo: res.locals.facilityInfo,
+    dwpTreatmentUnitDTO: res.locals.treatmentUnit,
+  });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/treatment:
+ *   get:
+ *     summary: List a treatment unit's treatments
+ *     description: >
+ *       Returns the treatment objective/process pairs applied by the unit, with names
+ *       resolved (TreatmentUnitTreatmentListResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: query, name: treatmentUnitTreatmentId, schema: { type: integer } }
+ *       - { in: query, name: primaryInd, schema: { type: string }, description: "Primary treatment (Y/N)" }
+ *       - { in: query, name: treatmentObjectiveCode, schema: { type: string }, description: "See /inventory/ref-tmnt-objective" }
+ *       - { in: query, name: treatmentObjectiveName, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: treatmentProcessCode, schema: { type: string }, description: "See /inventory/ref-tmnt-process" }
+ *       - { in: query, name: treatmentProcessName, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: beginDate, schema: { type: string, format: date }, description: "Began on or after" }
+ *       - { in: query, name: endDate, schema: { type: string, format: date }, description: "Ended on or before" }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string }, description: "Comma-separated record fields" }
+ *       - { in: query, name: sortOrders, schema: { type: string }, description: "Comma-separated ASC/DESC" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of unit treatments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 treatmentUnitTreatments: { type: array, items: { $ref: '#/components/schemas/DWPTreatmentUnitTreatmentRecDTO' } }
+ */
+router.get('/:treatmentUnitId/treatment', (req, res) => {
+  const recs = res.locals.treatmentUnit.treatmentUnitTreatments.map(toTreatmentRec);
+  const { resultSummary, items } = listRecords(recs, req.query, TREATMENT_FILTERS);
+  res.json({ error: null, resultSummary, treatmentUnitTreatments: items });
+});
+
+function findTreatment(res, id) {
+  return res.locals.treatmentUnit.treatmentUnitTreatments.find(t => t.treatmentUnitTreatmentId === Number(id));
+}
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/treatment/{treatmentId}:
+ *   get:
+ *     summary: Get a treatment unit treatment
+ *     description: Returns one unit treatment with its analytes (TreatmentUnitTreatmentResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentId, required: true, schema: { type: integer }, description: "treatmentUnitTreatmentId" }
+ *     responses:
+ *       200:
+ *         description: Unit treatment found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 dwpTreatmentUnitTreatment: { $ref: '#/components/schemas/DWPTreatmentUnitTreatmentDTO' }
+ *       404:
+ *         description: Not found
+ */
+router.get('/:treatmentUnitId/treatment/:treatmentId', (req, res) => {
+  const treatment = findTreatment(res, req.params.treatmentId);
+  if (!treatment) {
+    return notFound(res, `Treatment ${req.params.treatmentId} not found in treatment unit ${req.params.treatmentUnitId}`);
+  }
+  res.json({ error: null, dwpTreatmentUnitTreatment: treatment });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/treatment/{treatmentUnitTreatmentId}/tmnt-analyte:
+ *   get:
+ *     summary: List a unit treatment's analytes
+ *     description: Returns the analytes removed or added by the treatment (TreatmentUnitTreatmentAnalyteListResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitTreatmentId, required: true, schema: { type: integer } }
+ *       - { in: query, name: treatmentUnitTreatmentAnalyteId, schema: { type: integer } }
+ *       - { in: query, name: removalAddInd, schema: { type: string }, description: "R=removed, A=added" }
+ *       - { in: query, name: measureQuantity, schema: { type: number } }
+ *       - { in: query, name: notes, schema: { type: string } }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: uomCode, schema: { type: string } }
+ *       - { in: query, name: uomName, schema: { type: string } }
+ *       - { in: query, name: analyteId, schema: { type: integer } }
+ *       - { in: query, name: analyteCode, schema: { type: string } }
+ *       - { in: query, name: analyteName, schema: { type: string } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of treatment analytes
+ *       404:
+ *         description: Not found
+ */
+router.get('/:treatmentUnitId/treatment/:treatmentUnitTreatmentId/tmnt-analyte', (req, res) => {
+  const treatment = findTreatment(res, req.params.treatmentUnitTreatmentId);
+  if (!treatment) {
+    return notFound(res, `Treatment ${req.params.treatmentUnitTreatmentId} not found in treatment unit ${req.params.treatmentUnitId}`);
+  }
+  const recs = treatment.treatmentUnitsTreatmentAnalytes.map(toAnalyteRec);
+  const { resultSummary, items } = listRecords(recs, req.query, ANALYTE_FILTERS);
+  res.json({ error: null, resultSummary, treatmentUnitTreatmentAnalytes: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/measure:
+ *   get:
+ *     summary: List a treatment unit's measures
+ *     description: Returns the unit's measures (TreatmentUnitMeasureListResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: query, name: treatmentUnitMeasureId, schema: { type: integer } }
+ *       - { in: query, name: measureCode, schema: { type: string } }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: quantity, schema: { type: number } }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of unit measures
+ */
+router.get('/:treatmentUnitId/measure', (req, res) => {
+  const recs = res.locals.treatmentUnit.treatmentUnitMeasures.map(toMeasureRec);
+  const { resultSummary, items } = listRecords(recs, req.query, MEASURE_FILTERS);
+  res.json({ error: null, resultSummary, treatmentUnitMeasureRecs: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/measure/{treatmentUnitMeasureId}:
+ *   get:
+ *     summary: Get a treatment unit measure
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitMeasureId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Measure found (TreatmentUnitMeasureResponseDTO)
+ *       404:
+ *         description: Not found
+ */
+router.get('/:treatmentUnitId/measure/:treatmentUnitMeasureId', (req, res) => {
+  const { treatmentUnitId, treatmentUnitMeasureId } = req.params;
+  const measure = res.locals.treatmentUnit.treatmentUnitMeasures
+    .find(m => m.treatmentUnitMeasureId === Number(treatmentUnitMeasureId));
+  if (!measure) return notFound(res, `Measure ${treatmentUnitMeasureId} not found in treatment unit ${treatmentUnitId}`);
+  res.json({ error: null, dwpTreatmentUnitMeasure: measure });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/indicator:
+ *   get:
+ *     summary: List a treatment unit's indicators
+ *     description: Returns the unit summary and its indicators (TreatmentUnitIndicatorListResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: query, name: treatmentUnitIndicatorId, schema: { type: integer } }
+ *       - { in: query, name: treatmentUnitIndicatorTypeCode, schema: { type: string }, description: "See /inventory/ref-tmnt-unit-indicator-type" }
+ *       - { in: query, name: indicatorText, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: startDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: startDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of unit indicators
+ */
+router.get('/:treatmentUnitId/indicator', (req, res) => {
+  const unit = res.locals.treatmentUnit;
+  const { resultSummary, items } = listRecords(unit.treatmentUnitIndicators, req.query, INDICATOR_FILTERS);
+  res.json({ error: null, resultSummary, treatmentUnitInfo: toUnitInfo(unit), treatmentUnitIndicators: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/indicator/{treatmentUnitIndicatorId}:
+ *   get:
+ *     summary: Get a treatment unit indicator
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitIndicatorId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Indicator found (TreatmentUnitIndicatorResponseDTO)
+ *       404:
+ *         description: Not found
+ */
+router.get('/:treatmentUnitId/indicator/:treatmentUnitIndicatorId', (req, res) => {
+  const { treatmentUnitId, treatmentUnitIndicatorId } = req.params;
+  const indicator = res.locals.treatmentUnit.treatmentUnitIndicators
+    .find(i => i.treatmentUnitIndicatorId === Number(treatmentUnitIndicatorId));
+  if (!indicator) return notFound(res, `Indicator ${treatmentUnitIndicatorId} not found in treatment unit ${treatmentUnitId}`);
+  res.json({ error: null, dwpTreatmentUnitIndicator: indicator });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/flow-rate:
+ *   get:
+ *     summary: List a treatment unit's flow rates
+ *     description: Returns the unit's design and peak flow rates (TreatmentUnitFlowRateListResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: query, name: treatmentUnitFlowRateId, schema: { type: integer } }
+ *       - { in: query, name: quantity, schema: { type: number } }
+ *       - { in: query, name: uomId, schema: { type: integer } }
+ *       - { in: query, name: uomCode, schema: { type: string } }
+ *       - { in: query, name: uomName, schema: { type: string } }
+ *       - { in: query, name: treatmentUnitFlowRateTypeCode, schema: { type: string }, description: "See /inventory/ref-tmnt-unit-flow-rate-type" }
+ *       - { in: query, name: treatmentUnitFlowRateTypeName, schema: { type: string } }
+ *       - { in: query, name: beginDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: beginDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: endDateTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of unit flow rates
+ */
+router.get('/:treatmentUnitId/flow-rate', (req, res) => {
+  const recs = res.locals.treatmentUnit.treatmentUnitFlowRates.map(toFlowRateRec);
+  const { resultSummary, items } = listRecords(recs, req.query, FLOW_RATE_FILTERS);
+  res.json({ error: null, resultSummary, treatmentUnitFlowRateRecs: items });
+});
+
+/**
+ * @openapi
+ * /inventory/water-system/{waterSystemId}/facility/{facilityId}/treatment-unit/{treatmentUnitId}/flowRate/{flowRateId}:
+ *   get:
+ *     summary: Get a treatment unit flow rate
+ *     description: Returns one flow rate with a facility summary (FacilityTreatmentUnitFlowRateResponseDTO).
+ *     tags: [Treatment Unit]
+ *     parameters:
+ *       - { in: path, name: waterSystemId, required: true, schema: { type: string } }
+ *       - { in: path, name: facilityId, required: true, schema: { type: integer } }
+ *       - { in: path, name: treatmentUnitId, required: true, schema: { type: integer } }
+ *       - { in: path, name: flowRateId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Flow rate found
+ *       404:
+ *         description: Not found
+ */
+router.get('/:treatmentUnitId/flowRate/:flowRateId', (req, res) => {
+  const { treatmentUnitId, flowRateId } = req.params;
+  const flowRate = res.locals.treatmentUnit.treatmentUnitFlowRates
+    .find(r => r.treatmentUnitFlowRateId === Number(flowRateId));
+  if (!flowRate) return notFound(res, `Flow rate ${flowRateId} not found in treatment unit ${treatmentUnitId}`);
+  res.json({ error: null, facilityInfo: res.locals.facilityInfo, dwpTreatmentUnitFlowRate: flowRate });
+});
+
+module.exports = router;
+module.exports.loadTreatmentUnits = loadTreatmentUnits;
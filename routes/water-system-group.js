@@ -0,0 +1,510 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DWPWSGroupRecDTO:
+ *       type: object
+ *       description: "Water system group search record"
+ *       properties:
+ *         waterSystemGroupId: { type: integer }
+ *         name: { type: string }
+ *         wsTypeCode: { type: string }
+ *         wsSourceCode: { type: string }
+ *         purpose: { type: string }
+ *         ownerId: { type: string }
+ *         createId: { type: string }
+ *         createDt: { type: string, format: date-time }
+ *         updateId: { type: string }
+ *         updateDt: { type: string, format: date-time }
+ *         type: { type: string, description: "Static or Dynamic" }
+ *     DWPWaterSystemStaticMemberDTO:
+ *       type: object
+ *       properties:
+ *         waterSystemId: { type: string }
+ *         name: { type: string }
+ *         altPANumber: { type: string }
+ *         localName: { type: string }
+ *         fedPopulation: { type: integer }
+ *         grandTotalPopulation: { type: integer }
+ *         fedTotalWholesalePopulation: { type: integer }
+ *         fedDirectWholesalePopulation: { type: integer }
+ *         fedIndirectWholesalePopulation: { type: integer }
+ *         ownerType: { $ref: '#/components/schemas/RefCodeDTO' }
+ *         waterSystemType: { $ref: '#/components/schemas/RefCodeDTO' }
+ *         fedWaterSystemType: { $ref: '#/components/schemas/RefCodeDTO' }
+ *         fedWaterSystemSourceType: { $ref: '#/components/schemas/RefCodeDTO' }
+ *         waterSystemStatus: { $ref: '#/components/schemas/RefCodeDTO' }
+ *         seasonalInd: { type: string, nullable: true }
+ *     DWPWSGroupAssocDTO:
+ *       type: object
+ *       properties:
+ *         waterSystemGroupAssocId: { type: integer }
+ *         waterSystemId: { type: string }
+ *         waterSystem: { $ref: '#/components/schemas/DWPWaterSystemStaticMemberDTO' }
+ *     DWPWSGGeographicAreaDTO:
+ *       type: object
+ *       properties:
+ *         wsgGeoAreaId: { type: integer }
+ *         areaTypeCode: { type: string }
+ *         tribalSeqId: { type: integer, nullable: true }
+ *         primaryIndicator: { type: string }
+ *         principleIndicator: { type: string }
+ *         latitude: { type: number, nullable: true }
+ *         longitude: { type: number, nullable: true }
+ *         areaName: { type: string }
+ *     DWPWSGroupDTO:
+ *       type: object
+ *       description: >
+ *         A named group of water systems. Static groups list their members; dynamic groups
+ *         hold criteria (status, types, population range, geographic areas) that select them.
+ *       properties:
+ *         waterSystemGroupId: { type: integer }
+ *         name: { type: string }
+ *         staticGroupMembers: { type: array, items: { $ref: '#/components/schemas/DWPWSGroupAssocDTO' } }
+ *         waterSystemStaticMembers: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemStaticMemberDTO' } }
+ *         geographicAreas: { type: array, items: { $ref: '#/components/schemas/DWPWSGGeographicAreaDTO' } }
+ *         paWSStatusCode: { type: string }
+ *         fedWSTypeCode: { type: string }
+ *         fedWSSrcCode: { type: string }
+ *         regulatingAgencyId: { type: integer }
+ *         ownerId: { type: string }
+ *         seasonalInd: { type: string }
+ *         lowPopCount: { type: integer }
+ *         highPopCount: { type: integer }
+ *         wsTypeCode: { type: string }
+ *         wsSourceCode: { type: string }
+ *         beginDt: { type: string, format: date }
+ *         endDt: { type: string, format: date }
+ *         purpose: { type: string }
+ *         type: { type: object, properties: { waterSystemGroupId: { type: integer }, name: { type: string } } }
+ */
+
+const { Router } = require('express');
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const { pwsidInScope } = require('../auth');
+const { resultSummary } = require('../cursor');
+const { listWaterSystems, findWaterSystemDetails } = require('./water-system');
+const { listRecords } = require('./attribute');
+
+const router = Router();
+
+// Group store — SDWIS/STATE has no water system groups, so they are kept in a
+// JSON file (WS_GROUP_FILE; the bundled demo file in demo mode), read once on
+// first use. Each entry carries the DWPWSGroupDTO properties plus:
+//   type              'STATIC' or 'DYNAMIC'
+//   members           static groups: [{ waterSystemGroupAssocId, waterSystemId, audit fields }]
+//   geographicAreas   dynamic groups: DWPWSGGeographicAreaDTOs, each with the
+//                     area's relatedCode (FIPS / ANSI) used to select systems
+let _groups = null;
+function getGroups() {
+  if (!_groups) {
+    const file = process.env.WS_GROUP_FILE
+      || (db.mode === 'demo' ? path.join(__dirname, '..', 'demo', 'water-system-groups.json') : null);
+    _groups = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  }
+  return _groups;
+}
+
+// RefWSGroupTypeDTO by store type
+const GROUP_TYPES = {
+  STATIC: { waterSystemGroupId: 1, name: 'Static' },
+  DYNAMIC: { waterSystemGroupId: 2, name: 'Dynamic' },
+};
+
+function findGroup(groupId, type) {
+  return getGroups().find(g => g.waterSystemGroupId === Number(groupId) && g.type === type) || null;
+}
+
+function notFound(res, groupId, type) {
+  return res.status(404).json({
+    error: { message: `${GROUP_TYPES[type].name} water system group ${groupId} not found` },
+  });
+}
+
+function auditFields(record) {
+  return {
+    removeId: null,
+    removeDt: null,
+    createId: record.createId ?? null,
+    createDt: record.createDt ?? null,
+    updateId: record.updateId ?? null,
+    updateDt: record.updateDt ?? null,
+  };
+}
+
+// DWPWSGroupRecDTO — the search result row
+function toGroupRec(group) {
+  return {
+    waterSystemGroupId: group.waterSystemGroupId,
+    name: group.name,
+    wsTypeCode: group.wsTypeCode ?? null,
+    wsSourceCode: group.wsSourceCode ?? null,
+    purpose: group.purpose ?? null,
+    ownerId: group.ownerId ?? null,
+    createId: group.createId ?? null,
+    createDt: group.createDt ?? null,
+    updateId: group.updateId ?? null,
+    updateDt: group.updateDt ?? null,
+    type: GROUP_TYPES[group.type].name,
+  };
+}
+
+// DWPWaterSystemStaticMemberDTO from a DWPWaterSystemDTO
+function toStaticMember(ws) {
+  return {
+    waterSystemId: ws.waterSystemId,
+    name: ws.name,
+    altPANumber: ws.altPANumber,
+    localName: ws.localName,
+    fedPopulation: ws.fedPopulation,
+    grandTotalPopulation: ws.grandTotalPopulation,
+    fedTotalWholesalePopulation: ws.fedTotalWholesalePopulation,
+    fedDirectWholesalePopulation: ws.fedDirectWholesalePopulation,
+    fedIndirectWholesalePopulation: ws.fedIndirectWholesalePopulation,
+    ownerType: ws.ownerType,
+    waterSystemType: ws.waterSystemType,
+    fedWaterSystemType: ws.fedWaterSystemType,
+    fedWaterSystemSourceType: ws.fedWaterSystemSourceType,
+    waterSystemStatus: ws.waterSystemStatus,
+    seasonalInd: ws.seasonalInd,
+    createId: ws.createLanId,
+    createDt: ws.createDt,
+    updateId: ws.updateLanId,
+    updateDt: ws.updateDt,
+    removeId: null,            // SF-only, no SS equivalent
+    removeDt: null,            // SF-only, no SS equivalent
+  };
+}
+
+// DWPWSGGeographicAreaDTO — the stored area without its relatedCode
+function toGroupGeographicArea(area) {
+  return {
+    wsgGeoAreaId: area.wsgGeoAreaId,
+    areaTypeCode: area.areaTypeCode ?? null,
+    tribalSeqId: area.tribalSeqId ?? null,
+    primaryIndicator: area.primaryIndicator ?? null,
+    principleIndicator: area.principleIndicator ?? null,
+    latitude: area.latitude ?? null,
+    longitude: area.longitude ?? null,
+    areaName: area.areaName ?? null,
+    ...auditFields(area),
+  };
+}
+
+// DWPWSGroupDTO. A static group's members are resolved to their water systems;
+// a dynamic group's are listed by /dynamic/members. Members outside the
+// caller's PWSID prefixes (`auth`, req.auth) are left out.
+async function toGroupDTO(group, auth) {
+  const members = (group.members || []).filter(m => pwsidInScope(auth, m.waterSystemId));
+  const waterSystems = await findWaterSystemDetails(members.map(m => m.waterSystemId));
+  const staticGroupMembers = members.map(m => ({
+    waterSystemGroupAssocId: m.waterSystemGroupAssocId,
+    waterSystemId: m.waterSystemId,
+    waterSystem: waterSystems.has(m.waterSystemId) ? toStaticMember(waterSystems.get(m.waterSystemId)) : null,
+    ...auditFields(m),
+  }));
+  return {
+    waterSystemGroupId: group.waterSystemGroupId,
+    name: group.name,
+    staticGroupMembers,
+    waterSystemStaticMembers: staticGroupMembers.map(m => m.waterSystem).filter(Boolean),
+    geographicAreas: (group.geographicAreas || []).map(toGroupGeographicArea),
+    paWSStatusCode: group.paWSStatusCode ?? null,
+    fedWSTypeCode: group.fedWSTypeCode ?? null,
+    fedWSSrcCode: group.fedWSSrcCode ?? null,
+    regulatingAgencyId: group.regulatingAgencyId ?? null,
+    ownerId: group.ownerId ?? null,
+    seasonalInd: group.seasonalInd ?? null,
+    lowPopCount: group.lowPopCount ?? null,
+    highPopCount: group.highPopCount ?? null,
+    wsTypeCode: group.wsTypeCode ?? null,
+    wsSourceCode: group.wsSourceCode ?? null,
+    beginDt: group.beginDt ?? null,
+    endDt: group.endDt ?? null,
+    purpose: group.purpose ?? null,
+    ...auditFields(group),
+    type: GROUP_TYPES[group.type],
+  };
+}
+
+// Dynamic group criteria the water system list cannot apply: SDWIS/STATE has
+// no seasonal indicator, and the list selects neither by regulating agency nor
+// by a begin / end date. Members of a group using them would be a superset of
+// the group, so its member list responds 400 instead.
+const UNSUPPORTED_CRITERIA = ['regulatingAgencyId', 'seasonalInd', 'beginDt', 'endDt'];
+
+// A dynamic group's criteria as water system list filters (see GET
+// /inventory/water-system); throws (status 400) for UNSUPPORTED_CRITERIA
+function dynamicFilters(group) {
+  const unsupported = UNSUPPORTED_CRITERIA.filter(c => group[c] != null && group[c] !== '');
+  if (unsupported.length) {
+    throw Object.assign(new Error(
+      `Dynamic water system group ${group.waterSystemGroupId} selects by ${unsupported.join(', ')}, `
+      + 'which the water system list cannot apply'
+    ), { status: 400 });
+  }
+  const areaCodes = (group.geographicAreas || []).map(a => a.relatedCode).filter(Boolean);
+  return {
+    wsStatusCode: group.paWSStatusCode,
+    fedWSTypeCode: group.fedWSTypeCode,
+    fedWSSourceCode: group.fedWSSrcCode,
+    paWSTypeCode: group.wsTypeCode,
+    'wsSourceCode[eq]': group.wsSourceCode,
+    fedPopulationFrom: group.lowPopCount,
+    fedPopulationTo: group.highPopCount,
+    geographicAreaCode: areaCodes.length ? areaCodes.join(',') : null,
+  };
+}
+
+// Combine the caller's member filters with the group's: the tighter population
+// bound wins, area codes intersect, and any other filter the caller sets to a
+// different value leaves no members (null).
+function narrowQuery(query, filters) {
+  const narrowed = { ...query };
+  for (const [param, value] of Object.entries(filters)) {
+    if (value == null) continue;
+    const wanted = query[param];
+    if (wanted === undefined || wanted === '') {
+      narrowed[param] = value;
+    } else if (param === 'fedPopulationFrom') {
+      narrowed[param] = Math.max(Number(wanted), value);
+    } else if (param === 'fedPopulationTo') {
+      narrowed[param] = Math.min(Number(wanted), value);
+    } else if (param === 'geographicAreaCode') {
+      const codes = String(wanted).split(',').filter(c => value.split(',').includes(c.trim()));
+      if (!codes.length) return null;
+      narrowed[param] = codes.join(',');
+    } else if (String(wanted) !== String(value)) {
+      return null;
+    }
+  }
+  return narrowed;
+}
+
+// Query filters for the group search: query param → [DWPWSGroupRecDTO getter, match]
+const GROUP_FILTERS = {
+  typeName: [g => g.type, 'contains'],
+  name: [g => g.name, 'contains'],
+  paWSTypeCode: [g => g.wsTypeCode],
+  paWSSourceCode: [g => g.wsSourceCode],
+  createId: [g => g.createId],
+  updateId: [g => g.updateId],
+  ownerId: [g => g.ownerId],
+  purpose: [g => g.purpose, 'contains'],
+  createDtFrom: [g => g.createDt, 'from'],
+  createDtTo: [g => g.createDt, 'to'],
+  updateDtFrom: [g => g.updateDt, 'from'],
+  updateDtTo: [g => g.updateDt, 'to'],
+};
+
+/**
+ * @openapi
+ * /inventory/water-system-group:
+ *   get:
+ *     summary: Search water system groups
+ *     description: >
+ *       Returns the static and dynamic water system groups (DWPWSGroupRecDTO), e.g. a district
+ *       office's portfolio or "community systems in county X".
+ *     tags: [Water System Group]
+ *     parameters:
+ *       - { in: query, name: typeName, schema: { type: string }, description: "Static or Dynamic (contains, case-insensitive)" }
+ *       - { in: query, name: name, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: paWSTypeCode, schema: { type: string } }
+ *       - { in: query, name: paWSSourceCode, schema: { type: string } }
+ *       - { in: query, name: createId, schema: { type: string } }
+ *       - { in: query, name: updateId, schema: { type: string } }
+ *       - { in: query, name: ownerId, schema: { type: string } }
+ *       - { in: query, name: purpose, schema: { type: string }, description: "Contains filter (case-insensitive)" }
+ *       - { in: query, name: createDtFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: createDtTo, schema: { type: string, format: date } }
+ *       - { in: query, name: updateDtFrom, schema: { type: string, format: date } }
+ *       - { in: query, name: updateDtTo, schema: { type: string, format: date } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: sortColumns, schema: { type: string } }
+ *       - { in: query, name: sortOrders, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Paginated list of water system groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemGroups: { type: array, items: { $ref: '#/components/schemas/DWPWSGroupRecDTO' } }
+ */
+router.get('/', (req, res) => {
+  try {
+    const { resultSummary, items } = listRecords(getGroups().map(toGroupRec), req.query, GROUP_FILTERS);
+    res.json({ error: null, resultSummary, waterSystemGroups: items });
+  } catch (err) {
+    console.error('Error listing water system groups:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+// GET /{id}/static and /{id}/dynamic
+function groupHandler(type) {
+  return async (req, res) => {
+    try {
+      const group = findGroup(req.params.id, type);
+      if (!group) return notFound(res, req.params.id, type);
+
+      res.json({ error: null, waterSystemGroup: await toGroupDTO(group, req.auth) });
+    } catch (err) {
+      console.error('Error getting water system group:', err);
+      res.status(500).json({ error: { message: err.message } });
+    }
+  };
+}
+
+// GET /{waterSystemGroupId}/static/members and /dynamic/members: one page of
+// the group's water systems, narrowed further by the water system list filters
+function membersHandler(type) {
+  return async (req, res) => {
+    try {
+      const group = findGroup(req.params.waterSystemGroupId, type);
+      if (!group) return notFound(res, req.params.waterSystemGroupId, type);
+
+      // A static group lists its members; filters conflicting with a dynamic
+      // group's criteria select none
+      const query = type === 'STATIC' ? req.query : narrowQuery(req.query, dynamicFilters(group));
+      const waterSystemIds = type === 'STATIC' ? group.members.map(m => m.waterSystemId) : (query ? undefined : []);
+      const { waterSystems, ...page } = await listWaterSystems(query || req.query, { waterSystemIds, auth: req.auth });
+
+      res.json({
+        error: null,
+        resultSummary: resultSummary(page),
+        waterSystemGroup: toGroupRec(group),
+        waterSystemStaticMembers: waterSystems.map(toStaticMember),
+      });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+      console.error('Error listing water system group members:', err);
+      res.status(500).json({ error: { message: err.message } });
+    }
+  };
+}
+
+/**
+ * @openapi
+ * /inventory/water-system-group/{id}/static:
+ *   get:
+ *     summary: Get a static water system group
+ *     description: Returns the group with its members (staticGroupMembers) and their water systems (waterSystemStaticMembers).
+ *     tags: [Water System Group]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Water system group found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 waterSystemGroup: { $ref: '#/components/schemas/DWPWSGroupDTO' }
+ *       404:
+ *         description: No static group with this id
+ */
+router.get('/:id/static', groupHandler('STATIC'));
+
+/**
+ * @openapi
+ * /inventory/water-system-group/{id}/dynamic:
+ *   get:
+ *     summary: Get a dynamic water system group
+ *     description: >
+ *       Returns the group's criteria and geographic areas. Its members are evaluated on request
+ *       by /{waterSystemGroupId}/dynamic/members.
+ *     tags: [Water System Group]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Water system group found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 waterSystemGroup: { $ref: '#/components/schemas/DWPWSGroupDTO' }
+ *       404:
+ *         description: No dynamic group with this id
+ */
+router.get('/:id/dynamic', groupHandler('DYNAMIC'));
+
+/**
+ * @openapi
+ * /inventory/water-system-group/{waterSystemGroupId}/static/members:
+ *   get:
+ *     summary: List a static group's water systems
+ *     description: Returns one page of the group's members, filtered and sorted like GET /inventory/water-system.
+ *     tags: [Water System Group]
+ *     x-list-fields: DWPWaterSystemDTO
+ *     parameters:
+ *       - { in: path, name: waterSystemGroupId, required: true, schema: { type: integer } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: cursor, schema: { type: string }, description: "Page by cursor, as on /inventory/water-system" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of member water systems
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemGroup: { $ref: '#/components/schemas/DWPWSGroupRecDTO' }
+ *                 waterSystemStaticMembers: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemStaticMemberDTO' } }
+ *       404:
+ *         description: No static group with this id
+ */
+router.get('/:waterSystemGroupId/static/members', membersHandler('STATIC'));
+
+/**
+ * @openapi
+ * /inventory/water-system-group/{waterSystemGroupId}/dynamic/members:
+ *   get:
+ *     summary: Evaluate a dynamic group's water systems
+ *     description: >
+ *       Returns one page of the water systems the group's criteria select today: paWSStatusCode,
+ *       fedWSTypeCode, fedWSSrcCode, wsTypeCode, wsSourceCode, lowPopCount/highPopCount and any
+ *       of its geographic areas. Takes the same filters as /static/members to narrow the result.
+ *       A group selecting by regulatingAgencyId, seasonalInd or beginDt/endDt responds 400, as
+ *       the water system list cannot apply them. Not part of the DW-SFTIES spec.
+ *     tags: [Water System Group]
+ *     x-list-fields: DWPWaterSystemDTO
+ *     parameters:
+ *       - { in: path, name: waterSystemGroupId, required: true, schema: { type: integer } }
+ *       - { in: query, name: pageNumber, schema: { type: integer, default: 0 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, default: 10, maximum: 100 } }
+ *       - { in: query, name: cursor, schema: { type: string }, description: "Page by cursor, as on /inventory/water-system" }
+ *     responses:
+ *       200:
+ *         description: Paginated list of member water systems
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 resultSummary: { type: object }
+ *                 waterSystemGroup: { $ref: '#/components/schemas/DWPWSGroupRecDTO' }
+ *                 waterSystemStaticMembers: { type: array, items: { $ref: '#/components/schemas/DWPWaterSystemStaticMemberDTO' } }
+ *       400:
+ *         description: Bad member filter, or the group uses a criterion that cannot be applied
+ *       404:
+ *         description: No dynamic group with this id
+ */
+router.get('/:waterSystemGroupId/dynamic/members', membersHandler('DYNAMIC'));
+
+module.exports = router;
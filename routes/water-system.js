@@ -24,8 +24,14 @@
  *         gwUDIPCT: { type: number, description: "GW under direct influence %" }
  *         gwUDIPurchasePCT: { type: number, description: "Purchased GW UDI %" }
  *         fedPopulation: { type: integer, description: "Federal population served" }
- *         grandTotalPopulation: { type: integer, description: "Grand total population" }
+ *         grandTotalPopulation: { type: integer, description: "All populations (residential, non-transient, transient) served during the current operating period" }
+ *         fedTotalWholesalePopulation: { type: integer, description: "Direct plus indirect wholesale population" }
+ *         fedDirectWholesalePopulation: { type: integer, description: "Population of the systems that buy from this one" }
+ *         fedIndirectWholesalePopulation: { type: integer, description: "Population of the systems further down the purchase chain" }
  *         daysServingCount: { type: integer, description: "Days per year serving 25+ persons" }
+ *         opInd: { type: string, nullable: true, description: "Y when an annual operating period is in effect today, N when the last one has ended, null without operating periods" }
+ *         opBeginDt: { type: string, format: date, nullable: true, description: "Effective start of the current (or most recent) operating period" }
+ *         opEndDt: { type: string, format: date, nullable: true, description: "Effective end of that operating period (null = open-ended)" }
  *         ownerType: { $ref: '#/components/schemas/RefCodeDTO' }
  *         waterSystemType: { $ref: '#/components/schemas/RefCodeDTO' }
  *         waterSystemSourceType: { $ref: '#/components/schemas/RefCodeDTO' }
@@ -37,16 +43,63 @@
  *         paStatusNotes: { type: string }
  *         notes: { type: string }
  *         seasonalInd: { type: string, nullable: true }
- *         wholeSalerInd: { type: string, nullable: true }
+ *         wholeSalerInd: { type: string, description: "Y when another water system buys from this one" }
  *         createLanId: { type: string }
  *         updateLanId: { type: string }
  *         createDt: { type: string, format: date-time }
  *         updateDt: { type: string, format: date-time }
+ *         dwpWaterSystemAnnualOperatingPeriods:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemAnnualOperatingPeriodDTO' }
+ *         waterSystemServiceConnections:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemServiceConnectionDTO' }
+ *         wsServiceLines:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemServiceLineDTO' }
+ *         dwpWSServiceArea:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWSServiceAreaDTO' }
+ *         pocs:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPLegalEntityWSPOCDTO' }
+ *         regulatingAgencies:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPRAWSAssocDTO' }
+ *         measures:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemMeasureDTO' }
+ *         wsIndicators:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemIndicatorDTO' }
+ *         waterSystemFlowRates:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemFlowRateDTO' }
+ *         certifications:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWaterSystemCertificationDTO' }
+ *         geographicAreas:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/DWPWSGeographicAreaDTO' }
  */
 
 const { Router } = require('express');
 const path = require('path');
 const db = require('../db');
+const { forbidden, pwsidInScope, pwsidScopeCondition } = require('../auth');
+const { sendExport, batches } = require('../export');
+const { usesCursor, keysetQuery, keysetPage, demoPage, resultSummary } = require('../cursor');
+const { feedStart, pageSizeOf, changeText, changeQuery, changePage, demoChanges, changeSummary } = require('../changes');
+const { currentAgency } = require('../agency');
+const { fieldRegistry } = require('../fields');
+const { loadOperatingPeriods, currentOperatingPeriod } = require('./operating-period');
+const { loadServiceConnections } = require('./service-connection');
+const { loadServiceLines } = require('./service-line');
+const { loadServiceAreas } = require('./service-area');
+const { loadGeographicAreas, servesArea, servesAreaCondition } = require('./geographic-area');
+const { loadWaterSystemPOCs } = require('./point-of-contact');
+const { loadRegulatingAgencies, toRAWSAssoc } = require('./regulating-agency');
+const { loadAttributes } = require('./attribute');
 
 const router = Router();
 
@@ -59,133 +112,374 @@ function getDemoData() {
   return _demoData;
 }
 
-// In-memory filtering for demo mode
-function filterDemo(data, query) {
-  let results = [...data];
-
-  if (query.waterSystemId) {
-    const prefix = query.waterSystemId.toUpperCase();
-    results = results.filter(ws => ws.waterSystemId?.startsWith(prefix));
+// Demo purchases (owned by purchase.js) — read here for the wholesale populations
+let _demoPurchases = null;
+function getDemoPurchases() {
+  if (!_demoPurchases) {
+    _demoPurchases = require(path.join(__dirname, '..', 'demo', 'purchases.json'));
   }
-  if (query.name) {
-    const term = query.name.toLowerCase();
-    results = results.filter(ws => ws.name?.toLowerCase().includes(term));
+  return _demoPurchases;
+}
+
+// SDWIS/STATE schema — configurable per installation
+// Default 'dbo' works for SQL Server; Oracle/PostgreSQL installations may use 'msr30' or other.
+// SDWIS/STATE schema prefix — most installations use default namespace (no prefix).
+// Set SDWIS_SCHEMA to 'msr30' or 'dbo' if your tables are in a named schema.
+const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
+
+// Column mapping: SS (tinwsys ws) → SF DWPWaterSystemDTO, with the list's
+// filters and sort fields (see fields.js)
+// Source: mapper.py analysis of DWP_WATER_SYSTEM
+const FIELDS = fieldRegistry({
+  dto: 'DWPWaterSystemDTO',
+  alias: 'ws',
+  defaultSort: 'name',
+  fields: [
+    { field: 'waterSystemId', column: 'number0', type: 'trim', sort: true, filter: 'startsWith', doc: 'PWS ID starts-with filter (e.g., MS035)' },
+    { field: 'name', column: 'name', sort: true, filter: 'contains', doc: 'Water system name contains filter (case-insensitive)' },
+    { field: 'localName', column: 'local_name', sort: true },
+    { field: 'altPANumber', column: 'alternate_st_num' },
+    { field: 'swPCT', column: 'surf_wtr_ratio', type: 'number' },
+    { field: 'swPurchasePCT', column: 'surf_wtr_pur_ratio', type: 'number' },
+    { field: 'gwPCT', column: 'grnd_wtr_ratio', type: 'number' },
+    { field: 'gwPurchasePCT', column: 'grnd_wtr_pur_ratio', type: 'number' },
+    { field: 'gwUDIPCT', column: 'grnd_wtr_udi_ratio', type: 'number' },
+    { field: 'gwUDIPurchasePCT', column: 'grnd_wtr_udi_purch', type: 'number' },
+    { field: 'fedPopulation', column: 'd_population_count', type: 'integer', sort: true, filter: 'range', doc: 'population' },
+    // until withChildRecords() sums the AOP populations, so no SQL filter
+    { field: 'grandTotalPopulation', column: 'd_population_count', sql: null, type: 'integer' },
+    { field: 'daysServingCount', column: 'days_serving_count', type: 'integer' },
+    { field: 'ownerType.wsOwnerTypeCode', column: 'owner_type_code', type: 'code', sort: true, filter: 'exact',
+      doc: 'Owner type code (F=Federal, L=Local, P=Private, S=State; full list at /inventory/ws-owner-type)' },
+    { field: 'waterSystemType.wsTypeCode', column: 'pws_st_type_cd', type: 'code', name: 'paWSTypeCode', filter: 'exact',
+      doc: 'Primacy agency (state) system type code; full list at /inventory/ws-type' },
+    { field: 'waterSystemSourceType.wsSourceCode', column: 'd_st_prim_src_cd', type: 'code' },
+    { field: 'fedWaterSystemType.wsTypeCode', column: 'd_pws_fed_type_cd', type: 'code', name: 'fedWSTypeCode', sort: true, filter: 'exact',
+      doc: 'Federal system type (C, NC, NTNC, NP; full list at /inventory/ws-type)' },
+    { field: 'fedWaterSystemSourceType.wsSourceCode', column: 'd_fed_prim_src_cd', type: 'code', name: 'fedWSSourceCode', sort: true, filter: 'exact',
+      doc: 'Federal water source (GW, SW, GWP, SWP; full list at /inventory/ws-source)' },
+    { field: 'waterSystemStatus.wsStatusCode', column: 'activity_status_cd', type: 'code', sort: true, filter: 'exact',
+      doc: 'Exact status code (A=Active, I=Inactive; full list at /inventory/ws-status)' },
+    { field: 'waterSystemStatusDt', column: 'activity_date', type: 'date' },
+    { field: 'waterSystemStatusReason.reasonCode', column: 'activity_reason_cd', type: 'code' },
+    { field: 'paStatusNotes', column: 'activity_rsn_txt' },
+    { field: 'notes', column: 'memo_text' },
+    { field: 'seasonalInd', column: null },    // SF-only, no SS equivalent
+    { field: 'wholeSalerInd', column: null },  // derived from tinwspur by withChildRecords()
+    { field: 'createLanId', column: 'd_initial_userid', type: 'trim' },
+    { field: 'updateLanId', column: 'd_userid_code', type: 'trim' },
+    { field: 'createDt', column: 'd_initial_ts', type: 'date', sort: true },
+    { field: 'updateDt', column: 'd_last_updt_ts', type: 'date' },
+  ],
+});
+
+const mapRow = FIELDS.mapRow;
+
+// Purchase edges (seller PWSID → buyer PWSID, with the buyer's population) of a
+// set of sellers
+async function purchaseEdges(sellerIds) {
+  if (!sellerIds.length) return [];
+
+  if (db.mode === 'demo') {
+    const sellers = new Set(sellerIds);
+    const populations = new Map(getDemoData().map(ws => [ws.waterSystemId, ws.fedPopulation]));
+    return getDemoPurchases()
+      .filter(p => sellers.has(p.sellerWaterSystem.waterSystemId))
+      .map(p => ({
+        seller: p.sellerWaterSystem.waterSystemId,
+        buyer: p.buyerWaterSystem.waterSystemId,
+        population: populations.get(p.buyerWaterSystem.waterSystemId) || 0,
+      }));
   }
-  if (query.wsStatusCode) {
-    results = results.filter(ws => ws.waterSystemStatus?.wsStatusCode === query.wsStatusCode);
+
+  const inList = sellerIds.map((_, i) => `$${i + 2}`).join(', ');
+  const rows = await db.query(
+    `SELECT DISTINCT TRIM(sws.number0) as seller_pwsid, TRIM(bws.number0) as buyer_pwsid, bws.d_population_count
+       FROM ${SCHEMA_PREFIX}tinwspur pu
+       JOIN ${SCHEMA_PREFIX}tinwsys sws
+         ON sws.tinwsys_is_number = pu.seller_tinwsys_is_number
+        AND sws.tinwsys_st_code = pu.seller_tinwsys_st_code
+       JOIN ${SCHEMA_PREFIX}tinwsys bws
+         ON bws.tinwsys_is_number = pu.buyer_tinwsys_is_number
+        AND bws.tinwsys_st_code = pu.buyer_tinwsys_st_code
+      WHERE sws.tinwsys_st_code = $1 AND TRIM(sws.number0) IN (${inList})`,
+    [currentAgency(), ...sellerIds]
+  );
+  return rows.map(r => ({ seller: r.seller_pwsid, buyer: r.buyer_pwsid, population: Number(r.d_population_count) || 0 }));
+}
+
+// Wholesale populations of a page of water systems: Map waterSystemId →
+// { direct, indirect, buyers }. Walks the purchase chain one level at a time for
+// the whole page; each buyer counts once, at the first level it is reached, so
+// systems buying from two sellers in the chain and purchase loops are safe.
+async function loadWholesaleSummaries(waterSystemIds) {
+  const walks = waterSystemIds.map(id => ({
+    id, seen: new Set([id]), frontier: [id], level: 0, direct: 0, indirect: 0, buyers: 0,
+  }));
+
+  while (walks.some(w => w.frontier.length)) {
+    const edges = await purchaseEdges([...new Set(walks.flatMap(w => w.frontier))]);
+    for (const walk of walks) {
+      const frontier = new Set(walk.frontier);
+      walk.frontier = [];
+      for (const edge of edges) {
+        if (!frontier.has(edge.seller) || walk.seen.has(edge.buyer)) continue;
+        walk.seen.add(edge.buyer);
+        walk.frontier.push(edge.buyer);
+        if (walk.level === 0) {
+          walk.direct += edge.population;
+          walk.buyers++;
+        } else {
+          walk.indirect += edge.population;
+        }
+      }
+      walk.level++;
+    }
   }
-  if (query.fedWSSourceCode) {
-    results = results.filter(ws => ws.fedWaterSystemSourceType?.wsSourceCode === query.fedWSSourceCode);
+
+  return new Map(walks.map(w => [w.id, w]));
+}
+
+// Attach the child collections other route modules load for a page of water
+// systems (DWPWaterSystemDTO.dwpWaterSystemAnnualOperatingPeriods,
+// .waterSystemServiceConnections, .wsServiceLines, .dwpWSServiceArea,
+// .geographicAreas, .pocs, .regulatingAgencies and the measures, wsIndicators, waterSystemFlowRates and
+// certifications attribute families)
+// and derive the op* fields from the current operating period and the
+// wholesale fields from the purchase chain.
+// grandTotalPopulation sums every population type served during that period,
+// so seasonal and transient systems count their visitors too; systems without
+// operating periods keep the single d_population_count.
+// Returns new objects so the cached demo rows are never mutated.
+const dateOnly = v => (v != null ? new Date(v).toISOString().slice(0, 10) : null);
+
+async function withChildRecords(waterSystems) {
+  const ids = waterSystems.map(ws => ws.waterSystemId);
+  const [periods, connections, serviceLines, areas, geoAreas, wholesale, pocs, agencies, attributes] = await Promise.all([
+    loadOperatingPeriods(ids),
+    loadServiceConnections(ids),
+    loadServiceLines(ids),
+    loadServiceAreas(ids),
+    loadGeographicAreas(ids),
+    loadWholesaleSummaries(ids),
+    loadWaterSystemPOCs(ids),
+    loadRegulatingAgencies(ids),
+    loadAttributes('waterSystem', ids),
+  ]);
+  return waterSystems.map(ws => {
+    const aops = periods.get(ws.waterSystemId) || [];
+    return {
+      ...ws,
+      ...derivedFields(ws, aops, wholesale.get(ws.waterSystemId)),
+      dwpWaterSystemAnnualOperatingPeriods: aops,
+      waterSystemServiceConnections: connections.get(ws.waterSystemId) || [],
+      wsServiceLines: serviceLines.get(ws.waterSystemId) || [],
+      dwpWSServiceArea: areas.get(ws.waterSystemId) || [],
+      geographicAreas: geoAreas.get(ws.waterSystemId) || [],
+      pocs: pocs.get(ws.waterSystemId) || [],
+      regulatingAgencies: (agencies.get(ws.waterSystemId) || []).map(toRAWSAssoc),
+      ...attributes.get(ws.waterSystemId),
+    };
+  });
+}
+
+// Derived fields only, without the child collections (for the export)
+async function withDerivedFields(waterSystems) {
+  const ids = waterSystems.map(ws => ws.waterSystemId);
+  const [periods, wholesale] = await Promise.all([loadOperatingPeriods(ids), loadWholesaleSummaries(ids)]);
+  return waterSystems.map(ws => ({
+    ...ws,
+    ...derivedFields(ws, periods.get(ws.waterSystemId) || [], wholesale.get(ws.waterSystemId)),
+  }));
+}
+
+function derivedFields(ws, aops, { direct, indirect, buyers }) {
+  const current = currentOperatingPeriod(aops);
+  return {
+    grandTotalPopulation: current
+      ? current.period.populationsServed.reduce((sum, p) => sum + (p.populationCount || 0), 0)
+      : ws.grandTotalPopulation,
+    fedTotalWholesalePopulation: direct + indirect,
+    fedDirectWholesalePopulation: direct,
+    fedIndirectWholesalePopulation: indirect,
+    wholeSalerInd: buyers ? 'Y' : 'N',
+    opInd: current ? (current.inEffect ? 'Y' : 'N') : null,
+    opBeginDt: dateOnly(current?.period.effectiveStartDate),
+    opEndDt: dateOnly(current?.period.effectiveEndDate),
+  };
+}
+
+const areaCodesOf = query =>
+  (query.geographicAreaCode ? String(query.geographicAreaCode).split(',').map(c => c.trim()) : []);
+
+// Demo: the water systems matching the list filters, sorted
+async function filterDemoList(query, { waterSystemIds, auth }) {
+  const areaCodes = areaCodesOf(query);
+  let filtered = FIELDS.filterDemo(getDemoData(), query);
+  if (waterSystemIds) {
+    const ids = new Set(waterSystemIds);
+    filtered = filtered.filter(ws => ids.has(ws.waterSystemId));
   }
-  if (query.fedWSTypeCode) {
-    results = results.filter(ws => ws.fedWaterSystemType?.wsTypeCode === query.fedWSTypeCode);
+  filtered = filtered.filter(ws => pwsidInScope(auth, ws.waterSystemId));
+  if (areaCodes.length) {
+    const geoAreas = await loadGeographicAreas(filtered.map(ws => ws.waterSystemId));
+    filtered = filtered.filter(ws => areaCodes.some(code => servesArea(geoAreas.get(ws.waterSystemId), code)));
   }
-  if (query.wsOwnerTypeCode) {
-    results = results.filter(ws => ws.ownerType?.wsOwnerTypeCode === query.wsOwnerTypeCode);
+  return FIELDS.sortDemo(filtered, query);
+}
+
+// Database: WHERE clause (on tinwsys ws), its parameters, the next free
+// placeholder number and the ORDER BY of the list filters
+function listQuery(query, { waterSystemIds, auth }) {
+  const areaCodes = areaCodesOf(query);
+  const filters = FIELDS.sqlFilters(query, 2);
+  const conditions = ['ws.tinwsys_st_code = $1', ...filters.conditions];
+  const params = [currentAgency(), ...filters.params];
+  let { paramIdx } = filters;
+
+  if (areaCodes.length) {
+    conditions.push(servesAreaCondition(areaCodes.map(() => `$${paramIdx++}`)));
+    params.push(...areaCodes);
   }
-  if (query.fedPopulationFrom) {
-    const min = Number(query.fedPopulationFrom);
-    results = results.filter(ws => ws.fedPopulation >= min);
+  if (waterSystemIds) {
+    conditions.push(`TRIM(ws.number0) IN (${waterSystemIds.map(() => `$${paramIdx++}`).join(', ')})`);
+    params.push(...waterSystemIds);
   }
-  if (query.fedPopulationTo) {
-    const max = Number(query.fedPopulationTo);
-    results = results.filter(ws => ws.fedPopulation <= max);
+  const scope = pwsidScopeCondition(auth, 'TRIM(ws.number0)', paramIdx);
+  if (scope) {
+    conditions.push(scope.condition);
+    params.push(...scope.params);
+    paramIdx += scope.params.length;
   }
 
-  return results;
+  const orderBy = FIELDS.sortKeys(query).map(k => `${k.column} ${k.dir}`).join(', ');
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return { where, params, paramIdx, orderBy };
 }
 
-// In-memory sorting for demo mode
-const DEMO_SORT_FIELDS = {
-  name: 'name',
-  waterSystemId: 'waterSystemId',
-  wsStatusCode: ws => ws.waterSystemStatus?.wsStatusCode,
-  fedWSTypeCode: ws => ws.fedWaterSystemType?.wsTypeCode,
-  fedWSSourceCode: ws => ws.fedWaterSystemSourceType?.wsSourceCode,
-  fedPopulation: 'fedPopulation',
-  wsOwnerTypeCode: ws => ws.ownerType?.wsOwnerTypeCode,
-  localName: 'localName',
-  createDt: 'createDt',
-};
-
-function sortDemo(data, sortColumns, sortOrders) {
-  if (!sortColumns) return data;
-  const cols = sortColumns.split(',').map(s => s.trim());
-  const orders = (sortOrders || '').split(',').map(s => s.trim().toUpperCase());
-
-  return data.sort((a, b) => {
-    for (let i = 0; i < cols.length; i++) {
-      const field = DEMO_SORT_FIELDS[cols[i]];
-      if (!field) continue;
-      const dir = orders[i] === 'DESC' ? -1 : 1;
-      const valA = typeof field === 'function' ? field(a) : a[field];
-      const valB = typeof field === 'function' ? field(b) : b[field];
-      if (valA == null && valB == null) continue;
-      if (valA == null) return dir;
-      if (valB == null) return -dir;
-      if (valA < valB) return -dir;
-      if (valA > valB) return dir;
+// Cursor pagination keys: the sort keys, then the sequence number (demo: the PWSID)
+const cursorKeys = query => [...FIELDS.sortKeys(query), { name: 'id', column: 'ws.tinwsys_is_number', dir: 'ASC' }];
+
+const demoKeyValue = (ws, name) => (name === 'id' ? ws.waterSystemId : FIELDS.sortValue(ws, name));
+
+// One page of water systems matching the list filters (see GET /), with child
+// records. `waterSystemIds` limits the list to those systems, e.g. a static
+// group's members; `auth` (req.auth) to the caller's PWSID prefixes;
+// geographicAreaCode may list several codes (any matches). A `cursor` in the
+// query pages by keyset instead of pageNumber (see cursor.js).
+async function listWaterSystems(query, { waterSystemIds, auth } = {}) {
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize) || 10));
+  // Paging by cursor: pageNumber is null and nextCursor continues the list
+  const keys = usesCursor(query) ? cursorKeys(query) : null;
+  const pageNumber = keys ? null : Math.max(0, parseInt(query.pageNumber) || 0);
+
+  if (waterSystemIds && !waterSystemIds.length) {
+    return { totalCount: 0, pageNumber, pageSize, nextCursor: keys ? null : undefined, waterSystems: [] };
+  }
+
+  if (db.mode === 'demo') {
+    // Demo: in-memory filter/sort/paginate
+    const filtered = await filterDemoList(query, { waterSystemIds, auth });
+    if (keys) {
+      const { items, nextCursor } = demoPage(filtered, keys, ws => keys.map(k => demoKeyValue(ws, k.name)),
+        { cursor: query.cursor, pageSize });
+      return { totalCount: filtered.length, pageNumber, pageSize, nextCursor, waterSystems: await withChildRecords(items) };
     }
-    return 0;
-  });
+    const waterSystems = await withChildRecords(filtered.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize));
+    return { totalCount: filtered.length, pageNumber, pageSize, waterSystems };
+  }
+
+  // Database: SQL query
+  const { where, params, paramIdx, orderBy } = listQuery(query, { waterSystemIds, auth });
+  const select = `SELECT * FROM ${SCHEMA_PREFIX}tinwsys ws ${where}`;
+  const keyset = keys && keysetQuery(keys, query.cursor, { select, params, paramIdx, pageSize });
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) as total FROM ${SCHEMA_PREFIX}tinwsys ws ${where}`,
+    params
+  );
+  const totalCount = parseInt(countResult[0].total);
+
+  if (keyset) {
+    const { rows, nextCursor } = keysetPage(keys, await db.query(keyset.text, keyset.params), pageSize);
+    return { totalCount, pageNumber, pageSize, nextCursor, waterSystems: await withChildRecords(rows.map(mapRow)) };
+  }
+
+  const rows = await db.query(
+    `${select}
+     ORDER BY ${orderBy}
+     LIMIT $${paramIdx} OFFSET $${paramIdx + 1}`,
+    [...params, pageSize, pageNumber * pageSize]
+  );
+  return { totalCount, pageNumber, pageSize, waterSystems: await withChildRecords(rows.map(mapRow)) };
 }
 
-// SDWIS/STATE schema — configurable per installation
-// Default 'dbo' works for SQL Server; Oracle/PostgreSQL installations may use 'msr30' or other.
-// SDWIS/STATE schema prefix — most installations use default namespace (no prefix).
-// Set SDWIS_SCHEMA to 'msr30' or 'dbo' if your tables are in a named schema.
-const SCHEMA_PREFIX = process.env.SDWIS_SCHEMA ? `${process.env.SDWIS_SCHEMA}.` : '';
-const ST_CODE = process.env.SDWIS_ST_CODE || 'MS';
+// Export: columns of the flattened DWPWaterSystemDTO (child collections have
+// their own endpoints)
+const EXPORT_COLUMNS = [
+  'waterSystemId', 'name', 'localName', 'altPANumber',
+  'swPCT', 'swPurchasePCT', 'gwPCT', 'gwPurchasePCT', 'gwUDIPCT', 'gwUDIPurchasePCT',
+  'fedPopulation', 'grandTotalPopulation', 'fedTotalWholesalePopulation',
+  'fedDirectWholesalePopulation', 'fedIndirectWholesalePopulation', 'daysServingCount',
+  'opInd', 'opBeginDt', 'opEndDt',
+  'ownerType.wsOwnerTypeCode', 'waterSystemType.wsTypeCode', 'waterSystemSourceType.wsSourceCode',
+  'fedWaterSystemType.wsTypeCode', 'fedWaterSystemSourceType.wsSourceCode',
+  'waterSystemStatus.wsStatusCode', 'waterSystemStatusDt', 'waterSystemStatusReason.reasonCode',
+  'paStatusNotes', 'notes', 'seasonalInd', 'wholeSalerInd',
+  'createLanId', 'updateLanId', 'createDt', 'updateDt',
+];
 
-// Column mapping: SS (tinwsys) → SF API field names
-// Source: mapper.py analysis of DWP_WATER_SYSTEM
-function mapRow(row) {
-  return {
-    waterSystemId: row.number0?.trim() || null,
-    name: row.name,
-    localName: row.local_name,
-    altPANumber: row.alternate_st_num,
-    swPCT: row.surf_wtr_ratio != null ? Number(row.surf_wtr_ratio) : null,
-    swPurchasePCT: row.surf_wtr_pur_ratio != null ? Number(row.surf_wtr_pur_ratio) : null,
-    gwPCT: row.grnd_wtr_ratio != null ? Number(row.grnd_wtr_ratio) : null,
-    gwPurchasePCT: row.grnd_wtr_pur_ratio != null ? Number(row.grnd_wtr_pur_ratio) : null,
-    gwUDIPCT: row.grnd_wtr_udi_ratio != null ? Number(row.grnd_wtr_udi_ratio) : null,
-    gwUDIPurchasePCT: row.grnd_wtr_udi_purch != null ? Number(row.grnd_wtr_udi_purch) : null,
-    fedPopulation: row.d_population_count,
-    grandTotalPopulation: row.d_population_count, // same value in SS
-    daysServingCount: row.days_serving_count,
-    ownerType: row.owner_type_code ? { wsOwnerTypeCode: row.owner_type_code?.trim() } : null,
-    waterSystemType: row.pws_st_type_cd ? { wsTypeCode: row.pws_st_type_cd?.trim() } : null,
-    waterSystemSourceType: row.d_st_prim_src_cd ? { wsSourceCode: row.d_st_prim_src_cd?.trim() } : null,
-    fedWaterSystemType: row.d_pws_fed_type_cd ? { wsTypeCode: row.d_pws_fed_type_cd?.trim() } : null,
-    fedWaterSystemSourceType: row.d_fed_prim_src_cd ? { wsSourceCode: row.d_fed_prim_src_cd?.trim() } : null,
-    waterSystemStatus: row.activity_status_cd ? { wsStatusCode: row.activity_status_cd?.trim() } : null,
-    waterSystemStatusDt: row.activity_date,
-    waterSystemStatusReason: row.activity_reason_cd ? { reasonCode: row.activity_reason_cd?.trim() } : null,
-    paStatusNotes: row.activity_rsn_txt,
-    notes: row.memo_text,
-    seasonalInd: null,       // SF-only, no SS equivalent
-    wholeSalerInd: null,     // SF-only, no SS equivalent
-    createLanId: row.d_initial_userid?.trim() || null,
-    updateLanId: row.d_userid_code?.trim() || null,
-    createDt: row.d_initial_ts,
-    updateDt: row.d_last_updt_ts,
-  };
+// Water systems given their derived fields per batch, so memory stays flat
+const EXPORT_BATCH_SIZE = 200;
+
+// Every water system matching the list filters, in list order, with derived
+// fields — rows are read from a database cursor, not paged
+async function* exportWaterSystems(query, { auth } = {}) {
+  let waterSystems;
+  if (db.mode === 'demo') {
+    waterSystems = await filterDemoList(query, { auth });
+  } else {
+    const { where, params, orderBy } = listQuery(query, { auth });
+    waterSystems = (async function* () {
+      for await (const row of db.stream(
+        `SELECT * FROM ${SCHEMA_PREFIX}tinwsys ws ${where} ORDER BY ${orderBy}`,
+        params
+      )) yield mapRow(row);
+    })();
+  }
+
+  for await (const batch of batches(waterSystems, EXPORT_BATCH_SIZE)) {
+    yield* await withDerivedFields(batch);
+  }
 }
 
-// Valid sort columns: API field name → SS column name
-const SORT_COLUMNS = {
-  name: 'name',
-  waterSystemId: 'number0',
-  wsStatusCode: 'activity_status_cd',
-  fedWSTypeCode: 'd_pws_fed_type_cd',
-  fedWSSourceCode: 'd_fed_prim_src_cd',
-  fedPopulation: 'd_population_count',
-  seasonalInd: null, // not sortable in SS
-  wsOwnerTypeCode: 'owner_type_code',
-  localName: 'local_name',
-  createDt: 'd_initial_ts',
-};
+// Change feed: a system's change time (SQL) — last update, else insert
+const CHANGED = 'COALESCE(ws.d_last_updt_ts, ws.d_initial_ts)';
+
+// One page of the water systems changed from the query's since or watermark
+// on (see changes.js), in update order, with child records
+async function listChanges(query, { auth } = {}) {
+  const start = feedStart(query);
+  const pageSize = pageSizeOf(query);
+
+  if (db.mode === 'demo') {
+    const { items, ...page } = demoChanges(await filterDemoList({}, { auth }), {
+      start, pageSize, keyOf: ws => ({ changed: ws.updateDt ?? ws.createDt, id: ws.waterSystemId }),
+    });
+    return { pageSize, ...page, waterSystems: await withChildRecords(items) };
+  }
+
+  // No list filters: the feed covers every system the caller may read
+  const { where, params, paramIdx } = listQuery({}, { auth });
+  const { text, params: feedParams } = changeQuery({
+    select: `SELECT ws.*, ${changeText(CHANGED)} AS change_ts FROM ${SCHEMA_PREFIX}tinwsys ws ${where}`,
+    changed: CHANGED, id: 'ws.tinwsys_is_number', params, paramIdx, start, pageSize,
+  });
+  const { items: rows, ...page } = changePage(await db.query(text, feedParams), {
+    start, pageSize, keyOf: row => ({ changed: row.change_ts, id: row.tinwsys_is_number }),
+  });
+  return { pageSize, ...page, waterSystems: await withChildRecords(rows.map(mapRow)) };
+}
 
 /**
  * @openapi
@@ -194,39 +488,12 @@ const SORT_COLUMNS = {
  *     summary: List water systems
  *     description: Returns a paginated list of water systems with optional filters and sorting.
  *     tags: [Water System]
+ *     x-list-fields: DWPWaterSystemDTO
  *     parameters:
  *       - in: query
- *         name: waterSystemId
- *         schema: { type: string }
- *         description: PWS ID starts-with filter (e.g., MS035)
- *       - in: query
- *         name: name
- *         schema: { type: string }
- *         description: Water system name contains filter (case-insensitive)
- *       - in: query
- *         name: wsStatusCode
- *         schema: { type: string }
- *         description: "Exact status code (A=Active, I=Inactive)"
- *       - in: query
- *         name: fedWSSourceCode
- *         schema: { type: string }
- *         description: "Federal water source (GW, SW, GWP, SWP)"
- *       - in: query
- *         name: fedWSTypeCode
+ *         name: geographicAreaCode
  *         schema: { type: string }
- *         description: "Federal system type (C, NC, NTNC, NP)"
- *       - in: query
- *         name: wsOwnerTypeCode
- *         schema: { type: string }
- *         description: "Owner type code (F=Federal, L=Local, P=Private, S=State)"
- *       - in: query
- *         name: fedPopulationFrom
- *         schema: { type: integer }
- *         description: Minimum population (inclusive)
- *       - in: query
- *         name: fedPopulationTo
- *         schema: { type: integer }
- *         description: Maximum population (inclusive)
+ *         description: "Systems serving the geographic area with this FIPS / ANSI code (e.g., county 28049), or any of a comma-separated list of codes; see /{waterSystemId}/geographic-area"
  *       - in: query
  *         name: pageNumber
  *         schema: { type: integer, default: 0 }
@@ -236,13 +503,9 @@ const SORT_COLUMNS = {
  *         schema: { type: integer, default: 10, maximum: 100 }
  *         description: Results per page
  *       - in: query
- *         name: sortColumns
- *         schema: { type: string }
- *         description: "Comma-separated sort fields: name, waterSystemId, wsStatusCode, fedWSTypeCode, fedWSSourceCode, fedPopulation, wsOwnerTypeCode, localName, createDt"
- *       - in: query
- *         name: sortOrders
+ *         name: cursor
  *         schema: { type: string }
- *         description: "Comma-separated ASC/DESC (must match sortColumns count)"
+ *         description: "Page by cursor instead of pageNumber: empty for the first page, then resultSummary.nextCursor of the previous one (same filters and sort)"
  *     responses:
  *       200:
  *         description: Paginated list of water systems
@@ -256,110 +519,126 @@ const SORT_COLUMNS = {
  *                   type: object
  *                   properties:
  *                     totalCount: { type: integer }
- *                     pageNumber: { type: integer }
+ *                     pageNumber: { type: integer, nullable: true, description: "null when paging by cursor" }
  *                     pageSize: { type: integer }
  *                     totalPages: { type: integer }
+ *                     nextCursor: { type: string, nullable: true, description: "Only when paging by cursor; null on the last page" }
  *                 waterSystems:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/DWPWaterSystemDTO'
+ *       400:
+ *         description: Malformed cursor, or one issued for a different sort
  */
 router.get('/', async (req, res) => {
   try {
-    const pageNumber = Math.max(0, parseInt(req.query.pageNumber) || 0);
-    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 10));
-
-    let totalCount, waterSystems;
-
-    if (db.mode === 'demo') {
-      // Demo: in-memory filter/sort/paginate
-      let filtered = filterDemo(getDemoData(), req.query);
-      filtered = sortDemo(filtered, req.query.sortColumns, req.query.sortOrders);
-      totalCount = filtered.length;
-      waterSystems = filtered.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize);
-    } else {
-      // Database: SQL query
-      const conditions = [`ws.tinwsys_st_code = '${ST_CODE}'`];
-      const params = [];
-      let paramIdx = 1;
-
-      if (req.query.waterSystemId) {
-        conditions.push(`TRIM(ws.number0) LIKE $${paramIdx++}`);
-        params.push(`${req.query.waterSystemId}%`);
-      }
-      if (req.query.name) {
-        conditions.push(`ws.name ILIKE $${paramIdx++}`);
-        params.push(`%${req.query.name}%`);
-      }
-      if (req.query.wsStatusCode) {
-        conditions.push(`ws.activity_status_cd = $${paramIdx++}`);
-        params.push(req.query.wsStatusCode);
-      }
-      if (req.query.fedWSSourceCode) {
-        conditions.push(`TRIM(ws.d_fed_prim_src_cd) = $${paramIdx++}`);
-        params.push(req.query.fedWSSourceCode);
-      }
-      if (req.query.fedWSTypeCode) {
-        conditions.push(`TRIM(ws.d_pws_fed_type_cd) = $${paramIdx++}`);
-        params.push(req.query.fedWSTypeCode);
-      }
-      if (req.query.wsOwnerTypeCode) {
-        conditions.push(`TRIM(ws.owner_type_code) = $${paramIdx++}`);
-        params.push(req.query.wsOwnerTypeCode);
-      }
-      if (req.query.fedPopulationFrom) {
-        conditions.push(`ws.d_population_count >= $${paramIdx++}`);
-        params.push(Number(req.query.fedPopulationFrom));
-      }
-      if (req.query.fedPopulationTo) {
-        conditions.push(`ws.d_population_count <= $${paramIdx++}`);
-        params.push(Number(req.query.fedPopulationTo));
-      }
+    const { waterSystems, ...page } = await listWaterSystems(req.query, { auth: req.auth });
 
-      let orderBy = 'ws.name ASC';
-      if (req.query.sortColumns) {
-        const cols = req.query.sortColumns.split(',');
-        const orders = (req.query.sortOrders || '').split(',');
-        const parts = [];
-        for (let i = 0; i < cols.length; i++) {
-          const ssCol = SORT_COLUMNS[cols[i].trim()];
-          if (ssCol) {
-            const dir = (orders[i] || '').trim().toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-            parts.push(`ws.${ssCol} ${dir}`);
-          }
-        }
-        if (parts.length) orderBy = parts.join(', ');
-      }
+    res.json({ error: null, resultSummary: resultSummary(page), waterSystems });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error listing water systems:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
 
-      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+/**
+ * @openapi
+ * /inventory/water-system/export:
+ *   get:
+ *     summary: Export water systems
+ *     description: >
+ *       Streams every water system matching the list filters (the same
+ *       parameters and sorting as the list, without paging) as NDJSON or CSV.
+ *       Each record is a flattened DWPWaterSystemDTO — nested codes become
+ *       dot-separated columns such as ownerType.wsOwnerTypeCode, and child
+ *       collections are left out. Rows are read from a database cursor, so
+ *       the export is one consistent pass however many systems match.
+ *     tags: [Water System]
+ *     x-list-fields: DWPWaterSystemDTO
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [ndjson, csv] }
+ *         description: "Output format (default ndjson, or csv when the Accept header prefers text/csv)"
+ *       - in: query
+ *         name: geographicAreaCode
+ *         schema: { type: string }
+ *         description: "Systems serving any of these comma-separated FIPS / ANSI codes, as on the list"
+ *     responses:
+ *       200:
+ *         description: One record per line (NDJSON) or per row after a header row (CSV)
+ *         content:
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *           text/csv:
+ *             schema: { type: string }
+ *       400:
+ *         description: Unknown format
+ */
+router.get('/export', (req, res) => sendExport(req, res, {
+  name: 'water-systems',
+  columns: EXPORT_COLUMNS,
+  records: exportWaterSystems(req.query, { auth: req.auth }),
+  label: 'water systems',
+}));
 
-      const countResult = await db.query(
-        `SELECT COUNT(*) as total FROM ${SCHEMA_PREFIX}tinwsys ws ${where}`,
-        params
-      );
-      totalCount = parseInt(countResult[0].total);
-
-      const rows = await db.query(
-        `SELECT * FROM ${SCHEMA_PREFIX}tinwsys ws ${where}
-         ORDER BY ${orderBy}
-         LIMIT $${paramIdx++} OFFSET $${paramIdx++}`,
-        [...params, pageSize, pageNumber * pageSize]
-      );
-      waterSystems = rows.map(mapRow);
-    }
+/**
+ * @openapi
+ * /inventory/water-system/changes:
+ *   get:
+ *     summary: Water systems changed since a sync
+ *     description: >
+ *       Incremental change feed: the water systems changed (d_last_updt_ts, or
+ *       d_initial_ts when never updated) at or after `since`, or after a
+ *       previous page's `watermark`, oldest change first. Store
+ *       changeSummary.nextWatermark and pass it on the next sync; while
+ *       hasMore is true, more changes are waiting. Without since or watermark
+ *       the feed starts at the oldest change. Deletions are not reported.
+ *     tags: [Water System]
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema: { type: string, format: date-time }
+ *         description: "Systems changed at or after this time (e.g., 2026-01-01T00:00:00Z)"
+ *       - in: query
+ *         name: watermark
+ *         schema: { type: string }
+ *         description: changeSummary.nextWatermark of a previous response (instead of since)
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Changed water systems in update order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 changeSummary:
+ *                   type: object
+ *                   properties:
+ *                     pageSize: { type: integer }
+ *                     hasMore: { type: boolean, description: "More changes follow this page" }
+ *                     nextWatermark: { type: string, nullable: true, description: "Where the next sync continues; null only when the feed is empty" }
+ *                 waterSystems:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DWPWaterSystemDTO'
+ *       400:
+ *         description: Malformed watermark or since, or both given
+ */
+router.get('/changes', async (req, res) => {
+  try {
+    const { waterSystems, ...page } = await listChanges(req.query, { auth: req.auth });
 
-    res.json({
-      error: null,
-      resultSummary: {
-        totalCount,
-        pageNumber,
-        pageSize,
-        totalPages: Math.ceil(totalCount / pageSize),
-      },
-      waterSystems,
-    });
+    res.json({ error: null, changeSummary: changeSummary(page), waterSystems });
   } catch (err) {
-    console.error('Error listing water systems:', err);
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error listing water system changes:', err);
     res.status(500).json({ error: { message: err.message } });
   }
 });
@@ -392,25 +671,10 @@ router.get('/', async (req, res) => {
  *         description: Water system not found
  */
 router.get('/:waterSystemId', async (req, res) => {
+  if (!pwsidInScope(req.auth, req.params.waterSystemId)) return outOfScope(res, req.params);
   try {
-    let waterSystem;
-
-    if (db.mode === 'demo') {
-      waterSystem = getDemoData().find(ws => ws.waterSystemId === req.params.waterSystemId) || null;
-    } else {
-      const rows = await db.query(
-        `SELECT * FROM ${SCHEMA_PREFIX}tinwsys ws
-         WHERE TRIM(ws.number0) = $1 AND ws.tinwsys_st_code = '${ST_CODE}'`,
-        [req.params.waterSystemId]
-      );
-      waterSystem = rows.length ? mapRow(rows[0]) : null;
-    }
-
-    if (!waterSystem) {
-      return res.status(404).json({
-        error: { message: `Water system ${req.params.waterSystemId} not found` },
-      });
-    }
+    const waterSystem = await findWaterSystem(req.params.waterSystemId);
+    if (!waterSystem) return notFound(res, req.params);
 
     res.json({ error: null, waterSystem });
   } catch (err) {
@@ -419,4 +683,94 @@ router.get('/:waterSystemId', async (req, res) => {
   }
 });
 
+async function findWaterSystem(waterSystemId) {
+  return (await findWaterSystemDetails([waterSystemId])).get(waterSystemId) || null;
+}
+
+// DWPWaterSystemDTOs by PWSID (Map), with child records and derived fields
+async function findWaterSystemDetails(waterSystemIds) {
+  const found = await findWaterSystems(waterSystemIds);
+  const waterSystems = await withChildRecords([...found.values()]);
+  return new Map(waterSystems.map(ws => [ws.waterSystemId, ws]));
+}
+
+// DWPWaterSystemDTOs by PWSID (Map), without child records or derived fields —
+// for records that point at other water systems, e.g. a purchase's seller and buyer
+async function findWaterSystems(waterSystemIds) {
+  const waterSystems = new Map();
+  if (!waterSystemIds.length) return waterSystems;
+
+  if (db.mode === 'demo') {
+    const ids = new Set(waterSystemIds);
+    for (const ws of getDemoData()) {
+      if (ids.has(ws.waterSystemId)) waterSystems.set(ws.waterSystemId, ws);
+    }
+    return waterSystems;
+  }
+
+  const placeholders = waterSystemIds.map((_, i) => `$${i + 2}`).join(', ');
+  const rows = await db.query(
+    `SELECT * FROM ${SCHEMA_PREFIX}tinwsys ws
+     WHERE TRIM(ws.number0) IN (${placeholders}) AND ws.tinwsys_st_code = $1`,
+    [currentAgency(), ...waterSystemIds]
+  );
+  for (const row of rows) waterSystems.set(row.number0.trim(), mapRow(row));
+  return waterSystems;
+}
+
+function notFound(res, { waterSystemId }) {
+  return res.status(404).json({
+    error: { message: `Water system ${waterSystemId} not found` },
+  });
+}
+
+function outOfScope(res, { waterSystemId }) {
+  return forbidden(res, `Not authorized for water system ${waterSystemId}`);
+}
+
+// DWPWaterSystemInfoDTO — the water system summary returned beside child records
+const WATER_SYSTEM_INFO_FIELDS = [
+  'waterSystemId', 'name', 'altPANumber', 'localName', 'fedPopulation', 'grandTotalPopulation',
+  'fedTotalWholesalePopulation', 'fedDirectWholesalePopulation', 'fedIndirectWholesalePopulation',
+  'ownerType', 'waterSystemType', 'fedWaterSystemType', 'fedWaterSystemSourceType', 'waterSystemStatus', 'pocs',
+];
+
+function toWaterSystemInfo(waterSystem) {
+  return Object.fromEntries(WATER_SYSTEM_INFO_FIELDS.map(k => [k, waterSystem[k]]));
+}
+
+// DWPWaterSystemDTO without its child collections — only the derived fields
+// and the pocs DWPWaterSystemInfoDTO carries — or null
+async function findWaterSystemSummary(waterSystemId) {
+  const waterSystem = (await findWaterSystems([waterSystemId])).get(waterSystemId);
+  if (!waterSystem) return null;
+  const [[derived], pocs] = await Promise.all([withDerivedFields([waterSystem]), loadWaterSystemPOCs([waterSystemId])]);
+  return { ...derived, pocs: pocs.get(waterSystemId) || [] };
+}
+
+// Middleware for routers mounted below /{waterSystemId}: puts the water system
+// (without child collections — each router loads its own) and its
+// DWPWaterSystemInfoDTO in res.locals, or responds 404 (403 outside the
+// caller's PWSID prefixes).
+async function withWaterSystem(req, res, next) {
+  if (!pwsidInScope(req.auth, req.params.waterSystemId)) return outOfScope(res, req.params);
+  try {
+    const waterSystem = await findWaterSystemSummary(req.params.waterSystemId);
+    if (!waterSystem) return notFound(res, req.params);
+
+    res.locals.waterSystem = waterSystem;
+    res.locals.waterSystemInfo = toWaterSystemInfo(waterSystem);
+    next();
+  } catch (err) {
+    console.error('Error getting water system:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+}
+
 module.exports = router;
+module.exports.withWaterSystem = withWaterSystem;
+module.exports.findWaterSystems = findWaterSystems;
+module.exports.findWaterSystemDetails = findWaterSystemDetails;
+module.exports.listWaterSystems = listWaterSystems;
+module.exports.listChanges = listChanges;
+module.exports.FIELDS = FIELDS;
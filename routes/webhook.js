@@ -0,0 +1,217 @@
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     WebhookDTO:
+ *       type: object
+ *       description: "Webhook subscription (not in the DW-SFTIES spec; see webhooks.js)"
+ *       properties:
+ *         webhookId: { type: string, format: uuid }
+ *         url: { type: string, description: "Where change events are POSTed" }
+ *         entity: { type: string, enum: [waterSystem, facility] }
+ *         filter:
+ *           type: object
+ *           additionalProperties: { type: string }
+ *           description: "The entity's list filters a record must pass, e.g. { \"waterSystemId\": \"MS001\" } or { \"facilityTypeCode[in]\": \"WL,IN\" }"
+ *         primacyAgencyId: { type: string, description: "Agency whose records the subscription follows" }
+ *         createdAt: { type: string, format: date-time }
+ *         secret: { type: string, description: "HMAC-SHA256 signing key — only in the response that creates the subscription" }
+ *         delivery:
+ *           type: object
+ *           description: "Delivery outcomes since the server started"
+ *           properties:
+ *             deliveredCount: { type: integer }
+ *             lastDeliveryAt: { type: string, format: date-time, nullable: true }
+ *             lastFailure:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 at: { type: string, format: date-time }
+ *                 attempt: { type: integer }
+ *                 message: { type: string }
+ *             deadLetterCount: { type: integer, description: "Events given up on after every attempt failed" }
+ */
+
+const { Router } = require('express');
+const { currentAgency } = require('../agency');
+const { forbidden } = require('../auth');
+const webhooks = require('../webhooks');
+
+const router = Router();
+
+// Subscriptions belong to the caller that registered them, so they need
+// authentication: with it off anyone could list and delete them all, and
+// point the server's POSTs anywhere
+router.use((req, res, next) => {
+  if (!req.auth) return forbidden(res, 'Webhooks need authentication');
+  next();
+});
+
+// WebhookDTO; the secret only when `withSecret`
+function toWebhookDTO(subscription, { withSecret = false } = {}) {
+  return {
+    webhookId: subscription.webhookId,
+    url: subscription.url,
+    entity: subscription.entity,
+    filter: subscription.filter,
+    primacyAgencyId: subscription.primacyAgencyId,
+    createdAt: subscription.createdAt,
+    ...(withSecret && { secret: subscription.secret }),
+    delivery: webhooks.statsOf(subscription.webhookId),
+  };
+}
+
+function notFound(res, { webhookId }) {
+  return res.status(404).json({ error: { message: `Webhook ${webhookId} not found` } });
+}
+
+/**
+ * @openapi
+ * /inventory/webhook:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     description: >
+ *       Returns the caller's webhook subscriptions, without their secrets.
+ *       Refused with 403 when authentication is off, as is every webhook
+ *       operation. Not in the DW-SFTIES spec.
+ *     tags: [Webhook]
+ *     responses:
+ *       200:
+ *         description: Webhook subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDTO'
+ *       403:
+ *         description: Authentication is off
+ */
+router.get('/', (req, res) => {
+  res.json({ error: null, webhooks: webhooks.listSubscriptions(req.auth).map(s => toWebhookDTO(s)) });
+});
+
+/**
+ * @openapi
+ * /inventory/webhook:
+ *   post:
+ *     summary: Subscribe to water system or facility changes
+ *     description: >
+ *       Registers a URL to receive a signed POST for every water system or
+ *       facility of the selected primacy agency that changes and passes the
+ *       filter (and the caller's PWSID scope). Each event is
+ *       { id, type, webhookId, primacyAgencyId, changedAt, data } with the
+ *       record's DTO as data. X-Webhook-Signature is sha256= and the hex
+ *       HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>", keyed with the secret
+ *       returned here — store it, it is not shown again. Failed deliveries
+ *       are retried with backoff, then dead-lettered.
+ *     tags: [Webhook]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, entity]
+ *             properties:
+ *               url: { type: string, example: "https://gis.example.gov/hooks/sdwis" }
+ *               entity: { type: string, enum: [waterSystem, facility] }
+ *               filter:
+ *                 type: object
+ *                 additionalProperties: { type: string }
+ *                 example: { waterSystemId: MS001 }
+ *     responses:
+ *       201:
+ *         description: Subscription created, with its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookDTO'
+ *       400:
+ *         description: >
+ *           Bad URL, entity or filter, a host outside WEBHOOK_ALLOWED_HOSTS, or
+ *           one with a loopback, private or other non-public address that
+ *           WEBHOOK_ALLOWED_HOSTS does not list
+ *       403:
+ *         description: >
+ *           Authentication is off, or a token without a subject (sub claim) to
+ *           own the subscription
+ */
+router.post('/', async (req, res) => {
+  try {
+    const subscription = await webhooks.createSubscription(req.body, { auth: req.auth, agency: currentAgency() });
+
+    res.status(201).json({ error: null, webhook: toWebhookDTO(subscription, { withSecret: true }) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('Error creating webhook:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
+/**
+ * @openapi
+ * /inventory/webhook/{webhookId}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     description: Returns one of the caller's webhook subscriptions, without its secret.
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Webhook subscription found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: object, nullable: true }
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookDTO'
+ *       403:
+ *         description: Authentication is off
+ *       404:
+ *         description: No such subscription of the caller's
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: Stops the subscription's deliveries, including pending retries.
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       204:
+ *         description: Subscription deleted
+ *       403:
+ *         description: Authentication is off
+ *       404:
+ *         description: No such subscription of the caller's
+ */
+router.get('/:webhookId', (req, res) => {
+  const subscription = webhooks.findSubscription(req.params.webhookId, req.auth);
+  if (!subscription) return notFound(res, req.params);
+
+  res.json({ error: null, webhook: toWebhookDTO(subscription) });
+});
+
+router.delete('/:webhookId', (req, res) => {
+  if (!webhooks.deleteSubscription(req.params.webhookId, req.auth)) return notFound(res, req.params);
+
+  res.status(204).end();
+});
+
+module.exports = router;
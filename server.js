@@ -1,52 +1,28 @@
 require('dotenv').config({ quiet: true });
-const express = require('express');
-const swaggerUi = require('swagger-ui-express');
-const swaggerJsdoc = require('swagger-jsdoc');
 const db = require('./db');
-const waterSystemRoutes = require('./routes/water-system');
-const facilityRoutes = require('./routes/facility');
+const auth = require('./auth');
+const webhooks = require('./webhooks');
+const serviceLineRoutes = require('./routes/service-line');
+const { createApp } = require('./app');
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
-
-// CORS — allow browser apps on other origins to call the API
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  next();
-});
-
-// Swagger docs
-const swaggerSpec = swaggerJsdoc({
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'SDWIS Translation API',
-      version: '0.1.0',
-      description: 'DW-SFTIES compatible read-only API backed by SDWIS/STATE data',
-    },
-    servers: [{ url: '/' }],
-  },
-  apis: ['./routes/*.js'],
-});
-
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-// Routes — facility must be before water-system so "facility" doesn't match :waterSystemId
-app.use('/inventory/water-system/facility', facilityRoutes);
-app.use('/inventory/water-system', waterSystemRoutes);
-
-// Root → Swagger docs
-app.get('/', (req, res) => res.redirect('/api-docs'));
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', datasource: db.mode });
-});
+// A service line import that cannot be used stops the server here, rather
+// than failing every request that reads it (see routes/service-line.js)
+try {
+  serviceLineRoutes.importServiceLines();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 app.listen(PORT, () => {
   console.log(`SDWIS Translation API listening on port ${PORT} [${db.mode} mode]`);
   console.log(`Swagger docs: http://localhost:${PORT}/api-docs`);
+  if (!auth.authEnabled() && db.mode !== 'demo') {
+    console.warn('Authentication is off: set AUTH_JWT_SECRET, AUTH_JWKS_FILE or AUTH_API_KEYS_FILE');
+  }
+  // Webhook poller: sends change events to subscribers (see webhooks.js)
+  webhooks.startWebhooks();
 });
@@ -0,0 +1,133 @@
+/**
+ * Integration tests for primacy agency selection (agency.js).
+ *
+ * Runs in demo mode (no database needed) with three configured agencies,
+ * MS (the default), NN and AL. Demo data belongs to every agency, so these
+ * tests check which agency a request selects — reported as the reference
+ * codes' primacyAgency — and the 400 / 403 responses.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+process.env.SDWIS_ST_CODE = 'MS';
+process.env.SDWIS_ST_CODES = 'MS, nn,AL';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const agency = require('../agency');
+const referenceRoutes = require('../routes/reference');
+
+let server;
+let baseUrl;
+
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for auth.authenticate: the test sends the token's agency claim
+  app.use('/inventory', (req, res, next) => {
+    const claim = req.get('X-Test-Agencies');
+    req.auth = claim ? { primacyAgencies: claim.split(',') } : null;
+    next();
+  }, agency.selectAgency);
+  app.use('/inventory', referenceRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const paCD = body => body.waterSystemStatuses[0].primacyAgency.paCD;
+
+describe('configuration', () => {
+  it('normalizes the allow-list and keeps the default first', () => {
+    assert.deepEqual(agency.AGENCIES, ['MS', 'NN', 'AL']);
+    assert.equal(agency.DEFAULT_AGENCY, 'MS');
+  });
+
+  it('is the default agency outside a request', () => {
+    assert.equal(agency.currentAgency(), 'MS');
+  });
+});
+
+describe('selecting the agency', () => {
+  it('uses the default agency when the request names none', async () => {
+    const { status, body } = await get('/inventory/ws-status');
+    assert.equal(status, 200);
+    assert.equal(paCD(body), 'MS');
+  });
+
+  it('takes the query parameter, then the header', async () => {
+    let { body } = await get('/inventory/ws-status?primacyAgencyId=nn');
+    assert.equal(paCD(body), 'NN');
+
+    ({ body } = await get('/inventory/ws-status', { 'X-PRIMACY-AGENCY-ID': 'AL' }));
+    assert.equal(paCD(body), 'AL');
+
+    ({ body } = await get('/inventory/ws-status?primacyAgencyId=NN', { 'X-PRIMACY-AGENCY-ID': 'AL' }));
+    assert.equal(paCD(body), 'NN');
+  });
+
+  it('takes a token naming a single configured agency', async () => {
+    let { body } = await get('/inventory/ws-status', { 'X-Test-Agencies': 'NN,TX' });
+    assert.equal(paCD(body), 'NN');
+
+    // Several configured agencies: the request must choose
+    ({ body } = await get('/inventory/ws-status?primacyAgencyId=AL', { 'X-Test-Agencies': 'NN,AL' }));
+    assert.equal(paCD(body), 'AL');
+  });
+
+  it('refuses agencies outside the allow-list with 400', async () => {
+    const { status, body } = await get('/inventory/ws-status?primacyAgencyId=TX');
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      error: { errorCode: '400', errorDesc: 'Unknown primacy agency TX; expected one of MS, NN, AL' },
+    });
+  });
+
+  it('refuses agencies the token does not list with 403', async () => {
+    let { status, body } = await get('/inventory/ws-status?primacyAgencyId=AL', { 'X-Test-Agencies': 'NN' });
+    assert.equal(status, 403);
+    assert.equal(body.error.errorDesc, 'Not authorized for primacy agency AL');
+
+    // Without a choice the default applies, and the token must list it
+    ({ status } = await get('/inventory/ws-status', { 'X-Test-Agencies': 'NN,AL' }));
+    assert.equal(status, 403);
+  });
+
+  it('keeps concurrent requests apart', async () => {
+    const results = await Promise.all(['MS', 'NN', 'AL', 'NN', 'MS']
+      .map(code => get(`/inventory/ws-status?primacyAgencyId=${code}`)));
+    assert.deepEqual(results.map(r => paCD(r.body)), ['MS', 'NN', 'AL', 'NN', 'MS']);
+  });
+});
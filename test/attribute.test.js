@@ -0,0 +1,265 @@
+/**
+ * Integration tests for the water system and facility attribute endpoints
+ * (measures, indicators, flow rates, pumps and certifications).
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 has four measures (5601-5604, one ended), three
+ * indicators (5621-5623) and two flow rates (5641-5642); XX0030001 has none.
+ * Well 31001 has a measure, an indicator, two flow rates and two pumps (5762
+ * replaced in 2012); storage tank 31004 carries its capacity as a measure.
+ * XX0010001 requires a Grade IV treatment operator (5802, Grade III until
+ * 2019) and a Grade II distribution operator; plant 31003 requires Grade IV.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const facilityRoutes = require('../routes/facility');
+const attributeRoutes = require('../routes/attribute');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  for (const [path, family] of [
+    ['facility-measure', 'facilityMeasure'],
+    ['indicator', 'facilityIndicator'],
+    ['flow-rate', 'facilityFlowRate'],
+    ['pump', 'facilityPump'],
+    ['cert', 'facilityCertification'],
+  ]) {
+    app.use(
+      `/inventory/water-system/:waterSystemId/facility/:facilityId/${path}`,
+      facilityRoutes.withFacility,
+      attributeRoutes[family]
+    );
+  }
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+  for (const [path, family] of [
+    ['measure', 'waterSystemMeasure'],
+    ['indicator', 'waterSystemIndicator'],
+    ['flow-rate', 'waterSystemFlowRate'],
+    ['cert', 'waterSystemCertification'],
+  ]) {
+    app.use(`/inventory/water-system/:waterSystemId/${path}`, waterSystemRoutes.withWaterSystem, attributeRoutes[family]);
+  }
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const WS = '/inventory/water-system/XX0010001';
+const WELL = `${WS}/facility/31001`;
+
+describe('Attribute families on DWPWaterSystemDTO and DWPFacilityDTO', () => {
+  it('carries measures, indicators and flow rates on the water system', async () => {
+    const { body } = await get(WS);
+    const ws = body.waterSystem;
+    assert.deepEqual(ws.measures.map(m => m.waterSystemMeasureId), [5601, 5602, 5603, 5604]);
+    assert.deepEqual(ws.wsIndicators.map(i => i.waterSystemIndicatorId), [5621, 5622, 5623]);
+    assert.deepEqual(ws.waterSystemFlowRates.map(r => r.waterSystemFlowRateId), [5641, 5642]);
+    assert.deepEqual(ws.certifications.map(c => c.waterSystemCertificationId), [5801, 5802, 5803]);
+  });
+
+  it('uses empty arrays for systems without attributes', async () => {
+    const { body } = await get('/inventory/water-system/XX0030001');
+    assert.deepEqual(body.waterSystem.measures, []);
+    assert.deepEqual(body.waterSystem.wsIndicators, []);
+    assert.deepEqual(body.waterSystem.waterSystemFlowRates, []);
+    assert.deepEqual(body.waterSystem.certifications, []);
+  });
+
+  it('carries measures, indicators, flow rates and pumps on the facility', async () => {
+    const { body } = await get(WELL);
+    const f = body.facility;
+    assert.equal(f.facilityMeasures[0].measureType.facilityMeasureTypeCode, 'WD');
+    assert.equal(f.facilityIndicators.length, 1);
+    assert.equal(f.facilityFlowRates.length, 2);
+    assert.deepEqual(f.facilityPumps.map(p => p.pumpName), ['WELL 1 PUMP', 'WELL 1 PUMP (ORIGINAL)']);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/measure', () => {
+  it('returns the water system summary and its measures', async () => {
+    const { status, body } = await get(`${WS}/measure`);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+    assert.equal(body.resultSummary.totalCount, 4);
+    const mdd = body.waterSystemMeasures[0];
+    assert.deepEqual(mdd.waterSystemMeasureTypeCodes, { wsMeasureTypeCode: 'MDD', name: 'Maximum daily demand' });
+    assert.deepEqual(mdd.uom, { uomId: 6, uomCode: 'MGD', name: 'Million gallons per day' });
+  });
+
+  it('filters by measureCode and uomId', async () => {
+    const { body } = await get(`${WS}/measure?measureCode=ADD`);
+    assert.deepEqual(body.waterSystemMeasures.map(m => m.waterSystemMeasureId), [5602, 5603]);
+    const mg = await get(`${WS}/measure?uomId=5`);
+    assert.deepEqual(mg.body.waterSystemMeasures.map(m => m.waterSystemMeasureId), [5604]);
+  });
+
+  it('filters on the effective date ranges', async () => {
+    const { body } = await get(`${WS}/measure?endDateTo=2023-01-01`);
+    assert.deepEqual(body.waterSystemMeasures.map(m => m.waterSystemMeasureId), [5603]);
+    const since = await get(`${WS}/measure?startDateFrom=2020-01-01`);
+    assert.deepEqual(since.body.waterSystemMeasures.map(m => m.waterSystemMeasureId), [5601, 5602]);
+  });
+
+  it('sorts and pages', async () => {
+    const { body } = await get(`${WS}/measure?sortColumns=quantity&sortOrders=DESC&pageSize=2&pageNumber=1`);
+    assert.deepEqual(body.waterSystemMeasures.map(m => m.quantity), [3.9, 2.5]);
+    assert.equal(body.resultSummary.totalPages, 2);
+  });
+
+  it('sorts by repeated sortColumns and sortOrders', async () => {
+    const { status, body } = await get(`${WS}/measure?sortColumns=startDate&sortColumns=quantity&sortOrders=ASC&sortOrders=DESC`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.waterSystemMeasures.map(m => m.waterSystemMeasureId), [5604, 5603, 5601, 5602]);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/measure');
+    assert.equal(status, 404);
+    assert.match(body.error.message, /XX9999999/);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/indicator', () => {
+  it('returns indicator records with the type code and value flattened', async () => {
+    const { body } = await get(`${WS}/indicator`);
+    const cda = body.waterSystemPAIndicators[0];
+    assert.equal(cda.wsIndicatorCode, 'CDA');
+    assert.equal(cda.indicatorValue, 'Y');
+    assert.equal(cda.waterSystemIndicatorValue.wsIndicatorValueId, 5901);
+    assert.equal(cda.notes, 'Technical, managerial and financial capacity reviewed');
+  });
+
+  it('filters by wsIndicatorTypeCode, wsIndicatorValueId and indicatorText', async () => {
+    let { body } = await get(`${WS}/indicator?wsIndicatorTypeCode=ERP`);
+    assert.deepEqual(body.waterSystemPAIndicators.map(i => i.waterSystemIndicatorId), [5622]);
+    ({ body } = await get(`${WS}/indicator?wsIndicatorValueId=5904`));
+    assert.deepEqual(body.waterSystemPAIndicators.map(i => i.waterSystemIndicatorId), [5623]);
+    ({ body } = await get(`${WS}/indicator?indicatorText=late`));
+    assert.deepEqual(body.waterSystemPAIndicators.map(i => i.waterSystemIndicatorId), [5623]);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/flow-rate', () => {
+  it('filters by wsFlowRateTypeCode and quantity', async () => {
+    const { body } = await get(`${WS}/flow-rate?wsFlowRateTypeCode=EMG`);
+    assert.deepEqual(body.waterSystemFlowRates.map(r => r.quantity), [2400]);
+    const design = await get(`${WS}/flow-rate?quantity=8`);
+    assert.deepEqual(design.body.waterSystemFlowRates.map(r => r.waterSystemFlowRateId), [5641]);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/cert', () => {
+  it('returns the certification types and grades the system requires', async () => {
+    const { status, body } = await get(`${WS}/cert`);
+    assert.equal(status, 200);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+    assert.equal(body.resultSummary.totalCount, 3);
+    const [old] = body.certifications;
+    assert.deepEqual(old.certificationType, { certificationType: 'TRT', name: 'Water treatment operator' });
+    assert.deepEqual(old.grade, { gradeCode: 'III', name: 'Grade III' });
+    assert.match(old.certificationNotes, /Grade IV/);
+  });
+
+  it('filters by certificationTypeCode and gradeCode', async () => {
+    let { body } = await get(`${WS}/cert?certificationTypeCode=DIS`);
+    assert.deepEqual(body.certifications.map(c => c.waterSystemCertificationId), [5803]);
+    ({ body } = await get(`${WS}/cert?certificationTypeCode=TRT&gradeCode=IV`));
+    assert.deepEqual(body.certifications.map(c => c.waterSystemCertificationId), [5802]);
+  });
+
+  it('filters on the startDt / endDt ranges', async () => {
+    let { body } = await get(`${WS}/cert?endDateTo=2020-01-01`);
+    assert.deepEqual(body.certifications.map(c => c.waterSystemCertificationId), [5801]);
+    ({ body } = await get(`${WS}/cert?startDateFrom=2019-01-01`));
+    assert.deepEqual(body.certifications.map(c => c.waterSystemCertificationId), [5802]);
+  });
+});
+
+describe('Facility attribute endpoints', () => {
+  it('lists a storage tank capacity as a facility measure', async () => {
+    const { status, body } = await get(`${WS}/facility/31004/facility-measure?measureCode=CAP`);
+    assert.equal(status, 200);
+    assert.equal(body.facilityInfo.facilityId, 31004);
+    assert.equal(body.facilityMeasures.length, 1);
+    assert.equal(body.facilityMeasures[0].quantity, 500000);
+    assert.equal(body.facilityMeasures[0].notes, 'Elevated tank');
+  });
+
+  it('filters facility indicators by type code', async () => {
+    const { body } = await get(`${WELL}/indicator?facilityIndicatorTypeCode=WHP`);
+    assert.deepEqual(body.facilityIndicators.map(i => i.facilityIndicatorValue.facilityIndicatorValue), ['Y']);
+    const none = await get(`${WELL}/indicator?facilityIndicatorTypeCode=BKP`);
+    assert.equal(none.body.resultSummary.totalCount, 0);
+  });
+
+  it('filters facility flow rates by facilityFlowRateTypeId', async () => {
+    const { body } = await get(`${WELL}/flow-rate?facilityFlowRateTypeId=5952`);
+    assert.deepEqual(body.facilityFlowRates.map(r => r.flowRateType.facilityFlowRateTypeCode), ['PRD']);
+  });
+
+  it('lists pumps, filtered by name, type and dates', async () => {
+    let { body } = await get(`${WELL}/pump?pumpName=original`);
+    assert.deepEqual(body.facilityPumps.map(p => p.facilityPumpId), [5762]);
+    ({ body } = await get(`${WELL}/pump?pumpTypeId=5961`));
+    assert.deepEqual(body.facilityPumps.map(p => p.pumpType.pumpCd), ['VT']);
+    ({ body } = await get(`${WELL}/pump?endDateFrom=2000-01-01`));
+    assert.deepEqual(body.facilityPumps.map(p => p.facilityPumpId), [5762]);
+  });
+
+  it('lists the certifications a facility requires', async () => {
+    const { status, body } = await get(`${WS}/facility/31003/cert`);
+    assert.equal(status, 200);
+    assert.equal(body.facilityInfo.facilityId, 31003);
+    assert.deepEqual(body.certifications.map(c => c.grade.gradeCode), ['IV']);
+    const none = await get(`${WS}/facility/31004/cert`);
+    assert.deepEqual(none.body.certifications, []);
+  });
+
+  it('returns 404 for a facility of another water system', async () => {
+    const { status } = await get('/inventory/water-system/XX0020002/facility/31001/pump');
+    assert.equal(status, 404);
+  });
+});
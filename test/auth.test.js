@@ -0,0 +1,331 @@
+/**
+ * Integration tests for authentication and per-agency scoping (auth.js).
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data, with
+ * a shared secret, a temporary JWKS file (RSA and EC keys generated here) and
+ * a temporary API key file. SDWIS_ST_CODE defaults to MS. Demo data:
+ * XX0010001-XX0010003 share the prefix XX001; facilities 37501 and 37502
+ * belong to XX0020002, and 37502 feeds XX0010001's 31005.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'test-secret-with-enough-length-for-hs256';
+const API_KEY = 'district-1-key';
+const ADMIN_API_KEY = 'operations-key';
+const jwksFile = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+const apiKeysFile = path.join(os.tmpdir(), `api-keys-${process.pid}.json`);
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+fs.writeFileSync(jwksFile, JSON.stringify({
+  keys: [
+    { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' },
+    { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256', use: 'sig' },
+  ],
+}));
+fs.writeFileSync(apiKeysFile, JSON.stringify([{
+  name: 'district-1',
+  keySha256: crypto.createHash('sha256').update(API_KEY).digest('hex'),
+  pwsidPrefixes: ['XX001'],
+}, {
+  name: 'operations',
+  keySha256: crypto.createHash('sha256').update(ADMIN_API_KEY).digest('hex'),
+  roles: ['admin'],
+}]));
+
+process.env.DEMO_MODE = 'true';
+process.env.AUTH_JWT_SECRET = SECRET;
+process.env.AUTH_JWKS_FILE = jwksFile;
+process.env.AUTH_API_KEYS_FILE = apiKeysFile;
+process.env.AUTH_JWT_ISSUER = 'https://idp.example.gov';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const auth = require('../auth');
+const agency = require('../agency');
+const waterSystemRoutes = require('../routes/water-system');
+const waterSystemGroupRoutes = require('../routes/water-system-group');
+const serviceLineRoutes = require('../routes/service-line');
+const purchaseRoutes = require('../routes/purchase');
+const facilityRoutes = require('../routes/facility');
+const facilityFlowRoutes = require('../routes/facility-flow');
+const cacheRoutes = require('../routes/cache');
+
+let server;
+let baseUrl;
+
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+// Compact JWS with the test keys; claims default to a valid five-minute token
+function sign(claims = {}, { alg = 'HS256', kid, secret = SECRET } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const input = `${encode({ alg, typ: 'JWT', ...(kid && { kid }) })}.${encode({
+    iss: 'https://idp.example.gov', sub: 'jdoe', iat: now, exp: now + 300, ...claims,
+  })}`;
+  let signature;
+  if (alg === 'HS256') signature = crypto.createHmac('sha256', secret).update(input).digest();
+  else if (alg === 'RS256') signature = crypto.sign('sha256', Buffer.from(input), rsa.privateKey);
+  else if (alg === 'PS256') {
+    signature = crypto.sign('sha256', Buffer.from(input), {
+      key: rsa.privateKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+    });
+  } else signature = crypto.sign('sha256', Buffer.from(input), { key: ec.privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+const bearer = (claims, options) => ({ Authorization: `Bearer ${sign(claims, options)}` });
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory', auth.authenticate, agency.selectAgency);
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+  app.use('/inventory/treatment-unit/flow', facilityFlowRoutes.treatmentUnit);
+  app.use(
+    '/inventory/supplying-facility/:supplyingFacilityId/flow',
+    facilityRoutes.withSupplyingFacility,
+    facilityFlowRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-line',
+    waterSystemRoutes.withWaterSystem,
+    serviceLineRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/purchase-wholesale',
+    waterSystemRoutes.withWaterSystem,
+    purchaseRoutes
+  );
+  app.use('/inventory/water-system-group', waterSystemGroupRoutes);
+  app.use('/inventory/cache', cacheRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  fs.unlinkSync(jwksFile);
+  fs.unlinkSync(apiKeysFile);
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const pwsids = body => body.waterSystems.map(ws => ws.waterSystemId);
+
+describe('credentials', () => {
+  it('requires credentials, answering in the ErrorDTO shape', async () => {
+    const { status, headers, body } = await get('/inventory/water-system');
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: { errorCode: '401', errorDesc: 'Authentication required' } });
+    assert.equal(headers['www-authenticate'], 'Bearer, ApiKey');
+  });
+
+  it('accepts tokens signed with the shared secret or a JWKS key', async () => {
+    for (const options of [{ alg: 'HS256' }, { alg: 'RS256', kid: 'rsa-1' }, { alg: 'PS256' }, { alg: 'ES256', kid: 'ec-1' }]) {
+      const { status, body } = await get('/inventory/water-system/XX0010001', bearer({}, options));
+      assert.equal(status, 200, options.alg);
+      assert.equal(body.waterSystem.waterSystemId, 'XX0010001');
+    }
+  });
+
+  it('rejects bad signatures, expired tokens and the wrong issuer', async () => {
+    let { status, body } = await get('/inventory/water-system', bearer({}, { secret: 'not-the-secret' }));
+    assert.equal(status, 401);
+    assert.equal(body.error.errorDesc, 'Invalid bearer token signature');
+
+    ({ status, body } = await get('/inventory/water-system', bearer({ exp: Math.floor(Date.now() / 1000) - 600 })));
+    assert.equal(status, 401);
+    assert.equal(body.error.errorDesc, 'Bearer token has expired');
+
+    ({ status, body } = await get('/inventory/water-system', bearer({ iss: 'https://elsewhere.example.com' })));
+    assert.equal(status, 401);
+    assert.equal(body.error.errorDesc, 'Bearer token has the wrong issuer');
+
+    ({ status } = await get('/inventory/water-system', { Authorization: 'Bearer not.a-token' }));
+    assert.equal(status, 401);
+  });
+
+  it('rejects a token whose header or claims are not JSON objects', async () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const [header, payload] = sign({}).split('.');
+    for (const token of [
+      `${encode(null)}.${encode(null)}.x`, `${encode(null)}.${payload}.x`, `${header}.${encode(null)}.x`,
+      `${encode([])}.${payload}.x`, `${header}.${encode('claims')}.x`, `${encode(42)}.${payload}.x`,
+    ]) {
+      const { status, body } = await get('/inventory/water-system', { Authorization: `Bearer ${token}` });
+      assert.equal(status, 401, token);
+      assert.equal(body.error.errorDesc, 'Malformed bearer token');
+    }
+  });
+
+  it('refuses a JWKS key used as an HMAC secret and unsigned tokens', async () => {
+    // An RS256 token relabelled HS256 and signed with the public key
+    const publicPem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+    let { status } = await get('/inventory/water-system', bearer({}, { alg: 'HS256', secret: publicPem }));
+    assert.equal(status, 401);
+
+    const [, payload] = sign({}).split('.');
+    const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+    ({ status } = await get('/inventory/water-system', { Authorization: `Bearer ${header}.${payload}.` }));
+    assert.equal(status, 401);
+  });
+
+  it('accepts a configured API key and rejects an unknown one', async () => {
+    let { status } = await get('/inventory/water-system/XX0010001', { 'X-API-Key': API_KEY });
+    assert.equal(status, 200);
+
+    let body;
+    ({ status, body } = await get('/inventory/water-system/XX0010001', { 'X-API-Key': 'guessed-key' }));
+    assert.equal(status, 401);
+    assert.equal(body.error.errorDesc, 'Invalid API key');
+  });
+});
+
+describe('scoping', () => {
+  it('refuses a token for other primacy agencies', async () => {
+    const { status, body } = await get('/inventory/water-system', bearer({ primacyAgencies: ['AL', 'TN'] }));
+    assert.equal(status, 403);
+    assert.deepEqual(body, { error: { errorCode: '403', errorDesc: 'Not authorized for primacy agency MS' } });
+  });
+
+  it('accepts the agency claim as a space-separated string', async () => {
+    const { status } = await get('/inventory/water-system', bearer({ primacyAgencies: 'AL ms' }));
+    assert.equal(status, 200);
+  });
+
+  it('lists only water systems within the PWSID prefixes', async () => {
+    const { body } = await get('/inventory/water-system?pageSize=100', bearer({ pwsidPrefixes: ['XX001'] }));
+    assert.deepEqual(pwsids(body).sort(), ['XX0010001', 'XX0010002', 'XX0010003']);
+    assert.equal(body.resultSummary.totalCount, 3);
+  });
+
+  it('refuses water systems outside the prefixes, including their child records', async () => {
+    const headers = { 'X-API-Key': API_KEY };
+    let { status, body } = await get('/inventory/water-system/XX0020002', headers);
+    assert.equal(status, 403);
+    assert.equal(body.error.errorDesc, 'Not authorized for water system XX0020002');
+
+    ({ status } = await get('/inventory/water-system/XX0030001/service-line', headers));
+    assert.equal(status, 403);
+    ({ status } = await get('/inventory/water-system/XX0020002/facility/37501', headers));
+    assert.equal(status, 403);
+    ({ status } = await get('/inventory/water-system/facility/37501', headers));
+    assert.equal(status, 403);
+    ({ status } = await get('/inventory/supplying-facility/37502/flow', headers));
+    assert.equal(status, 403);
+  });
+
+  it('scopes the facility and treatment unit flow lists', async () => {
+    const headers = bearer({ pwsidPrefixes: 'XX002' });
+    let { body } = await get('/inventory/water-system/facility?pageSize=100', headers);
+    assert.deepEqual(body.facilities.map(f => f.facilityId).sort(), [37501, 37502]);
+    assert.equal(body.resultSummary.totalCount, 2);
+
+    ({ body } = await get('/inventory/treatment-unit/flow', headers));
+    assert.deepEqual(body.treatmentUnitFlowRecs.map(f => f.treatmentUnitFlowId), [6402, 6403]);
+  });
+
+  it('leaves facilities of other systems out of a flow graph', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility/31005/flow-graph?direction=upstream',
+      bearer({ pwsidPrefixes: ['XX001'] }));
+    const ids = body.nodes.map(n => n.facilityId);
+    assert.ok(ids.includes(31001));
+    assert.ok(!ids.includes(37502) && !ids.includes(37501));
+    assert.ok(body.edges.every(e => ids.includes(e.supplyingFacilityId)));
+  });
+
+  it('leaves purchases and wholesales with systems outside the prefixes out', async () => {
+    const headers = bearer({ pwsidPrefixes: ['XX0010001'] });
+    let { status, body } = await get('/inventory/water-system/XX0010001/purchase-wholesale', headers);
+    assert.equal(status, 200);
+    assert.deepEqual(body.wholesales, []);
+    assert.equal(body.resultSummary.totalCount, 0);
+
+    ({ body } = await get('/inventory/water-system/XX0010003/purchase-wholesale', { 'X-API-Key': API_KEY }));
+    assert.deepEqual(body.purchases.map(p => p.waterSystemPurchaseId), [8602]);
+    assert.equal(body.purchases[0].sellerFacility.facilityId, 31005);
+    assert.deepEqual(body.wholesales, []);
+  });
+
+  it('leaves flows into systems outside the prefixes out', async () => {
+    const headers = bearer({ pwsidPrefixes: 'XX002' });
+    let { status, body } = await get('/inventory/supplying-facility/37502/flow', headers);
+    assert.equal(status, 200);
+    assert.deepEqual(body.facilityFlows, []);
+    assert.equal(body.resultSummary.totalCount, 0);
+
+    ({ body } = await get('/inventory/water-system/XX0020002/facility/37502', headers));
+    assert.deepEqual(body.facility.facilityFlows, []);
+
+    ({ body } = await get('/inventory/water-system/facility?pageSize=100', headers));
+    assert.ok(body.facilities.every(f => f.facilityFlows.every(flow =>
+      flow.receivingfacility.dwpWaterSystem.waterSystemId.startsWith('XX002'))));
+
+    ({ body } = await get('/inventory/supplying-facility/37502/flow', bearer({})));
+    assert.deepEqual(body.facilityFlows.map(f => f.receivingfacility.facilityId), [31005]);
+  });
+
+  it('leaves group members outside the prefixes out', async () => {
+    const headers = { 'X-API-Key': API_KEY };
+    let { body } = await get('/inventory/water-system-group/101/static/members?pageSize=100', headers);
+    assert.deepEqual(body.waterSystemStaticMembers.map(m => m.waterSystemId).sort(), ['XX0010001', 'XX0010002', 'XX0010003']);
+
+    ({ body } = await get('/inventory/water-system-group/101/static', headers));
+    assert.deepEqual(body.waterSystemGroup.staticGroupMembers.map(m => m.waterSystemId),
+      ['XX0010001', 'XX0010002', 'XX0010003']);
+  });
+
+  it('rejects a malformed prefix claim', async () => {
+    const { status, body } = await get('/inventory/water-system', bearer({ pwsidPrefixes: ['XX%'] }));
+    assert.equal(status, 401);
+    assert.equal(body.error.errorDesc, 'Invalid pwsidPrefixes claim');
+  });
+});
+
+describe('roles', () => {
+  it('lets only callers with the admin role manage the response cache', async () => {
+    for (const headers of [bearer({ roles: 'reports admin' }), { 'X-API-Key': ADMIN_API_KEY }]) {
+      assert.equal((await get('/inventory/cache', headers)).status, 200);
+    }
+    for (const headers of [bearer({}), bearer({ roles: ['reports'] }), { 'X-API-Key': API_KEY }]) {
+      const { status, body } = await get('/inventory/cache', headers);
+      assert.equal(status, 403);
+      assert.equal(body.error.errorDesc, 'Not authorized to manage the response cache');
+    }
+  });
+});
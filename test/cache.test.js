@@ -0,0 +1,243 @@
+/**
+ * Integration tests for the response cache (cache.js, routes/cache.js).
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data. The
+ * newest change of the water system list is XX0030001's, 2025-02-01T08:45Z.
+ * Caching stays on for 60 seconds and at most 3 responses unless a test
+ * changes that.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+process.env.SDWIS_ST_CODE = 'MS';
+process.env.SDWIS_ST_CODES = 'MS,NN';
+process.env.CACHE_TTL_SECONDS = '60';
+process.env.CACHE_MAX_ENTRIES = '3';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const agency = require('../agency');
+const cache = require('../cache');
+const cacheRoutes = require('../routes/cache');
+const waterSystemRoutes = require('../routes/water-system');
+
+let server;
+let baseUrl;
+
+function request(method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      let text = '';
+      res.on('data', chunk => text += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${text}`));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const get = (path, headers) => request('GET', path, headers);
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for auth.authenticate: the test names the caller's PWSID
+  // prefixes and roles; without either header authentication is off
+  app.use('/inventory', (req, res, next) => {
+    const prefixes = req.get('X-Test-Prefixes');
+    const roles = req.get('X-Test-Roles');
+    req.auth = prefixes || roles
+      ? {
+        method: 'api-key', subject: 'test', primacyAgencies: null,
+        pwsidPrefixes: prefixes ? prefixes.split(',') : null, roles: roles ? roles.split(',') : [],
+      }
+      : null;
+    next();
+  }, agency.selectAgency);
+  app.use('/inventory/water-system', cache.cacheResponses);
+  app.use('/inventory/cache', cacheRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+beforeEach(() => {
+  process.env.CACHE_TTL_SECONDS = '60';
+  process.env.CACHE_MAX_ENTRIES = '3';
+  cache.purgeCache();
+});
+
+describe('response cache', () => {
+  it('answers the same request from the cache', async () => {
+    const first = await get('/inventory/water-system?pageSize=5&wsStatusCode=A');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['x-cache'], 'MISS');
+
+    const second = await get('/inventory/water-system?wsStatusCode=A&pageSize=5');
+    assert.equal(second.headers['x-cache'], 'HIT');
+    assert.equal(second.headers['content-type'], 'application/json; charset=utf-8');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(second.headers.etag, first.headers.etag);
+  });
+
+  it('keeps agencies, PWSID scopes and queries apart', async () => {
+    await get('/inventory/water-system?pageSize=5');
+    for (const [path, headers] of [
+      ['/inventory/water-system?pageSize=5', { 'X-PRIMACY-AGENCY-ID': 'NN' }],
+      ['/inventory/water-system?pageSize=5', { 'X-Test-Prefixes': 'XX001' }],
+      ['/inventory/water-system?pageSize=6', {}],
+    ]) {
+      const { headers: response } = await get(path, headers);
+      assert.equal(response['x-cache'], 'MISS', JSON.stringify(headers));
+    }
+    const scoped = await get('/inventory/water-system?pageSize=5', { 'X-Test-Prefixes': 'XX001' });
+    assert.equal(scoped.headers['x-cache'], 'HIT');
+    assert.ok(scoped.body.waterSystems.every(ws => ws.waterSystemId.startsWith('XX001')));
+  });
+
+  it('does not cache errors or the streamed export', async () => {
+    const missing = await get('/inventory/water-system/XX9999999');
+    assert.equal(missing.status, 404);
+    assert.equal((await get('/inventory/water-system/XX9999999')).headers['x-cache'], undefined);
+
+    const bad = await get('/inventory/water-system?fedPopulation[gte]=many');
+    assert.equal(bad.status, 400);
+    assert.equal(cache.cacheStats().entries, 0);
+
+    const exported = await new Promise((resolve, reject) => {
+      http.get(`${baseUrl}/inventory/water-system/export`, resolve).on('error', reject);
+    });
+    exported.resume();
+    assert.equal(exported.headers['x-cache'], undefined);
+    assert.equal(cache.cacheStats().entries, 0);
+  });
+
+  it('passes the change feed through uncached', async () => {
+    const first = await get('/inventory/water-system/changes?since=2025-01-01T00:00:00Z');
+    assert.equal(first.status, 200);
+    const again = await get('/inventory/water-system/changes?since=2025-01-01T00:00:00Z');
+    assert.equal(again.headers['x-cache'], undefined);
+    assert.equal(again.headers['last-modified'], undefined);
+    assert.equal(cache.cacheStats().entries, 0);
+  });
+
+  it('drops responses after CACHE_TTL_SECONDS', async () => {
+    process.env.CACHE_TTL_SECONDS = '0.05';
+    await get('/inventory/water-system/XX0010001');
+    assert.equal((await get('/inventory/water-system/XX0010001')).headers['x-cache'], 'HIT');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal((await get('/inventory/water-system/XX0010001')).headers['x-cache'], 'MISS');
+  });
+
+  it('drops the least recently used response past CACHE_MAX_ENTRIES', async () => {
+    for (const id of ['XX0010001', 'XX0010002', 'XX0020001', 'XX0010001', 'XX0020002']) {
+      await get(`/inventory/water-system/${id}`);
+    }
+    assert.equal(cache.cacheStats().entries, 3);
+    assert.equal((await get('/inventory/water-system/XX0010001')).headers['x-cache'], 'HIT');
+    assert.equal((await get('/inventory/water-system/XX0010002')).headers['x-cache'], 'MISS');
+  });
+
+  it('caches nothing with CACHE_TTL_SECONDS unset, but still validates', async () => {
+    delete process.env.CACHE_TTL_SECONDS;
+    const first = await get('/inventory/water-system/XX0010001');
+    assert.equal(first.headers['x-cache'], undefined);
+    assert.equal(cache.cacheStats().entries, 0);
+    const again = await get('/inventory/water-system/XX0010001', { 'If-None-Match': first.headers.etag });
+    assert.equal(again.status, 304);
+  });
+});
+
+describe('conditional requests', () => {
+  it('sends Last-Modified from the newest change and an ETag', async () => {
+    const { headers } = await get('/inventory/water-system?pageSize=100');
+    assert.equal(headers['last-modified'], new Date('2025-02-01T08:45:00Z').toUTCString());
+    assert.match(headers.etag, /^W\/"[0-9a-z]+-[\w-]+"$/);
+    assert.equal(headers['cache-control'], 'private, no-cache');
+
+    const one = await get('/inventory/water-system/XX0010001');
+    assert.equal(one.headers['last-modified'], new Date(one.body.waterSystem.updateDt).toUTCString());
+    assert.notEqual(one.headers.etag, headers.etag);
+  });
+
+  it('answers 304 while the ETag matches, from the cache or not', async () => {
+    const { headers } = await get('/inventory/water-system?pageSize=3');
+    const cached = await get('/inventory/water-system?pageSize=3', { 'If-None-Match': headers.etag });
+    assert.equal(cached.status, 304);
+    assert.equal(cached.headers['x-cache'], 'HIT');
+    assert.equal(cached.body, null);
+
+    cache.purgeCache();
+    const reread = await get('/inventory/water-system?pageSize=3', { 'If-None-Match': headers.etag });
+    assert.equal(reread.status, 304);
+    assert.equal(reread.headers['x-cache'], 'MISS');
+    assert.equal(reread.headers.etag, headers.etag);
+
+    const other = await get('/inventory/water-system?pageSize=4', { 'If-None-Match': headers.etag });
+    assert.equal(other.status, 200);
+  });
+
+  it('answers 304 when nothing changed since If-Modified-Since', async () => {
+    const { headers } = await get('/inventory/water-system/XX0030001');
+    const unchanged = await get('/inventory/water-system/XX0030001', { 'If-Modified-Since': headers['last-modified'] });
+    assert.equal(unchanged.status, 304);
+    const changed = await get('/inventory/water-system/XX0030001', { 'If-Modified-Since': 'Sat, 01 Feb 2025 08:00:00 GMT' });
+    assert.equal(changed.status, 200);
+  });
+});
+
+describe('cache administration', () => {
+  const ADMIN = { 'X-Test-Roles': 'ADMIN' };
+
+  it('reports statistics and purges every response', async () => {
+    await get('/inventory/water-system/XX0010001');
+    await get('/inventory/water-system/XX0010001');
+    await get('/inventory/water-system/XX0010002', { 'X-PRIMACY-AGENCY-ID': 'NN' });
+
+    const stats = await get('/inventory/cache', ADMIN);
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.cache.entries, 2);
+    assert.equal(stats.body.cache.maxEntries, 3);
+    assert.equal(stats.body.cache.ttlSeconds, 60);
+    assert.ok(stats.body.cache.hits >= 1);
+
+    const purged = await request('DELETE', '/inventory/cache', ADMIN);
+    assert.equal(purged.status, 200);
+    assert.deepEqual(purged.body, { error: null, purgedCount: 2 });
+    assert.equal((await get('/inventory/water-system/XX0010001')).headers['x-cache'], 'MISS');
+  });
+
+  it('refuses callers without the admin role, and everyone with authentication off', async () => {
+    await get('/inventory/water-system/XX0010001');
+    for (const headers of [{}, { 'X-Test-Prefixes': 'XX001' }, { 'X-Test-Roles': 'REPORTS' }]) {
+      const { status, body } = await request('DELETE', '/inventory/cache', headers);
+      assert.equal(status, 403, JSON.stringify(headers));
+      assert.deepEqual(body, { error: { errorCode: '403', errorDesc: 'Not authorized to manage the response cache' } });
+      assert.equal((await get('/inventory/cache', headers)).status, 403);
+    }
+    assert.equal(cache.cacheStats().entries, 1);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Integration tests for the water system and facility change feeds
+ * (changes.js).
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data:
+ * 10 water systems and 9 facilities, each updated at a different time
+ * between 2020 and 2025. Following the watermarks must return every record
+ * once, oldest change first.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const facilityRoutes = require('../routes/facility');
+const waterSystemRoutes = require('../routes/water-system');
+const { feedStart, changeQuery, changePage } = require('../changes');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+// Follows nextWatermark from `path` while hasMore; returns each page's
+// records and the last watermark
+async function sync(path, collection) {
+  const pages = [];
+  let url = path;
+  for (;;) {
+    const { status, body } = await get(url);
+    assert.equal(status, 200);
+    pages.push(body[collection]);
+    assert.ok(pages.length <= 20, 'change feed does not end');
+    if (!body.changeSummary.hasMore) return { pages, watermark: body.changeSummary.nextWatermark };
+    url = `${path.split('?')[0]}?pageSize=${body.changeSummary.pageSize}&watermark=${body.changeSummary.nextWatermark}`;
+  }
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('water system change feed', () => {
+  it('returns every system in update order, with a watermark', async () => {
+    const { status, body } = await get('/inventory/water-system/changes');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.waterSystems.length, 10);
+    const updated = body.waterSystems.map(ws => ws.updateDt);
+    assert.deepEqual(updated, [...updated].sort());
+    assert.equal(body.changeSummary.pageSize, 100);
+    assert.equal(body.changeSummary.hasMore, false);
+    assert.equal(typeof body.changeSummary.nextWatermark, 'string');
+  });
+
+  it('returns full records, with child records', async () => {
+    const { body } = await get('/inventory/water-system/changes?pageSize=1');
+    assert.equal(body.waterSystems[0].waterSystemId, 'XX0020002');
+    assert.ok(Array.isArray(body.waterSystems[0].dwpWaterSystemAnnualOperatingPeriods));
+  });
+
+  it('visits every system once when following watermarks', async () => {
+    const { pages } = await sync('/inventory/water-system/changes?pageSize=3', 'waterSystems');
+    assert.deepEqual(pages.map(p => p.length), [3, 3, 3, 1]);
+    const ids = pages.flat().map(ws => ws.waterSystemId);
+    const { body } = await get('/inventory/water-system/changes');
+    assert.deepEqual(ids, body.waterSystems.map(ws => ws.waterSystemId));
+  });
+
+  it('starts at since, inclusive', async () => {
+    const { body } = await get('/inventory/water-system/changes?since=2025-01-08T11:00:00Z');
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0020001', 'XX0050001', 'XX0030001']);
+  });
+
+  it('keeps the watermark when nothing changed, so the next sync starts there', async () => {
+    const { watermark } = await sync('/inventory/water-system/changes?pageSize=4', 'waterSystems');
+    const { body } = await get(`/inventory/water-system/changes?watermark=${watermark}`);
+    assert.deepEqual(body.waterSystems, []);
+    assert.equal(body.changeSummary.hasMore, false);
+    assert.equal(body.changeSummary.nextWatermark, watermark);
+
+    const later = await get('/inventory/water-system/changes?since=2025-02-01T08:45:00Z');
+    assert.deepEqual(later.body.waterSystems.map(ws => ws.waterSystemId), ['XX0030001']);
+    const none = await get('/inventory/water-system/changes?since=2030-01-01');
+    assert.deepEqual(none.body.waterSystems, []);
+    // ... and from since, inclusive, when nothing had changed yet
+    const { status, body: resumed } = await get(`/inventory/water-system/changes?watermark=${none.body.changeSummary.nextWatermark}`);
+    assert.equal(status, 200);
+    assert.deepEqual(resumed.waterSystems, []);
+    assert.equal(resumed.changeSummary.nextWatermark, none.body.changeSummary.nextWatermark);
+  });
+
+  it('refuses a malformed watermark or since, or both, with 400', async () => {
+    for (const [query, message] of [
+      ['watermark=not-a-watermark', 'Malformed watermark'],
+      [`watermark=${Buffer.from('["2025-01-01T00:00:00.000Z"]').toString('base64url')}`, 'Malformed watermark'],
+      ['since=yesterday', 'since takes a date-time, not "yesterday"'],
+      ['since=2025-01-01&watermark=x', 'Pass since or watermark, not both'],
+    ]) {
+      const { status, body } = await get(`/inventory/water-system/changes?${query}`);
+      assert.equal(status, 400, query);
+      assert.deepEqual(body, { error: { message } });
+    }
+  });
+});
+
+describe('facility change feed', () => {
+  it('visits every facility once, in update order', async () => {
+    const { pages } = await sync('/inventory/water-system/facility/changes?pageSize=4', 'facilities');
+    assert.deepEqual(pages.map(p => p.length), [4, 4, 1]);
+    const facilities = pages.flat();
+    assert.equal(new Set(facilities.map(f => f.facilityId)).size, 9);
+    assert.equal(facilities[0].facilityId, 31005);
+    const updated = facilities.map(f => f.updateDt);
+    assert.deepEqual(updated, [...updated].sort());
+  });
+
+  it('starts at since', async () => {
+    const { body } = await get('/inventory/water-system/facility/changes?since=2025-01-01');
+    assert.deepEqual(body.facilities.map(f => f.facilityId), [31003, 37502]);
+  });
+
+  it('is not taken for a facility ID', async () => {
+    const { status, body } = await get('/inventory/water-system/facility/changes?since=bad');
+    assert.equal(status, 400);
+    assert.match(body.error.message, /since takes a date-time/);
+  });
+});
+
+describe('database watermarks', () => {
+  // PostgreSQL reads change times back to the microsecond (changeText())
+  const rows = [
+    { change_ts: '2025-01-15T16:00:00.123456', tinwsys_is_number: 7 },
+    { change_ts: '2025-01-15T16:00:00.123789', tinwsys_is_number: 3 },
+  ];
+  const keyOf = row => ({ changed: row.change_ts, id: row.tinwsys_is_number });
+
+  it('keeps the change time at the database\'s precision', () => {
+    const { items, nextWatermark } = changePage(rows, { start: null, pageSize: 1, keyOf });
+    assert.deepEqual(items, [rows[0]]);
+    const start = feedStart({ watermark: nextWatermark });
+    assert.deepEqual(start, { changed: '2025-01-15T16:00:00.123456', id: 7 });
+
+    // ... and compares rows against it, so the next page starts after the last
+    const { text, params } = changeQuery({
+      select: 'SELECT ws.* FROM tinwsys ws WHERE 1 = 1', changed: 'ws.d_last_updt_ts', id: 'ws.tinwsys_is_number',
+      params: [], paramIdx: 1, start, pageSize: 1,
+    });
+    assert.match(text, /\(ws\.d_last_updt_ts > \$1 OR \(ws\.d_last_updt_ts = \$1 AND ws\.tinwsys_is_number > \$2\)\)/);
+    assert.deepEqual(params, ['2025-01-15T16:00:00.123456', 7, 2, 0]);
+  });
+
+  it('reads watermarks with a zone as dates', () => {
+    const watermark = Buffer.from('["2025-01-15T16:00:00.123Z",7]').toString('base64url');
+    assert.deepEqual(feedStart({ watermark }), { changed: new Date('2025-01-15T16:00:00.123Z'), id: 7 });
+  });
+});
@@ -21,10 +21,7 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 
-const express = require('express');
-const db = require('../db');
-const facilityRoutes = require('../routes/facility');
-const waterSystemRoutes = require('../routes/water-system');
+const { createApp } = require('../app');
 
 // ── Load config and spec ────────────────────────────────────────────────
 
@@ -138,10 +135,7 @@ function get(urlPath) {
 }
 
 before(() => {
-  const app = express();
-  app.use(express.json());
-  app.use('/inventory/water-system/facility', facilityRoutes);
-  app.use('/inventory/water-system', waterSystemRoutes);
+  const app = createApp();
 
   return new Promise((resolve) => {
     server = app.listen(0, () => {
@@ -158,24 +152,30 @@ after(() => new Promise((resolve) => server.close(resolve)));
 for (const entity of config.entities) {
   describe(`Spec Conformance: ${entity.dto}`, () => {
 
-    it(`list response conforms to ${entity.dto}`, async () => {
-      const { body } = await get(entity.listPath);
-      const items = body[entity.listCollection];
-      assert.ok(items && items.length > 0, `Need at least one ${entity.dto} in list`);
-
-      const result = validate(items[0], entity.dto, entity.exceptions);
+    // Nested detail DTOs (e.g. facility.facilityWell) have no list route
+    if (entity.listPath) {
+      it(`list response conforms to ${entity.dto}`, async () => {
+        const { body } = await get(entity.listPath);
+        const items = body[entity.listCollection];
+        assert.ok(items && items.length > 0, `Need at least one ${entity.dto} in list`);
+
+        const result = validate(items[0], entity.dto, entity.exceptions);
+
+        if (result.extraFields.length)
+          assert.fail(`EXTRA fields not in ${entity.dto} spec: ${result.extraFields.join(', ')}`);
+        if (result.typeViolations.length)
+          assert.fail(`TYPE violations: ${result.typeViolations.join('; ')}`);
+        if (result.missingFields.length)
+          assert.fail(`MISSING fields (add to exceptions or implement): ${result.missingFields.join(', ')}`);
+      });
+    }
 
-      if (result.extraFields.length)
-        assert.fail(`EXTRA fields not in ${entity.dto} spec: ${result.extraFields.join(', ')}`);
-      if (result.typeViolations.length)
-        assert.fail(`TYPE violations: ${result.typeViolations.join('; ')}`);
-      if (result.missingFields.length)
-        assert.fail(`MISSING fields (add to exceptions or implement): ${result.missingFields.join(', ')}`);
-    });
+    // Lookup lists have no get-by-ID route
+    if (!entity.itemPath) return;
 
     it(`get-by-ID response conforms to ${entity.dto}`, async () => {
       const { body } = await get(entity.itemPath);
-      const item = body[entity.itemKey];
+      const item = entity.itemKey.split('.').reduce((obj, key) => obj?.[key], body);
       assert.ok(item, `Need a valid ${entity.dto} from ${entity.itemPath}`);
 
       const result = validate(item, entity.dto, entity.exceptions);
@@ -0,0 +1,174 @@
+/**
+ * Integration tests for cursor (keyset) pagination of the water system and
+ * facility lists (cursor.js).
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data:
+ * 10 water systems and 9 facilities, 5 of them XX0010001's. Walking a list by
+ * cursor must return every record once, in the list's order.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const facilityRoutes = require('../routes/facility');
+const waterSystemRoutes = require('../routes/water-system');
+const waterSystemGroupRoutes = require('../routes/water-system-group');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+// Follows nextCursor from the first page; returns each page's ids
+async function walk(path, collection, id) {
+  const pages = [];
+  let cursor = '';
+  while (cursor !== null) {
+    const { status, body } = await get(`${path}&cursor=${encodeURIComponent(cursor)}`);
+    assert.equal(status, 200);
+    pages.push(body[collection].map(r => r[id]));
+    cursor = body.resultSummary.nextCursor;
+    assert.ok(pages.length <= 20, 'cursor walk does not end');
+  }
+  return pages;
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+  app.use('/inventory/water-system-group', waterSystemGroupRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('water system list by cursor', () => {
+  it('returns a first page with nextCursor and no pageNumber', async () => {
+    const { status, body } = await get('/inventory/water-system?cursor=&pageSize=4');
+    assert.equal(status, 200);
+    assert.equal(body.waterSystems.length, 4);
+    assert.equal(body.resultSummary.totalCount, 10);
+    assert.equal(body.resultSummary.pageNumber, null);
+    assert.equal(body.resultSummary.totalPages, 3);
+    assert.equal(typeof body.resultSummary.nextCursor, 'string');
+  });
+
+  it('leaves nextCursor out when paging by pageNumber', async () => {
+    const { body } = await get('/inventory/water-system?pageSize=4');
+    assert.equal(body.resultSummary.pageNumber, 0);
+    assert.ok(!('nextCursor' in body.resultSummary));
+  });
+
+  for (const sort of ['', '&sortColumns=fedPopulation&sortOrders=DESC', '&sortColumns=wsStatusCode,localName&sortOrders=ASC,DESC']) {
+    it(`visits every system once, in list order${sort ? ` (${sort.slice(1)})` : ''}`, async () => {
+      const pages = await walk(`/inventory/water-system?pageSize=3${sort}`, 'waterSystems', 'waterSystemId');
+      assert.deepEqual(pages.map(p => p.length), [3, 3, 3, 1]);
+      assert.equal(new Set(pages.flat()).size, 10);
+    });
+  }
+
+  it('follows the sort, like one large page', async () => {
+    const pages = await walk('/inventory/water-system?pageSize=3&sortColumns=fedPopulation&sortOrders=DESC', 'waterSystems', 'waterSystemId');
+    const { body } = await get('/inventory/water-system?pageSize=100&sortColumns=fedPopulation&sortOrders=DESC');
+    assert.deepEqual(pages.flat(), body.waterSystems.map(ws => ws.waterSystemId));
+  });
+
+  it('sorts by name by default', async () => {
+    const pages = await walk('/inventory/water-system?pageSize=4', 'waterSystems', 'waterSystemId');
+    const { body } = await get('/inventory/water-system?pageSize=100&sortColumns=name');
+    assert.deepEqual(pages.flat(), body.waterSystems.map(ws => ws.waterSystemId));
+  });
+
+  it('applies the list filters', async () => {
+    const pages = await walk('/inventory/water-system?pageSize=2&waterSystemId=XX001', 'waterSystems', 'waterSystemId');
+    assert.deepEqual(pages.flat().sort(), ['XX0010001', 'XX0010002', 'XX0010003']);
+  });
+
+  it('keeps its place when records before it go away', async () => {
+    // A cursor continues after a key, not at a position: narrowing the filter
+    // to drop records already returned leaves the next page unchanged
+    const first = await get('/inventory/water-system?cursor=&pageSize=3&sortColumns=fedPopulation');
+    const next = encodeURIComponent(first.body.resultSummary.nextCursor);
+    const all = await get(`/inventory/water-system?cursor=${next}&pageSize=3&sortColumns=fedPopulation`);
+    const fewer = await get(`/inventory/water-system?cursor=${next}&pageSize=3&sortColumns=fedPopulation&fedPopulationFrom=50`);
+    assert.deepEqual(fewer.body.waterSystems.map(ws => ws.waterSystemId), all.body.waterSystems.map(ws => ws.waterSystemId));
+
+    // ... where the second page by pageNumber shifts
+    const paged = await get('/inventory/water-system?pageNumber=1&pageSize=3&sortColumns=fedPopulation&fedPopulationFrom=50');
+    assert.notDeepEqual(paged.body.waterSystems.map(ws => ws.waterSystemId), all.body.waterSystems.map(ws => ws.waterSystemId));
+  });
+
+  it('refuses a malformed cursor, or one for another sort, with 400', async () => {
+    let { status, body } = await get('/inventory/water-system?cursor=not-a-cursor');
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: { message: 'Malformed cursor' } });
+
+    const first = await get('/inventory/water-system?cursor=&pageSize=2');
+    ({ status, body } = await get(
+      `/inventory/water-system?cursor=${encodeURIComponent(first.body.resultSummary.nextCursor)}&sortColumns=fedPopulation`));
+    assert.equal(status, 400);
+    assert.equal(body.error.message, 'Cursor was issued for a different sort order');
+  });
+});
+
+describe('facility lists by cursor', () => {
+  it('visits every facility once', async () => {
+    const pages = await walk('/inventory/water-system/facility?pageSize=4&sortColumns=facilityTypeCode&sortOrders=DESC',
+      'facilities', 'facilityId');
+    assert.deepEqual(pages.map(p => p.length), [4, 4, 1]);
+    assert.equal(new Set(pages.flat()).size, 9);
+  });
+
+  it('pages a water system\'s search records', async () => {
+    const pages = await walk('/inventory/water-system/XX0010001/facility?pageSize=2', 'facilities', 'facilityId');
+    assert.deepEqual(pages.flat().sort(), [31001, 31002, 31003, 31004, 31005]);
+  });
+
+  it('refuses a malformed cursor with 400', async () => {
+    const { status } = await get('/inventory/water-system/facility?cursor=e30');
+    assert.equal(status, 400);
+  });
+});
+
+describe('group members by cursor', () => {
+  it('pages a static group\'s members', async () => {
+    const pages = await walk('/inventory/water-system-group/101/static/members?pageSize=3',
+      'waterSystemStaticMembers', 'waterSystemId');
+    assert.deepEqual(pages.flat().sort(), ['XX0010001', 'XX0010002', 'XX0010003', 'XX0050001']);
+  });
+});
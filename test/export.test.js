@@ -0,0 +1,183 @@
+/**
+ * Integration tests for the water system and facility exports (export.js).
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data:
+ * 10 water systems (9 active, XX0050001 inactive) and 9 facilities across 4
+ * water systems. Storage tank 31004's notes contain commas.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const facilityRoutes = require('../routes/facility');
+const waterSystemRoutes = require('../routes/water-system');
+
+let server;
+let baseUrl;
+
+// Raw response text (exports are not JSON documents)
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+const ndjson = body => body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for auth.authenticate: the test sends the token's prefix claim
+  app.use('/inventory', (req, res, next) => {
+    const claim = req.get('X-Test-Prefixes');
+    req.auth = claim ? { pwsidPrefixes: claim.split(',') } : null;
+    next();
+  });
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('GET /inventory/water-system/export', () => {
+  it('streams every water system as NDJSON by default, beyond the page size', async () => {
+    const { status, headers, body } = await get('/inventory/water-system/export?pageSize=2');
+    assert.equal(status, 200);
+    assert.equal(headers['content-type'], 'application/x-ndjson');
+    assert.equal(headers['content-disposition'], 'attachment; filename="water-systems.ndjson"');
+    assert.equal(ndjson(body).length, 10);
+  });
+
+  it('flattens nested codes and leaves child collections out', async () => {
+    const { body } = await get('/inventory/water-system/export?waterSystemId=XX0010001');
+    const [record] = ndjson(body);
+    assert.equal(record.waterSystemId, 'XX0010001');
+    assert.equal(record['waterSystemStatus.wsStatusCode'], 'A');
+    assert.ok('ownerType.wsOwnerTypeCode' in record);
+    assert.equal(record.ownerType, undefined);
+    assert.equal(record.pocs, undefined);
+    assert.equal(record.dwpWaterSystemAnnualOperatingPeriods, undefined);
+  });
+
+  it('carries the derived fields of the list', async () => {
+    const list = await get('/inventory/water-system?pageSize=100');
+    const listed = new Map(JSON.parse(list.body).waterSystems.map(ws => [ws.waterSystemId, ws]));
+    for (const record of ndjson((await get('/inventory/water-system/export')).body)) {
+      const ws = listed.get(record.waterSystemId);
+      assert.equal(record.grandTotalPopulation, ws.grandTotalPopulation, record.waterSystemId);
+      assert.equal(record.wholeSalerInd, ws.wholeSalerInd, record.waterSystemId);
+      assert.equal(record.opInd, ws.opInd, record.waterSystemId);
+      assert.equal(record.fedTotalWholesalePopulation, ws.fedTotalWholesalePopulation, record.waterSystemId);
+    }
+  });
+
+  it('applies the list filters and sorting', async () => {
+    let records = ndjson((await get('/inventory/water-system/export?wsStatusCode=I')).body);
+    assert.deepEqual(records.map(r => r.waterSystemId), ['XX0050001']);
+
+    records = ndjson((await get('/inventory/water-system/export?sortColumns=fedPopulation&sortOrders=DESC')).body);
+    const populations = records.map(r => r.fedPopulation);
+    assert.deepEqual(populations, [...populations].sort((a, b) => b - a));
+
+    records = ndjson((await get('/inventory/water-system/export?geographicAreaCode=NO-SUCH-AREA')).body);
+    assert.equal(records.length, 0);
+  });
+
+  it('writes CSV with a header row, on request or by Accept header', async () => {
+    const { status, headers, body } = await get('/inventory/water-system/export?format=csv');
+    assert.equal(status, 200);
+    assert.equal(headers['content-type'], 'text/csv; charset=utf-8');
+    assert.equal(headers['content-disposition'], 'attachment; filename="water-systems.csv"');
+    const lines = body.split('\r\n').filter(Boolean);
+    assert.equal(lines.length, 11);
+    const header = lines[0].split(',');
+    assert.equal(header[0], 'waterSystemId');
+    assert.ok(header.includes('waterSystemStatus.wsStatusCode'));
+
+    const byAccept = await get('/inventory/water-system/export', { Accept: 'text/csv' });
+    assert.equal(byAccept.body, body);
+  });
+
+  it('keeps to the caller\'s PWSID prefixes', async () => {
+    const { body } = await get('/inventory/water-system/export', { 'X-Test-Prefixes': 'XX001' });
+    assert.deepEqual(ndjson(body).map(r => r.waterSystemId).sort(), ['XX0010001', 'XX0010002', 'XX0010003']);
+  });
+
+  it('refuses an unknown format with 400', async () => {
+    const { status, body } = await get('/inventory/water-system/export?format=xlsx');
+    assert.equal(status, 400);
+    assert.deepEqual(JSON.parse(body), { error: { message: 'Unknown export format xlsx; expected ndjson or csv' } });
+  });
+
+  it('does not shadow the water system route', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001');
+    assert.equal(status, 200);
+    assert.equal(JSON.parse(body).waterSystem.waterSystemId, 'XX0010001');
+  });
+});
+
+describe('GET /inventory/water-system/facility/export', () => {
+  it('streams every facility with its water system, location and subtype columns', async () => {
+    const { status, headers, body } = await get('/inventory/water-system/facility/export');
+    assert.equal(status, 200);
+    assert.equal(headers['content-disposition'], 'attachment; filename="facilities.ndjson"');
+    const records = ndjson(body);
+    assert.equal(records.length, 9);
+
+    const well = records.find(r => r.facilityId === 31001);
+    assert.equal(well['dwpWaterSystem.waterSystemId'], 'XX0010001');
+    assert.equal(well['facilityType.facilityTypeCode'], 'WL');
+    assert.equal(well['location.latitude'], 32.29874);
+    assert.ok('facilityWell.wellId' in well);
+    assert.equal(well.facilitySamplingPoints, undefined);
+
+    // Columns are fixed, so a distribution system without location has them as null
+    const distribution = records.find(r => r.facilityId === 31005);
+    assert.deepEqual(Object.keys(distribution), Object.keys(well));
+    assert.equal(distribution['location.latitude'], null);
+  });
+
+  it('applies the list and map filters', async () => {
+    let records = ndjson((await get('/inventory/water-system/facility/export?waterSystemId=XX0010001&facilityTypeCode=WL')).body);
+    assert.deepEqual(records.map(r => r.facilityId).sort(), [31001, 31002]);
+
+    records = ndjson((await get('/inventory/water-system/facility/export?latitudeFrom=33&latitudeTo=34')).body);
+    assert.deepEqual(records.map(r => r.facilityId), [42501]);
+  });
+
+  it('quotes CSV fields that contain commas', async () => {
+    const { body } = await get('/inventory/water-system/facility/export?format=csv&facilityId=31004');
+    const [header, row] = body.split('\r\n');
+    assert.ok(header.startsWith('facilityId,fedFacilityId,dwpWaterSystem.waterSystemId'));
+    assert.ok(row.startsWith('31004,'));
+    assert.ok(row.includes(',"500,000 gallon elevated storage",'));
+  });
+
+  it('keeps to the caller\'s PWSID prefixes', async () => {
+    const { body } = await get('/inventory/water-system/facility/export', { 'X-Test-Prefixes': 'XX002' });
+    assert.deepEqual(ndjson(body).map(r => r.facilityId).sort(), [37501, 37502]);
+  });
+});
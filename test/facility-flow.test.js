@@ -0,0 +1,204 @@
+/**
+ * Integration tests for facility flow, treatment unit flow and flow graph
+ * endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: in XX0010001 wells 31001 and 31002 feed treatment plant 31003,
+ * which feeds storage 31004 and on to distribution 31005; 31002's untreated
+ * bypass to 31005 was disconnected in 2015. In XX0020002 intake 37501 feeds
+ * plant 37502, which has an emergency interconnect to 31005.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const facilityRoutes = require('../routes/facility');
+const facilityFlowRoutes = require('../routes/facility-flow');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+  app.use(
+    '/inventory/supplying-facility/:supplyingFacilityId/flow',
+    facilityRoutes.withSupplyingFacility,
+    facilityFlowRoutes
+  );
+  app.use('/inventory/treatment-unit/flow', facilityFlowRoutes.treatmentUnit);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPFacilityDTO.facilityFlows', () => {
+  it('carries the flows a facility supplies, receiving facility resolved', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility/31002');
+    const flows = body.facility.facilityFlows;
+    assert.deepEqual(flows.map(f => f.facilityFlowId), [8502, 8505]);
+    assert.equal(flows[0].receivingfacility.facilityId, 31003);
+    assert.equal(flows[0].receivingfacility.name, 'TREATMENT FACILITY TF001');
+    assert.equal(flows[0].receivingfacility.dwpWaterSystem.waterSystemId, 'XX0010001');
+  });
+
+  it('uses an empty array for facilities that supply none', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility/31005');
+    assert.deepEqual(body.facility.facilityFlows, []);
+  });
+});
+
+describe('GET /inventory/supplying-facility/:supplyingFacilityId/flow', () => {
+  it('lists the flows with the facility summary', async () => {
+    const { status, body } = await get('/inventory/supplying-facility/31001/flow');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.facilityInfo.facilityId, 31001);
+    assert.equal(body.resultSummary.totalCount, 1);
+    const [flow] = body.facilityFlows;
+    assert.equal(flow.facilityFlowId, 8501);
+    assert.equal(flow.quantity, 700);
+    assert.equal(flow.uom.uomCode, 'GPM');
+    assert.equal(flow.facilityFlowProcessType.facilityFlowProcessTypeCode, 'RAW');
+  });
+
+  it('finds the supplying facility in any water system', async () => {
+    const { body } = await get('/inventory/supplying-facility/37502/flow');
+    const [flow] = body.facilityFlows;
+    assert.equal(flow.facilityFlowConnectType.facilityFlowConnectTypeCode, 'E');
+    assert.equal(flow.receivingfacility.dwpWaterSystem.waterSystemId, 'XX0010001');
+  });
+
+  it('filters by receiving facility and connection date', async () => {
+    let { body } = await get('/inventory/supplying-facility/31002/flow?receivingFacilityId=31005');
+    assert.deepEqual(body.facilityFlows.map(f => f.facilityFlowId), [8505]);
+
+    ({ body } = await get('/inventory/supplying-facility/31002/flow?connectionDt=2004-09-15'));
+    assert.deepEqual(body.facilityFlows.map(f => f.facilityFlowId), [8502]);
+  });
+
+  it('returns 404 for an unknown facility', async () => {
+    const { status, body } = await get('/inventory/supplying-facility/99999/flow');
+    assert.equal(status, 404);
+    assert.match(body.error.message, /99999 not found/);
+  });
+});
+
+describe('GET /inventory/treatment-unit/flow', () => {
+  it('lists treatment unit flows', async () => {
+    const { status, body } = await get('/inventory/treatment-unit/flow');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 3);
+    assert.equal(body.treatmentUnitFlowRecs[0].supplyingTreatmentUnitName, 'GREENSAND FILTER 1');
+  });
+
+  it('filters by facility', async () => {
+    const { body } = await get('/inventory/treatment-unit/flow?facilityId=37502');
+    assert.deepEqual(body.treatmentUnitFlowRecs.map(f => f.treatmentUnitFlowId), [6402, 6403]);
+  });
+
+  it('filters by unit id and unit name', async () => {
+    let { body } = await get('/inventory/treatment-unit/flow?receivingTreatmentUnitId=6105');
+    assert.deepEqual(body.treatmentUnitFlowRecs.map(f => f.treatmentUnitFlowId), [6403]);
+
+    ({ body } = await get('/inventory/treatment-unit/flow?supplyingTreatmentUnitName=sediment'));
+    assert.deepEqual(body.treatmentUnitFlowRecs.map(f => f.treatmentUnitFlowId), [6403]);
+  });
+
+  it('refuses a number or date filter that does not parse with 400', async () => {
+    for (const [query, message] of [
+      ['facilityId=abc', 'facilityId takes a number, not "abc"'],
+      ['treatmentUnitFlowId=6402&treatmentUnitFlowId=6403', 'treatmentUnitFlowId takes a number, not "6402,6403"'],
+      ['quantity=%20', 'quantity takes a number, not " "'],
+      ['connectionDt=last-week', 'connectionDt takes a date (YYYY-MM-DD), not "last-week"'],
+    ]) {
+      const { status, body } = await get(`/inventory/treatment-unit/flow?${query}`);
+      assert.equal(status, 400, query);
+      assert.deepEqual(body, { error: { message } });
+    }
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/facility/:facilityId/flow-graph', () => {
+  const GRAPH = '/inventory/water-system/XX0010001/facility/31003/flow-graph';
+
+  it('traces upstream and downstream from a facility', async () => {
+    const { status, body } = await get(GRAPH);
+    assert.equal(status, 200);
+    assert.equal(body.direction, 'both');
+    assert.equal(body.facilityInfo.facilityId, 31003);
+    assert.deepEqual(
+      body.nodes.map(n => [n.facilityId, n.distance]),
+      [[31001, -1], [31002, -1], [31003, 0], [31004, 1], [31005, 2]]
+    );
+    assert.deepEqual(body.edges.map(e => e.facilityFlowId), [8501, 8502, 8503, 8504]);
+    assert.equal(body.nodes[0].facility.name, 'WELL WL001');
+  });
+
+  it('follows flows across water systems upstream', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility/31005/flow-graph?direction=upstream');
+    assert.equal(body.direction, 'upstream');
+    assert.deepEqual(
+      body.nodes.map(n => [n.facilityId, n.distance]),
+      [[31001, -3], [31002, -3], [31003, -2], [37501, -2], [31004, -1], [37502, -1], [31005, 0]]
+    );
+    const interconnect = body.nodes.find(n => n.facilityId === 37502);
+    assert.equal(interconnect.facility.dwpWaterSystem.waterSystemId, 'XX0020002');
+  });
+
+  it('skips disconnected flows unless asked', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/facility/31002/flow-graph?direction=downstream');
+    assert.ok(!body.edges.some(e => e.facilityFlowId === 8505));
+    assert.equal(body.nodes.find(n => n.facilityId === 31005).distance, 3);
+
+    ({ body } = await get('/inventory/water-system/XX0010001/facility/31002/flow-graph?direction=downstream&includeDisconnected=true'));
+    assert.ok(body.edges.some(e => e.facilityFlowId === 8505));
+    assert.equal(body.nodes.find(n => n.facilityId === 31005).distance, 1);
+  });
+
+  it('stops at maxDepth', async () => {
+    const { body } = await get(`${GRAPH}?direction=downstream&maxDepth=1`);
+    assert.deepEqual(body.nodes.map(n => n.facilityId), [31003, 31004]);
+    assert.deepEqual(body.edges.map(e => e.facilityFlowId), [8503]);
+  });
+
+  it('returns 404 when the facility is not in the water system', async () => {
+    const { status } = await get('/inventory/water-system/XX0020002/facility/31003/flow-graph');
+    assert.equal(status, 404);
+  });
+});
@@ -43,6 +43,7 @@ before(() => {
   const app = express();
   app.use(express.json());
   app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
 
   return new Promise((resolve) => {
     server = app.listen(0, () => {
@@ -159,6 +160,25 @@ describe('GET /inventory/water-system/facility', () => {
     });
   });
 
+  it('filters by bounding box', async () => {
+    const { body } = await get('/inventory/water-system/facility?latitudeFrom=32.2&latitudeTo=32.35&longitudeFrom=-90.2&longitudeTo=-90.1');
+    assert.equal(body.resultSummary.totalCount, 4); // XX0010001 wells, TP and tank
+    body.facilities.forEach(f => assert.equal(f.dwpWaterSystem.waterSystemId, 'XX0010001'));
+  });
+
+  it('filters by radius', async () => {
+    // ~1 mile around the Main St well catches WL001, TF001 and the tank, not WL002
+    const { body } = await get('/inventory/water-system/facility?nearLatitude=32.29874&nearLongitude=-90.18481&radiusMiles=1');
+    const ids = body.facilities.map(f => f.facilityId).sort();
+    assert.deepEqual(ids, [31001, 31003, 31004]);
+  });
+
+  it('excludes facilities without a location from geographic filters', async () => {
+    const { body } = await get('/inventory/water-system/facility?latitudeFrom=-90');
+    assert.equal(body.resultSummary.totalCount, 8); // DS000 has no coordinates
+    body.facilities.forEach(f => assert.ok(f.location));
+  });
+
   // ── Sorting ──
 
   it('sorts by name ASC', async () => {
@@ -220,6 +240,53 @@ describe('GET /inventory/water-system/facility/:facilityId', () => {
     assert.equal(f.waterBodyName, 'Pearl River');
   });
 
+  it('returns the facility location', async () => {
+    const { body } = await get('/inventory/water-system/facility/31001');
+    const loc = body.facility.location;
+    assert.equal(typeof loc.latitude, 'number');
+    assert.equal(typeof loc.longitude, 'number');
+    assert.equal(loc.horizCollectMethod.horiCollMetCode, 'GPS');
+    assert.equal(loc.horizRefDatum.horiRefDatumCode, 'NAD83');
+    assert.equal(loc.verificationMethod.veriMetCode, 'GPS');
+  });
+
+  it('returns null location when no coordinates are recorded', async () => {
+    const { body } = await get('/inventory/water-system/facility/31005');
+    assert.equal(body.facility.location, null);
+  });
+
+  it('returns well details with screens and casings for a WL facility', async () => {
+    const { body } = await get('/inventory/water-system/facility/31001');
+    const well = body.facility.facilityWell;
+    assert.equal(well.wellId, 'WL001');
+    assert.equal(well.staticWaterDepthUom.uomCode, 'FT');
+    assert.equal(well.wellScreens.length, 2);
+    assert.equal(well.wellCasings.length, 2);
+    assert.equal(body.facility.facilityStorage, null);
+    assert.equal(body.facility.treatmentPlant, null);
+  });
+
+  it('returns storage details for an ST facility', async () => {
+    const { body } = await get('/inventory/water-system/facility/31004');
+    assert.equal(body.facility.facilityStorage.storageType.storageTypeCode, 'E');
+    assert.equal(body.facility.facilityWell, null);
+  });
+
+  it('returns treatment plant details for a TP facility', async () => {
+    const { body } = await get('/inventory/water-system/facility/37502');
+    const tp = body.facility.treatmentPlant;
+    assert.equal(tp.giardiaInactivationLog, 3.0);
+    assert.equal(tp.contactStatus.treatmentPlantStatusCode, 'A');
+    assert.equal(body.facility.facilityWell, null);
+  });
+
+  it('returns no subtype objects for other facility types', async () => {
+    const { body } = await get('/inventory/water-system/facility/31005');
+    assert.equal(body.facility.facilityWell, null);
+    assert.equal(body.facility.facilityStorage, null);
+    assert.equal(body.facility.treatmentPlant, null);
+  });
+
   it('populates dwpWaterSystem.name on get-by-ID', async () => {
     const { body } = await get('/inventory/water-system/facility/31001');
     assert.ok(body.facility.dwpWaterSystem.name, 'dwpWaterSystem.name must be populated');
@@ -232,8 +299,126 @@ describe('GET /inventory/water-system/facility/:facilityId', () => {
   });
 
   it('returns 404 for non-numeric ID', async () => {
-    const { status, body } = await get('/inventory/water-system/facility/bogus');
+    for (const id of ['bogus', '37501.5', '0x9281', '%20']) {
+      const { status, body } = await get(`/inventory/water-system/facility/${id}`);
+      assert.equal(status, 404, id);
+      assert.ok(body.error, id);
+    }
+  });
+});
+
+// ── Nested (spec-shaped) endpoints ─────────────────────────────────────
+
+describe('GET /inventory/water-system/:waterSystemId/facility', () => {
+  it('lists only the water system\'s facilities', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 5);
+    body.facilities.forEach(f => assert.ok([31001, 31002, 31003, 31004, 31005].includes(f.facilityId)));
+  });
+
+  it('matches the PWSID exactly, not as a prefix', async () => {
+    const { body } = await get('/inventory/water-system/XX001/facility');
+    assert.equal(body.resultSummary.totalCount, 0);
+  });
+
+  it('returns search records with reference names', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility?facilityTypeCode=TP');
+    assert.equal(body.resultSummary.totalCount, 1);
+    const f = body.facilities[0];
+    assert.equal(f.facilityTypeCode, 'TP');
+    assert.equal(f.facilityTypeName, 'Treatment Plant');
+    assert.equal(f.facilityStatusName, 'Active');
+    assert.equal(f.facilityWaterTypeName, 'Ground water');
+    assert.ok(!('facilityType' in f), 'search records carry flat codes, not nested ref objects');
+  });
+
+  it('applies list filters and sorting', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility?srcInd=Y&sortColumns=facilityId&sortOrders=DESC');
+    assert.deepEqual(body.facilities.map(f => f.facilityId), [31002, 31001]);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/facility/:facilityId', () => {
+  it('returns the facility when it belongs to the water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0020002/facility/37501');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.facility.name, 'RIVERSIDE INTAKE');
+  });
+
+  it('returns 404 when the facility belongs to another water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/37501');
     assert.equal(status, 404);
-    assert.ok(body.error);
+    assert.ok(body.error.message.includes('XX0010001'));
+  });
+
+  it('returns 404 for nonexistent ID', async () => {
+    const { status } = await get('/inventory/water-system/XX0010001/facility/99999');
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/facility/:facilityId/well-screen', () => {
+  it('lists the well\'s screens', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/31001/well-screen');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.deepEqual(body.wellScreens.map(s => s.screenId), ['S1', 'S2']);
+  });
+
+  it('filters by screen type and numeric depth', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/facility/31001/well-screen?screenTypeCode=P');
+    assert.deepEqual(body.wellScreens.map(s => s.screenId), ['S2']);
+    ({ body } = await get('/inventory/water-system/XX0010001/facility/31001/well-screen?depthToTop=105'));
+    assert.deepEqual(body.wellScreens.map(s => s.screenId), ['S1']);
+  });
+
+  it('returns an empty list for a facility that is not a well', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/31004/well-screen');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 0);
+    assert.deepEqual(body.wellScreens, []);
+  });
+
+  it('returns 404 when the facility belongs to another water system', async () => {
+    const { status } = await get('/inventory/water-system/XX0020002/facility/31001/well-screen');
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/facility/:facilityId/well-casing', () => {
+  it('lists the well\'s casings', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/31001/well-casing');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.wellCasings[0].casingType.name, 'Steel');
+  });
+
+  it('filters by diameter and pages', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/facility/31001/well-casing?diameter=8');
+    assert.deepEqual(body.wellCasings.map(c => c.casingId), ['C2']);
+    ({ body } = await get('/inventory/water-system/XX0010001/facility/31001/well-casing?pageSize=1&pageNumber=1'));
+    assert.equal(body.resultSummary.totalPages, 2);
+    assert.deepEqual(body.wellCasings.map(c => c.casingId), ['C2']);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/facility/:facilityId/treatment-plant', () => {
+  it('returns the plant with a facility summary', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/31003/treatment-plant');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.facilityInfo.facilityId, 31003);
+    assert.ok(!('treatmentPlant' in body.facilityInfo));
+    assert.equal(body.dwpTreatmentPlantDTO.virusInactivationLog, 4.0);
+  });
+
+  it('returns 404 for a facility without a treatment plant', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/31001/treatment-plant');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('31001'));
   });
 });
@@ -0,0 +1,140 @@
+/**
+ * Integration tests for the calculated federal water system type endpoint.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 serves 48,500 year-round residents (C); Hilltop Mobile
+ * Home Park (XX0020002) is stored as NTNC but its 85 people are year-round
+ * residents on 34 residential connections; Pine Valley School (XX0030002)
+ * serves 350 students and staff from mid-August to May (NTNC); the campground
+ * (XX0040001) and truck stop (XX0020003) serve mostly transient people (NC).
+ * XX0010002 has connections but no operating period.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const fedTypeRoutes = require('../routes/fed-type');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system-fed-type-calculated/:waterSystemId',
+    waterSystemRoutes.withWaterSystem,
+    fedTypeRoutes
+  );
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const FED_TYPE = '/inventory/water-system-fed-type-calculated';
+
+describe('GET /inventory/water-system-fed-type-calculated/:waterSystemId', () => {
+  it('confirms a community system from its year-round residents', async () => {
+    const { status, body } = await get(`${FED_TYPE}/XX0010001`);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.deepEqual(body.waterSystem, {
+      id: 'XX0010001',
+      decisionFedWsTypeCodeDefaultOption: 'C',
+      decisionFedWsTypeCode: 'C',
+      decisionFedWsTypeCodeOptions: ['C'],
+      waterSystemTypeCodeChange: false,
+    });
+    assert.deepEqual(body.warnings, []);
+    assert.equal(body.calculationBasis.daysOfService, 365);
+    assert.equal(body.calculationBasis.residentialConnections, 15200);
+  });
+
+  it('flags a stored type that disagrees with the calculation', async () => {
+    const { body } = await get(`${FED_TYPE}/XX0020002`);
+    assert.equal(body.waterSystem.decisionFedWsTypeCode, 'C');
+    assert.equal(body.waterSystem.waterSystemTypeCodeChange, true);
+    assert.equal(body.calculationBasis.storedFedWsTypeCode, 'NTNC');
+    assert.equal(body.calculationBasis.residentialPopulation, 85);
+    assert.match(body.warnings[0], /Stored federal type NTNC does not match the calculated C/);
+  });
+
+  it('counts a season running over the new year', async () => {
+    const { body } = await get(`${FED_TYPE}/XX0030002`);
+    assert.equal(body.calculationBasis.daysOfService, 290);
+    assert.equal(body.calculationBasis.nonTransientPopulation, 350);
+    assert.equal(body.waterSystem.decisionFedWsTypeCode, 'NTNC');
+    assert.equal(body.waterSystem.waterSystemTypeCodeChange, false);
+  });
+
+  it('classifies mostly transient systems as transient non-community', async () => {
+    let { body } = await get(`${FED_TYPE}/XX0040001`);
+    assert.equal(body.calculationBasis.daysOfService, 153);
+    assert.equal(body.waterSystem.decisionFedWsTypeCode, 'NC');
+    assert.equal(body.waterSystem.waterSystemTypeCodeChange, false);
+
+    ({ body } = await get(`${FED_TYPE}/XX0020003`));
+    assert.equal(body.calculationBasis.totalPopulation, 42);
+    assert.equal(body.waterSystem.decisionFedWsTypeCode, 'NC');
+  });
+
+  it('uses the most recent period once all have ended', async () => {
+    const { body } = await get(`${FED_TYPE}/XX0050001`);
+    assert.equal(body.calculationBasis.waterSystemIdAnnualOperatingPeriodId, 8105);
+    assert.equal(body.waterSystem.decisionFedWsTypeCode, 'C');
+    assert.match(body.warnings[0], /No operating period in effect/);
+  });
+
+  it('offers the public types when there is no operating period', async () => {
+    const { body } = await get(`${FED_TYPE}/XX0010002`);
+    assert.deepEqual(body.waterSystem, {
+      id: 'XX0010002',
+      decisionFedWsTypeCodeDefaultOption: 'C',
+      decisionFedWsTypeCode: null,
+      decisionFedWsTypeCodeOptions: ['C', 'NTNC', 'NC'],
+      waterSystemTypeCodeChange: false,
+    });
+    assert.equal(body.calculationBasis.totalPopulation, 2100);
+    assert.match(body.warnings[0], /No operating period on record/);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status } = await get(`${FED_TYPE}/XX9999999`);
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * Tests for the field registries (fields.js) and the water system and
+ * facility lists built on them.
+ *
+ * Runs in demo mode (no database needed). The registry tests use a small
+ * registry of their own; the list tests use bundled synthetic data: 10 water
+ * systems and 9 facilities, whose paAssignedIds are upper case (WL001, ...).
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+const express = require('express');
+const swaggerJsdoc = require('swagger-jsdoc');
+const { fieldRegistry, documentFields } = require('../fields');
+const facilityRoutes = require('../routes/facility');
+const waterSystemRoutes = require('../routes/water-system');
+require('../routes/water-system-group');
+
+const TEST_FIELDS = fieldRegistry({
+  dto: 'TestSystemDTO',
+  alias: 't',
+  defaultSort: 'name',
+  fields: [
+    { field: 'systemId', column: 'number0', type: 'trim', sort: true, filter: 'startsWith', doc: 'Starts-with filter' },
+    { field: 'name', column: 'name', sort: true, filter: 'contains' },
+    { field: 'population', column: 'pop_count', type: 'integer', sort: true, filter: 'range', doc: 'population' },
+    { field: 'status.statusCode', column: 'status_cd', type: 'code', filter: 'exact' },
+    { field: 'owner.ownerId', column: 'owner_id', type: 'trim' },
+    { field: 'owner.name', column: 'owner_name', name: 'ownerName' },
+    { field: 'sourceInd', column: 'src_flag', type: 'trim', filter: 'exact', upper: true },
+    { field: 'seasonalInd', column: null },
+    { field: 'label', map: row => `${row.number0.trim()}:${row.name}` },
+  ],
+});
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('fieldRegistry', () => {
+  const row = {
+    number0: 'MS0010001  ', name: 'City', pop_count: '1200', status_cd: 'A ',
+    owner_id: ' 7 ', owner_name: 'Town', src_flag: 'Y',
+  };
+
+  it('maps an SS row onto the DTO, in field order', () => {
+    assert.deepEqual(TEST_FIELDS.mapRow(row), {
+      systemId: 'MS0010001',
+      name: 'City',
+      population: 1200,
+      status: { statusCode: 'A' },
+      owner: { ownerId: '7', name: 'Town' },
+      sourceInd: 'Y',
+      seasonalInd: null,
+      label: 'MS0010001:City',
+    });
+  });
+
+  it('leaves a blank code\'s object null, and other nested objects in place', () => {
+    const record = TEST_FIELDS.mapRow({ ...row, status_cd: '  ', owner_id: null, owner_name: null, pop_count: null });
+    assert.equal(record.status, null);
+    assert.deepEqual(record.owner, { ownerId: null, name: null });
+    assert.equal(record.population, null);
+  });
+
+  it('builds SQL filters numbered from the given placeholder, trimming codes', () => {
+    const { conditions, params, paramIdx } = TEST_FIELDS.sqlFilters(
+      { systemId: 'ms001', name: 'cit', populationFrom: '10', populationTo: '500', statusCode: 'A', sourceInd: 'y' }, 2);
+    assert.deepEqual(conditions, [
+      'UPPER(TRIM(t.number0)) LIKE $2',
+      't.name ILIKE $3',
+      't.pop_count >= $4',
+      't.pop_count <= $5',
+      'TRIM(t.status_cd) = $6',
+      'UPPER(TRIM(t.src_flag)) = $7',
+    ]);
+    assert.deepEqual(params, ['MS001%', '%cit%', 10, 500, 'A', 'Y']);
+    assert.equal(paramIdx, 8);
+  });
+
+  it('filters demo records the way the SQL does', () => {
+    const records = [
+      { systemId: 'MS0010001', name: 'City', population: 1200, status: { statusCode: 'A' }, sourceInd: 'Y' },
+      { systemId: 'MS0020001', name: 'Village', population: null, status: null, sourceInd: 'n' },
+    ];
+    const ids = query => TEST_FIELDS.filterDemo(records, query).map(r => r.systemId);
+    assert.deepEqual(ids({ systemId: 'ms001' }), ['MS0010001']);
+    assert.deepEqual(ids({ name: 'LAG' }), ['MS0020001']);
+    // A null never matches a range, as in SQL
+    assert.deepEqual(ids({ populationTo: '5000' }), ['MS0010001']);
+    assert.deepEqual(ids({ statusCode: 'A' }), ['MS0010001']);
+    assert.deepEqual(ids({ sourceInd: 'N' }), ['MS0020001']);
+    assert.deepEqual(ids({}), ['MS0010001', 'MS0020001']);
+  });
+
+  it('turns sortColumns into keys on the SQL columns, ignoring unknown names', () => {
+    assert.deepEqual(TEST_FIELDS.sortKeys({ sortColumns: 'population,nope,systemId', sortOrders: 'DESC,ASC,desc' }), [
+      { name: 'population', column: 't.pop_count', dir: 'DESC' },
+      { name: 'systemId', column: 't.number0', dir: 'DESC' },
+    ]);
+    assert.deepEqual(TEST_FIELDS.sortKeys({}), [{ name: 'name', column: 't.name', dir: 'ASC' }]);
+  });
+
+  it('reads repeated sortColumns and sortOrders as one list', () => {
+    assert.deepEqual(TEST_FIELDS.sortKeys({ sortColumns: ['population', 'nope,systemId'], sortOrders: ['DESC', 'ASC', 'desc'] }),
+      TEST_FIELDS.sortKeys({ sortColumns: 'population,nope,systemId', sortOrders: 'DESC,ASC,desc' }));
+  });
+
+  it('refuses a fixed filter given more than once', () => {
+    for (const query of [{ systemId: ['MS001', 'MS002'] }, { populationFrom: ['1', '2'] }]) {
+      assert.throws(() => TEST_FIELDS.sqlFilters(query, 1), { status: 400, message: `${Object.keys(query)[0]} may be given only once` });
+      assert.throws(() => TEST_FIELDS.filterDemo([], query), { status: 400 });
+    }
+  });
+
+  it('refuses a number filter that does not parse', () => {
+    for (const [query, value] of [[{ populationFrom: 'many' }, 'many'], [{ populationTo: ' ' }, ' ']]) {
+      const message = `${Object.keys(query)[0]} takes a number, not "${value}"`;
+      assert.throws(() => TEST_FIELDS.sqlFilters(query, 1), { status: 400, message });
+      assert.throws(() => TEST_FIELDS.filterDemo([], query), { status: 400, message });
+    }
+  });
+
+  it('refuses to sort or filter on a field without an SS column', () => {
+    assert.throws(() => fieldRegistry({
+      dto: 'BrokenDTO',
+      alias: 'b',
+      defaultSort: 'name',
+      fields: [{ field: 'name', column: 'name', sort: true }, { field: 'seasonalInd', column: null, sort: true }],
+    }), /BrokenDTO.seasonalInd has no SS column/);
+  });
+
+  it('refuses two fields with the same name', () => {
+    assert.throws(() => fieldRegistry({
+      dto: 'TwinDTO',
+      alias: 'b',
+      defaultSort: 'name',
+      fields: [{ field: 'name', column: 'name', sort: true }, { field: 'owner.name', column: 'owner_name' }],
+    }), /TwinDTO has two fields named name/);
+  });
+});
+
+describe('operator filters', () => {
+  const sql = query => TEST_FIELDS.sqlFilters(query, 2);
+
+  it('compiles each operator to a parameterized condition', () => {
+    const { conditions, params, paramIdx } = sql({
+      'statusCode[in]': 'A, I',
+      'population[gte]': '10',
+      'population[lt]': '500',
+      'sourceInd[ne]': 'y',
+      'ownerName[isnull]': 'true',
+    });
+    assert.deepEqual(conditions, [
+      'TRIM(t.status_cd) IN ($2, $3)',
+      't.pop_count >= $4',
+      't.pop_count < $5',
+      "(UPPER(TRIM(t.src_flag)) <> $6 OR NULLIF(TRIM(t.src_flag), '') IS NULL)",
+      "NULLIF(t.owner_name, '') IS NULL",
+    ]);
+    assert.deepEqual(params, ['A', 'I', 10, 500, 'Y']);
+    assert.equal(paramIdx, 7);
+  });
+
+  it('numbers operator params after the fixed filters', () => {
+    const { conditions, params } = sql({ name: 'cit', 'systemId[nin]': 'MS0010001', 'population[isnull]': 'false' });
+    assert.deepEqual(conditions, [
+      't.name ILIKE $2',
+      "(TRIM(t.number0) NOT IN ($3) OR NULLIF(TRIM(t.number0), '') IS NULL)",
+      'NOT (t.pop_count IS NULL)',
+    ]);
+    assert.deepEqual(params, ['%cit%', 'MS0010001']);
+  });
+
+  it('applies a repeated operator once per value', () => {
+    const { conditions, params } = sql({ 'population[gt]': ['1', '2'] });
+    assert.deepEqual(conditions, ['t.pop_count > $2', 't.pop_count > $3']);
+    assert.deepEqual(params, [1, 2]);
+  });
+
+  it('filters demo records the way the SQL does', () => {
+    const records = [
+      { systemId: 'MS0010001', name: 'City', population: 1200, status: { statusCode: 'A' }, owner: { name: 'Town' }, sourceInd: 'Y' },
+      { systemId: 'MS0020001', name: 'Village', population: null, status: null, owner: { name: '' }, sourceInd: 'n' },
+      { systemId: 'MS0030001', name: 'Camp', population: 40, status: { statusCode: 'I' }, owner: { name: null }, sourceInd: null },
+    ];
+    const ids = query => TEST_FIELDS.filterDemo(records, query).map(r => r.systemId);
+    assert.deepEqual(ids({ 'statusCode[in]': 'A,I' }), ['MS0010001', 'MS0030001']);
+    // ne and nin keep the records without a value
+    assert.deepEqual(ids({ 'statusCode[ne]': 'A' }), ['MS0020001', 'MS0030001']);
+    assert.deepEqual(ids({ 'statusCode[nin]': 'A,I' }), ['MS0020001']);
+    assert.deepEqual(ids({ 'population[gte]': '40', 'population[lt]': '1200' }), ['MS0030001']);
+    // Blank text counts as no value
+    assert.deepEqual(ids({ 'ownerName[isnull]': 'true' }), ['MS0020001', 'MS0030001']);
+    assert.deepEqual(ids({ 'population[isnull]': 'false' }), ['MS0010001', 'MS0030001']);
+    assert.deepEqual(ids({ 'sourceInd[eq]': 'N' }), ['MS0020001']);
+  });
+
+  it('refuses an unknown field or operator, or a value of the wrong type', () => {
+    for (const [query, message] of [
+      [{ 'nope[eq]': 'x' }, /Unknown filter field nope/],
+      [{ 'seasonalInd[eq]': 'Y' }, /Unknown filter field seasonalInd/],
+      [{ 'name[like]': 'x' }, /Unknown filter operator like on name/],
+      [{ 'population[gte]': 'many' }, /population takes a number, not "many"/],
+      [{ 'population[in]': ',' }, /population\[in\] takes a comma-separated list/],
+      [{ 'name[gt]': 'M' }, /name\[gt\] needs a number or date field/],
+      [{ 'ownerName[isnull]': 'yes' }, /ownerName\[isnull\] takes true or false/],
+    ]) {
+      assert.throws(() => sql(query), err => err.status === 400 && message.test(err.message), JSON.stringify(query));
+      assert.throws(() => TEST_FIELDS.filterDemo([], query), message);
+    }
+  });
+});
+
+describe('documentFields', () => {
+  const spec = () => ({
+    paths: {
+      '/systems/{systemId}/children': {
+        get: {
+          'x-list-fields': 'TestSystemDTO',
+          parameters: [
+            { in: 'path', name: 'systemId', required: true },
+            { in: 'query', name: 'pageSize' },
+          ],
+        },
+      },
+    },
+  });
+
+  it('adds the filters after the path params and sorting last', () => {
+    const op = documentFields(spec()).paths['/systems/{systemId}/children'].get;
+    assert.deepEqual(op.parameters.map(p => `${p.in}:${p.name}`), [
+      'path:systemId',
+      // systemId is the path param here, so its filter is left out
+      'query:name', 'query:populationFrom', 'query:populationTo', 'query:statusCode', 'query:sourceInd',
+      'query:pageSize',
+      'query:sortColumns', 'query:sortOrders',
+    ]);
+    assert.equal(op['x-list-fields'], undefined);
+    assert.deepEqual(op.parameters.find(p => p.name === 'populationFrom'),
+      { in: 'query', name: 'populationFrom', schema: { type: 'integer' }, description: 'Minimum population (inclusive)' });
+    assert.match(op.parameters.find(p => p.name === 'sortColumns').description, /: systemId, name, population$/);
+  });
+
+  it('lists the operator fields in the description', () => {
+    const withDescription = spec();
+    withDescription.paths['/systems/{systemId}/children'].get.description = 'Children of a system.\n';
+    const op = documentFields(withDescription).paths['/systems/{systemId}/children'].get;
+    assert.match(op.description, /^Children of a system\.\n\nAny of these fields also filters by operator/);
+    assert.match(op.description, /Fields: systemId, name, population, statusCode, ownerId, ownerName, sourceInd\.$/);
+  });
+
+  it('fails on an unknown DTO', () => {
+    const broken = spec();
+    broken.paths['/systems/{systemId}/children'].get['x-list-fields'] = 'NoSuchDTO';
+    assert.throws(() => documentFields(broken), /no field registry for NoSuchDTO/);
+  });
+
+  it('documents the water system and facility lists from their registries', () => {
+    const routeSpec = documentFields(swaggerJsdoc({
+      definition: { openapi: '3.0.0', info: { title: 'test', version: '0' } },
+      apis: [path.join(__dirname, '..', 'routes', '*.js')],
+    }));
+    const names = p => routeSpec.paths[p].get.parameters.map(param => param.name);
+
+    for (const p of ['/inventory/water-system', '/inventory/water-system/export',
+      '/inventory/water-system-group/{waterSystemGroupId}/static/members']) {
+      assert.ok(names(p).includes('wsStatusCode'), p);
+      assert.ok(names(p).includes('fedPopulationTo'), p);
+      assert.ok(names(p).includes('sortColumns'), p);
+    }
+    const sortColumns = routeSpec.paths['/inventory/water-system'].get.parameters.find(p => p.name === 'sortColumns');
+    assert.ok(!sortColumns.description.includes('seasonalInd'));
+
+    assert.ok(names('/inventory/water-system/facility').includes('treatmentStatusCode'));
+    assert.deepEqual(names('/inventory/water-system/{waterSystemId}/facility').filter(n => n === 'waterSystemId'),
+      ['waterSystemId']);
+  });
+});
+
+describe('lists built on the registries', () => {
+  it('matches starts-with filters regardless of case', async () => {
+    const { body } = await get('/inventory/water-system/facility?paAssignedId=wl&pageSize=100');
+    assert.deepEqual(body.facilities.map(f => f.facilityId).sort(), [31001, 31002, 40101, 42501]);
+  });
+
+  it('sorts demo records by a nested code field', async () => {
+    const { body } = await get('/inventory/water-system?sortColumns=wsStatusCode&sortOrders=DESC&pageSize=1');
+    assert.equal(body.waterSystems[0].waterSystemId, 'XX0050001');
+  });
+
+  it('filters water systems by operator', async () => {
+    let { body } = await get('/inventory/water-system?wsStatusCode[in]=A,I&pageSize=100');
+    assert.equal(body.waterSystems.length, 10);
+    ({ body } = await get('/inventory/water-system?wsStatusCode[ne]=A&pageSize=100'));
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0050001']);
+  });
+
+  it('filters by a date window', async () => {
+    const { body } = await get('/inventory/water-system?updateDt[gte]=2024-01-01&updateDt[lt]=2025-01-01&pageSize=100');
+    assert.ok(body.waterSystems.length > 0);
+    for (const ws of body.waterSystems) {
+      assert.ok(ws.updateDt >= '2024-01-01' && ws.updateDt < '2025-01-01', ws.updateDt);
+    }
+  });
+
+  it('finds facilities without a local name', async () => {
+    const { body } = await get('/inventory/water-system/facility?localName[isnull]=true&pageSize=100');
+    assert.deepEqual(body.facilities.map(f => f.facilityId).sort(), [31005, 40101]);
+  });
+
+  it('sorts by repeated sortColumns and sortOrders', async () => {
+    const { status, body } = await get('/inventory/water-system?sortColumns=wsStatusCode&sortColumns=waterSystemId'
+      + '&sortOrders=DESC&sortOrders=DESC&pageSize=2');
+    assert.equal(status, 200);
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0050001', 'XX0040001']);
+    const facilities = await get('/inventory/water-system/facility?sortColumns=facilityId&sortOrders=DESC&sortOrders=ASC');
+    assert.equal(facilities.status, 200);
+  });
+
+  it('applies a repeated operator filter every time', async () => {
+    const { body } = await get('/inventory/water-system?wsStatusCode[in]=A,I&wsStatusCode[in]=I&pageSize=100');
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0050001']);
+  });
+
+  it('responds 400 to a fixed filter given more than once', async () => {
+    const { status, body } = await get('/inventory/water-system?waterSystemId=XX001&waterSystemId=XX002');
+    assert.equal(status, 400);
+    assert.equal(body.error.message, 'waterSystemId may be given only once');
+  });
+
+  it('responds 400 to a facility ID filter that is not a number', async () => {
+    for (const param of ['facilityId', 'fedFacilityId']) {
+      const { status, body } = await get(`/inventory/water-system/facility?${param}=abc`);
+      assert.equal(status, 400, param);
+      assert.equal(body.error.message, `${param} takes a number, not "abc"`);
+    }
+  });
+
+  it('responds 400 to a bad operator filter', async () => {
+    for (const url of ['/inventory/water-system?wsStatusCode[like]=A', '/inventory/water-system?fedPopulation[gt]=lots',
+      '/inventory/water-system/facility?nope[eq]=1', '/inventory/water-system/export?name[gte]=M']) {
+      const { status, body } = await get(url);
+      assert.equal(status, 400, url);
+      assert.ok(body.error.message, url);
+    }
+  });
+});
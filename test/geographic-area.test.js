@@ -0,0 +1,157 @@
+/**
+ * Integration tests for water system geographic area endpoints and the
+ * geographicAreaCode filter on the water system list.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 serves Greene county (99001, primary), the city of
+ * Springfield and part of Madison county (99089); XX0010002 also serves Greene
+ * county; XX0040001 borders tribal land (9107).
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const geographicAreaRoutes = require('../routes/geographic-area');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/geographic-area',
+    waterSystemRoutes.withWaterSystem,
+    geographicAreaRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const AREAS = '/inventory/water-system/XX0010001/geographic-area';
+
+describe('DWPWaterSystemDTO.geographicAreas', () => {
+  it('carries the geographic areas on the water system, primary first', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001');
+    const areas = body.waterSystem.geographicAreas;
+    assert.deepEqual(areas.map(a => a.wsGeoAreaId), [9101, 9102, 9103]);
+    assert.deepEqual(areas.map(a => a.primaryIndicator), ['Y', 'Y', 'N']);
+  });
+
+  it('uses an empty array for systems without geographic areas', async () => {
+    const { body } = await get('/inventory/water-system/XX0030001');
+    assert.deepEqual(body.waterSystem.geographicAreas, []);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/geographic-area', () => {
+  it('lists the areas with type names and a water system summary', async () => {
+    const { status, body } = await get(AREAS);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+    assert.equal(body.resultSummary.totalCount, 3);
+    const county = body.relatedGeographicAreas[0];
+    assert.deepEqual(county.areaType, { geoAreaTypeCode: 'CN', name: 'County' });
+    assert.equal(county.geographicAreaTypeValue.areaName, 'GREENE');
+    assert.equal(county.geographicAreaTypeValue.relatedCode, '99001');
+    assert.deepEqual(county.geographicAreaTypeValue.areaType, { geoAreaTypeCode: 'CN', name: 'County' });
+  });
+
+  it('filters by area type, name and related code', async () => {
+    let { body } = await get(`${AREAS}?areaTypeCode=CN`);
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9101, 9103]);
+    ({ body } = await get(`${AREAS}?areaName=spring`));
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9102]);
+    ({ body } = await get(`${AREAS}?relatedCode=99089`));
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9103]);
+  });
+
+  it('filters by primary and principle indicators', async () => {
+    let { body } = await get(`${AREAS}?primaryIndicator=n`);
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9103]);
+    ({ body } = await get(`${AREAS}?principleIndicator=Y`));
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9101]);
+  });
+
+  it('filters on latitude and longitude ranges', async () => {
+    const { body } = await get(`${AREAS}?latitudeFrom=32.4&longitudeTo=-90`);
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9103]);
+  });
+
+  it('filters by tribal sequence and state', async () => {
+    const { body } = await get('/inventory/water-system/XX0040001/geographic-area?tribalSeqId=1');
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.areaType.geoAreaTypeCode), ['TR']);
+    const other = await get(`${AREAS}?state=ZZ`);
+    assert.equal(other.body.resultSummary.totalCount, 0);
+  });
+
+  it('pages the results', async () => {
+    const { body } = await get(`${AREAS}?pageSize=2&pageNumber=1`);
+    assert.equal(body.resultSummary.totalPages, 2);
+    assert.deepEqual(body.relatedGeographicAreas.map(a => a.wsGeoAreaId), [9103]);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/geographic-area');
+    assert.equal(status, 404);
+    assert.match(body.error.message, /XX9999999/);
+  });
+});
+
+describe('GET /inventory/water-system?geographicAreaCode', () => {
+  it('lists the systems serving an area', async () => {
+    const { body } = await get('/inventory/water-system?geographicAreaCode=99001&sortColumns=waterSystemId');
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0010001', 'XX0010002']);
+  });
+
+  it('combines with the other filters', async () => {
+    const { body } = await get('/inventory/water-system?geographicAreaCode=99001&name=cedar');
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0010002']);
+    const none = await get('/inventory/water-system?geographicAreaCode=00000');
+    assert.equal(none.body.resultSummary.totalCount, 0);
+  });
+
+  it('lists the systems serving any of several areas', async () => {
+    const { body } = await get('/inventory/water-system?geographicAreaCode=99089,99121&sortColumns=waterSystemId');
+    assert.deepEqual(body.waterSystems.map(ws => ws.waterSystemId), ['XX0010001', 'XX0020002']);
+  });
+});
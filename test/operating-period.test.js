@@ -0,0 +1,162 @@
+/**
+ * Integration tests for water system annual operating period endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 has one year-round period (8101); XX0030002 is a school
+ * open mid-August to May (8102, non-transient + transient); XX0040001 is a
+ * campground with an ended (8103) and a current (8104) season; XX0050001's
+ * only period (8105) ended in 2023; XX0020003 (8106) and XX0020002 (8107) are
+ * year-round. Other systems have none.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const operatingPeriodRoutes = require('../routes/operating-period');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/aop',
+    waterSystemRoutes.withWaterSystem,
+    operatingPeriodRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPWaterSystemDTO operating period fields', () => {
+  it('sums every population type into grandTotalPopulation', async () => {
+    const { body } = await get('/inventory/water-system/XX0030002');
+    const ws = body.waterSystem;
+    assert.equal(ws.fedPopulation, 350);
+    assert.equal(ws.grandTotalPopulation, 390);
+    assert.equal(ws.dwpWaterSystemAnnualOperatingPeriods.length, 1);
+  });
+
+  it('derives the op fields from the period in effect', async () => {
+    const { body } = await get('/inventory/water-system/XX0040001');
+    const ws = body.waterSystem;
+    assert.equal(ws.opInd, 'Y');
+    assert.equal(ws.opBeginDt, '2016-01-01');
+    assert.equal(ws.opEndDt, null);
+    assert.equal(ws.grandTotalPopulation, 31);
+  });
+
+  it('falls back to the most recent period once all have ended', async () => {
+    const { body } = await get('/inventory/water-system/XX0050001');
+    const ws = body.waterSystem;
+    assert.equal(ws.opInd, 'N');
+    assert.equal(ws.opEndDt, '2023-06-30');
+    assert.equal(ws.grandTotalPopulation, 8300);
+  });
+
+  it('keeps the SS population count for systems without periods', async () => {
+    const { body } = await get('/inventory/water-system/XX0010002');
+    const ws = body.waterSystem;
+    assert.equal(ws.opInd, null);
+    assert.equal(ws.opBeginDt, null);
+    assert.equal(ws.grandTotalPopulation, 2100);
+    assert.deepEqual(ws.dwpWaterSystemAnnualOperatingPeriods, []);
+  });
+
+  it('is derived on the list as well', async () => {
+    const { body } = await get('/inventory/water-system?waterSystemId=XX0020003');
+    assert.equal(body.waterSystems[0].grandTotalPopulation, 42);
+    assert.equal(body.waterSystems[0].opInd, 'Y');
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/aop', () => {
+  it('lists the periods with a water system summary', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0040001/aop');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0040001');
+    assert.ok(!('dwpWaterSystemAnnualOperatingPeriods' in body.waterSystemInfo));
+    assert.deepEqual(body.annualOperatingPeriods.map(p => p.waterSystemIdAnnualOperatingPeriodId), [8103, 8104]);
+  });
+
+  it('filters by effective date ranges', async () => {
+    let { body } = await get('/inventory/water-system/XX0040001/aop?effectiveStartDateFrom=2016-01-01');
+    assert.deepEqual(body.annualOperatingPeriods.map(p => p.waterSystemIdAnnualOperatingPeriodId), [8104]);
+    ({ body } = await get('/inventory/water-system/XX0040001/aop?effectiveEndDateTo=2020-01-01'));
+    assert.deepEqual(body.annualOperatingPeriods.map(p => p.waterSystemIdAnnualOperatingPeriodId), [8103]);
+  });
+
+  it('returns an empty list for a system without periods', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010002/aop');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 0);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/aop');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('XX9999999'));
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/aop/:aopId/population-served', () => {
+  it('lists the populations with a period summary', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0030002/aop/8102/population-served');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.annualOperatingPeriod.startMonth, 8);
+    assert.equal(body.annualOperatingPeriod.dwpWaterSystem.waterSystemId, 'XX0030002');
+    assert.ok(!('populationsServed' in body.annualOperatingPeriod));
+  });
+
+  it('filters by population type', async () => {
+    const { body } = await get('/inventory/water-system/XX0030002/aop/8102/population-served?popTypeCode=T');
+    assert.deepEqual(body.populationsServed.map(p => p.populationCount), [40]);
+  });
+
+  it('returns 404 for a period of another water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0030002/aop/8101/population-served');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('8101'));
+  });
+});
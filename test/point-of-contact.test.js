@@ -0,0 +1,175 @@
+/**
+ * Integration tests for water system and facility point of contact endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 is owned by the city (8701) and operated by John Doe
+ * (8703, also its administrative contact 8704) since Robert Jones (8702)
+ * retired in 2019; XX0020002 is owned by Hilltop Properties (8705) and operated
+ * by Mary Smith (8706). Facilities 31003 and 37502 each have an operator POC.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const facilityRoutes = require('../routes/facility');
+const pointOfContactRoutes = require('../routes/point-of-contact');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/related-points-of-contact',
+    facilityRoutes.withFacility,
+    pointOfContactRoutes.facility
+  );
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+  app.use(
+    '/inventory/water-system/:waterSystemId/related-points-of-contact',
+    waterSystemRoutes.withWaterSystem,
+    pointOfContactRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPWaterSystemDTO and DWPFacilityDTO pocs', () => {
+  it('lists the water system POCs with their type and contact address', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001');
+    const pocs = body.waterSystem.pocs;
+    assert.deepEqual(pocs.map(p => p.leWSPOCId), [8701, 8702, 8703, 8704]);
+    assert.deepEqual(pocs[0].pocType, { wsLEPOCTypeCode: 'OW', name: 'Owner' });
+    assert.equal(pocs[0].contact.legalEntityId, 9001);
+    assert.equal(pocs[1].endDt, '2019-06-30');
+  });
+
+  it('includes the POCs in the water system summary', async () => {
+    const { body } = await get('/inventory/water-system/XX0020002/related-points-of-contact');
+    assert.deepEqual(body.waterSystemInfo.pocs.map(p => p.leWSPOCId), [8705, 8706]);
+  });
+
+  it('lists the facility POCs', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility/31003');
+    assert.deepEqual(body.facility.pocs.map(p => p.leFacPOCId), [8801]);
+  });
+
+  it('returns empty arrays without POCs', async () => {
+    let { body } = await get('/inventory/water-system/XX0030002');
+    assert.deepEqual(body.waterSystem.pocs, []);
+    ({ body } = await get('/inventory/water-system/XX0010001/facility/31001'));
+    assert.deepEqual(body.facility.pocs, []);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/related-points-of-contact', () => {
+  it('lists the POCs with their legal entities and a water system summary', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/related-points-of-contact');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 4);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+
+    const operator = body.pocs.find(p => p.leWSPOCId === 8703);
+    assert.equal(operator.name, 'JOHN DOE');
+    assert.equal(operator.wsLEPOCTypeCode, 'OP');
+    assert.equal(operator.statusCode, 'A');
+    assert.equal(operator.legalEntityId, 9002);
+    assert.deepEqual(operator.entity.phoneNumbers.map(p => p.number), ['601-555-0142', '601-555-0199']);
+    assert.equal(operator.entity.emailAddresses[0].emailAddress, 'jdoe@springfield.example.gov');
+    assert.equal(operator.entity.organizations[0].referencedLegalEntity.name, 'CITY OF SPRINGFIELD');
+  });
+
+  it('filters by POC type and legal entity status', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?wsLEPOCTypeCode=OP');
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8702, 8703]);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?wsLEPOCTypeCode=OP&statusCode=A'));
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8703]);
+  });
+
+  it('filters by name, organization, phone and email', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?name=rob');
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8702]);
+    ({ body } = await get('/inventory/water-system/XX0020002/related-points-of-contact?organizationName=Hilltop'));
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8706]);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?phoneNumber=601-555-01'));
+    assert.equal(body.resultSummary.totalCount, 4);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?emailAddress=JDOE@springfield.example.gov'));
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8703, 8704]);
+  });
+
+  it('filters by start and end date', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?startFromDate=2019-01-01');
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8703, 8704]);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-points-of-contact?endToDate=2020-01-01'));
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8702]);
+  });
+
+  it('sorts by the spec sort columns', async () => {
+    const { body } = await get(
+      '/inventory/water-system/XX0010001/related-points-of-contact?sortColumns=wsLEPOCTypeCode,name&sortOrders=DESC,ASC'
+    );
+    assert.deepEqual(body.pocs.map(p => p.leWSPOCId), [8701, 8703, 8702, 8704]);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/related-points-of-contact');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('XX9999999'));
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/facility/:facilityId/related-points-of-contact', () => {
+  it('lists the POCs with a facility summary', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0020002/facility/37502/related-points-of-contact');
+    assert.equal(status, 200);
+    assert.equal(body.facilityInfo.facilityId, 37502);
+    assert.equal(body.pocs[0].name, 'MARY SMITH');
+    assert.ok(!('legalEntityId' in body.pocs[0]));
+  });
+
+  it('returns 404 for a facility of another water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0020002/facility/31003/related-points-of-contact');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('31003'));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Integration tests for water system purchase/wholesale endpoints and the
+ * wholesale fields derived from them.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 sells to XX0010002 (8601) and XX0010003 (8602), which
+ * sells on to XX0020003 (8603); XX0020002 also sells to XX0020003 (8604).
+ * Other systems neither buy nor sell.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const purchaseRoutes = require('../routes/purchase');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/purchase-wholesale',
+    waterSystemRoutes.withWaterSystem,
+    purchaseRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPWaterSystemDTO wholesale fields', () => {
+  it('sums direct buyers and their buyers', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001');
+    const ws = body.waterSystem;
+    assert.equal(ws.wholeSalerInd, 'Y');
+    assert.equal(ws.fedDirectWholesalePopulation, 7300);
+    assert.equal(ws.fedIndirectWholesalePopulation, 30);
+    assert.equal(ws.fedTotalWholesalePopulation, 7330);
+  });
+
+  it('marks systems that only buy as not wholesalers', async () => {
+    const { body } = await get('/inventory/water-system/XX0010002');
+    const ws = body.waterSystem;
+    assert.equal(ws.wholeSalerInd, 'N');
+    assert.equal(ws.fedTotalWholesalePopulation, 0);
+  });
+
+  it('is derived on the list and the water system summary as well', async () => {
+    let { body } = await get('/inventory/water-system?waterSystemId=XX0010003');
+    assert.equal(body.waterSystems[0].fedDirectWholesalePopulation, 30);
+    ({ body } = await get('/inventory/water-system/XX0020002/purchase-wholesale'));
+    assert.equal(body.waterSystemInfo.fedTotalWholesalePopulation, 30);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/purchase-wholesale', () => {
+  it('splits a system\'s records into purchases and wholesales', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010003/purchase-wholesale');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010003');
+    assert.deepEqual(body.purchases.map(p => p.waterSystemPurchaseId), [8602]);
+    assert.deepEqual(body.wholesales.map(p => p.waterSystemPurchaseId), [8603]);
+    assert.equal(body.purchaseResultSummary.totalCount, 1);
+    assert.equal(body.wholesaleResultSummary.totalCount, 1);
+    assert.equal(body.resultSummary.totalCount, 2);
+  });
+
+  it('resolves the seller and buyer to full DTOs', async () => {
+    const { body } = await get('/inventory/water-system/XX0010002/purchase-wholesale');
+    const [purchase] = body.purchases;
+    assert.equal(purchase.sellerWaterSystem.waterSystemId, 'XX0010001');
+    assert.ok(purchase.sellerWaterSystem.name);
+    assert.equal(purchase.sellerFacility.facilityId, 31003);
+    assert.equal(purchase.buyerWaterSystem.waterSystemId, 'XX0010002');
+    assert.equal(purchase.buyerFacility, null);
+    assert.deepEqual(body.wholesales, []);
+  });
+
+  it('filters purchases by seller and wholesales by buyer', async () => {
+    let { body } = await get('/inventory/water-system/XX0020003/purchase-wholesale?sellerWaterSystemId=0020');
+    assert.deepEqual(body.purchases.map(p => p.waterSystemPurchaseId), [8604]);
+    ({ body } = await get('/inventory/water-system/XX0010001/purchase-wholesale?buyerWaterSystemId=XX0010003'));
+    assert.deepEqual(body.wholesales.map(p => p.waterSystemPurchaseId), [8602]);
+    ({ body } = await get('/inventory/water-system/XX0010001/purchase-wholesale?buyerFacilityId=31003'));
+    assert.deepEqual(body.wholesales, []);
+  });
+
+  it('pages both lists with the same page number and size', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/purchase-wholesale?pageSize=1&pageNumber=1');
+    assert.deepEqual(body.wholesales.map(p => p.waterSystemPurchaseId), [8602]);
+    assert.equal(body.wholesaleResultSummary.totalPages, 2);
+    assert.equal(body.resultSummary.totalPages, 2);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/purchase-wholesale');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('XX9999999'));
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Integration tests for reference-code (lookup list) endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data
+ * in demo/reference-codes.json.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const referenceRoutes = require('../routes/reference');
+const { REFERENCE_LISTS } = require('../routes/reference');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory', referenceRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+// ── Generic lists ──────────────────────────────────────────────────────
+
+describe('GET /inventory/{referenceList}', () => {
+  it('serves every registered list with demo data', async () => {
+    for (const def of REFERENCE_LISTS) {
+      const { status, body } = await get(`/inventory/${def.path}`);
+      assert.equal(status, 200, def.path);
+      assert.equal(body.error, null);
+      assert.ok(body[def.collection].length > 0, `${def.path} has no demo codes`);
+      body[def.collection].forEach(r => assert.equal(typeof r[def.codeField], 'string'));
+    }
+  });
+
+  it('returns facility types with names and source indicator', async () => {
+    const { body } = await get('/inventory/ref-fac-type');
+    const well = body.facilityTypes.find(t => t.facilityTypeCode === 'WL');
+    assert.equal(well.name, 'Well');
+    assert.equal(well.srcInd, 'Y');
+    assert.equal(well.primacyAgency.paCD, 'MS');
+  });
+
+  it('defaults to a page of 100 sorted by code', async () => {
+    const { body } = await get('/inventory/ref-fac-type');
+    assert.equal(body.resultSummary.pageSize, 100);
+    assert.equal(body.resultSummary.totalPages, 1);
+    const codes = body.facilityTypes.map(t => t.facilityTypeCode);
+    assert.deepEqual(codes, [...codes].sort());
+  });
+
+  it('filters by code', async () => {
+    const { body } = await get('/inventory/ws-status?wsStatusCode=I');
+    assert.equal(body.resultSummary.totalCount, 1);
+    assert.equal(body.waterSystemStatuses[0].name, 'Inactive');
+  });
+
+  it('filters by name (case-insensitive contains)', async () => {
+    const { body } = await get('/inventory/ref-fac-type?name=well');
+    assert.ok(body.resultSummary.totalCount >= 2); // Well, Clear Well
+    body.facilityTypes.forEach(t => assert.ok(t.name.toLowerCase().includes('well')));
+  });
+
+  it('filters by federal crosswalk field', async () => {
+    const { body } = await get('/inventory/ref-tmnt-status?fedTreatmentStatusCode=T');
+    assert.equal(body.resultSummary.totalCount, 2);
+    body.treatmentStatuses.forEach(t => assert.equal(t.fedTreatmentStatusCode, 'T'));
+  });
+
+  it('sorts by name DESC', async () => {
+    const { body } = await get('/inventory/ws-type?sortColumns=name&sortOrders=DESC');
+    const names = body.waterSystemTypes.map(t => t.name);
+    assert.deepEqual(names, [...names].sort().reverse());
+  });
+
+  it('paginates', async () => {
+    const { body } = await get('/inventory/ref-fac-type?pageSize=5&pageNumber=1');
+    assert.equal(body.facilityTypes.length, 5);
+    assert.equal(body.resultSummary.totalPages, 4);
+  });
+
+  it('includes surrogate ids where the DTO defines them', async () => {
+    const { body } = await get('/inventory/ref-uom-type?uomCode=GPM');
+    assert.equal(typeof body.refUomTypeDTO[0].uomId, 'number');
+  });
+
+  it('covers every code used by the demo facilities', async () => {
+    const facilities = require('../demo/facilities.json');
+    const { body } = await get('/inventory/ref-fac-type');
+    const codes = new Set(body.facilityTypes.map(t => t.facilityTypeCode));
+    facilities.forEach(f => assert.ok(codes.has(f.facilityType.facilityTypeCode)));
+  });
+});
+
+// ── Treatment catalog ─────────────────────────────────────────────────
+
+describe('GET /inventory/ref-treatment', () => {
+  it('resolves objective and process names', async () => {
+    const { status, body } = await get('/inventory/ref-treatment?treatmentProcessCode=420');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 1);
+    const t = body.treatments[0];
+    assert.equal(t.treatmentObjective.treatmentObjectiveCode, 'D');
+    assert.equal(t.treatmentObjective.name, 'Disinfection');
+    assert.equal(t.treatmentProcess.name, 'Hypochlorination, post');
+  });
+
+  it('filters by objective', async () => {
+    const { body } = await get('/inventory/ref-treatment?treatmentObjectiveCode=P');
+    assert.equal(body.resultSummary.totalCount, 3);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Integration tests for water system regulating agency endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 is regulated by the state health department (8901)
+ * and the county health department (8902); XX0020002 by the state (8903);
+ * XX0040001 had the Forest Service (8904, inactive). Other systems have none.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const regulatingAgencyRoutes = require('../routes/regulating-agency');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/related-regulating-agency',
+    waterSystemRoutes.withWaterSystem,
+    regulatingAgencyRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPWaterSystemDTO regulatingAgencies', () => {
+  it('lists the associations with the agency legal entity ID', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001');
+    const agencies = body.waterSystem.regulatingAgencies;
+    assert.deepEqual(agencies.map(a => [a.raWSAssocId, a.raLegalEntityId]), [[8901, 9101], [8902, 9102]]);
+    assert.ok(!('regulatingAgency' in agencies[0]));
+  });
+
+  it('returns an empty array without agencies', async () => {
+    const { body } = await get('/inventory/water-system/XX0030002');
+    assert.deepEqual(body.waterSystem.regulatingAgencies, []);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/related-regulating-agency', () => {
+  it('lists the agencies with their primary contacts and a water system summary', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/related-regulating-agency');
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+
+    const state = body.relatedRegulatingAgencies[0].regulatingAgency;
+    assert.equal(state.agencyName, 'STATE DEPARTMENT OF HEALTH');
+    assert.equal(state.primaryPhone.number, '601-555-7500');
+    assert.equal(state.primaryEmail.emailAddress, 'water.supply@health.example.gov');
+    assert.equal(state.primaryAddress.legalEntityAddressId, 9411);
+  });
+
+  it('leaves missing primary contacts null', async () => {
+    const { body } = await get('/inventory/water-system/XX0040001/related-regulating-agency');
+    const agency = body.relatedRegulatingAgencies[0].regulatingAgency;
+    assert.equal(agency.primaryPhone, null);
+    assert.equal(agency.primaryEmail.emailAddress, 'district.ranger@fs.example.gov');
+  });
+
+  it('filters by agency name, type and establish number', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/related-regulating-agency?agencyName=springfield');
+    assert.deepEqual(body.relatedRegulatingAgencies.map(a => a.raWSAssocId), [8902]);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-regulating-agency?agencyTypeCode=ST'));
+    assert.deepEqual(body.relatedRegulatingAgencies.map(a => a.raWSAssocId), [8901]);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-regulating-agency?paEstablishNum=chd'));
+    assert.deepEqual(body.relatedRegulatingAgencies.map(a => a.raWSAssocId), [8902]);
+  });
+
+  it('filters by create date and sorts', async () => {
+    let { body } = await get('/inventory/water-system/XX0010001/related-regulating-agency?createDateFrom=2010-01-01');
+    assert.deepEqual(body.relatedRegulatingAgencies.map(a => a.raWSAssocId), [8902]);
+    ({ body } = await get('/inventory/water-system/XX0010001/related-regulating-agency?sortColumns=createDt&sortOrders=DESC'));
+    assert.deepEqual(body.relatedRegulatingAgencies.map(a => a.raWSAssocId), [8902, 8901]);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/related-regulating-agency');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('XX9999999'));
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Integration tests for sampling point endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: plant 31003 (XX0010001) has an entry point (7101, related to
+ * wells 31001/31002) and a raw water tap (7102); distribution system 31005
+ * has an active (7103) and an inactive (7104) site; well 31001 and plant
+ * 37502 have one point each. Other facilities have none.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const facilityRoutes = require('../routes/facility');
+const samplingPointRoutes = require('../routes/sampling-point');
+
+let server;
+let baseUrl;
+
+const FACILITY = '/inventory/water-system/XX0010001/facility';
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/facility-sampling-point',
+    facilityRoutes.withFacility,
+    samplingPointRoutes
+  );
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/sample-point/:samplePointId/sampling-point-indicator',
+    facilityRoutes.withFacility,
+    samplingPointRoutes.indicators
+  );
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPFacilityDTO.facilitySamplingPoints', () => {
+  it('carries the sampling points on the facility', async () => {
+    const { body } = await get('/inventory/water-system/facility/31003');
+    assert.deepEqual(body.facility.facilitySamplingPoints.map(p => p.paSamplePointId), ['EP-001', 'RAW-001']);
+  });
+
+  it('is an empty array for facilities without sampling points', async () => {
+    const { body } = await get('/inventory/water-system/facility/31002');
+    assert.deepEqual(body.facility.facilitySamplingPoints, []);
+  });
+});
+
+describe('GET .../facility/:facilityId/facility-sampling-point', () => {
+  it('lists the facility\'s sampling points with a facility summary', async () => {
+    const { status, body } = await get(`${FACILITY}/31005/facility-sampling-point`);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.facilityInfo.facilityId, 31005);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.samplingPoints[0].samplePointIndicators.length, 2);
+  });
+
+  it('filters by status, type and ID prefix', async () => {
+    let { body } = await get(`${FACILITY}/31005/facility-sampling-point?samplePointStatusCode=I`);
+    assert.deepEqual(body.samplingPoints.map(p => p.facilitySamplingPointId), [7104]);
+    assert.equal(body.samplingPoints[0].samplePointStatusReason.samplePointStatusReasonCode, 'ABN');
+    ({ body } = await get(`${FACILITY}/31003/facility-sampling-point?samplePointTypeCode=RW`));
+    assert.deepEqual(body.samplingPoints.map(p => p.facilitySamplingPointId), [7102]);
+    ({ body } = await get(`${FACILITY}/31003/facility-sampling-point?paSamplingPointId=ep`));
+    assert.deepEqual(body.samplingPoints.map(p => p.facilitySamplingPointId), [7101]);
+  });
+
+  it('filters on text with contains and on status date', async () => {
+    let { body } = await get(`${FACILITY}/31005/facility-sampling-point?description=FIRE`);
+    assert.deepEqual(body.samplingPoints.map(p => p.facilitySamplingPointId), [7103]);
+    ({ body } = await get(`${FACILITY}/31005/facility-sampling-point?altSiteNote=hose`));
+    assert.deepEqual(body.samplingPoints.map(p => p.facilitySamplingPointId), [7103]);
+    ({ body } = await get(`${FACILITY}/31005/facility-sampling-point?statusDt=2019-08-15`));
+    assert.deepEqual(body.samplingPoints.map(p => p.facilitySamplingPointId), [7104]);
+  });
+
+  it('sorts and pages', async () => {
+    const { body } = await get(
+      `${FACILITY}/31005/facility-sampling-point?sortColumns=paSamplingPointId&sortOrders=DESC&pageSize=1`
+    );
+    assert.equal(body.resultSummary.totalPages, 2);
+    assert.deepEqual(body.samplingPoints.map(p => p.paSamplePointId), ['DS-020']);
+  });
+
+  it('links related facilities with their facility summary', async () => {
+    const { body } = await get(`${FACILITY}/31003/facility-sampling-point?facilitySamplingPointId=7101`);
+    const related = body.samplingPoints[0].relatedFacilities;
+    assert.deepEqual(related.map(r => r.facility.facilityId), [31001, 31002]);
+    assert.equal(related[0].facility.name, 'WELL WL001');
+    assert.equal(related[0].purpose.samplePointPurposeCode, 'SRC');
+    assert.equal(related[0].samplingPoint.facilitySamplingPointId, 7101);
+    assert.ok(!('relatedFacilities' in related[0].samplingPoint));
+  });
+
+  it('returns 404 when the facility belongs to another water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0020002/facility/31003/facility-sampling-point');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('31003'));
+  });
+});
+
+describe('GET .../facility/:facilityId/sample-point/:samplePointId/sampling-point-indicator', () => {
+  const INDICATORS = `${FACILITY}/31005/sample-point/7103/sampling-point-indicator`;
+
+  it('lists the indicators with a sampling point summary', async () => {
+    const { status, body } = await get(INDICATORS);
+    assert.equal(status, 200);
+    assert.equal(body.samplingPointInfo.paSamplePointId, 'DS-010');
+    assert.ok(!('samplePointIndicators' in body.samplingPointInfo));
+    assert.equal(body.resultSummary.totalCount, 2);
+  });
+
+  it('filters by type, value and text', async () => {
+    let { body } = await get(`${INDICATORS}?samplingPointIndicatorTypeCode=DBP`);
+    assert.deepEqual(body.samplingPointIndicators.map(i => i.samplePtIndicatorId), [7303]);
+    assert.equal(body.samplingPointIndicators[0].indicatorValue.samplingPointIndicatorValue, 'MAX');
+    ({ body } = await get(`${INDICATORS}?samplingPointIndicatorValueId=7202`));
+    assert.deepEqual(body.samplingPointIndicators.map(i => i.samplePtIndicatorId), [7302]);
+    ({ body } = await get(`${INDICATORS}?notes=idse`));
+    assert.deepEqual(body.samplingPointIndicators.map(i => i.samplePtIndicatorId), [7303]);
+  });
+
+  it('filters by start date range', async () => {
+    const { body } = await get(`${INDICATORS}?startDateFrom=2015-01-01`);
+    assert.deepEqual(body.samplingPointIndicators.map(i => i.samplePtIndicatorId), [7302]);
+  });
+
+  it('returns 404 for a sampling point of another facility', async () => {
+    const { status, body } = await get(`${FACILITY}/31005/sample-point/7101/sampling-point-indicator`);
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('7101'));
+  });
+});
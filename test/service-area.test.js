@@ -0,0 +1,100 @@
+/**
+ * Integration tests for water system service area endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0020003 is a service station (primary, 8407) with a motel
+ * (8408); most other systems serve one area type.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const serviceAreaRoutes = require('../routes/service-area');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-area',
+    waterSystemRoutes.withWaterSystem,
+    serviceAreaRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const AREAS = '/inventory/water-system/XX0020003/service-area';
+
+describe('DWPWaterSystemDTO.dwpWSServiceArea', () => {
+  it('carries the service areas on the water system, primary first', async () => {
+    const { body } = await get('/inventory/water-system/XX0020003');
+    const areas = body.waterSystem.dwpWSServiceArea;
+    assert.deepEqual(areas.map(a => a.serviceAreaType.srvcAreaCd), ['SS', 'HM']);
+    assert.equal(areas[0].primaryIndicator, 'Y');
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/service-area', () => {
+  it('lists the areas with type names and a water system summary', async () => {
+    const { status, body } = await get(AREAS);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.waterSystemInfo.name, 'RIVERSIDE TRUCK STOP');
+    assert.deepEqual(body.relatedServiceAreas[1].serviceAreaType, { srvcAreaCd: 'HM', name: 'Hotel/motel' });
+  });
+
+  it('filters by primary indicator, code and type name', async () => {
+    let { body } = await get(`${AREAS}?primaryIndicator=n`);
+    assert.deepEqual(body.relatedServiceAreas.map(a => a.wsServiceAreaId), [8408]);
+    ({ body } = await get(`${AREAS}?srvcAreaCd=SS`));
+    assert.deepEqual(body.relatedServiceAreas.map(a => a.wsServiceAreaId), [8407]);
+    ({ body } = await get(`${AREAS}?areaTypeName=MOTEL`));
+    assert.deepEqual(body.relatedServiceAreas.map(a => a.wsServiceAreaId), [8408]);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status } = await get('/inventory/water-system/XX9999999/service-area');
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Integration tests for water system service connection endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 has metered residential, commercial and industrial
+ * connections (8301-8303); XX0040001's campground is partially metered (8307).
+ * XX0030001 has no connection records.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const serviceConnectionRoutes = require('../routes/service-connection');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-connection',
+    waterSystemRoutes.withWaterSystem,
+    serviceConnectionRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const CONNECTIONS = '/inventory/water-system/XX0010001/service-connection';
+
+describe('DWPWaterSystemDTO.waterSystemServiceConnections', () => {
+  it('carries the connection counts on the water system', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001');
+    const connections = body.waterSystem.waterSystemServiceConnections;
+    assert.deepEqual(connections.map(c => c.connectionCount), [15200, 1450, 40]);
+    assert.equal(connections[0].meterType.name, 'Metered');
+  });
+
+  it('is an empty array for systems without connection records', async () => {
+    const { body } = await get('/inventory/water-system/XX0030001');
+    assert.deepEqual(body.waterSystem.waterSystemServiceConnections, []);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/service-connection', () => {
+  it('lists the connections with a water system summary', async () => {
+    const { status, body } = await get(CONNECTIONS);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 3);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+    assert.ok(!('waterSystemServiceConnections' in body.waterSystemInfo));
+  });
+
+  it('resolves the meter and connection type names', async () => {
+    const { body } = await get(CONNECTIONS);
+    const rec = body.serviceConnections[0];
+    assert.deepEqual(rec.serviceConnectionType, { wsSrvcConnTypeCode: 'RS', name: 'Residential' });
+    assert.equal(rec.meterMeasure, 0.75);
+  });
+
+  it('filters by meter and connection type', async () => {
+    let { body } = await get('/inventory/water-system/XX0040001/service-connection?wsMeterTypeCode=P');
+    assert.deepEqual(body.serviceConnections.map(c => c.connectionCount), [12]);
+    ({ body } = await get(`${CONNECTIONS}?wsSrvcConnTypeCode=IN`));
+    assert.deepEqual(body.serviceConnections.map(c => c.waterSystemServiceConnectionId), [8303]);
+    ({ body } = await get(`${CONNECTIONS}?wsMeterTypeCode=U`));
+    assert.equal(body.resultSummary.totalCount, 0);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/service-connection');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('XX9999999'));
+  });
+});
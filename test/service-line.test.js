@@ -0,0 +1,220 @@
+/**
+ * Integration tests for the water system service line (LCRR) endpoint.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: XX0010001 reported its initial inventory in 2024 (8601-8605),
+ * replaced by the 2025 update (8606-8610), plus 2024-25 full and partial
+ * replacements (8611-8613); XX0010002 has only non-lead lines and XX0030001
+ * has not yet classified any. XX0020001 has no service line records.
+ * One suite reads a CSV written to a temporary WS_SERVICE_LINE_FILE instead.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const express = require('express');
+const waterSystemRoutes = require('../routes/water-system');
+const serviceLineRoutes = require('../routes/service-line');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    '/inventory/water-system/:waterSystemId/service-line',
+    waterSystemRoutes.withWaterSystem,
+    serviceLineRoutes
+  );
+  app.use('/inventory/water-system', waterSystemRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const LINES = '/inventory/water-system/XX0010001/service-line';
+const ids = body => body.waterSystemServiceLine.map(l => l.waterSystemServiceLineId);
+
+describe('DWPWaterSystemDTO.wsServiceLines', () => {
+  it('carries the service lines on the water system, types resolved', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001');
+    const lines = body.waterSystem.wsServiceLines;
+    assert.equal(lines.length, 13);
+    assert.deepEqual(lines[0].waterSystemServiceLineDataType, {
+      wsServiceLineDataTypeId: 1, wsServiceLineDataTypeCode: 'INV', wsServiceLineName: 'Service line inventory',
+    });
+    assert.deepEqual(lines[0].waterSystemServiceLineType, {
+      wsServiceLineTypeId: 2, wsServiceLineTypeCode: 'L', wsServiceLineName: 'Lead',
+    });
+  });
+
+  it('is an empty array for systems without service line records', async () => {
+    const { body } = await get('/inventory/water-system/XX0020001');
+    assert.deepEqual(body.waterSystem.wsServiceLines, []);
+  });
+});
+
+describe('GET /inventory/water-system/:waterSystemId/service-line', () => {
+  it('lists the lines with the water system summary', async () => {
+    const { status, body } = await get(LINES);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.waterSystemInfo.waterSystemId, 'XX0010001');
+    assert.equal(body.resultSummary.totalCount, 13);
+    assert.equal(body.resultSummary.totalPages, 2);
+    assert.equal(body.waterSystemServiceLine.length, 10);
+  });
+
+  it('summarizes the current inventory by lead status and the replacements', async () => {
+    const { body } = await get(LINES);
+    assert.deepEqual(body.serviceLineSummary, {
+      inventoryDate: '2025-10-16T00:00:00.000Z',
+      lead: 95,
+      galvanizedRequiringReplacement: 28,
+      leadStatusUnknown: 410,
+      nonLead: 14727,
+      totalLines: 15260,
+      fullReplacements: 32,
+      partialReplacements: 2,
+    });
+  });
+
+  it('keeps the summary independent of the filters', async () => {
+    const { body } = await get(`${LINES}?leadStatus=L&pageSize=1`);
+    assert.equal(body.serviceLineSummary.totalLines, 15260);
+  });
+
+  it('filters by material and lead status', async () => {
+    let { body } = await get(`${LINES}?wsServiceLineTypeCode=NLP`);
+    assert.deepEqual(ids(body), [8605, 8610]);
+
+    ({ body } = await get(`${LINES}?leadStatus=NL&endDateTo=2025-12-31`));
+    assert.deepEqual(ids(body), [8604, 8605]);
+
+    ({ body } = await get(`${LINES}?leadStatus=NL&beginDateFrom=2025-10-16`));
+    assert.deepEqual(ids(body), [8609, 8610]);
+
+    ({ body } = await get(`${LINES}?leadStatus=L`));
+    assert.deepEqual(ids(body), [8601, 8606, 8611, 8613]);
+  });
+
+  it('filters by type ids as in the spec', async () => {
+    const { body } = await get(`${LINES}?wsServiceLineDataTypeId=2&wsServiceLineTypeId=1`);
+    assert.deepEqual(ids(body), [8612]);
+  });
+
+  it('sorts and pages', async () => {
+    const { body } = await get(`${LINES}?sortColumns=numOfLines&sortOrders=DESC&pageSize=2`);
+    assert.deepEqual(ids(body), [8609, 8604]);
+  });
+
+  it('reports an unclassified inventory as lead status unknown', async () => {
+    const { body } = await get('/inventory/water-system/XX0030001/service-line');
+    assert.equal(body.serviceLineSummary.leadStatusUnknown, 31200);
+    assert.equal(body.serviceLineSummary.totalLines, 31200);
+  });
+
+  it('returns 404 for an unknown water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX9999999/service-line');
+    assert.equal(status, 404);
+    assert.match(body.error.message, /not found/);
+  });
+});
+
+describe('WS_SERVICE_LINE_FILE import', () => {
+  const file = path.join(os.tmpdir(), `service-lines-${process.pid}.csv`);
+
+  before(() => {
+    fs.writeFileSync(file, [
+      'waterSystemId,waterSystemServiceLineId,wsServiceLineDataTypeCode,wsServiceLineTypeCode,beginDate,endDate,numOfLines,createId',
+      'XX0020001,1,INV,L,2024-10-16,,40,"IMPORT, CSV"',
+      'XX0020001,2,INV,NLC,2024-10-16,,4960,',
+      'XX0010002,3,INV,LSU,2024-10-16,,700,',
+      '',
+    ].join('\r\n'));
+    process.env.WS_SERVICE_LINE_FILE = file;
+  });
+
+  after(() => {
+    delete process.env.WS_SERVICE_LINE_FILE;
+    fs.unlinkSync(file);
+  });
+
+  it('serves the imported lines instead of the bundled ones', async () => {
+    let { body } = await get('/inventory/water-system/XX0020001/service-line');
+    assert.deepEqual(ids(body), [1, 2]);
+    const [lead] = body.waterSystemServiceLine;
+    assert.equal(lead.numOfLines, 40);
+    assert.equal(lead.beginDate, '2024-10-16T00:00:00.000Z');
+    assert.equal(lead.endDate, null);
+    assert.equal(lead.createId, 'IMPORT, CSV');
+    assert.equal(lead.waterSystemServiceLineType.wsServiceLineName, 'Lead');
+    assert.equal(body.serviceLineSummary.lead, 40);
+    assert.equal(body.serviceLineSummary.nonLead, 4960);
+
+    ({ body } = await get('/inventory/water-system/XX0010002/service-line'));
+    assert.deepEqual(ids(body), [3]);
+  });
+
+  it('refuses at startup a file it cannot use, naming the problem', () => {
+    const bad = path.join(os.tmpdir(), `service-lines-bad-${process.pid}.csv`);
+    const header = 'waterSystemId,waterSystemServiceLineId,wsServiceLineDataTypeCode,wsServiceLineTypeCode,beginDate,endDate,numOfLines';
+    try {
+      for (const [text, message] of [
+        [null, /cannot be read/],
+        ['systemId,wsServiceLineDataTypeCode,wsServiceLineTypeCode,beginDate,endDate,numOfLines\nXX0020001,INV,L,2024-10-16,,40',
+          /missing columns waterSystemId, waterSystemServiceLineId$/],
+        [`${header}\n,1,INV,L,2024-10-16,,40`, /row 1 has no waterSystemId/],
+        [`${header}\nXX0020001,1,INV,L,2024-10-16,,forty`, /row 1 numOfLines is not a number: "forty"/],
+        [`${header}\nXX0020001,1,INV,L,2024-10-16,,40\nXX0020001,2,INV,L,someday,,40`, /row 2 beginDate is not a date: "someday"/],
+      ]) {
+        if (text == null) fs.rmSync(bad, { force: true });
+        else fs.writeFileSync(bad, text);
+        process.env.WS_SERVICE_LINE_FILE = bad;
+        assert.throws(() => serviceLineRoutes.importServiceLines(),
+          err => err.message.startsWith(`WS_SERVICE_LINE_FILE ${bad}: `) && message.test(err.message), String(message));
+      }
+    } finally {
+      process.env.WS_SERVICE_LINE_FILE = file;
+      fs.rmSync(bad, { force: true });
+    }
+    assert.doesNotThrow(() => serviceLineRoutes.importServiceLines());
+  });
+});
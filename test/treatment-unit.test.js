@@ -0,0 +1,209 @@
+/**
+ * Integration tests for treatment unit endpoints.
+ *
+ * Runs in demo mode (no database needed) against bundled synthetic data.
+ * Demo data: facility 31003 (XX0010001) has a greensand filter (6101) and a
+ * chlorinator (6102); facility 37502 (XX0020002) has three conventional
+ * filtration units (6103-6105). Other facilities have none.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const facilityRoutes = require('../routes/facility');
+const treatmentUnitRoutes = require('../routes/treatment-unit');
+
+let server;
+let baseUrl;
+
+const UNITS = '/inventory/water-system/XX0010001/facility/31003/treatment-unit';
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system/facility', facilityRoutes);
+  app.use(
+    '/inventory/water-system/:waterSystemId/facility/:facilityId/treatment-unit',
+    facilityRoutes.withFacility,
+    treatmentUnitRoutes
+  );
+  app.use('/inventory/water-system/:waterSystemId/facility', facilityRoutes.nested);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('DWPFacilityDTO.treatmentUnits', () => {
+  it('carries the unit tree on the facility', async () => {
+    const { body } = await get('/inventory/water-system/facility/31003');
+    const units = body.facility.treatmentUnits;
+    assert.deepEqual(units.map(u => u.treatmentUnitId), [6101, 6102]);
+    assert.equal(units[0].treatmentUnitTreatments[0].treatment.treatmentObjective.treatmentObjectiveCode, 'F');
+  });
+
+  it('is an empty array for facilities without units', async () => {
+    const { body } = await get('/inventory/water-system/facility/31001');
+    assert.deepEqual(body.facility.treatmentUnits, []);
+  });
+
+  it('is left off the per-system search records', async () => {
+    const { body } = await get('/inventory/water-system/XX0010001/facility');
+    assert.ok(body.facilities.every(f => !('treatmentUnits' in f)));
+  });
+});
+
+describe('GET .../facility/:facilityId/treatment-unit', () => {
+  it('lists the facility\'s units', async () => {
+    const { status, body } = await get(UNITS);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.treatmentUnits[0].name, 'GREENSAND FILTER 1');
+  });
+
+  it('filters by unit type and name', async () => {
+    let { body } = await get(`${UNITS}?procTypeCode=CHL`);
+    assert.deepEqual(body.treatmentUnits.map(u => u.treatmentUnitId), [6102]);
+    ({ body } = await get(`${UNITS}?name=greensand`));
+    assert.deepEqual(body.treatmentUnits.map(u => u.treatmentUnitId), [6101]);
+  });
+
+  it('returns an empty list for a facility without units', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0010001/facility/31001/treatment-unit');
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 0);
+  });
+
+  it('returns 404 when the facility belongs to another water system', async () => {
+    const { status, body } = await get('/inventory/water-system/XX0020002/facility/31003/treatment-unit');
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('31003'));
+  });
+});
+
+describe('GET .../treatment-unit/:treatmentUnitId', () => {
+  it('returns the unit with a facility summary', async () => {
+    const { status, body } = await get(`${UNITS}/6101`);
+    assert.equal(status, 200);
+    assert.equal(body.facilityInfo.facilityId, 31003);
+    assert.ok(!('treatmentUnits' in body.facilityInfo));
+    assert.equal(body.dwpTreatmentUnitDTO.filterMedia.treatmentUnitMediaCode, 'GS');
+  });
+
+  it('returns 404 for a unit of another facility', async () => {
+    const { status, body } = await get(`${UNITS}/6103`);
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('6103'));
+  });
+});
+
+describe('GET .../treatment-unit/:treatmentUnitId/treatment', () => {
+  it('lists treatments as records with names resolved', async () => {
+    const { status, body } = await get(`${UNITS}/6101/treatment`);
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 2);
+    const rec = body.treatmentUnitTreatments[0];
+    assert.equal(rec.treatmentUnitTreatmentId, 6201);
+    assert.equal(rec.treatmentObjectiveName, 'Iron removal');
+    assert.equal(rec.treatmentProcessCode, '340');
+  });
+
+  it('filters by primary indicator and sorts', async () => {
+    let { body } = await get(`${UNITS}/6101/treatment?primaryInd=Y`);
+    assert.deepEqual(body.treatmentUnitTreatments.map(t => t.treatmentUnitTreatmentId), [6201]);
+    ({ body } = await get(`${UNITS}/6101/treatment?sortColumns=treatmentUnitTreatmentId&sortOrders=DESC`));
+    assert.deepEqual(body.treatmentUnitTreatments.map(t => t.treatmentUnitTreatmentId), [6202, 6201]);
+  });
+
+  it('returns one treatment with its analytes', async () => {
+    const { status, body } = await get(`${UNITS}/6101/treatment/6201`);
+    assert.equal(status, 200);
+    assert.equal(body.dwpTreatmentUnitTreatment.treatmentUnitsTreatmentAnalytes.length, 1);
+  });
+
+  it('lists a treatment\'s analytes as records', async () => {
+    const { status, body } = await get(`${UNITS}/6101/treatment/6201/tmnt-analyte`);
+    assert.equal(status, 200);
+    const rec = body.treatmentUnitTreatmentAnalytes[0];
+    assert.equal(rec.analyteName, 'Iron');
+    assert.equal(rec.uomCode, 'MGL');
+  });
+
+  it('returns 404 for a treatment of another unit', async () => {
+    const { status } = await get(`${UNITS}/6102/treatment/6201`);
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET .../treatment-unit/:treatmentUnitId measures, indicators and flow rates', () => {
+  it('lists measures as records and gets one', async () => {
+    let { status, body } = await get(`${UNITS}/6102/measure?measureCode=DOSE`);
+    assert.equal(status, 200);
+    assert.equal(body.resultSummary.totalCount, 2);
+    assert.equal(body.treatmentUnitMeasureRecs[0].uomCode, 'MGL');
+    ({ status, body } = await get(`${UNITS}/6102/measure/6402`));
+    assert.equal(status, 200);
+    assert.equal(body.dwpTreatmentUnitMeasure.treatmentUnitMeasureId, 6402);
+  });
+
+  it('lists indicators with the unit summary', async () => {
+    const { status, body } = await get(`${UNITS}/6101/indicator`);
+    assert.equal(status, 200);
+    assert.equal(body.treatmentUnitInfo.treatmentUnitId, 6101);
+    assert.ok(!('treatmentUnitIndicators' in body.treatmentUnitInfo));
+    assert.equal(body.treatmentUnitIndicators[0].indicatorType.treatmentUnitIndicatorTypeCode, 'BWR');
+  });
+
+  it('lists flow rates filtered by type', async () => {
+    const { status, body } = await get(`${UNITS}/6101/flow-rate?treatmentUnitFlowRateTypeCode=MAX`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.treatmentUnitFlowRateRecs.map(r => r.quantity), [300]);
+  });
+
+  it('gets a flow rate with a facility summary', async () => {
+    const { status, body } = await get(`${UNITS}/6101/flowRate/6602`);
+    assert.equal(status, 200);
+    assert.equal(body.facilityInfo.facilityId, 31003);
+    assert.equal(body.dwpTreatmentUnitFlowRate.flowRateType.treatmentUnitFlowRateTypeCode, 'AVG');
+  });
+
+  it('returns 404 for an unknown flow rate', async () => {
+    const { status, body } = await get(`${UNITS}/6101/flowRate/9999`);
+    assert.equal(status, 404);
+    assert.ok(body.error.message.includes('9999'));
+  });
+});
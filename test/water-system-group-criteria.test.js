@@ -0,0 +1,114 @@
+/**
+ * Integration tests for the criteria of dynamic water system groups
+ * (routes/water-system-group.js).
+ *
+ * Runs in demo mode (no database needed) against a group store of its own
+ * (WS_GROUP_FILE), one dynamic group per criterion: 301 selects by
+ * wsSourceCode, which the water system list applies; 302-305 by
+ * regulatingAgencyId, seasonalInd, beginDt and endDt, which it cannot. Demo
+ * surface water (SW) systems: XX0020001, XX0030001 and inactive XX0050001.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ws-group-test-'));
+const group = (waterSystemGroupId, criteria) => ({
+  waterSystemGroupId, type: 'DYNAMIC', name: `GROUP ${waterSystemGroupId}`, ...criteria,
+});
+fs.writeFileSync(path.join(tmp, 'groups.json'), JSON.stringify([
+  group(301, { wsSourceCode: 'SW' }),
+  group(302, { paWSStatusCode: 'A', regulatingAgencyId: 5001 }),
+  group(303, { seasonalInd: 'Y' }),
+  group(304, { beginDt: '2024-01-01' }),
+  group(305, { endDt: '2030-12-31' }),
+]));
+
+process.env.DEMO_MODE = 'true';
+process.env.WS_GROUP_FILE = path.join(tmp, 'groups.json');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemGroupRoutes = require('../routes/water-system-group');
+
+const GROUPS = '/inventory/water-system-group';
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use(GROUPS, waterSystemGroupRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+describe('dynamic group criteria', () => {
+  it('applies wsSourceCode', async () => {
+    const { status, body } = await get(`${GROUPS}/301/dynamic/members?sortColumns=waterSystemId`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.waterSystemStaticMembers.map(ws => ws.waterSystemId), ['XX0020001', 'XX0030001', 'XX0050001']);
+  });
+
+  it('leaves no members when a member filter contradicts wsSourceCode', async () => {
+    const { body } = await get(`${GROUPS}/301/dynamic/members?wsSourceCode[eq]=GW`);
+    assert.equal(body.resultSummary.totalCount, 0);
+  });
+
+  for (const [groupId, criterion] of [
+    [302, 'regulatingAgencyId'],
+    [303, 'seasonalInd'],
+    [304, 'beginDt'],
+    [305, 'endDt'],
+  ]) {
+    it(`refuses to list the members of a group selecting by ${criterion}, with 400`, async () => {
+      const { status, body } = await get(`${GROUPS}/${groupId}/dynamic/members`);
+      assert.equal(status, 400);
+      assert.equal(body.error.message,
+        `Dynamic water system group ${groupId} selects by ${criterion}, which the water system list cannot apply`);
+    });
+  }
+
+  it('still returns the group definition itself', async () => {
+    const { status, body } = await get(`${GROUPS}/302/dynamic`);
+    assert.equal(status, 200);
+    assert.equal(body.waterSystemGroup.regulatingAgencyId, 5001);
+  });
+});
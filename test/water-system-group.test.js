@@ -0,0 +1,166 @@
+/**
+ * Integration tests for water system group endpoints.
+ *
+ * Runs in demo mode (no database needed) against the bundled group store.
+ * Demo data: static group 101 (District 1: XX0010001, XX0010002, XX0010003 and
+ * inactive XX0050001) and 102 (two surface water systems); dynamic group 201
+ * (active community systems serving Greene county 99001) and 202 (active
+ * ground water systems up to 3,300 people).
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+process.env.DEMO_MODE = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const express = require('express');
+const waterSystemGroupRoutes = require('../routes/water-system-group');
+
+let server;
+let baseUrl;
+
+function get(path) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${body}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+before(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/inventory/water-system-group', waterSystemGroupRoutes);
+
+  return new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  return new Promise((resolve) => {
+    server.close(resolve);
+  });
+});
+
+const GROUPS = '/inventory/water-system-group';
+const ids = list => list.map(g => g.waterSystemGroupId);
+const pwsids = list => list.map(ws => ws.waterSystemId);
+
+describe('GET /inventory/water-system-group', () => {
+  it('lists static and dynamic groups', async () => {
+    const { status, body } = await get(GROUPS);
+    assert.equal(status, 200);
+    assert.equal(body.error, null);
+    assert.equal(body.resultSummary.totalCount, 4);
+    assert.deepEqual(body.waterSystemGroups.map(g => g.type), ['Static', 'Static', 'Dynamic', 'Dynamic']);
+  });
+
+  it('filters by type, owner and name', async () => {
+    let { body } = await get(`${GROUPS}?typeName=dynamic`);
+    assert.deepEqual(ids(body.waterSystemGroups), [201, 202]);
+
+    ({ body } = await get(`${GROUPS}?ownerId=ASMITH`));
+    assert.deepEqual(ids(body.waterSystemGroups), [102, 202]);
+
+    ({ body } = await get(`${GROUPS}?name=county`));
+    assert.deepEqual(ids(body.waterSystemGroups), [201]);
+  });
+
+  it('filters by creation date range and sorts', async () => {
+    const { body } = await get(`${GROUPS}?createDtFrom=2024-01-01&sortColumns=name&sortOrders=DESC`);
+    assert.deepEqual(ids(body.waterSystemGroups), [202, 201, 101]);
+  });
+});
+
+describe('GET /inventory/water-system-group/:id/static', () => {
+  it('returns the group with its members resolved', async () => {
+    const { status, body } = await get(`${GROUPS}/101/static`);
+    assert.equal(status, 200);
+    const group = body.waterSystemGroup;
+    assert.equal(group.name, 'DISTRICT 1 PORTFOLIO');
+    assert.deepEqual(group.type, { waterSystemGroupId: 1, name: 'Static' });
+    assert.deepEqual(group.staticGroupMembers.map(m => m.waterSystemId), ['XX0010001', 'XX0010002', 'XX0010003', 'XX0050001']);
+    assert.equal(group.staticGroupMembers[0].waterSystem.name, 'CITY OF SPRINGFIELD');
+    assert.equal(group.waterSystemStaticMembers.length, 4);
+    assert.deepEqual(group.geographicAreas, []);
+  });
+
+  it('returns 404 for a dynamic group id', async () => {
+    const { status, body } = await get(`${GROUPS}/201/static`);
+    assert.equal(status, 404);
+    assert.match(body.error.message, /Static water system group 201 not found/);
+  });
+});
+
+describe('GET /inventory/water-system-group/:id/dynamic', () => {
+  it('returns the criteria and geographic areas', async () => {
+    const { status, body } = await get(`${GROUPS}/201/dynamic`);
+    assert.equal(status, 200);
+    const group = body.waterSystemGroup;
+    assert.equal(group.paWSStatusCode, 'A');
+    assert.equal(group.fedWSTypeCode, 'C');
+    assert.equal(group.geographicAreas[0].areaName, 'GREENE');
+    assert.equal(group.geographicAreas[0].relatedCode, undefined);
+    assert.deepEqual(group.staticGroupMembers, []);
+  });
+
+  it('returns 404 for an unknown group', async () => {
+    const { status } = await get(`${GROUPS}/999/dynamic`);
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /inventory/water-system-group/:waterSystemGroupId/static/members', () => {
+  it('lists the member water systems', async () => {
+    const { body } = await get(`${GROUPS}/101/static/members?sortColumns=waterSystemId`);
+    assert.equal(body.resultSummary.totalCount, 4);
+    assert.equal(body.waterSystemGroup.waterSystemGroupId, 101);
+    assert.deepEqual(pwsids(body.waterSystemStaticMembers), ['XX0010001', 'XX0010002', 'XX0010003', 'XX0050001']);
+  });
+
+  it('narrows the members with the water system filters', async () => {
+    let { body } = await get(`${GROUPS}/101/static/members?wsStatusCode=A&fedPopulationTo=10000&sortColumns=waterSystemId`);
+    assert.deepEqual(pwsids(body.waterSystemStaticMembers), ['XX0010002', 'XX0010003']);
+
+    ({ body } = await get(`${GROUPS}/101/static/members?pageSize=2&pageNumber=1&sortColumns=waterSystemId`));
+    assert.deepEqual(pwsids(body.waterSystemStaticMembers), ['XX0010003', 'XX0050001']);
+    assert.equal(body.resultSummary.totalPages, 2);
+  });
+});
+
+describe('GET /inventory/water-system-group/:waterSystemGroupId/dynamic/members', () => {
+  it('evaluates status, type and geographic area criteria', async () => {
+    const { body } = await get(`${GROUPS}/201/dynamic/members?sortColumns=waterSystemId`);
+    assert.deepEqual(pwsids(body.waterSystemStaticMembers), ['XX0010001', 'XX0010002']);
+  });
+
+  it('evaluates source and population criteria', async () => {
+    const { body } = await get(`${GROUPS}/202/dynamic/members?sortColumns=waterSystemId`);
+    assert.deepEqual(pwsids(body.waterSystemStaticMembers), ['XX0020002', 'XX0020003', 'XX0030002', 'XX0040001']);
+  });
+
+  it('combines caller filters with the criteria', async () => {
+    let { body } = await get(`${GROUPS}/202/dynamic/members?fedPopulationFrom=50&fedPopulationTo=100000&sortColumns=waterSystemId`);
+    assert.deepEqual(pwsids(body.waterSystemStaticMembers), ['XX0020002', 'XX0030002']);
+
+    ({ body } = await get(`${GROUPS}/202/dynamic/members?wsStatusCode=I`));
+    assert.equal(body.resultSummary.totalCount, 0);
+  });
+});
@@ -0,0 +1,450 @@
+/**
+ * Integration tests for webhook subscriptions and deliveries (webhooks.js,
+ * routes/webhook.js).
+ *
+ * Runs in demo mode (no database needed) against a local HTTP receiver. The
+ * feeds start at WEBHOOK_SINCE, 2025-01-01, so the first poll finds the three
+ * water systems (XX0020001, XX0050001, XX0030001) and two facilities (31003,
+ * 37502) of the bundled data updated in 2025. Demo data belongs to every
+ * agency, so each test subscribes on an agency of its own (its own feed).
+ * Retries wait milliseconds instead of seconds. The receiver runs on
+ * localhost, which WEBHOOK_ALLOWED_HOSTS lists so webhooks may call it.
+ *
+ * Usage:
+ *   cd dw_sfties/api
+ *   npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+
+process.env.DEMO_MODE = 'true';
+process.env.SDWIS_ST_CODE = 'MS';
+process.env.SDWIS_ST_CODES = 'MS,NN,AL,AK,AZ,AR,CA,CO,CT,DE';
+process.env.WEBHOOK_SINCE = '2025-01-01T00:00:00Z';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_SECONDS = '0.01';
+process.env.WEBHOOK_FILE = path.join(tmp, 'webhooks.json');
+process.env.WEBHOOK_DEAD_LETTER_FILE = path.join(tmp, 'dead-letter.ndjson');
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const express = require('express');
+const agency = require('../agency');
+const webhooks = require('../webhooks');
+const webhookRoutes = require('../routes/webhook');
+
+let server, receiver;
+let baseUrl, receiverUrl;
+
+// Requests the receiver got: { path, headers, body, raw }
+let received = [];
+// Failures still to answer per path and event id before 200
+const failures = { '/down': Infinity, '/flaky': 2 };
+const failed = new Map();
+// POSTs the receiver is answering at /slow now, and the most at once
+let slowOpen = 0;
+let slowMaxOpen = 0;
+
+function request(method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => text += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${text}`));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end(body && JSON.stringify(body));
+  });
+}
+
+const subscribe = (body, headers) => request('POST', '/inventory/webhook', { body, headers });
+
+// Events one receiver path got, by record id
+const eventsAt = path => received.filter(r => r.path === path).map(r => r.body);
+const dataIds = events => events.map(e => e.data.waterSystemId ?? e.data.facilityId);
+
+const deadLettersOf = webhookId => fs.readFileSync(process.env.WEBHOOK_DEAD_LETTER_FILE, 'utf8')
+  .trim().split('\n').map(JSON.parse).filter(d => d.webhookId === webhookId);
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for auth.authenticate: the test names the caller — an unnamed
+  // API key by its id, or a token by its subject — and its PWSID prefixes.
+  // Unnamed callers are the "ops" API key; X-Test-Auth: off turns
+  // authentication off.
+  app.use('/inventory', (req, res, next) => {
+    const key = req.get('X-Test-Key');
+    const subject = req.get('X-Test-Subject');
+    const prefixes = req.get('X-Test-Prefixes');
+    const scope = { primacyAgencies: null, pwsidPrefixes: prefixes?.split(',') ?? null, roles: [] };
+    if (req.get('X-Test-Auth') === 'off') req.auth = null;
+    else if (!key && (subject || prefixes)) req.auth = { method: 'jwt', subject: subject ?? null, ...scope };
+    else req.auth = { method: 'api-key', subject: null, keyId: key ?? 'ops', ...scope };
+    next();
+  }, agency.selectAgency);
+  app.use('/inventory/webhook', webhookRoutes);
+
+  receiver = http.createServer((req, res) => {
+    let raw = '';
+    if (req.url === '/slow') slowMaxOpen = Math.max(slowMaxOpen, ++slowOpen);
+    req.on('data', chunk => raw += chunk);
+    req.on('end', async () => {
+      if (req.url === '/slow') {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        slowOpen--;
+      }
+      const body = JSON.parse(raw);
+      const key = `${req.url} ${body.id}`;
+      const count = failed.get(key) || 0;
+      if (count < (failures[req.url] || 0)) {
+        failed.set(key, count + 1);
+        res.writeHead(500).end();
+        return;
+      }
+      received.push({ path: req.url, headers: req.headers, body, raw });
+      res.writeHead(204).end();
+    });
+  });
+
+  await new Promise(resolve => receiver.listen(0, resolve));
+  receiverUrl = `http://localhost:${receiver.address().port}`;
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+after(async () => {
+  await webhooks.drain();
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => receiver.close(resolve));
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('webhook subscriptions', () => {
+  it('creates a subscription and returns its secret once', async () => {
+    const { status, body } = await subscribe(
+      { url: `${receiverUrl}/unused`, entity: 'waterSystem', filter: { wsStatusCode: 'A' } },
+      { 'X-PRIMACY-AGENCY-ID': 'AZ' });
+    assert.equal(status, 201);
+    assert.equal(body.error, null);
+    const { webhook } = body;
+    assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+    assert.equal(webhook.primacyAgencyId, 'AZ');
+    assert.deepEqual(webhook.filter, { wsStatusCode: 'A' });
+    assert.deepEqual(webhook.delivery, { deliveredCount: 0, lastDeliveryAt: null, lastFailure: null, deadLetterCount: 0 });
+
+    const found = await request('GET', `/inventory/webhook/${webhook.webhookId}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.webhook.url, `${receiverUrl}/unused`);
+    assert.ok(!('secret' in found.body.webhook));
+
+    const list = await request('GET', '/inventory/webhook');
+    assert.ok(list.body.webhooks.some(w => w.webhookId === webhook.webhookId));
+
+    assert.equal((await request('DELETE', `/inventory/webhook/${webhook.webhookId}`)).status, 204);
+    assert.equal((await request('GET', `/inventory/webhook/${webhook.webhookId}`)).status, 404);
+    assert.equal((await request('DELETE', `/inventory/webhook/${webhook.webhookId}`)).status, 404);
+  });
+
+  it('refuses a bad URL, entity or filter with 400', async () => {
+    for (const [body, message] of [
+      [{ url: 'not a url', entity: 'waterSystem' }, /absolute http or https URL/],
+      [{ url: 'ftp://example.gov/hook', entity: 'waterSystem' }, /absolute http or https URL/],
+      [{ url: `${receiverUrl}/ok`, entity: 'sample' }, /entity must be one of waterSystem, facility/],
+      [{ url: `${receiverUrl}/ok`, entity: 'waterSystem', filter: ['A'] }, /filter must be an object/],
+      [{ url: `${receiverUrl}/ok`, entity: 'waterSystem', filter: { facilityTypeCode: 'WL' } }, /Unknown waterSystem filter facilityTypeCode/],
+      [{ url: `${receiverUrl}/ok`, entity: 'facility', filter: { 'facilityTypeCode[like]': 'W' } }, /Unknown filter operator like/],
+    ]) {
+      const { status, body: response } = await subscribe(body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.match(response.error.message, message);
+    }
+  });
+
+  it('only calls the allowed hosts when WEBHOOK_ALLOWED_HOSTS is set', async () => {
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.example.gov';
+    try {
+      const { status, body } = await subscribe({ url: `${receiverUrl}/ok`, entity: 'waterSystem' });
+      assert.equal(status, 400);
+      assert.equal(body.error.message, 'Webhooks may not call localhost');
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+    }
+  });
+
+  it('refuses non-public addresses unless WEBHOOK_ALLOWED_HOSTS lists the host', async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    try {
+      for (const url of [
+        `${receiverUrl}/ok`, 'http://127.0.0.1/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook',
+        'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/hook', 'http://192.168.0.10/hook', 'http://0.0.0.0/hook',
+      ]) {
+        const { status, body } = await subscribe({ url, entity: 'waterSystem' });
+        assert.equal(status, 400, url);
+        assert.match(body.error.message, /^Webhooks may not call \S+: \S+ is not a public address$/);
+      }
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+    }
+    assert.equal((await subscribe({ url: 'http://127.0.0.1/hook', entity: 'waterSystem' })).body.error.message,
+      'Webhooks may not call 127.0.0.1');
+  });
+
+  it('keeps the subscriptions of unnamed API keys apart', async () => {
+    const { body } = await subscribe({ url: `${receiverUrl}/unused`, entity: 'facility' },
+      { 'X-Test-Key': 'key-1', 'X-PRIMACY-AGENCY-ID': 'AZ' });
+    const { webhookId } = body.webhook;
+
+    const mine = await request('GET', '/inventory/webhook', { headers: { 'X-Test-Key': 'key-1' } });
+    assert.deepEqual(mine.body.webhooks.map(w => w.webhookId), [webhookId]);
+    const theirs = await request('GET', '/inventory/webhook', { headers: { 'X-Test-Key': 'key-2' } });
+    assert.deepEqual(theirs.body.webhooks, []);
+    assert.equal((await request('DELETE', `/inventory/webhook/${webhookId}`, { headers: { 'X-Test-Key': 'key-2' } })).status, 404);
+    assert.equal((await request('DELETE', `/inventory/webhook/${webhookId}`, { headers: { 'X-Test-Key': 'key-1' } })).status, 204);
+  });
+
+  it('refuses a token without a subject with 403', async () => {
+    const { status, body } = await subscribe({ url: `${receiverUrl}/unused`, entity: 'facility' },
+      { 'X-Test-Prefixes': 'XX001' });
+    assert.equal(status, 403);
+    assert.equal(body.error.message, 'Webhooks need a token with a subject (sub claim)');
+  });
+
+  it('refuses every webhook operation with authentication off', async () => {
+    const { webhookId } = (await subscribe({ url: `${receiverUrl}/unused`, entity: 'facility' },
+      { 'X-PRIMACY-AGENCY-ID': 'AZ' })).body.webhook;
+    const headers = { 'X-Test-Auth': 'off' };
+    for (const [method, path, body] of [
+      ['GET', '/inventory/webhook'],
+      ['POST', '/inventory/webhook', { url: `${receiverUrl}/unused`, entity: 'facility' }],
+      ['GET', `/inventory/webhook/${webhookId}`],
+      ['DELETE', `/inventory/webhook/${webhookId}`],
+    ]) {
+      const response = await request(method, path, { body, headers });
+      assert.equal(response.status, 403, `${method} ${path}`);
+      assert.deepEqual(response.body, { error: { errorCode: '403', errorDesc: 'Webhooks need authentication' } });
+    }
+    assert.equal((await request('GET', `/inventory/webhook/${webhookId}`)).status, 200);
+    assert.equal(webhooks.listSubscriptions(null).length, 0);
+  });
+
+  it('shows callers only their own subscriptions', async () => {
+    const { body } = await subscribe({ url: `${receiverUrl}/unused`, entity: 'facility' },
+      { 'X-Test-Subject': 'gis', 'X-PRIMACY-AGENCY-ID': 'AZ' });
+    const { webhookId } = body.webhook;
+
+    const mine = await request('GET', '/inventory/webhook', { headers: { 'X-Test-Subject': 'gis' } });
+    assert.deepEqual(mine.body.webhooks.map(w => w.webhookId), [webhookId]);
+    const theirs = await request('GET', '/inventory/webhook', { headers: { 'X-Test-Subject': 'dashboard' } });
+    assert.deepEqual(theirs.body.webhooks, []);
+    assert.equal((await request('DELETE', `/inventory/webhook/${webhookId}`, { headers: { 'X-Test-Subject': 'dashboard' } })).status, 404);
+    assert.equal((await request('DELETE', `/inventory/webhook/${webhookId}`, { headers: { 'X-Test-Subject': 'gis' } })).status, 204);
+  });
+});
+
+describe('webhook deliveries', () => {
+  it('posts signed events for the changed records passing the filter', async () => {
+    const all = (await subscribe({ url: `${receiverUrl}/ok`, entity: 'waterSystem' })).body.webhook;
+    const one = (await subscribe({ url: `${receiverUrl}/filtered`, entity: 'waterSystem', filter: { waterSystemId: 'xx005' } })).body.webhook;
+    await webhooks.pollChanges();
+    await webhooks.drain();
+
+    assert.deepEqual(dataIds(eventsAt('/ok')).sort(), ['XX0020001', 'XX0030001', 'XX0050001']);
+    assert.deepEqual(dataIds(eventsAt('/filtered')), ['XX0050001']);
+
+    const delivery = received.find(r => r.path === '/filtered');
+    assert.equal(delivery.body.type, 'waterSystem.changed');
+    assert.equal(delivery.body.webhookId, one.webhookId);
+    assert.equal(delivery.body.primacyAgencyId, 'MS');
+    assert.equal(delivery.body.changedAt, '2025-01-15T16:00:00.000Z');
+    assert.equal(delivery.body.data.name, delivery.body.data.name.trim());
+    assert.ok(Array.isArray(delivery.body.data.dwpWaterSystemAnnualOperatingPeriods));
+
+    // Receivers check the signature with the secret from the create response
+    assert.equal(delivery.headers['x-webhook-id'], delivery.body.id);
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', one.secret).update(`${timestamp}.${delivery.raw}`).digest('hex');
+    assert.equal(delivery.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(webhooks.sign(one.secret, timestamp, delivery.raw), `sha256=${expected}`);
+    assert.notEqual(delivery.headers['x-webhook-signature'], webhooks.sign(all.secret, timestamp, delivery.raw));
+
+    const status = await request('GET', `/inventory/webhook/${all.webhookId}`);
+    assert.equal(status.body.webhook.delivery.deliveredCount, 3);
+  });
+
+  it('sends each change once, continuing from the stored watermark', async () => {
+    const before = received.length;
+    await webhooks.pollChanges();
+    await webhooks.drain();
+    assert.equal(received.length, before);
+
+    const stored = JSON.parse(fs.readFileSync(process.env.WEBHOOK_FILE, 'utf8'));
+    assert.equal(typeof stored.watermarks['MS waterSystem'], 'string');
+    assert.ok(stored.subscriptions.some(s => s.url === `${receiverUrl}/ok`));
+  });
+
+  it('starts a feed over once its last subscription is deleted', async () => {
+    const headers = { 'X-PRIMACY-AGENCY-ID': 'DE' };
+    const first = (await subscribe({ url: `${receiverUrl}/renewed`, entity: 'waterSystem' }, headers)).body.webhook;
+    await webhooks.pollChanges();
+    await webhooks.drain();
+    assert.equal(eventsAt('/renewed').length, 3);
+    let stored = JSON.parse(fs.readFileSync(process.env.WEBHOOK_FILE, 'utf8'));
+    assert.equal(typeof stored.watermarks['DE waterSystem'], 'string');
+
+    assert.equal((await request('DELETE', `/inventory/webhook/${first.webhookId}`)).status, 204);
+    stored = JSON.parse(fs.readFileSync(process.env.WEBHOOK_FILE, 'utf8'));
+    assert.equal(stored.watermarks['DE waterSystem'], undefined);
+
+    await subscribe({ url: `${receiverUrl}/renewed`, entity: 'waterSystem' }, headers);
+    await webhooks.pollChanges();
+    await webhooks.drain();
+    assert.equal(eventsAt('/renewed').length, 6);
+  });
+
+  it('follows facilities with operator filters', async () => {
+    await subscribe({ url: `${receiverUrl}/plants`, entity: 'facility', filter: { 'facilityTypeCode[in]': 'TP,IN' } },
+      { 'X-PRIMACY-AGENCY-ID': 'NN' });
+    await subscribe({ url: `${receiverUrl}/wells`, entity: 'facility', filter: { facilityTypeCode: 'WL' } },
+      { 'X-PRIMACY-AGENCY-ID': 'NN' });
+    await webhooks.pollChanges();
+    await webhooks.drain();
+
+    const plants = eventsAt('/plants');
+    assert.deepEqual(dataIds(plants), [31003, 37502]);
+    assert.deepEqual(plants.map(e => [e.type, e.primacyAgencyId]), [['facility.changed', 'NN'], ['facility.changed', 'NN']]);
+    assert.deepEqual(eventsAt('/wells'), []);
+  });
+
+  it('leaves out records outside the subscriber\'s PWSID prefixes', async () => {
+    await subscribe({ url: `${receiverUrl}/scoped`, entity: 'waterSystem' },
+      { 'X-Test-Subject': 'county', 'X-Test-Prefixes': 'XX002', 'X-PRIMACY-AGENCY-ID': 'NN' });
+    await webhooks.pollChanges();
+    await webhooks.drain();
+    assert.deepEqual(dataIds(eventsAt('/scoped')), ['XX0020001']);
+  });
+
+  it('leaves flows into other systems out of the records of a scoped subscriber', async () => {
+    await subscribe({ url: `${receiverUrl}/scoped-facilities`, entity: 'facility', filter: { facilityId: '37502' } },
+      { 'X-Test-Subject': 'county', 'X-Test-Prefixes': 'XX002', 'X-PRIMACY-AGENCY-ID': 'CT' });
+    await subscribe({ url: `${receiverUrl}/all-facilities`, entity: 'facility', filter: { facilityId: '37502' } },
+      { 'X-PRIMACY-AGENCY-ID': 'CT' });
+    await webhooks.pollChanges();
+    await webhooks.drain();
+
+    const [scoped] = eventsAt('/scoped-facilities');
+    assert.equal(scoped.data.facilityId, 37502);
+    assert.deepEqual(scoped.data.facilityFlows, []);
+    const [all] = eventsAt('/all-facilities');
+    assert.deepEqual(all.data.facilityFlows.map(f => f.receivingfacility.facilityId), [31005]);
+
+    const stored = JSON.parse(fs.readFileSync(process.env.WEBHOOK_FILE, 'utf8'));
+    assert.equal(typeof stored.watermarks['CT facility XX002'], 'string');
+    assert.equal(typeof stored.watermarks['CT facility'], 'string');
+  });
+
+  it('retries a failed delivery with the same event id', async () => {
+    const { webhookId } = (await subscribe({ url: `${receiverUrl}/flaky`, entity: 'waterSystem', filter: { waterSystemId: 'XX003' } },
+      { 'X-PRIMACY-AGENCY-ID': 'AL' })).body.webhook;
+    await webhooks.pollChanges();
+    await webhooks.drain();
+
+    const [event] = eventsAt('/flaky');
+    assert.equal(event.data.waterSystemId, 'XX0030001');
+    assert.equal(failed.get(`/flaky ${event.id}`), 2);
+    const { delivery } = (await request('GET', `/inventory/webhook/${webhookId}`)).body.webhook;
+    assert.equal(delivery.deliveredCount, 1);
+    assert.equal(delivery.lastFailure.attempt, 2);
+    assert.equal(delivery.lastFailure.message, 'Subscriber responded 500');
+    assert.equal(delivery.deadLetterCount, 0);
+  });
+
+  it('dead-letters an event after the last attempt fails', async () => {
+    const { webhookId } = (await subscribe({ url: `${receiverUrl}/down`, entity: 'facility', filter: { facilityId: '37502' } },
+      { 'X-PRIMACY-AGENCY-ID': 'AK' })).body.webhook;
+    await webhooks.pollChanges();
+    await webhooks.drain();
+
+    const deadLetters = deadLettersOf(webhookId);
+    assert.equal(deadLetters.length, 1);
+    assert.equal(deadLetters[0].attempts, 3);
+    assert.equal(deadLetters[0].error, 'Subscriber responded 500');
+    assert.equal(deadLetters[0].event.data.facilityId, 37502);
+    assert.equal(failed.get(`/down ${deadLetters[0].event.id}`), 3);
+
+    const { delivery } = (await request('GET', `/inventory/webhook/${webhookId}`)).body.webhook;
+    assert.equal(delivery.deadLetterCount, 1);
+    assert.equal(delivery.deliveredCount, 0);
+  });
+
+  it('checks the address again when delivering', async () => {
+    const { webhookId } = (await subscribe({ url: `${receiverUrl}/moved`, entity: 'waterSystem' },
+      { 'X-PRIMACY-AGENCY-ID': 'AR' })).body.webhook;
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    try {
+      await webhooks.pollChanges();
+      await webhooks.drain();
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+    }
+
+    assert.deepEqual(eventsAt('/moved'), []);
+    const deadLetters = deadLettersOf(webhookId);
+    assert.equal(deadLetters.length, 3);
+    assert.match(deadLetters[0].error, /^Webhooks may not call localhost: \S+ is not a public address$/);
+  });
+
+  it('posts at most WEBHOOK_CONCURRENCY events at once', async () => {
+    process.env.WEBHOOK_CONCURRENCY = '2';
+    slowMaxOpen = 0;
+    try {
+      for (let i = 0; i < 3; i++) {
+        await subscribe({ url: `${receiverUrl}/slow`, entity: 'waterSystem' }, { 'X-PRIMACY-AGENCY-ID': 'CA' });
+      }
+      await webhooks.pollChanges();
+      await webhooks.drain();
+    } finally {
+      delete process.env.WEBHOOK_CONCURRENCY;
+    }
+    assert.equal(eventsAt('/slow').length, 9);
+    assert.equal(slowMaxOpen, 2);
+  });
+
+  it('holds the poller while WEBHOOK_QUEUE_SIZE deliveries are pending', async () => {
+    process.env.WEBHOOK_QUEUE_SIZE = '1';
+    const before = eventsAt('/slow').length;
+    slowMaxOpen = 0;
+    try {
+      for (let i = 0; i < 2; i++) {
+        await subscribe({ url: `${receiverUrl}/slow`, entity: 'waterSystem' }, { 'X-PRIMACY-AGENCY-ID': 'CO' });
+      }
+      await webhooks.pollChanges();
+      await webhooks.drain();
+    } finally {
+      delete process.env.WEBHOOK_QUEUE_SIZE;
+    }
+    assert.equal(eventsAt('/slow').length - before, 6);
+    assert.equal(slowMaxOpen, 1);
+  });
+});
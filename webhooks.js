@@ -0,0 +1,495 @@
+// Outbound webhooks — POST a signed event to subscribers when a water system
+// or facility changes, instead of having them poll the lists.
+//
+// A subscription (see routes/webhook.js) names a URL, an entity (waterSystem
+// or facility) and a filter of that entity's list filters, e.g.
+// { "waterSystemId": "MS001" } or { "facilityTypeCode[in]": "WL,IN" }. It
+// belongs to the primacy agency and PWSID scope of the caller who registered
+// it — an API key by its hash, a token by its subject — and is returned with
+// its signing secret only when created.
+//
+// A background poller reads each (agency, entity, PWSID scope) change feed
+// (changes.js) from where it last stopped — at first from WEBHOOK_SINCE, or
+// else from the earliest registration — and sends every changed record that
+// passes a subscription's filter as one event:
+//   { id, type: "<entity>.changed", webhookId, primacyAgencyId, changedAt, data }
+// where data is the record's DTO as the list returns it to the subscriber,
+// so its child records leave out other systems as well. Each POST carries
+//   X-Webhook-Id          the event id (the same on every attempt)
+//   X-Webhook-Timestamp   Unix seconds of the attempt
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                         keyed with the subscription's secret>
+// A 2xx response delivers the event; anything else (a redirect, an error
+// status, a timeout) is retried after WEBHOOK_RETRY_SECONDS, doubling each
+// time, up to WEBHOOK_MAX_ATTEMPTS attempts. Then the event is given up on
+// and appended to the dead-letter log. Events of one subscription may arrive
+// out of order, and pending retries do not survive a restart.
+//
+// At most WEBHOOK_CONCURRENCY POSTs are under way at once, and at most
+// WEBHOOK_QUEUE_SIZE deliveries are pending (retries included) — past that
+// the poller waits for deliveries to finish before reading on.
+//
+// Subscription URLs may not lead into the server's own network: a host that
+// resolves to a loopback, private, link-local or other non-public address is
+// refused, when subscribing and again when connecting (so a DNS change cannot
+// redirect a delivery), unless it is listed in WEBHOOK_ALLOWED_HOSTS.
+//
+// Environment variables:
+//   WEBHOOK_FILE              JSON file keeping subscriptions and the feed
+//                             watermarks across restarts (unset: in memory)
+//   WEBHOOK_DEAD_LETTER_FILE  NDJSON file of undeliverable events (unset: logged only)
+//   WEBHOOK_POLL_SECONDS      seconds between polls (default 60)
+//   WEBHOOK_SINCE             date-time a new feed starts from (default: the
+//                             earliest registration of its subscriptions)
+//   WEBHOOK_MAX_ATTEMPTS      delivery attempts per event (default 6)
+//   WEBHOOK_RETRY_SECONDS     delay before the first retry (default 30)
+//   WEBHOOK_TIMEOUT_SECONDS   time a subscriber has to respond (default 10)
+//   WEBHOOK_ALLOWED_HOSTS     hosts subscription URLs may point at,
+//                             comma-separated (unset allows any public host);
+//                             listed hosts may have non-public addresses
+//   WEBHOOK_CONCURRENCY       POSTs under way at once (default 4)
+//   WEBHOOK_QUEUE_SIZE        deliveries pending at once (default 1000)
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { withAgency } = require('./agency');
+const waterSystemRoutes = require('./routes/water-system');
+const facilityRoutes = require('./routes/facility');
+
+// Entities a subscription can follow: the routes with their change feed
+// (listChanges) and field registry (FIELDS), and how to read a record
+const ENTITIES = {
+  waterSystem: { routes: waterSystemRoutes, collection: 'waterSystems' },
+  facility: { routes: facilityRoutes, collection: 'facilities' },
+};
+
+// Records read from a change feed per request
+const POLL_PAGE_SIZE = 100;
+
+const setting = (name, fallback) => (Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback);
+
+function webhookError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Store — subscriptions and the feed watermarks, read on first use
+// ---------------------------------------------------------------------------
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const file = process.env.WEBHOOK_FILE;
+    store = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    store.subscriptions = store.subscriptions || [];
+    store.watermarks = store.watermarks || {};
+  }
+  return store;
+}
+
+// Written to a temporary file first, so a crash never leaves half a store
+function saveStore() {
+  const file = process.env.WEBHOOK_FILE;
+  if (!file) return;
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(getStore(), null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Delivery outcomes by webhookId since the server started
+const deliveryStats = new Map();
+
+function statsOf(webhookId) {
+  if (!deliveryStats.has(webhookId)) {
+    deliveryStats.set(webhookId, { deliveredCount: 0, lastDeliveryAt: null, lastFailure: null, deadLetterCount: 0 });
+  }
+  return deliveryStats.get(webhookId);
+}
+
+// ---------------------------------------------------------------------------
+// Subscriptions
+// ---------------------------------------------------------------------------
+
+// Addresses only the hosts in WEBHOOK_ALLOWED_HOSTS may have: unspecified,
+// loopback, private, shared (carrier-grade NAT), link-local (cloud metadata
+// services), multicast and reserved ranges, and IPv4-mapped IPv6 addresses
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const allowedHosts = () => process.env.WEBHOOK_ALLOWED_HOSTS
+  ?.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// A URL's host without the brackets of an IPv6 address
+const hostOf = target => target.hostname.replace(/^\[|\]$/g, '');
+
+// Throws unless webhooks may call `host`: one of WEBHOOK_ALLOWED_HOSTS when set
+function checkHost(host) {
+  const allowed = allowedHosts();
+  if (allowed && !allowed.includes(host.toLowerCase())) throw webhookError(`Webhooks may not call ${host}`);
+}
+
+// Throws unless webhooks may call `host` at `address`: a public address, or
+// any address of a host listed in WEBHOOK_ALLOWED_HOSTS
+function checkAddress(host, address) {
+  if (allowedHosts()?.includes(host.toLowerCase())) return;
+  if (NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')) {
+    throw webhookError(`Webhooks may not call ${host}: ${address} is not a public address`);
+  }
+}
+
+// dns.lookup for the delivery requests, failing on the addresses checkAddress refuses
+function checkedLookup(host, options, callback) {
+  dns.lookup(host, options, (err, address, family) => {
+    if (err) return callback(err);
+    try {
+      for (const found of Array.isArray(address) ? address : [{ address }]) checkAddress(host, found.address);
+    } catch (refused) {
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+async function parseUrl(url) {
+  let target;
+  try {
+    target = new URL(String(url));
+  } catch {
+    throw webhookError('url must be an absolute http or https URL');
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw webhookError('url must be an absolute http or https URL');
+  }
+  const host = hostOf(target);
+  checkHost(host);
+  let addresses = [{ address: host }];
+  if (!net.isIP(host)) {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch {
+      throw webhookError(`Cannot resolve ${host}`);
+    }
+  }
+  for (const { address } of addresses) checkAddress(host, address);
+  return target.href;
+}
+
+// A filter of the entity's list filters, as query-string values
+function parseFilter(entity, filter) {
+  if (filter == null) return {};
+  if (typeof filter !== 'object' || Array.isArray(filter)) throw webhookError('filter must be an object of list filters');
+  const { FIELDS } = ENTITIES[entity].routes;
+  const names = new Set(FIELDS.parameters().filters.map(p => p.name));
+  const parsed = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (!names.has(key) && !/^\w+\[\w*\]$/.test(key)) throw webhookError(`Unknown ${entity} filter ${key}`);
+    parsed[key] = String(value);
+  }
+  // Operator filters check their fields, operators and values here
+  FIELDS.filterDemo([], parsed);
+  return parsed;
+}
+
+// Who a caller is to its subscriptions: an API key by its hash (key names
+// are optional and need not be unique), a token by its subject; null when
+// the caller cannot be told apart from others
+const ownerId = auth => (auth.method === 'api-key' ? auth.keyId : auth.subject) ?? null;
+
+// A new subscription for the caller (req.auth) on `agency`; its secret is
+// only ever returned here. Without a caller nobody could own it.
+async function createSubscription({ url, entity, filter } = {}, { auth, agency }) {
+  if (!auth) throw webhookError('Webhooks need authentication', 403);
+  if (ownerId(auth) === null) throw webhookError('Webhooks need a token with a subject (sub claim)', 403);
+  if (!ENTITIES[entity]) throw webhookError(`entity must be one of ${Object.keys(ENTITIES).join(', ')}`);
+  const subscription = {
+    webhookId: crypto.randomUUID(),
+    url: await parseUrl(url),
+    entity,
+    filter: parseFilter(entity, filter),
+    primacyAgencyId: agency,
+    createdAt: new Date().toISOString(),
+    secret: crypto.randomBytes(32).toString('hex'),
+    owner: { method: auth.method, id: ownerId(auth) },
+    pwsidPrefixes: auth.pwsidPrefixes ?? null,
+  };
+  getStore().subscriptions.push(subscription);
+  saveStore();
+  return subscription;
+}
+
+// Callers see the subscriptions they registered; with authentication off
+// nobody sees any
+const ownedBy = (subscription, auth) => auth != null
+  && (subscription.owner?.method === auth.method && subscription.owner.id != null && subscription.owner.id === ownerId(auth));
+
+function listSubscriptions(auth) {
+  return getStore().subscriptions.filter(s => ownedBy(s, auth));
+}
+
+function findSubscription(webhookId, auth) {
+  return listSubscriptions(auth).find(s => s.webhookId === webhookId) || null;
+}
+
+// False when the caller has no such subscription. The last subscription of
+// a feed takes its watermark along, so a later one starts from its own
+// registration instead of where the old ones stopped.
+function deleteSubscription(webhookId, auth) {
+  const subscription = findSubscription(webhookId, auth);
+  if (!subscription) return false;
+  const { subscriptions, watermarks } = getStore();
+  subscriptions.splice(subscriptions.indexOf(subscription), 1);
+  const key = feedKey(subscription);
+  if (!subscriptions.some(s => feedKey(s) === key)) delete watermarks[key];
+  saveStore();
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Delivery
+// ---------------------------------------------------------------------------
+
+// X-Webhook-Signature of a body sent at `timestamp` (Unix seconds)
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// One POST of the event. Redirects are not followed: one could lead
+// anywhere, WEBHOOK_ALLOWED_HOSTS or not.
+async function post(subscription, event) {
+  const target = new URL(subscription.url);
+  const host = hostOf(target);
+  checkHost(host);
+  // Host names are checked as they are resolved; addresses only here
+  if (net.isIP(host)) checkAddress(host, host);
+
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const status = await new Promise((resolve, reject) => {
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      // A connection of its own, so a pooled socket never skips the lookup
+      agent: false,
+      lookup: checkedLookup,
+      signal: AbortSignal.timeout(setting('WEBHOOK_TIMEOUT_SECONDS', 10) * 1000),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'sdwis-translation-api',
+        'X-Webhook-Id': event.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(subscription.secret, timestamp, body),
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+  if (status < 200 || status > 299) throw new Error(`Subscriber responded ${status}`);
+}
+
+function deadLetter(subscription, event, attempts, err) {
+  const entry = {
+    failedAt: new Date().toISOString(),
+    webhookId: subscription.webhookId,
+    url: subscription.url,
+    attempts,
+    error: err.message,
+    event,
+  };
+  statsOf(subscription.webhookId).deadLetterCount++;
+  console.error(`Webhook ${subscription.webhookId}: gave up on event ${event.id} after ${attempts} attempts: ${err.message}`);
+  if (process.env.WEBHOOK_DEAD_LETTER_FILE) {
+    fs.appendFileSync(process.env.WEBHOOK_DEAD_LETTER_FILE, `${JSON.stringify(entry)}\n`);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// POSTs under way, at most WEBHOOK_CONCURRENCY, and the attempts waiting for one
+let posting = 0;
+const waitingToPost = [];
+
+// Runs `send` once fewer than WEBHOOK_CONCURRENCY POSTs are under way
+async function withPostSlot(send) {
+  if (posting < setting('WEBHOOK_CONCURRENCY', 4)) posting++;
+  else await new Promise(resolve => waitingToPost.push(resolve));
+  try {
+    return await send();
+  } finally {
+    // The slot passes to the next attempt waiting, if any
+    const next = waitingToPost.shift();
+    if (next) next();
+    else posting--;
+  }
+}
+
+// Posts the event until it is delivered or out of attempts; stops early when
+// the subscription is deleted meanwhile
+async function deliver(subscription, event) {
+  const maxAttempts = setting('WEBHOOK_MAX_ATTEMPTS', 6);
+  const retryMs = setting('WEBHOOK_RETRY_SECONDS', 30) * 1000;
+  const stats = statsOf(subscription.webhookId);
+  let lastError;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) await sleep(retryMs * 2 ** (attempt - 2));
+    if (!getStore().subscriptions.includes(subscription)) return;
+    try {
+      await withPostSlot(() => post(subscription, event));
+      stats.deliveredCount++;
+      stats.lastDeliveryAt = new Date().toISOString();
+      return;
+    } catch (err) {
+      lastError = err;
+      stats.lastFailure = { at: new Date().toISOString(), attempt, message: err.message };
+    }
+  }
+  deadLetter(subscription, event, maxAttempts, lastError);
+}
+
+// Deliveries under way, retries included
+const inFlight = new Set();
+
+// Starts delivering the event once fewer than WEBHOOK_QUEUE_SIZE deliveries
+// are under way
+async function dispatch(subscription, event) {
+  while (inFlight.size >= setting('WEBHOOK_QUEUE_SIZE', 1000)) await Promise.race(inFlight);
+  const delivery = deliver(subscription, event)
+    .catch(err => console.error(`Webhook ${subscription.webhookId}: error delivering event ${event.id}:`, err))
+    .finally(() => inFlight.delete(delivery));
+  inFlight.add(delivery);
+}
+
+// Resolves once every delivery under way has been delivered or given up on
+async function drain() {
+  while (inFlight.size) await Promise.all([...inFlight]);
+}
+
+// ---------------------------------------------------------------------------
+// Poller
+// ---------------------------------------------------------------------------
+
+// Whether a changed record passes the subscription's filter (the field
+// registry's in-memory predicates, as in demo mode); its feed has the
+// subscription's PWSID scope already
+function matches(subscription, record) {
+  return ENTITIES[subscription.entity].routes.FIELDS.filterDemo([record], subscription.filter).length > 0;
+}
+
+function changeEvent(subscription, record) {
+  return {
+    id: crypto.randomUUID(),
+    type: `${subscription.entity}.changed`,
+    webhookId: subscription.webhookId,
+    primacyAgencyId: subscription.primacyAgencyId,
+    changedAt: record.updateDt ?? record.createDt,
+    data: record,
+  };
+}
+
+// Reads one feed to its end, as a caller with its PWSID prefixes would,
+// dispatching its events
+async function pollFeed(key, { agency, entity, pwsidPrefixes, subscriptions }) {
+  const { watermarks } = getStore();
+  const { routes, collection } = ENTITIES[entity];
+  const auth = pwsidPrefixes ? { pwsidPrefixes } : null;
+  let query = watermarks[key]
+    ? { watermark: watermarks[key] }
+    : { since: process.env.WEBHOOK_SINCE || subscriptions.map(s => s.createdAt).sort()[0] };
+
+  for (;;) {
+    const page = await withAgency(agency, () => routes.listChanges({ ...query, pageSize: POLL_PAGE_SIZE }, { auth }));
+    for (const record of page[collection]) {
+      for (const subscription of subscriptions) {
+        if (matches(subscription, record)) await dispatch(subscription, changeEvent(subscription, record));
+      }
+    }
+    // Subscriptions deleted during the poll leave no watermark behind
+    if (!subscriptions.some(s => getStore().subscriptions.includes(s))) return;
+    if (page.nextWatermark) {
+      watermarks[key] = page.nextWatermark;
+      saveStore();
+    }
+    if (!page.hasMore) return;
+    query = { watermark: page.nextWatermark };
+  }
+}
+
+// The watermark key of a subscription's feed: "<agency> <entity>", followed
+// by the sorted PWSID prefixes of a scoped subscription
+function feedKey({ primacyAgencyId, entity, pwsidPrefixes }) {
+  const key = `${primacyAgencyId} ${entity}`;
+  return pwsidPrefixes ? `${key} ${[...pwsidPrefixes].sort().join(',')}` : key;
+}
+
+async function poll() {
+  const feeds = new Map();
+  for (const subscription of getStore().subscriptions) {
+    const key = feedKey(subscription);
+    if (!feeds.has(key)) {
+      const { primacyAgencyId: agency, entity, pwsidPrefixes } = subscription;
+      feeds.set(key, { agency, entity, pwsidPrefixes, subscriptions: [] });
+    }
+    feeds.get(key).subscriptions.push(subscription);
+  }
+  for (const [key, feed] of feeds) {
+    try {
+      await pollFeed(key, feed);
+    } catch (err) {
+      console.error(`Error polling ${key} changes for webhooks:`, err);
+    }
+  }
+}
+
+let polling = null;
+
+// One poll of every feed with subscriptions; deliveries continue after it
+// resolves (see drain()). A call during a poll joins it.
+function pollChanges() {
+  if (!polling) polling = poll().finally(() => { polling = null; });
+  return polling;
+}
+
+// Polls every WEBHOOK_POLL_SECONDS until the returned function is called
+function startWebhooks() {
+  const intervalMs = setting('WEBHOOK_POLL_SECONDS', 60) * 1000;
+  let timer;
+  let stopped = false;
+  const schedule = () => {
+    if (stopped) return;
+    timer = setTimeout(() => pollChanges().finally(schedule), intervalMs);
+    timer.unref();
+  };
+  schedule();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  ENTITIES,
+  createSubscription,
+  listSubscriptions,
+  findSubscription,
+  deleteSubscription,
+  statsOf,
+  sign,
+  pollChanges,
+  drain,
+  startWebhooks,
+};